@@ -51,7 +51,17 @@ app.use("/api/admin/auth/login", authLimiter);
 app.use(morgan("combined")); // Use 'dev' for development, 'combined' for production
 
 // Body parsing middleware
-app.use(express.json({ limit: "10mb" }));
+app.use(
+  express.json({
+    limit: "10mb",
+    // Keep the exact bytes of webhook requests for signature verification
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/admin/payments/webhook/")) {
+        req.rawBody = buf.toString("utf8");
+      }
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
 // Static files (if needed)
@@ -64,6 +74,7 @@ const userAuthRoutes = require("./src/routes/user/authRoutes");
 const userProfileRoutes = require("./src/routes/user/profileRoutes");
 const userOrderRoutes = require("./src/routes/user/orderRoutes");
 const userCartRoutes = require("./src/routes/user/cartRoutes");
+const userGuestCartRoutes = require("./src/routes/user/guestCartRoutes");
 const userCategoryRoutes = require("./src/routes/user/categoryRoutes");
 const userPackageRoutes = require("./src/routes/user/packageRoutes");
 const userShippingFeeRoutes = require("./src/routes/user/shippingFeeRoutes");
@@ -81,6 +92,9 @@ const adminManagementRoutes = require("./src/routes/admin/adminManagementRoutes"
 const adminTransactionRoutes = require("./src/routes/admin/transactionRoutes");
 const adminPaymentRoutes = require("./src/routes/admin/paymentRoutes");
 const adminBannerRoutes = require("./src/routes/admin/bannerRoutes");
+const adminReviewRoutes = require("./src/routes/admin/reviewRoutes");
+const adminReturnRoutes = require("./src/routes/admin/returnRoutes");
+const adminJobRoutes = require("./src/routes/admin/jobRoutes");
 
 // User Payment Routes
 const userPaymentRoutes = require("./src/routes/user/paymentRoutes");
@@ -90,6 +104,10 @@ const userBannerRoutes = require("./src/routes/user/bannerRoutes");
 const sharedProductRoutes = require("./src/routes/shared/productRoutes");
 const uploadRoutes = require("./src/routes/shared/uploadRoutes");
 
+// Background jobs
+const { startJobRunner, stopJobRunner } = require("./src/services/jobRunner");
+require("./src/services/scheduledJobs");
+
 // ==================== API ROUTES REGISTRATION ====================
 
 // User API Routes
@@ -97,11 +115,21 @@ app.use("/api/auth", userAuthRoutes);
 app.use("/api/user/profile", userProfileRoutes);
 app.use("/api/user/orders", userOrderRoutes);
 app.use("/api/user/cart", userCartRoutes);
+app.use("/api/user/guest-cart", userGuestCartRoutes);
 app.use("/api/user/categories", userCategoryRoutes);
 app.use("/api/user/packages", userPackageRoutes);
 app.use("/api/user/shipping-fees", userShippingFeeRoutes);
 app.use("/api/user/coupons", userCouponRoutes);
 
+// Payment gateway webhooks (public, signature-verified) - registered before
+// the admin payment routes so adminAuth does not apply
+const { webhookHandler } = adminPaymentRoutes;
+app.post(
+  "/api/admin/payments/webhook/:gateway",
+  webhookHandler.validateWebhook,
+  webhookHandler.processWebhook
+);
+
 // Admin API Routes
 app.use("/api/admin/auth", adminAuthRoutes);
 app.use("/api/admin/dashboard", adminDashboardRoutes);
@@ -114,6 +142,9 @@ app.use("/api/admin/admin-management", adminManagementRoutes);
 app.use("/api/admin/transactions", adminTransactionRoutes);
 app.use("/api/admin/payments", adminPaymentRoutes);
 app.use("/api/admin/banners", adminBannerRoutes);
+app.use("/api/admin/reviews", adminReviewRoutes);
+app.use("/api/admin/returns", adminReturnRoutes);
+app.use("/api/admin/jobs", adminJobRoutes);
 
 // User Payment Routes
 app.use("/api/user/payments", userPaymentRoutes);
@@ -215,6 +246,7 @@ app.get("/", (req, res) => {
         profile: "/api/user/profile",
         orders: "/api/user/orders",
         cart: "/api/user/cart",
+        guestCart: "/api/user/guest-cart",
       },
       admin: {
         dashboard: "/api/admin/dashboard",
@@ -341,6 +373,7 @@ const connectDB = async () => {
 // Graceful shutdown
 const gracefulShutdown = () => {
   console.log("🛑 Received shutdown signal, closing server...");
+  stopJobRunner();
 
   mongoose.connection.close(false, () => {
     console.log("✅ MongoDB connection closed.");
@@ -363,6 +396,9 @@ const startServer = async () => {
 
   });
 
+  // Time-based business rules (see src/services/scheduledJobs.js)
+  startJobRunner();
+
   // Handle server errors
   server.on("error", (error) => {
     if (error.code === "EADDRINUSE") {
@@ -0,0 +1,31 @@
+// scripts/syncCartIndexes.js
+// Run with: node scripts/syncCartIndexes.js
+// Rebuilds the cart indexes so guest carts (which have no userId) can be
+// stored: the unique userId index becomes sparse and guest carts get a TTL
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Cart = require("../src/models/Cart");
+
+async function syncCartIndexes() {
+  try {
+    console.log("🔌 Connecting to MongoDB...");
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log("✅ Connected to MongoDB");
+
+    const dropped = await Cart.syncIndexes();
+    console.log("✅ Cart indexes synced");
+    if (dropped.length > 0) {
+      console.log("   Rebuilt:", dropped.join(", "));
+    }
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Error:", error.message);
+    await mongoose.disconnect();
+    process.exit(1);
+  }
+}
+
+syncCartIndexes();
@@ -3,10 +3,16 @@ const Admin = require("../../models/Admin");
 const { validationResult } = require("express-validator");
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { revokeAllSessions } = require("../../services/tokenService");
+const {
+  ALL_PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ADMIN_ROLES,
+} = require("../../utils/permissions");
 
 // @desc    Get all admin users
 // @route   GET /api/admin/admin-management
-// @access  Private (Super Admin)
+// @access  Private (admins:manage)
 const getAllAdmins = async (req, res) => {
   try {
     const {
@@ -76,7 +82,7 @@ const getAllAdmins = async (req, res) => {
 
 // @desc    Get admin user by ID
 // @route   GET /api/admin/admin-management/:adminId
-// @access  Private (Super Admin)
+// @access  Private (admins:manage)
 const getAdminById = async (req, res) => {
   try {
     const { adminId } = req.params;
@@ -99,7 +105,10 @@ const getAdminById = async (req, res) => {
 
     res.json({
       success: true,
-      data: { admin },
+      data: {
+        admin,
+        permissions: admin.getEffectivePermissions(),
+      },
     });
   } catch (error) {
     console.error("Get admin by ID error:", error);
@@ -113,7 +122,7 @@ const getAdminById = async (req, res) => {
 
 // @desc    Create new admin
 // @route   POST /api/admin/admin-management
-// @access  Private (Super Admin)
+// @access  Private (admins:manage)
 const createAdmin = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -125,7 +134,15 @@ const createAdmin = async (req, res) => {
       });
     }
 
-    const { username, email, password, firstName, lastName, phone } = req.body;
+    const { username, email, password, firstName, lastName, phone, role = "admin" } = req.body;
+
+    // Only a super admin can create another super admin
+    if (role === "superadmin" && req.admin.adminRole !== "superadmin") {
+      return res.status(403).json({
+        success: false,
+        message: "Only a super admin can assign the super admin role",
+      });
+    }
 
     // Check if admin already exists
     const existingAdmin = await Admin.findOne({
@@ -151,7 +168,7 @@ const createAdmin = async (req, res) => {
       username,
       email,
       password: hashedPassword,
-      role: "admin",
+      role,
       profile: {
         firstName,
         lastName,
@@ -165,6 +182,7 @@ const createAdmin = async (req, res) => {
     // Remove password from response
     const adminResponse = admin.toObject();
     delete adminResponse.password;
+    adminResponse.permissions = admin.getEffectivePermissions();
 
     res.status(201).json({
       success: true,
@@ -183,7 +201,7 @@ const createAdmin = async (req, res) => {
 
 // @desc    Update admin details
 // @route   PUT /api/admin/admin-management/:adminId
-// @access  Private (Super Admin)
+// @access  Private (admins:manage)
 const updateAdmin = async (req, res) => {
   try {
     const { adminId } = req.params;
@@ -249,6 +267,11 @@ const updateAdmin = async (req, res) => {
     admin.updatedAt = new Date();
     await admin.save();
 
+    // A new password invalidates every existing session of that admin
+    if (password) {
+      await revokeAllSessions("Admin", admin._id, "password_changed");
+    }
+
     // Remove password from response
     const adminResponse = admin.toObject();
     delete adminResponse.password;
@@ -270,7 +293,7 @@ const updateAdmin = async (req, res) => {
 
 // @desc    Toggle admin status (activate/deactivate)
 // @route   PATCH /api/admin/admin-management/:adminId/toggle-status
-// @access  Private (Super Admin)
+// @access  Private (admins:manage)
 const toggleAdminStatus = async (req, res) => {
   try {
     const { adminId } = req.params;
@@ -309,6 +332,10 @@ const toggleAdminStatus = async (req, res) => {
     admin.isActive = !admin.isActive;
     await admin.save();
 
+    if (!admin.isActive) {
+      await revokeAllSessions("Admin", admin._id, "account_deactivated");
+    }
+
     res.json({
       success: true,
       message: `Admin ${admin.isActive ? "activated" : "deactivated"} successfully`,
@@ -326,7 +353,7 @@ const toggleAdminStatus = async (req, res) => {
 
 // @desc    Delete admin user
 // @route   DELETE /api/admin/admin-management/:adminId
-// @access  Private (Super Admin)
+// @access  Private (admins:manage)
 const deleteAdmin = async (req, res) => {
   try {
     const { adminId } = req.params;
@@ -363,6 +390,7 @@ const deleteAdmin = async (req, res) => {
     }
 
     await Admin.findByIdAndDelete(adminId);
+    await revokeAllSessions("Admin", adminId, "account_deactivated");
 
     res.json({
       success: true,
@@ -378,6 +406,175 @@ const deleteAdmin = async (req, res) => {
   }
 };
 
+// @desc    List admin roles and the permissions each one bundles
+// @route   GET /api/admin/admin-management/roles
+// @access  Private (admins:manage)
+const getRolesAndPermissions = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        permissions: ALL_PERMISSIONS,
+        roles: ADMIN_ROLES.map(role => ({
+          role,
+          permissions: ROLE_PERMISSIONS[role],
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Get roles error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching roles",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Change an admin's role and per-admin permission overrides
+// @route   PUT /api/admin/admin-management/:adminId/permissions
+// @access  Private (admins:manage)
+const updateAdminPermissions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { adminId } = req.params;
+    const { role, granted, revoked } = req.body;
+
+    const admin = await Admin.findById(adminId);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: "Admin not found",
+      });
+    }
+
+    // Cannot change own permissions
+    if (admin._id.toString() === req.admin.adminId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot change your own permissions",
+      });
+    }
+
+    // Super admins always keep full access
+    if (admin.role === "superadmin") {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot modify super admin permissions",
+      });
+    }
+
+    if (role === "superadmin" && req.admin.adminRole !== "superadmin") {
+      return res.status(403).json({
+        success: false,
+        message: "Only a super admin can assign the super admin role",
+      });
+    }
+
+    if (role) admin.role = role;
+    if (granted !== undefined) admin.permissionOverrides.granted = [...new Set(granted)];
+    if (revoked !== undefined) admin.permissionOverrides.revoked = [...new Set(revoked)];
+
+    // A permission can't be both granted and revoked
+    const conflicts = admin.permissionOverrides.granted.filter(permission =>
+      admin.permissionOverrides.revoked.includes(permission)
+    );
+    if (conflicts.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Permissions cannot be both granted and revoked: ${conflicts.join(", ")}`,
+      });
+    }
+
+    admin.updatedAt = new Date();
+    await admin.save();
+
+    res.json({
+      success: true,
+      message: "Admin permissions updated successfully",
+      data: {
+        adminId: admin._id,
+        role: admin.role,
+        permissionOverrides: admin.permissionOverrides,
+        permissions: admin.getEffectivePermissions(),
+      },
+    });
+  } catch (error) {
+    console.error("Update admin permissions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating admin permissions",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Reset an admin's 2FA (e.g. lost authenticator device)
+// @route   DELETE /api/admin/admin-management/:adminId/2fa
+// @access  Private (admins:manage)
+const resetAdminTwoFactor = async (req, res) => {
+  try {
+    const { adminId } = req.params;
+
+    const admin = await Admin.findById(adminId);
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        message: "Admin not found",
+      });
+    }
+
+    // Own 2FA is managed from the account settings
+    if (admin._id.toString() === req.admin.adminId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: "Use your own two-factor settings to change your 2FA",
+      });
+    }
+
+    if (admin.role === "superadmin" && req.admin.adminRole !== "superadmin") {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot modify super admin",
+      });
+    }
+
+    if (!admin.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled for this admin",
+      });
+    }
+
+    admin.twoFactor = { enabled: false, failedAttempts: 0 };
+    admin.updatedAt = new Date();
+    await admin.save();
+
+    // Sessions established with the old factor must log in again
+    await revokeAllSessions("Admin", admin._id, "revoked_by_admin");
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication reset. The admin must enrol again.",
+    });
+  } catch (error) {
+    console.error("Reset admin 2FA error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while resetting two-factor authentication",
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   getAllAdmins,
   getAdminById,
@@ -385,4 +582,7 @@ module.exports = {
   updateAdmin,
   toggleAdminStatus,
   deleteAdmin,
+  getRolesAndPermissions,
+  updateAdminPermissions,
+  resetAdminTwoFactor,
 };
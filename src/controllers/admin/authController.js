@@ -1,9 +1,108 @@
 const Admin = require("../../models/Admin");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
 const { validationResult } = require("express-validator");
 const { sendAdminPasswordResetEmail } = require("../../services/emailService");
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+  revokeOwnedSession,
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  markSessionSteppedUp,
+  STEP_UP_WINDOW_MS,
+} = require("../../services/tokenService");
+const LoginHistory = require("../../models/LoginHistory");
+const { getRequestInfo } = require("../../utils/requestInfo");
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} = require("../../utils/totp");
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || "MK Dental Admin";
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+const TWO_FACTOR_LOCK_MS = 15 * 60 * 1000; // 15 minutes
+const TWO_FACTOR_SECRET_FIELDS =
+  "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+// Create the session and build the login response once every factor passed
+const completeAdminLogin = async (admin, req, res) => {
+  // Update last login
+  admin.lastLogin = new Date();
+  await admin.save();
+
+  // Start a session (short-lived access token + refresh token)
+  const { session, token, refreshToken, expiresIn, refreshTokenExpiresAt } =
+    await createSession("Admin", admin, req);
+
+  await LoginHistory.record({
+    ownerType: "Admin",
+    ownerId: admin._id,
+    email: admin.email,
+    success: true,
+    sessionId: session._id,
+    ...getRequestInfo(req),
+  });
+
+  // Remove password from response
+  const adminResponse = {
+    _id: admin._id,
+    username: admin.username,
+    email: admin.email,
+    profile: admin.profile,
+    role: admin.role,
+    permissions: admin.getEffectivePermissions(),
+    twoFactorEnabled: !!admin.twoFactor?.enabled,
+    lastLogin: admin.lastLogin,
+  };
+
+  res.json({
+    success: true,
+    message: "Admin login successful",
+    data: {
+      admin: adminResponse,
+      token,
+      refreshToken,
+      expiresIn,
+      refreshTokenExpiresAt,
+    },
+  });
+};
+
+// Check a 2FA code with lockout after repeated failures.
+// Returns null on success, otherwise { status, message } for the response.
+const checkTwoFactorCode = async (admin, { code, recoveryCode }) => {
+  if (admin.twoFactor.lockedUntil && admin.twoFactor.lockedUntil > new Date()) {
+    const minutes = Math.ceil((admin.twoFactor.lockedUntil - Date.now()) / 60000);
+    return {
+      status: 429,
+      message: `Too many failed attempts. Try again in ${minutes} minute(s).`,
+    };
+  }
+
+  const result = admin.verifyTwoFactor({ code, recoveryCode });
+
+  if (!result.valid) {
+    admin.twoFactor.failedAttempts = (admin.twoFactor.failedAttempts || 0) + 1;
+    if (admin.twoFactor.failedAttempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+      admin.twoFactor.failedAttempts = 0;
+      admin.twoFactor.lockedUntil = new Date(Date.now() + TWO_FACTOR_LOCK_MS);
+    }
+    await admin.save();
+    return { status: 401, message: "Invalid authentication code" };
+  }
+
+  admin.twoFactor.failedAttempts = 0;
+  admin.twoFactor.lockedUntil = undefined;
+  await admin.save();
+  return null;
+};
 
 // @desc    Login admin
 // @route   POST /api/admin/auth/login
@@ -32,6 +131,14 @@ const loginAdmin = async (req, res) => {
 
     // Check if admin is active
     if (!admin.isActive) {
+      await LoginHistory.record({
+        ownerType: "Admin",
+        ownerId: admin._id,
+        email,
+        success: false,
+        failureReason: "account_inactive",
+        ...getRequestInfo(req),
+      });
       return res.status(401).json({
         success: false,
         message: "Admin account is deactivated. Please contact super admin.",
@@ -41,41 +148,34 @@ const loginAdmin = async (req, res) => {
     // Verify password
     const isPasswordValid = await bcrypt.compare(password, admin.password);
     if (!isPasswordValid) {
+      await LoginHistory.record({
+        ownerType: "Admin",
+        ownerId: admin._id,
+        email,
+        success: false,
+        failureReason: "invalid_password",
+        ...getRequestInfo(req),
+      });
       return res.status(401).json({
         success: false,
         message: "Invalid email or password",
       });
     }
 
-    // Update last login
-    admin.lastLogin = new Date();
-    await admin.save();
-
-    // Generate JWT token
-    const token = jwt.sign(
-      { adminId: admin._id, role: admin.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "12h" } // Shorter expiry for admin
-    );
-
-    // Remove password from response
-    const adminResponse = {
-      _id: admin._id,
-      username: admin.username,
-      email: admin.email,
-      profile: admin.profile,
-      role: admin.role,
-      lastLogin: admin.lastLogin,
-    };
+    // Second factor required - hand back a short-lived challenge instead of a session
+    if (admin.twoFactor?.enabled) {
+      return res.json({
+        success: true,
+        message: "Two-factor authentication required",
+        data: {
+          twoFactorRequired: true,
+          challengeToken: createTwoFactorChallenge(admin),
+          expiresIn: "5m",
+        },
+      });
+    }
 
-    res.json({
-      success: true,
-      message: "Admin login successful",
-      data: {
-        admin: adminResponse,
-        token,
-      },
-    });
+    await completeAdminLogin(admin, req, res);
   } catch (error) {
     console.error("Admin login error:", error);
     res.status(500).json({
@@ -104,6 +204,7 @@ const getAdminProfile = async (req, res) => {
       success: true,
       data: {
         admin,
+        permissions: admin.getEffectivePermissions(),
       },
     });
   } catch (error) {
@@ -218,6 +319,9 @@ const changeAdminPassword = async (req, res) => {
 
     await admin.save();
 
+    // Sign out every other device; the current session stays logged in
+    await revokeAllSessions("Admin", admin._id, "password_changed", req.admin.sessionId);
+
     res.json({
       success: true,
       message: "Password changed successfully",
@@ -232,12 +336,13 @@ const changeAdminPassword = async (req, res) => {
   }
 };
 
-// @desc    Logout admin
+// @desc    Logout admin (revokes the current session)
 // @route   POST /api/admin/auth/logout
 // @access  Private (Admin)
 const logoutAdmin = async (req, res) => {
   try {
-    // In production, you might want to blacklist the token
+    await revokeSession(req.admin.sessionId, "logout");
+
     res.json({
       success: true,
       message: "Admin logged out successfully",
@@ -252,31 +357,60 @@ const logoutAdmin = async (req, res) => {
   }
 };
 
-// @desc    Refresh admin token
-// @route   POST /api/admin/auth/refresh
+// @desc    Logout admin from all devices
+// @route   POST /api/admin/auth/logout-all
 // @access  Private (Admin)
+const logoutAllDevices = async (req, res) => {
+  try {
+    const revokedSessions = await revokeAllSessions("Admin", req.admin.adminId, "logout_all");
+
+    res.json({
+      success: true,
+      message: "Logged out from all devices",
+      data: {
+        revokedSessions,
+      },
+    });
+  } catch (error) {
+    console.error("Admin logout all devices error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error during logout",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Exchange an admin refresh token for a new token pair
+// @route   POST /api/admin/auth/refresh
+// @access  Public (requires refresh token)
 const refreshToken = async (req, res) => {
   try {
-    const admin = await Admin.findById(req.admin.adminId);
-    if (!admin) {
-      return res.status(404).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: "Admin not found",
+        message: "Validation failed",
+        errors: errors.array(),
       });
     }
 
-    // Generate new token
-    const token = jwt.sign(
-      { adminId: admin._id, role: admin.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "12h" }
-    );
+    const result = await rotateRefreshToken("Admin", req.body.refreshToken, req);
+    if (!result.success) {
+      return res.status(401).json({
+        success: false,
+        message: result.message,
+      });
+    }
 
     res.json({
       success: true,
       message: "Token refreshed successfully",
       data: {
-        token,
+        token: result.token,
+        refreshToken: result.refreshToken,
+        expiresIn: result.expiresIn,
+        refreshTokenExpiresAt: result.refreshTokenExpiresAt,
       },
     });
   } catch (error) {
@@ -289,6 +423,119 @@ const refreshToken = async (req, res) => {
   }
 };
 
+// @desc    Get active admin sessions (devices)
+// @route   GET /api/admin/auth/sessions
+// @access  Private (Admin)
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions("Admin", req.admin.adminId, req.admin.sessionId);
+
+    res.json({
+      success: true,
+      data: {
+        sessions,
+        count: sessions.length,
+      },
+    });
+  } catch (error) {
+    console.error("Get admin sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching sessions",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Revoke an admin session (log out that device)
+// @route   DELETE /api/admin/auth/sessions/:sessionId
+// @access  Private (Admin)
+const revokeAdminSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const session = await revokeOwnedSession("Admin", req.admin.adminId, req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found or already revoked",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Session revoked successfully",
+      data: {
+        sessionId: session._id,
+        wasCurrentSession: session._id.toString() === req.admin.sessionId.toString(),
+      },
+    });
+  } catch (error) {
+    console.error("Revoke admin session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while revoking session",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get admin login history
+// @route   GET /api/admin/auth/login-history
+// @access  Private (Admin)
+const getLoginHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const filter = { ownerType: "Admin", ownerId: req.admin.adminId };
+
+    const [history, total] = await Promise.all([
+      LoginHistory.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit * 1)
+        .select("-ownerType -ownerId -__v"),
+      LoginHistory.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        history,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get admin login history error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching login history",
+      error: error.message,
+    });
+  }
+};
+
 // @desc    Forgot password - send OTP email
 // @route   POST /api/admin/auth/forgot-password
 // @access  Public
@@ -456,6 +703,9 @@ const resetPassword = async (req, res) => {
 
     await admin.save();
 
+    // Sign out every device that used the old password
+    await revokeAllSessions("Admin", admin._id, "password_reset");
+
     res.json({
       success: true,
       message: "Password reset successfully. You can now login with your new password.",
@@ -470,13 +720,405 @@ const resetPassword = async (req, res) => {
   }
 };
 
+// ==================== TWO-FACTOR AUTHENTICATION ====================
+
+// @desc    Complete login with a 2FA code or recovery code
+// @route   POST /api/admin/auth/2fa/verify-login
+// @access  Public (requires challenge token from login)
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const adminId = verifyTwoFactorChallenge(challengeToken);
+    if (!adminId) {
+      return res.status(401).json({
+        success: false,
+        message: "Login challenge is invalid or has expired. Please log in again.",
+      });
+    }
+
+    const admin = await Admin.findById(adminId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!admin || !admin.isActive || !admin.twoFactor?.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: "Login challenge is invalid or has expired. Please log in again.",
+      });
+    }
+
+    const failure = await checkTwoFactorCode(admin, { code, recoveryCode });
+    if (failure) {
+      await LoginHistory.record({
+        ownerType: "Admin",
+        ownerId: admin._id,
+        email: admin.email,
+        success: false,
+        failureReason: "invalid_2fa_code",
+        ...getRequestInfo(req),
+      });
+      return res.status(failure.status).json({
+        success: false,
+        message: failure.message,
+      });
+    }
+
+    await completeAdminLogin(admin, req, res);
+  } catch (error) {
+    console.error("Admin 2FA login error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error during admin login",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get 2FA status
+// @route   GET /api/admin/auth/2fa
+// @access  Private (Admin)
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const admin = await Admin.findById(req.admin.adminId).select("+twoFactor.recoveryCodes");
+
+    res.json({
+      success: true,
+      data: {
+        enabled: !!admin.twoFactor?.enabled,
+        enabledAt: admin.twoFactor?.enabledAt || null,
+        recoveryCodesRemaining: admin.twoFactor?.enabled
+          ? admin.twoFactor.recoveryCodes.length
+          : 0,
+      },
+    });
+  } catch (error) {
+    console.error("Get 2FA status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching two-factor status",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Start 2FA enrolment (returns secret and otpauth URI for the QR code)
+// @route   POST /api/admin/auth/2fa/setup
+// @access  Private (Admin)
+const setupTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const admin = await Admin.findById(req.admin.adminId);
+
+    if (admin.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(req.body.password, admin.password);
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Password is incorrect",
+      });
+    }
+
+    const secret = generateSecret();
+    admin.twoFactor.pendingSecret = secret;
+    await admin.save();
+
+    res.json({
+      success: true,
+      message: "Scan the QR code with your authenticator app, then confirm with a code",
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({
+          secret,
+          accountName: admin.email,
+          issuer: TWO_FACTOR_ISSUER,
+        }),
+      },
+    });
+  } catch (error) {
+    console.error("Setup 2FA error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while setting up two-factor authentication",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Confirm enrolment with a code and enable 2FA
+// @route   POST /api/admin/auth/2fa/enable
+// @access  Private (Admin)
+const enableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const admin = await Admin.findById(req.admin.adminId).select("+twoFactor.pendingSecret");
+
+    if (admin.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    if (!admin.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Start two-factor setup first",
+      });
+    }
+
+    const step = verifyCode(admin.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code",
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    admin.twoFactor = {
+      enabled: true,
+      secret: admin.twoFactor.pendingSecret,
+      pendingSecret: undefined,
+      recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+      lastUsedStep: step,
+      failedAttempts: 0,
+      enabledAt: new Date(),
+    };
+    admin.updatedAt = new Date();
+    await admin.save();
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled. Store your recovery codes somewhere safe.",
+      data: {
+        recoveryCodes, // Shown only once
+      },
+    });
+  } catch (error) {
+    console.error("Enable 2FA error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while enabling two-factor authentication",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Disable 2FA
+// @route   POST /api/admin/auth/2fa/disable
+// @access  Private (Admin)
+const disableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+
+    const admin = await Admin.findById(req.admin.adminId).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!admin.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, admin.password);
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Password is incorrect",
+      });
+    }
+
+    const failure = await checkTwoFactorCode(admin, { code, recoveryCode });
+    if (failure) {
+      return res.status(failure.status).json({
+        success: false,
+        message: failure.message,
+      });
+    }
+
+    admin.twoFactor = { enabled: false, failedAttempts: 0 };
+    admin.updatedAt = new Date();
+    await admin.save();
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    console.error("Disable 2FA error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while disabling two-factor authentication",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Replace recovery codes (invalidates the old ones)
+// @route   POST /api/admin/auth/2fa/recovery-codes
+// @access  Private (Admin)
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const admin = await Admin.findById(req.admin.adminId).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!admin.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    const failure = await checkTwoFactorCode(admin, {
+      code: req.body.code,
+      recoveryCode: req.body.recoveryCode,
+    });
+    if (failure) {
+      return res.status(failure.status).json({
+        success: false,
+        message: failure.message,
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    admin.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await admin.save();
+
+    res.json({
+      success: true,
+      message: "New recovery codes generated. Previous codes no longer work.",
+      data: {
+        recoveryCodes, // Shown only once
+      },
+    });
+  } catch (error) {
+    console.error("Regenerate recovery codes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while generating recovery codes",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Confirm identity before a sensitive action (step-up)
+// @route   POST /api/admin/auth/2fa/step-up
+// @access  Private (Admin)
+const stepUpTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const admin = await Admin.findById(req.admin.adminId).select(TWO_FACTOR_SECRET_FIELDS);
+
+    if (!admin.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    const failure = await checkTwoFactorCode(admin, {
+      code: req.body.code,
+      recoveryCode: req.body.recoveryCode,
+    });
+    if (failure) {
+      return res.status(failure.status).json({
+        success: false,
+        message: failure.message,
+      });
+    }
+
+    await markSessionSteppedUp(req.admin.sessionId);
+
+    res.json({
+      success: true,
+      message: "Identity confirmed",
+      data: {
+        validForSeconds: STEP_UP_WINDOW_MS / 1000,
+      },
+    });
+  } catch (error) {
+    console.error("2FA step-up error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error during two-factor verification",
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   loginAdmin,
   getAdminProfile,
   updateAdminProfile,
   changeAdminPassword,
   logoutAdmin,
+  logoutAllDevices,
   refreshToken,
+  getSessions,
+  revokeAdminSession,
+  getLoginHistory,
   forgotPassword,
   resetPassword,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  stepUpTwoFactor,
 };
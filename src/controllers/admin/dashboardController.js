@@ -1,6 +1,7 @@
 const User = require("../../models/User");
 const Product = require("../../models/Product");
 const Order = require("../../models/Order");
+const CartRecovery = require("../../models/CartRecovery");
 const mongoose = require("mongoose");
 const { formatImageUrl } = require("../../utils/imageHelper");
 
@@ -158,6 +159,117 @@ const getDashboardOverview = async (req, res) => {
   }
 };
 
+// @desc    Get abandoned cart recovery results
+// @route   GET /api/admin/dashboard/cart-recovery
+// @access  Private (Admin - canViewAnalytics)
+const getCartRecoveryReport = async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    // Carts abandoned in the period
+    const match = {};
+    if (startDate || endDate) {
+      match.createdAt = {};
+      if (startDate) match.createdAt.$gte = new Date(startDate);
+      if (endDate) match.createdAt.$lte = new Date(endDate);
+    }
+
+    const [summary, byReminder, recentRecoveries] = await Promise.all([
+      CartRecovery.aggregate([
+        { $match: match },
+        {
+          $lookup: {
+            from: "orders",
+            localField: "orderId",
+            foreignField: "_id",
+            as: "order"
+          }
+        },
+        {
+          $addFields: {
+            // Cancelled or returned orders don't count as recovered revenue
+            countsAsRevenue: {
+              $and: [
+                { $eq: ["$status", "recovered"] },
+                { $not: { $in: [{ $arrayElemAt: ["$order.status", 0] }, ["cancelled", "returned"]] } }
+              ]
+            }
+          }
+        },
+        {
+          $group: {
+            _id: null,
+            abandonedCarts: { $sum: 1 },
+            abandonedValue: { $sum: "$cartTotal" },
+            remindersSent: { $sum: "$remindersSent" },
+            clicked: { $sum: { $cond: [{ $ifNull: ["$clickedAt", false] }, 1, 0] } },
+            recovered: { $sum: { $cond: [{ $eq: ["$status", "recovered"] }, 1, 0] } },
+            recoveredRevenue: { $sum: { $cond: ["$countsAsRevenue", "$recoveredRevenue", 0] } },
+            couponsIssued: { $sum: { $cond: [{ $ifNull: ["$couponId", false] }, 1, 0] } }
+          }
+        }
+      ]),
+
+      // Which reminder the customer had last received before ordering
+      CartRecovery.aggregate([
+        { $match: { ...match, status: "recovered" } },
+        {
+          $group: {
+            _id: "$remindersSent",
+            recovered: { $sum: 1 },
+            revenue: { $sum: "$recoveredRevenue" }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]),
+
+      CartRecovery.find({ ...match, status: "recovered" })
+        .sort({ recoveredAt: -1 })
+        .limit(10)
+        .populate("orderId", "orderNumber status totals.total")
+        .populate("userId", "username email")
+        .select("userId orderId cartTotal remindersSent couponCode recoveredAt recoveredRevenue")
+    ]);
+
+    const totals = summary[0] || {
+      abandonedCarts: 0,
+      abandonedValue: 0,
+      remindersSent: 0,
+      clicked: 0,
+      recovered: 0,
+      recoveredRevenue: 0,
+      couponsIssued: 0
+    };
+    delete totals._id;
+
+    res.json({
+      success: true,
+      data: {
+        summary: {
+          ...totals,
+          recoveryRate: totals.abandonedCarts
+            ? Math.round((totals.recovered / totals.abandonedCarts) * 10000) / 100
+            : 0
+        },
+        byReminder: byReminder.map(r => ({
+          reminder: r._id,
+          recovered: r.recovered,
+          revenue: r.revenue
+        })),
+        recentRecoveries
+      }
+    });
+  } catch (error) {
+    console.error("Cart recovery report error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching cart recovery report",
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
-  getDashboardOverview
+  getDashboardOverview,
+  getCartRecoveryReport
 };
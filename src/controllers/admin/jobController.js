@@ -0,0 +1,75 @@
+const { getJobStatuses, runJobNow } = require("../../services/jobRunner");
+
+// @desc    Get background jobs with their schedule and last run
+// @route   GET /api/admin/jobs
+// @access  Private (Super Admin)
+const getJobs = async (req, res) => {
+  try {
+    const jobs = await getJobStatuses();
+
+    res.json({
+      success: true,
+      data: {
+        jobs,
+      },
+    });
+  } catch (error) {
+    console.error("Get jobs error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching jobs",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Run a background job now
+// @route   POST /api/admin/jobs/:name/run
+// @access  Private (Super Admin)
+const runJob = async (req, res) => {
+  try {
+    const result = await runJobNow(req.params.name, `admin:${req.admin.adminId}`);
+
+    if (result.notFound) {
+      return res.status(404).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    if (result.locked) {
+      return res.status(409).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: `Job ${req.params.name} failed`,
+        error: result.error,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Job ${req.params.name} completed`,
+      data: {
+        result: result.result,
+      },
+    });
+  } catch (error) {
+    console.error("Run job error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while running job",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getJobs,
+  runJob,
+};
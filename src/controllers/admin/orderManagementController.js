@@ -1,9 +1,28 @@
 const Order = require("../../models/Order");
 const User = require("../../models/User");
-const Product = require("../../models/Product");
+const Admin = require("../../models/Admin");
 const Payment = require("../../models/Payment");
+const CreditNote = require("../../models/CreditNote");
 const mongoose = require("mongoose");
+const { validationResult } = require("express-validator");
 const { formatImageArray, formatImageUrl } = require("../../utils/imageHelper");
+const { restoreStock } = require("../../services/inventoryService");
+const {
+  byAdmin,
+  applyOrderChange,
+} = require("../../services/orderHistoryService");
+const {
+  getAllowedTransitions,
+  transitionOrder,
+} = require("../../services/orderStateMachine");
+const {
+  buildInvoiceData,
+  generateInvoicePdf,
+  generatePackingSlipPdf,
+  generateCreditNotePdf,
+} = require("../../services/invoiceService");
+const { REFUNDABLE_STATUSES, issueRefund } = require("../../services/refundService");
+const { getReturnedQuantities } = require("../../services/returnService");
 
 /**
  * @desc    Get all orders with filtering, pagination, and sorting
@@ -17,6 +36,7 @@ const getAllOrders = async (req, res) => {
       limit = 10,
       status,
       paymentStatus,
+      refundDue,
       startDate,
       endDate,
       search,
@@ -29,6 +49,7 @@ const getAllOrders = async (req, res) => {
 
     if (status) filter.status = status;
     if (paymentStatus) filter.paymentStatus = paymentStatus;
+    if (refundDue !== undefined) filter.refundDue = refundDue === "true";
 
     // Date range filter
     if (startDate || endDate) {
@@ -174,6 +195,7 @@ const getOrderById = async (req, res) => {
           }))
         },
         payment,
+        allowedStatuses: getAllowedTransitions(order.status),
       },
     });
   } catch (error) {
@@ -203,23 +225,6 @@ const updateOrderStatus = async (req, res) => {
       });
     }
 
-    const validStatuses = [
-      "pending",
-      "processing",
-      "confirmed",
-      "shipped",
-      "delivered",
-      "completed",
-      "cancelled",
-      "returned",
-    ];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: "Invalid order status",
-      });
-    }
-
     const order = await Order.findById(id);
     if (!order) {
       return res.status(404).json({
@@ -228,70 +233,42 @@ const updateOrderStatus = async (req, res) => {
       });
     }
 
-    // Update order
-    const updateData = {
-      status,
-      updatedAt: new Date(),
-      handledBy: req.admin._id, // Track which admin updated the order
-    };
-
-    // Set timestamp based on status
-    if (status === "confirmed") updateData.confirmedAt = new Date();
-    if (status === "shipped") updateData.shippedAt = new Date();
-    if (status === "delivered") updateData.deliveredAt = new Date();
-    if (status === "returned") updateData.returnedAt = new Date();
-
-    if (trackingNumber) updateData.trackingNumber = trackingNumber;
-
-    const updatedOrder = await Order.findByIdAndUpdate(id, updateData, {
-      new: true,
-      runValidators: true,
-    }).populate("handledBy", "username profile.firstName profile.lastName");
-
-    // If order is returned and payment was made, initiate refund process
-    if (status === "returned" && order.paymentStatus === "paid") {
-      await Payment.findOneAndUpdate(
-        { orderId: id },
-        {
-          status: "refunded",
-          refundAmount: order.totals.total,
-          refundDate: new Date(),
-          processedBy: req.admin._id,
-        }
-      );
-
-      updatedOrder.paymentStatus = "refunded";
-      await updatedOrder.save();
+    // Cancelled and returned orders that were paid are marked refundDue;
+    // the refund itself goes through the refund routes
+    const set = { handledBy: req.admin.adminId };
+    if (trackingNumber) set.trackingNumber = trackingNumber;
+    if (status === "cancelled") {
+      set.cancellation = {
+        reason: notes,
+        cancelledAt: new Date(),
+        cancelledBy: req.admin.adminId,
+      };
     }
 
-    // If order is cancelled and payment was made, initiate refund process
-    if (status === "cancelled" && order.paymentStatus === "paid") {
-      // Here you would integrate with your payment gateway for refund
-      // For now, we'll just update the payment status
-      await Payment.findOneAndUpdate(
-        { orderId: id },
-        {
-          status: "refunded",
-          refundAmount: order.totals.total,
-          refundDate: new Date(),
-          processedBy: req.admin._id,
-        }
-      );
-
-      // Update order payment status
-      updatedOrder.paymentStatus = "refunded";
-      await updatedOrder.save();
+    const transition = await transitionOrder(order, status, {
+      by: byAdmin(req.admin.adminId),
+      note: notes,
+      set,
+    });
+    if (!transition.success) {
+      return res.status(transition.conflict ? 409 : 400).json({
+        success: false,
+        message: transition.error,
+        allowedStatuses: getAllowedTransitions(order.status),
+        ...(transition.gatewayError && { error: transition.gatewayError }),
+      });
     }
 
-    // Send status update notification to customer (non-blocking)
-    const { sendOrderStatusUpdateEmail } = require("../../services/emailService");
-    sendOrderStatusUpdateEmail(updatedOrder).catch(err => console.error("Failed to send status update email:", err));
+    const updatedOrder = transition.order;
+    await updatedOrder.populate("handledBy", "username profile.firstName profile.lastName");
 
     res.json({
       success: true,
       message: `Order status updated to ${status}`,
       data: {
         order: updatedOrder,
+        ...(transition.capturedAmount !== undefined && { capturedAmount: transition.capturedAmount }),
+        ...(transition.refundDue && { refundDue: true }),
       },
     });
   } catch (error) {
@@ -338,7 +315,10 @@ const updatePaymentStatus = async (req, res) => {
     }
 
     // Update order payment status
-    order.paymentStatus = paymentStatus;
+    applyOrderChange(order, "paymentStatus", paymentStatus, {
+      by: byAdmin(req.admin.adminId),
+      note: "Payment status set manually",
+    });
     order.updatedAt = new Date();
     order.handledBy = req.admin._id;
 
@@ -408,14 +388,29 @@ const deleteOrder = async (req, res) => {
       });
     }
 
-    // Soft delete by updating status and adding deleted flag
-    await Order.findByIdAndUpdate(id, {
-      status: "cancelled",
-      updatedAt: new Date(),
-      handledBy: req.admin._id,
-      deletedAt: new Date(),
-      isActive: false,
-    });
+    // Soft delete: cancel a pending order first, then flag it as deleted
+    if (order.status === "pending") {
+      const transition = await transitionOrder(order, "cancelled", {
+        by: byAdmin(req.admin.adminId),
+        note: "Order deleted",
+        notify: false,
+      });
+      if (!transition.success) {
+        return res.status(transition.conflict ? 409 : 400).json({
+          success: false,
+          message: transition.error,
+        });
+      }
+    }
+
+    await Order.updateOne(
+      { _id: id },
+      {
+        handledBy: req.admin.adminId,
+        deletedAt: new Date(),
+        isActive: false,
+      }
+    );
 
     res.json({
       success: true,
@@ -904,16 +899,22 @@ module.exports = {
   getAllOrders,
   getOrderById,
   updateOrderStatus,
+  bulkUpdateOrderStatus,
   updatePaymentStatus,
   deleteOrder,
   getOrderStats,
   exportOrders,
   getOrderAnalytics,
   processRefund,
+  getOrderCreditNotes,
+  downloadCreditNote,
   addOrderNote,
   getOrderNotes,
+  getOrderHistory,
   generateInvoice,
+  generatePackingSlip,
   cancelOrder,
+  removeOrderItem,
 };
 
 /**
@@ -942,70 +943,94 @@ async function processRefund(req, res) {
     }
 
     // Check if order is eligible for refund
-    if (order.paymentStatus !== "paid") {
+    if (!["paid", "partially_refunded"].includes(order.paymentStatus)) {
       return res.status(400).json({
         success: false,
         message: "Order must be paid to process a refund",
       });
     }
 
-    // Calculate refund amount
-    let refundAmount = order.totals.total;
-    if (refundType === "partial" && amount) {
-      if (amount > order.totals.total) {
-        return res.status(400).json({
-          success: false,
-          message: "Refund amount cannot exceed order total",
-        });
-      }
-      refundAmount = amount;
+    if (refundType === "partial" && !(amount > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "A partial refund needs an amount",
+      });
     }
 
-    // Update payment record
-    const payment = await Payment.findOneAndUpdate(
-      { orderId: id },
+    const payment = await Payment.findOne({
+      orderId: id,
+      status: { $in: REFUNDABLE_STATUSES },
+    });
+    if (!payment) {
+      return res.status(400).json({
+        success: false,
+        message: "No refundable payment found for this order",
+      });
+    }
+
+    // A full refund returns whatever hasn't been refunded yet
+    const refund = await issueRefund(
+      payment,
+      refundType === "partial" ? amount : undefined,
+      { reason, by: byAdmin(req.admin.adminId) }
+    );
+    if (!refund.success) {
+      return res.status(400).json({
+        success: false,
+        message: refund.error,
+      });
+    }
+
+    // The refund recorded the payment status and amount in the order history
+    const refundedOrder = await Order.findByIdAndUpdate(
+      id,
       {
-        status: refundType === "full" ? "refunded" : "partially_refunded",
-        refundAmount,
-        refundReason: reason,
-        refundDate: new Date(),
-        processedBy: req.admin.adminId,
+        refund: {
+          amount: refund.totalRefunded,
+          reason,
+          type: refundType,
+          processedAt: new Date(),
+          processedBy: req.admin.adminId,
+        },
+        handledBy: req.admin.adminId,
       },
       { new: true }
     );
 
-    // Update order
-    order.paymentStatus = refundType === "full" ? "refunded" : "partially_refunded";
-    order.refund = {
-      amount: refundAmount,
-      reason,
-      type: refundType,
-      processedAt: new Date(),
-      processedBy: req.admin.adminId,
-    };
-    order.handledBy = req.admin.adminId;
-    await order.save();
-
-    // If full refund, restore inventory
-    if (refundType === "full") {
-      for (const item of order.items) {
-        await Product.findByIdAndUpdate(item.productId, {
-          $inc: { "inventory.quantity": item.quantity },
-        });
-      }
+    // If full refund, restore inventory the order still holds. Cancelling
+    // already released it, and returned units are restocked at inspection.
+    if (refundType === "full" && !order.inventoryReleasedAt) {
+      const returned = await getReturnedQuantities(order._id);
+      const unreturned = order.items
+        .map((item) => ({
+          productId: item.productId,
+          productType: item.productType,
+          packageInfo: item.packageInfo,
+          quantity: item.quantity - (returned.get(String(item._id)) || 0),
+        }))
+        .filter((item) => item.quantity > 0);
+
+      await restoreStock(unreturned, {
+        type: "refund_restock",
+        orderId: order._id,
+        reason,
+        adminId: req.admin.adminId,
+      });
     }
 
     res.json({
       success: true,
-      message: `Refund of $${refundAmount.toFixed(2)} processed successfully`,
+      message: `Refund of $${refund.refundedAmount.toFixed(2)} processed successfully`,
       data: {
-        order,
+        order: refundedOrder,
         payment,
         refund: {
-          amount: refundAmount,
+          amount: refund.refundedAmount,
           type: refundType,
           reason,
         },
+        refundTransaction: refund.refundTransaction,
+        creditNote: refund.creditNote,
       },
     });
   } catch (error) {
@@ -1018,6 +1043,90 @@ async function processRefund(req, res) {
   }
 }
 
+/**
+ * @desc    Get credit notes issued for an order
+ * @route   GET /api/admin/orders/:id/credit-notes
+ * @access  Private/Admin
+ */
+async function getOrderCreditNotes(req, res) {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order ID",
+      });
+    }
+
+    const creditNotes = await CreditNote.find({ orderId: id })
+      .populate("issuedBy", "username")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        creditNotes,
+        totalCredited: creditNotes.reduce((sum, note) => sum + note.amount, 0),
+      },
+    });
+  } catch (error) {
+    console.error("Get order credit notes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching credit notes",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+/**
+ * @desc    Download a credit note as PDF
+ * @route   GET /api/admin/orders/:id/credit-notes/:creditNoteId/pdf
+ * @access  Private/Admin
+ */
+async function downloadCreditNote(req, res) {
+  try {
+    const { id, creditNoteId } = req.params;
+
+    if (
+      !mongoose.Types.ObjectId.isValid(id) ||
+      !mongoose.Types.ObjectId.isValid(creditNoteId)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order or credit note ID",
+      });
+    }
+
+    const [order, creditNote] = await Promise.all([
+      Order.findById(id),
+      CreditNote.findOne({ _id: creditNoteId, orderId: id }),
+    ]);
+    if (!order || !creditNote) {
+      return res.status(404).json({
+        success: false,
+        message: "Credit note not found",
+      });
+    }
+
+    const pdf = await generateCreditNotePdf(creditNote, order);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="credit-note-${creditNote.creditNoteNumber}.pdf"`
+    );
+    res.send(pdf);
+  } catch (error) {
+    console.error("Download credit note error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error generating credit note",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
 /**
  * @desc    Add note to order
  * @route   POST /api/admin/orders/:id/notes
@@ -1126,7 +1235,162 @@ async function getOrderNotes(req, res) {
 }
 
 /**
- * @desc    Generate invoice for order
+ * @desc    Update the status of several orders. Each order goes through the
+ *          same transition rules as a single update; results are per order.
+ * @route   PATCH /api/admin/orders/bulk-status
+ * @access  Private/Admin
+ */
+async function bulkUpdateOrderStatus(req, res) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { orderIds, status, notes } = req.body;
+    const orders = await Order.find({ _id: { $in: orderIds } });
+
+    const results = [];
+    for (const orderId of orderIds) {
+      const order = orders.find((o) => String(o._id) === orderId);
+      if (!order) {
+        results.push({ orderId, status: "failed", message: "Order not found" });
+        continue;
+      }
+
+      try {
+        const set = { handledBy: req.admin.adminId };
+        if (status === "cancelled") {
+          set.cancellation = {
+            reason: notes,
+            cancelledAt: new Date(),
+            cancelledBy: req.admin.adminId,
+          };
+        }
+
+        const transition = await transitionOrder(order, status, {
+          by: byAdmin(req.admin.adminId),
+          note: notes,
+          set,
+        });
+
+        results.push(
+          transition.success
+            ? {
+                orderId,
+                orderNumber: order.orderNumber,
+                status: "success",
+                ...(transition.refundDue && { refundDue: true }),
+              }
+            : {
+                orderId,
+                orderNumber: order.orderNumber,
+                status: "failed",
+                message: transition.error,
+              }
+        );
+      } catch (error) {
+        results.push({ orderId, status: "error", message: error.message });
+      }
+    }
+
+    const updatedCount = results.filter((r) => r.status === "success").length;
+
+    res.json({
+      success: true,
+      message: `${updatedCount} of ${orderIds.length} orders updated to ${status}`,
+      data: { results },
+    });
+  } catch (error) {
+    console.error("Bulk update order status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error updating order statuses",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+/**
+ * @desc    Get the order's audit trail (status, payment status and refunds)
+ * @route   GET /api/admin/orders/:id/history
+ * @access  Private/Admin
+ */
+async function getOrderHistory(req, res) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { id } = req.params;
+    const { field } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order ID",
+      });
+    }
+
+    const order = await Order.findById(id).select(
+      "orderNumber status paymentStatus statusHistory createdAt"
+    );
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    let history = order.statusHistory || [];
+    if (field) history = history.filter((entry) => entry.field === field);
+
+    // actorId points at an Admin or a User depending on the actor
+    const idsFor = (actor) =>
+      history.filter((e) => e.actor === actor && e.actorId).map((e) => e.actorId);
+    const [admins, users] = await Promise.all([
+      Admin.find({ _id: { $in: idsFor("admin") } }).select("username email"),
+      User.find({ _id: { $in: idsFor("user") } }).select("username email"),
+    ]);
+    const names = new Map(
+      [...admins, ...users].map((a) => [String(a._id), { username: a.username, email: a.email }])
+    );
+
+    res.json({
+      success: true,
+      data: {
+        orderNumber: order.orderNumber,
+        status: order.status,
+        paymentStatus: order.paymentStatus,
+        history: history
+          .map((entry) => ({
+            ...entry.toObject(),
+            actorDetails: entry.actorId ? names.get(String(entry.actorId)) || null : null,
+          }))
+          .sort((a, b) => b.createdAt - a.createdAt),
+      },
+    });
+  } catch (error) {
+    console.error("Get order history error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error fetching order history",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+/**
+ * @desc    Generate invoice for order (?format=json, html or pdf)
  * @route   GET /api/admin/orders/:id/invoice
  * @access  Private/Admin
  */
@@ -1142,9 +1406,7 @@ async function generateInvoice(req, res) {
       });
     }
 
-    const order = await Order.findById(id)
-      .populate("userId", "email profile.firstName profile.lastName profile.phone")
-      .populate("items.productId", "name sku");
+    const order = await Order.findById(id);
 
     if (!order) {
       return res.status(404).json({
@@ -1153,58 +1415,18 @@ async function generateInvoice(req, res) {
       });
     }
 
-    // Generate invoice data
-    const invoiceData = {
-      invoiceNumber: `INV-${order.orderNumber}`,
-      invoiceDate: new Date(),
-      orderNumber: order.orderNumber,
-      orderDate: order.createdAt,
-
-      // Customer details
-      customer: {
-        name: `${order.customer.firstName} ${order.customer.lastName}`,
-        email: order.customer.email,
-        phone: order.customer.phone || "",
-      },
-
-      // Billing address
-      billingAddress: order.shippingAddress,
-
-      // Shipping address
-      shippingAddress: order.shippingAddress,
-
-      // Items
-      items: order.items.map((item) => ({
-        name: item.name,
-        sku: item.productId?.sku || "N/A",
-        quantity: item.quantity,
-        unitPrice: item.price,
-        subtotal: item.subtotal,
-      })),
-
-      // Totals
-      subtotal: order.totals.subtotal,
-      discount: order.totals.discount || 0,
-      tax: order.totals.tax || 0,
-      shipping: order.totals.shipping || 0,
-      total: order.totals.total,
-
-      // Payment info
-      paymentStatus: order.paymentStatus,
-      paymentMethod: order.paymentMethod || "N/A",
-
-      // Company info (should come from settings)
-      company: {
-        name: "MK Dental",
-        address: "",
-        phone: "",
-        email: "",
-        website: "",
-      },
+    if (format === "pdf") {
+      const pdf = await generateInvoicePdf(order);
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="invoice-${order.invoice.number}.pdf"`
+      );
+      return res.send(pdf);
+    }
 
-      // Notes
-      notes: order.notes?.filter((n) => !n.isPrivate).map((n) => n.content) || [],
-    };
+    // Issues the invoice number the first time
+    const invoiceData = await buildInvoiceData(order);
 
     // Return based on format
     if (format === "html") {
@@ -1273,7 +1495,7 @@ function generateHtmlInvoice(data) {
         <div class="address">
           <h3>Ship To:</h3>
           <p>${data.shippingAddress.street}</p>
-          <p>${data.shippingAddress.city}, ${data.shippingAddress.state} ${data.shippingAddress.postalCode}</p>
+          <p>${data.shippingAddress.city}, ${data.shippingAddress.state} ${data.shippingAddress.zipCode}</p>
           <p>${data.shippingAddress.country}</p>
         </div>
       </div>
@@ -1304,7 +1526,7 @@ function generateHtmlInvoice(data) {
       <div class="totals">
         <p>Subtotal: $${data.subtotal.toFixed(2)}</p>
         ${data.discount > 0 ? `<p>Discount: -$${data.discount.toFixed(2)}</p>` : ""}
-        <p>Tax: $${data.tax.toFixed(2)}</p>
+        <p>${data.taxBreakdown.label}${data.taxBreakdown.inclusive ? " (included)" : ""}: $${data.taxBreakdown.amount.toFixed(2)}</p>
         <p>Shipping: $${data.shipping.toFixed(2)}</p>
         <p class="total-row">Total: $${data.total.toFixed(2)}</p>
       </div>
@@ -1315,6 +1537,47 @@ function generateHtmlInvoice(data) {
   `;
 }
 
+/**
+ * @desc    Generate packing slip (no prices) for the warehouse
+ * @route   GET /api/admin/orders/:id/packing-slip
+ * @access  Private/Admin
+ */
+async function generatePackingSlip(req, res) {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid order ID",
+      });
+    }
+
+    const order = await Order.findById(id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const pdf = await generatePackingSlipPdf(order);
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename="packing-slip-${order.orderNumber}.pdf"`
+    );
+    res.send(pdf);
+  } catch (error) {
+    console.error("Generate packing slip error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error generating packing slip",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
 /**
  * @desc    Cancel order with reason
  * @route   POST /api/admin/orders/:id/cancel
@@ -1323,7 +1586,7 @@ function generateHtmlInvoice(data) {
 async function cancelOrder(req, res) {
   try {
     const { id } = req.params;
-    const { reason, refund = false } = req.body;
+    const { reason } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(id)) {
       return res.status(400).json({
@@ -1340,65 +1603,183 @@ async function cancelOrder(req, res) {
       });
     }
 
-    // Check if order can be cancelled
-    if (["delivered", "cancelled"].includes(order.status)) {
+    const transition = await transitionOrder(order, "cancelled", {
+      by: byAdmin(req.admin.adminId),
+      note: reason,
+      set: {
+        cancellation: {
+          reason,
+          cancelledAt: new Date(),
+          cancelledBy: req.admin.adminId,
+        },
+        handledBy: req.admin.adminId,
+      },
+    });
+    if (!transition.success) {
+      return res.status(transition.conflict ? 409 : 400).json({
+        success: false,
+        message: transition.error,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Order cancelled successfully",
+      data: {
+        order: transition.order,
+        ...(transition.refundDue && { refundDue: true }),
+      },
+    });
+  } catch (error) {
+    console.error("Cancel order error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error cancelling order",
+      error: process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+/**
+ * @desc    Remove an item (or part of its quantity) from an unshipped order
+ * @route   DELETE /api/admin/orders/:id/items/:itemId
+ * @access  Private/Admin
+ */
+async function removeOrderItem(req, res) {
+  try {
+    const { id, itemId } = req.params;
+    const { quantity, reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(itemId)) {
       return res.status(400).json({
         success: false,
-        message: `Cannot cancel order with status: ${order.status}`,
+        message: "Invalid order or item ID",
       });
     }
 
-    // Update order
-    order.status = "cancelled";
-    order.cancellation = {
-      reason,
-      cancelledAt: new Date(),
-      cancelledBy: req.admin.adminId,
-    };
-    order.handledBy = req.admin.adminId;
+    const order = await Order.findById(id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
 
-    // Process refund if requested and order was paid
-    if (refund && order.paymentStatus === "paid") {
-      order.paymentStatus = "refunded";
-      order.refund = {
-        amount: order.totals.total,
-        reason: `Order cancelled: ${reason}`,
-        type: "full",
-        processedAt: new Date(),
-        processedBy: req.admin.adminId,
-      };
+    if (!["pending", "processing", "confirmed"].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change items of an order with status: ${order.status}`,
+      });
+    }
 
-      await Payment.findOneAndUpdate(
-        { orderId: id },
-        {
-          status: "refunded",
-          refundAmount: order.totals.total,
-          refundReason: reason,
-          refundDate: new Date(),
-          processedBy: req.admin.adminId,
-        }
-      );
+    // Charged orders need a refund instead
+    if (!["pending", "authorized"].includes(order.paymentStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: "Items can only be removed before payment is captured. Use a refund instead.",
+      });
     }
 
-    await order.save();
+    const item = order.items.id(itemId);
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: "Item not found in order",
+      });
+    }
 
-    // Restore inventory
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(item.productId, {
-        $inc: { "inventory.quantity": item.quantity },
+    const removeQuantity = quantity === undefined ? item.quantity : parseInt(quantity);
+    if (!Number.isInteger(removeQuantity) || removeQuantity < 1 || removeQuantity > item.quantity) {
+      return res.status(400).json({
+        success: false,
+        message: `Quantity must be between 1 and ${item.quantity}`,
       });
     }
 
+    if (removeQuantity === item.quantity && order.items.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: "Cannot remove the last item. Cancel the order instead.",
+      });
+    }
+
+    // Recalculate totals. Tax (and percentage discounts) scale with the
+    // subtotal; shipping is unchanged.
+    const roundMoney = (amount) => Math.round(amount * 100) / 100;
+    const previousSubtotal = order.totals.subtotal;
+    const removedAmount = roundMoney(item.price * removeQuantity);
+    const subtotal = roundMoney(previousSubtotal - removedAmount);
+    const ratio = previousSubtotal > 0 ? subtotal / previousSubtotal : 0;
+
+    let discount = order.totals.discount || 0;
+    if (order.coupon?.discountType === "percentage") {
+      discount = roundMoney(discount * ratio);
+    } else if (order.coupon?.discountType !== "free_shipping") {
+      discount = Math.min(discount, subtotal);
+    }
+
+    if (removeQuantity === item.quantity) {
+      item.deleteOne();
+    } else {
+      item.quantity -= removeQuantity;
+      item.subtotal = roundMoney(item.price * item.quantity);
+    }
+
+    order.totals.subtotal = subtotal;
+    order.totals.tax = roundMoney(order.totals.tax * ratio);
+    order.totals.discount = discount;
+    order.totals.total = roundMoney(
+      subtotal + order.totals.tax + order.totals.shipping - discount
+    );
+
+    order.notes.push({
+      content: `Removed ${removeQuantity} x ${item.name}${reason ? `: ${reason}` : ""}`,
+      isPrivate: true,
+      createdBy: req.admin.adminId,
+    });
+    order.handledBy = req.admin.adminId;
+    order.updatedAt = new Date();
+    await order.save();
+
+    // Return the removed units (a package's components) to stock
+    const removedLine = {
+      productId: item.productId,
+      productType: item.productType,
+      packageInfo: item.packageInfo,
+      quantity: removeQuantity,
+    };
+    await restoreStock([removedLine], {
+      type: "order_item_removed",
+      orderId: order._id,
+      reason,
+      adminId: req.admin.adminId,
+    });
+
+    // Unprocessed payments follow the new total; an authorization keeps its
+    // amount and only the new total is captured on shipment
+    await Payment.updateMany(
+      { orderId: id, status: { $in: ["pending", "failed"] } },
+      { amount: order.totals.total, updatedAt: new Date() }
+    );
+
     res.json({
       success: true,
-      message: "Order cancelled successfully",
-      data: { order },
+      message: "Item removed from order",
+      data: {
+        order,
+        removed: {
+          itemId,
+          name: item.name,
+          quantity: removeQuantity,
+          amount: removedAmount,
+        },
+      },
     });
   } catch (error) {
-    console.error("Cancel order error:", error);
+    console.error("Remove order item error:", error);
     res.status(500).json({
       success: false,
-      message: "Error cancelling order",
+      message: "Error removing order item",
       error: process.env.NODE_ENV === "development" ? error.message : undefined,
     });
   }
@@ -3,8 +3,31 @@ const Payment = require("../../models/Payment");
 const Order = require("../../models/Order");
 const Transaction = require("../../models/Transaction");
 const PaymentSettings = require("../../models/PaymentSettings");
+const WebhookEvent = require("../../models/WebhookEvent");
 const { validationResult } = require("express-validator");
 const mongoose = require("mongoose");
+const { getClientIp } = require("../../utils/requestInfo");
+const { getGateway } = require("../../services/paymentGateways");
+const {
+  REFUNDABLE_STATUSES,
+  getRefundBalance,
+  issueRefund,
+  recordRefund,
+} = require("../../services/refundService");
+const {
+  recordAuthorization,
+  recordCapture,
+  recordVoid,
+  expireStaleAuthorizations,
+} = require("../../services/paymentCaptureService");
+const { releaseOrderStock } = require("../../services/inventoryService");
+const { canTransition, transitionOrder } = require("../../services/orderStateMachine");
+const {
+  byAdmin,
+  BY_WEBHOOK,
+  applyOrderChange,
+  updateOrderWithHistory,
+} = require("../../services/orderHistoryService");
 
 // @desc    Get all payments
 // @route   GET /api/admin/payments
@@ -284,7 +307,10 @@ const createPayment = async (req, res) => {
     // Update order payment reference
     order.paymentId = payment._id;
     if (status === "completed") {
-      order.paymentStatus = "paid";
+      applyOrderChange(order, "paymentStatus", "paid", {
+        by: byAdmin(req.admin.adminId),
+        note: "Payment recorded manually",
+      });
     }
     await order.save();
 
@@ -355,22 +381,15 @@ const refundPayment = async (req, res) => {
     }
 
     // Validate payment can be refunded
-    if (payment.status !== "completed") {
+    if (!REFUNDABLE_STATUSES.includes(payment.status)) {
       return res.status(400).json({
         success: false,
-        message: "Only completed payments can be refunded",
+        message: "Only completed or partially refunded payments can be refunded",
       });
     }
 
     // Calculate available refund amount
-    const existingRefunds = await Transaction.find({
-      paymentId,
-      type: "refund",
-      status: "success",
-    });
-
-    const totalRefunded = existingRefunds.reduce((sum, t) => sum + t.amount, 0);
-    const availableForRefund = payment.amount - totalRefunded;
+    const { availableForRefund } = await getRefundBalance(payment);
     const actualRefundAmount = refundAmount || availableForRefund;
 
     if (actualRefundAmount > availableForRefund) {
@@ -380,51 +399,24 @@ const refundPayment = async (req, res) => {
       });
     }
 
-    // Process refund with payment gateway (simulated)
-    const refundResult = await processRefundWithGateway(payment, actualRefundAmount);
-
-    if (refundResult.success) {
-      // Update payment status
-      if (actualRefundAmount === availableForRefund) {
-        payment.status = "refunded";
-      } else {
-        payment.status = "partially_refunded";
-      }
-      payment.refundAmount = (payment.refundAmount || 0) + actualRefundAmount;
-      payment.refundDate = new Date();
-      payment.refundReason = reason;
-      await payment.save();
-
-      // Update order payment status
-      await Order.findByIdAndUpdate(payment.orderId, {
-        paymentStatus: actualRefundAmount === availableForRefund ? "refunded" : "partially_refunded",
-      });
-
-      // Create refund transaction
-      const refundTransaction = new Transaction({
-        paymentId: payment._id,
-        userId: payment.userId,
-        type: "refund",
-        amount: actualRefundAmount,
-        currency: payment.currency,
-        gatewayTransactionId: refundResult.transactionId,
-        gatewayResponse: refundResult.response,
-        status: "success",
-        processedAt: new Date(),
-        refundReason: reason,
-      });
-      await refundTransaction.save();
+    // Refund through the gateway that took the payment
+    const refund = await issueRefund(payment, actualRefundAmount, {
+      reason,
+      by: byAdmin(req.admin.adminId),
+    });
 
+    if (refund.success) {
       res.json({
         success: true,
         message: "Refund processed successfully",
         data: {
           payment,
-          refundTransaction,
+          refundTransaction: refund.refundTransaction,
+          creditNote: refund.creditNote,
           refundSummary: {
-            refundedAmount: actualRefundAmount,
-            totalRefunded: totalRefunded + actualRefundAmount,
-            availableForRefund: availableForRefund - actualRefundAmount,
+            refundedAmount: refund.refundedAmount,
+            totalRefunded: refund.totalRefunded,
+            availableForRefund: refund.availableForRefund,
           },
         },
       });
@@ -432,7 +424,7 @@ const refundPayment = async (req, res) => {
       res.status(400).json({
         success: false,
         message: "Refund processing failed",
-        error: refundResult.error,
+        error: refund.error,
       });
     }
   } catch (error) {
@@ -487,9 +479,11 @@ const updatePaymentStatus = async (req, res) => {
 
     // Update order payment status
     if (payment.orderId) {
-      await Order.findByIdAndUpdate(payment.orderId, {
-        paymentStatus: status,
-      });
+      await updateOrderWithHistory(
+        payment.orderId,
+        { paymentStatus: status },
+        { by: byAdmin(req.admin.adminId), note: "Payment status set manually" }
+      );
     }
 
     res.json({
@@ -564,9 +558,11 @@ const confirmCODPayment = async (req, res) => {
     await payment.save();
 
     // Update order payment status
-    await Order.findByIdAndUpdate(payment.orderId._id, {
-      paymentStatus: "paid",
-    });
+    await updateOrderWithHistory(
+      payment.orderId._id,
+      { paymentStatus: "paid" },
+      { by: byAdmin(req.admin.adminId), note: "Cash collected on delivery" }
+    );
 
     // Create transaction record for COD collection
     const transaction = new Transaction({
@@ -639,15 +635,24 @@ const failCODPayment = async (req, res) => {
     payment.processedBy = req.admin.adminId;
     await payment.save();
 
-    // Update order status
-    await Order.findByIdAndUpdate(payment.orderId._id, {
-      paymentStatus: "failed",
-      status: "cancelled",
-      cancellation: {
-        reason: `COD collection failed: ${reason || "Customer refused to pay"}`,
-        cancelledAt: new Date(),
-        cancelledBy: req.admin.adminId,
-      },
+    // Update order status: an order that hasn't shipped is cancelled, one
+    // that was out for delivery comes back as returned
+    const cancellationReason = `COD collection failed: ${reason || "Customer refused to pay"}`;
+    const history = { by: byAdmin(req.admin.adminId), note: cancellationReason };
+    const order = await updateOrderWithHistory(
+      payment.orderId._id,
+      { paymentStatus: "failed" },
+      history
+    );
+    const orderStatus = canTransition(order.status, "cancelled") ? "cancelled" : "returned";
+    const cancellation = {
+      reason: cancellationReason,
+      cancelledAt: new Date(),
+      cancelledBy: req.admin.adminId,
+    };
+    const transition = await transitionOrder(order, orderStatus, {
+      ...history,
+      set: orderStatus === "cancelled" ? { cancellation } : {},
     });
 
     // Create failed transaction record
@@ -673,6 +678,8 @@ const failCODPayment = async (req, res) => {
       message: "COD payment marked as failed",
       data: {
         payment,
+        orderStatus: transition.success ? orderStatus : order.status,
+        ...(!transition.success && { orderStatusError: transition.error }),
         transaction: {
           id: transaction._id,
           status: transaction.status,
@@ -968,34 +975,47 @@ const bulkPaymentOperation = async (req, res) => {
 // @access  Public (Called by payment gateway)
 const processWebhook = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
     const { gateway } = req.params;
-    const { type, data, signature } = req.body;
 
-    // Verify webhook signature
-    const isValidSignature = verifyWebhookSignature(gateway, req.rawBody, signature);
-    if (!isValidSignature) {
+    const adapter = await getGateway(gateway);
+    if (!adapter) {
+      return res.status(404).json({ success: false, message: "Unknown payment gateway" });
+    }
+
+    // The adapter verifies the signature and normalizes the event
+    const { valid, eventId, type, data } = adapter.parseWebhook(req);
+    if (!valid) {
       return res.status(401).json({ success: false, message: "Invalid signature" });
     }
 
-    // Process webhook based on type
-    switch (type) {
-      case "payment.completed":
-        await handlePaymentCompletedWebhook(gateway, data);
-        break;
-      case "payment.failed":
-        await handlePaymentFailedWebhook(gateway, data);
-        break;
-      case "refund.completed":
-        await handleRefundCompletedWebhook(gateway, data);
-        break;
-      default:
-        console.log(`Unhandled webhook type: ${type}`);
+    // Replayed or concurrent deliveries of the same event are no-ops
+    const { event, duplicate } = await WebhookEvent.claim({
+      gateway,
+      eventId,
+      type: type || "unknown",
+      payload: { type, data, raw: req.body },
+      ipAddress: getClientIp(req),
+    });
+    if (duplicate) {
+      return res.json({ success: true, message: "Webhook already received" });
     }
 
+    await runWebhookEvent(event);
+
     res.json({ success: true, message: "Webhook processed" });
   } catch (error) {
     console.error("Process webhook error:", error);
-    res.json({ success: false, message: "Webhook processing failed" });
+    // Non-2xx so the gateway retries; the failed event is claimed again then
+    res.status(500).json({ success: false, message: "Webhook processing failed" });
   }
 };
 
@@ -1014,6 +1034,8 @@ const getPaymentMethods = async () => {
     icon: m.icon,
     enabled: m.enabled,
     testMode: m.testMode,
+    provider: m.provider,
+    captureMode: m.captureMode,
     credentials: m.credentials,
     fees: m.fees,
     minAmount: m.minAmount,
@@ -1102,6 +1124,8 @@ const createPaymentMethod = async (req, res) => {
       icon,
       enabled = true,
       testMode = true,
+      provider,
+      captureMode,
       credentials,
       fees,
       minAmount = 0,
@@ -1127,6 +1151,8 @@ const createPaymentMethod = async (req, res) => {
       icon,
       enabled,
       testMode,
+      provider,
+      captureMode,
       credentials,
       fees,
       minAmount,
@@ -1389,31 +1415,6 @@ const reorderPaymentMethods = async (req, res) => {
 };
 
 // Helper functions
-const processRefundWithGateway = async (payment, refundAmount) => {
-  try {
-    await new Promise((resolve) => setTimeout(resolve, 800));
-
-    return {
-      success: true,
-      transactionId: `REF_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      response: {
-        gateway: "simulated_gateway",
-        status: "succeeded",
-        refund_amount: refundAmount,
-      },
-    };
-  } catch (error) {
-    return {
-      success: false,
-      error: "Refund processing failed",
-      response: {
-        gateway: "simulated_gateway",
-        status: "failed",
-      },
-    };
-  }
-};
-
 const calculatePaymentDateRange = (period, customStartDate, customEndDate) => {
   const endDate = customEndDate ? new Date(customEndDate) : new Date();
   let startDate = customStartDate ? new Date(customStartDate) : new Date();
@@ -1444,21 +1445,59 @@ const calculatePaymentDateRange = (period, customStartDate, customEndDate) => {
   return { startDate, endDate };
 };
 
-const verifyWebhookSignature = (gateway, rawBody, signature) => {
-  return true;
+// Returns false for event types we don't act on
+const dispatchWebhookEvent = async (gateway, type, data) => {
+  switch (type) {
+    case "payment.completed":
+      await handlePaymentCompletedWebhook(gateway, data);
+      return true;
+    case "payment.failed":
+      await handlePaymentFailedWebhook(gateway, data);
+      return true;
+    case "payment.authorized":
+      await handlePaymentAuthorizedWebhook(gateway, data);
+      return true;
+    case "payment.captured":
+      await handlePaymentCapturedWebhook(gateway, data);
+      return true;
+    case "payment.voided":
+      await handlePaymentVoidedWebhook(gateway, data);
+      return true;
+    case "refund.completed":
+      await handleRefundCompletedWebhook(gateway, data);
+      return true;
+    default:
+      console.log(`Unhandled webhook type: ${type}`);
+      return false;
+  }
+};
+
+// Run a claimed event and record the outcome (rethrows on failure)
+const runWebhookEvent = async (event) => {
+  try {
+    const handled = await dispatchWebhookEvent(event.gateway, event.type, event.payload?.data);
+    await event.markProcessed(handled);
+  } catch (error) {
+    await event.markFailed(error);
+    throw error;
+  }
 };
 
 const handlePaymentCompletedWebhook = async (gateway, data) => {
   const { payment_id, amount, currency } = data;
 
   const payment = await Payment.findOne({ gatewayTransactionId: payment_id });
-  if (payment && payment.status === "pending") {
+  if (payment && ["pending", "processing"].includes(payment.status)) {
     payment.status = "completed";
     payment.paymentDate = new Date();
+    if (data.transaction_id) {
+      payment.paymentDetails.transactionId = data.transaction_id;
+    }
     await payment.save();
 
-    await Order.findByIdAndUpdate(payment.orderId, {
-      paymentStatus: "paid",
+    await updateOrderWithHistory(payment.orderId, { paymentStatus: "paid" }, {
+      by: BY_WEBHOOK,
+      note: `Payment confirmed by ${gateway}`,
     });
 
     await Transaction.create({
@@ -1479,11 +1518,17 @@ const handlePaymentFailedWebhook = async (gateway, data) => {
   const { payment_id, error } = data;
 
   const payment = await Payment.findOne({ gatewayTransactionId: payment_id });
-  if (payment && payment.status === "pending") {
+  if (payment && ["pending", "processing"].includes(payment.status)) {
     payment.status = "failed";
     payment.failureReason = error?.message || "Payment failed";
     await payment.save();
 
+    await updateOrderWithHistory(payment.orderId, { paymentStatus: "failed" }, {
+      by: BY_WEBHOOK,
+      note: payment.failureReason,
+    });
+    await releaseOrderStock(payment.orderId, { type: "payment_failed" });
+
     await Transaction.create({
       paymentId: payment._id,
       userId: payment.userId,
@@ -1498,38 +1543,373 @@ const handlePaymentFailedWebhook = async (gateway, data) => {
   }
 };
 
+const handlePaymentAuthorizedWebhook = async (gateway, data) => {
+  const { payment_id, transaction_id, amount } = data;
+
+  const payment = await Payment.findOne({ gatewayTransactionId: payment_id });
+  if (payment && ["pending", "processing"].includes(payment.status)) {
+    await recordAuthorization(
+      payment,
+      {
+        transactionId: transaction_id,
+        amount: amount ? parseFloat(amount) : undefined,
+        response: data,
+      },
+      BY_WEBHOOK
+    );
+  }
+};
+
+// Captures made from the admin panel are already recorded (status completed);
+// this covers captures made directly in the gateway dashboard
+const handlePaymentCapturedWebhook = async (gateway, data) => {
+  const { payment_id, transaction_id, amount } = data;
+
+  const payment = await Payment.findOne({ gatewayTransactionId: payment_id });
+  if (payment && payment.status === "authorized") {
+    const capturedAmount = amount ? parseFloat(amount) : payment.authorization.amount;
+    await recordCapture(
+      payment,
+      capturedAmount,
+      { transactionId: transaction_id, response: data },
+      BY_WEBHOOK
+    );
+  }
+};
+
+const handlePaymentVoidedWebhook = async (gateway, data) => {
+  const { payment_id, transaction_id } = data;
+
+  const payment = await Payment.findOne({ gatewayTransactionId: payment_id });
+  if (payment && payment.status === "authorized") {
+    await recordVoid(
+      payment,
+      { transactionId: transaction_id, response: data },
+      "Voided at gateway",
+      BY_WEBHOOK
+    );
+  }
+};
+
 const handleRefundCompletedWebhook = async (gateway, data) => {
   const { refund_id, payment_id, amount } = data;
 
   const payment = await Payment.findOne({ gatewayTransactionId: payment_id });
-  if (payment) {
-    const refundAmount = parseFloat(amount);
-    const totalRefunded = (payment.refundAmount || 0) + refundAmount;
+  if (!payment) return;
+
+  // Refunds issued from the admin panel are recorded under the same refund
+  // id, so recordRefund skips them
+  await recordRefund(payment, {
+    amount: parseFloat(amount),
+    gatewayTransactionId: refund_id,
+    gatewayResponse: data,
+    reason: `Refund issued at ${gateway}`,
+    by: BY_WEBHOOK,
+  });
+};
 
-    if (totalRefunded >= payment.amount) {
-      payment.status = "refunded";
-    } else {
-      payment.status = "partially_refunded";
+// ==================== CHECKOUT SETTINGS ====================
+
+// @desc    Get checkout restrictions for customer accounts
+// @route   GET /api/admin/payments/settings
+// @access  Private (Admin)
+const getCheckoutSettings = async (req, res) => {
+  try {
+    const settings = await PaymentSettings.getSettings();
+
+    res.json({
+      success: true,
+      data: {
+        emailVerification: {
+          requiredForCheckout: !!settings.emailVerification?.requiredForCheckout,
+          requiredForCoupons: !!settings.emailVerification?.requiredForCoupons,
+        },
+        updatedAt: settings.updatedAt,
+      },
+    });
+  } catch (error) {
+    console.error("Get checkout settings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching checkout settings",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update checkout restrictions for customer accounts
+// @route   PUT /api/admin/payments/settings
+// @access  Private (Admin)
+const updateCheckoutSettings = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
     }
 
-    payment.refundAmount = totalRefunded;
-    payment.refundDate = new Date();
-    await payment.save();
+    const settings = await PaymentSettings.getSettings();
+    const emailVerification = {
+      requiredForCheckout: !!settings.emailVerification?.requiredForCheckout,
+      requiredForCoupons: !!settings.emailVerification?.requiredForCoupons,
+    };
+
+    const { requiredForCheckout, requiredForCoupons } = req.body.emailVerification || {};
+    if (requiredForCheckout !== undefined) emailVerification.requiredForCheckout = requiredForCheckout;
+    if (requiredForCoupons !== undefined) emailVerification.requiredForCoupons = requiredForCoupons;
+
+    await PaymentSettings.updateSettings({ emailVerification }, req.admin.adminId);
 
-    await Order.findByIdAndUpdate(payment.orderId, {
-      paymentStatus: payment.status,
+    res.json({
+      success: true,
+      message: "Checkout settings updated successfully",
+      data: { emailVerification },
+    });
+  } catch (error) {
+    console.error("Update checkout settings error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating checkout settings",
+      error: error.message,
     });
+  }
+};
 
-    await Transaction.create({
-      paymentId: payment._id,
-      userId: payment.userId,
-      type: "refund",
-      amount: refundAmount,
-      currency: payment.currency,
-      gatewayTransactionId: refund_id,
-      gatewayResponse: data,
-      status: "success",
-      processedAt: new Date(),
+// ==================== AUTHORIZATIONS ====================
+
+// @desc    Get card authorizations awaiting capture
+// @route   GET /api/admin/payments/authorizations
+// @access  Private (Admin)
+const getPendingAuthorizations = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { page = 1, limit = 20, expiringWithinHours } = req.query;
+
+    const filter = { status: "authorized" };
+    if (expiringWithinHours) {
+      filter["authorization.expiresAt"] = {
+        $lte: new Date(Date.now() + expiringWithinHours * 60 * 60 * 1000),
+      };
+    }
+
+    const [payments, totalPayments, amountSummary] = await Promise.all([
+      Payment.find(filter)
+        .populate("orderId", "orderNumber status totals.total customer.email")
+        .sort({ "authorization.expiresAt": 1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Payment.countDocuments(filter),
+      Payment.aggregate([
+        { $match: filter },
+        { $group: { _id: null, totalAuthorized: { $sum: "$authorization.amount" } } },
+      ]),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        payments,
+        totalAuthorized: amountSummary[0]?.totalAuthorized || 0,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totalPayments / limit),
+          totalPayments,
+          hasNext: page * limit < totalPayments,
+          hasPrev: page > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get pending authorizations error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching authorizations",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Expire authorizations that were not captured in time
+// @route   POST /api/admin/payments/authorizations/expire
+// @access  Private (Admin)
+const expireAuthorizations = async (req, res) => {
+  try {
+    const expiredCount = await expireStaleAuthorizations();
+
+    res.json({
+      success: true,
+      message: `${expiredCount} stale authorization(s) expired`,
+      data: { expiredCount },
+    });
+  } catch (error) {
+    console.error("Expire authorizations error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while expiring authorizations",
+      error: error.message,
+    });
+  }
+};
+
+// ==================== WEBHOOK EVENTS ====================
+
+// @desc    List received webhook events
+// @route   GET /api/admin/payments/webhooks
+// @access  Private (Admin)
+const getWebhookEvents = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { page = 1, limit = 20, status, gateway, type } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (gateway) filter.gateway = gateway;
+    if (type) filter.type = type;
+
+    const [events, totalEvents, failedCount] = await Promise.all([
+      WebhookEvent.find(filter)
+        .select("-payload")
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      WebhookEvent.countDocuments(filter),
+      WebhookEvent.countDocuments({ status: "failed" }),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        failedCount,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totalEvents / limit),
+          totalEvents,
+          hasNext: page * limit < totalEvents,
+          hasPrev: page > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get webhook events error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching webhook events",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get a webhook event with its payload
+// @route   GET /api/admin/payments/webhooks/:eventId
+// @access  Private (Admin)
+const getWebhookEventById = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const event = await WebhookEvent.findById(req.params.eventId)
+      .populate("reprocessedBy", "username profile.firstName profile.lastName");
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook event not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { event },
+    });
+  } catch (error) {
+    console.error("Get webhook event error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching webhook event",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Re-process a failed webhook event
+// @route   POST /api/admin/payments/webhooks/:eventId/reprocess
+// @access  Private (Admin)
+const reprocessWebhookEvent = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    // Only failed events, claimed atomically so it can't run twice
+    const event = await WebhookEvent.findOneAndUpdate(
+      { _id: req.params.eventId, status: "failed" },
+      {
+        $set: { status: "processing", reprocessedBy: req.admin.adminId },
+        $inc: { attempts: 1 },
+      },
+      { new: true }
+    );
+
+    if (!event) {
+      return res.status(400).json({
+        success: false,
+        message: "Webhook event not found or not in failed state",
+      });
+    }
+
+    try {
+      await runWebhookEvent(event);
+    } catch (processingError) {
+      return res.status(422).json({
+        success: false,
+        message: "Webhook event failed again",
+        error: processingError.message,
+        data: { event },
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Webhook event re-processed successfully",
+      data: { event },
+    });
+  } catch (error) {
+    console.error("Reprocess webhook event error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while re-processing webhook event",
+      error: error.message,
     });
   }
 };
@@ -1556,4 +1936,14 @@ module.exports = {
   togglePaymentMethod,
   setDefaultPaymentMethod,
   reorderPaymentMethods,
+  // Checkout Settings
+  getCheckoutSettings,
+  updateCheckoutSettings,
+  // Authorizations
+  getPendingAuthorizations,
+  expireAuthorizations,
+  // Webhook Events
+  getWebhookEvents,
+  getWebhookEventById,
+  reprocessWebhookEvent,
 };
@@ -5,10 +5,19 @@ const { validationResult } = require("express-validator");
 const mongoose = require("mongoose");
 const { formatImageArray, formatImageUrl, stripBaseUrl, stripImageArray } = require("../../utils/imageHelper");
 const Category = require("../../models/Category");
+const { processProductChange } = require("../../services/wishlistAlertService");
+const { getCurrentPrice, getSaleFields } = require("../../utils/pricing");
+const { scheduleSale, endSales } = require("../../services/saleService");
+const {
+  adjustStock,
+  recordStockMovement,
+  getUnsellablePackages,
+} = require("../../services/inventoryService");
+const StockMovement = require("../../models/StockMovement");
 
 // @desc    Get all products with advanced filtering and pagination
 // @route   GET /api/admin/products
-// @access  Private (Admin - canManageProducts)
+// @access  Private (Admin - products:read)
 const getAllProducts = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -138,9 +147,7 @@ const getAllProducts = async (req, res) => {
           originalPrice: product.comparePrice || product.price,
           image: product.images?.[0] ? formatImageUrl(req, product.images[0]) : null,
           images: formatImageArray(req, product.images),
-          isOnSale: product.discount?.isActive && (!product.discount?.endDate || new Date(product.discount.endDate) > new Date()),
-          discountPercentage: product.discount?.type === 'percentage' ? product.discount.value : 0,
-          discountedPrice: product.discount?.discountedPrice || product.price,
+          ...getSaleFields(product),
           items: (product.packageItems || []).map((item) => ({
             ...item.toObject(),
             image: formatImageUrl(req, item.image),
@@ -264,7 +271,7 @@ const getAllProducts = async (req, res) => {
 
 // @desc    Get product by ID with detailed analytics
 // @route   GET /api/admin/products/:productId
-// @access  Private (Admin - canManageProducts)
+// @access  Private (Admin - products:read)
 const getProductById = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -290,7 +297,7 @@ const getProductById = async (req, res) => {
     if (product.productType === "package") {
       product = await Product.findById(productId).populate({
         path: "packageItems.productId",
-        select: "name price images inventory status",
+        select: "name price images inventory status discount",
       });
     }
 
@@ -383,9 +390,7 @@ const getProductById = async (req, res) => {
           originalPrice: product.comparePrice || product.price,
           image: product.images?.[0] ? formatImageUrl(req, product.images[0]) : null,
           images: formatImageArray(req, product.images),
-          isOnSale: product.discount?.isActive && (!product.discount?.endDate || new Date(product.discount.endDate) > new Date()),
-          discountPercentage: product.discount?.type === 'percentage' ? product.discount.value : 0,
-          discountedPrice: product.discount?.discountedPrice || product.price,
+          ...getSaleFields(product),
           ...(product.productType === "package" &&
             product.packageItems && {
             items: product.packageItems.map((item) => ({
@@ -395,8 +400,7 @@ const getProductById = async (req, res) => {
                 ? {
                   ...item.productId.toObject(),
                   images: formatImageArray(req, item.productId.images),
-                  isOnSale: item.productId.discount?.isActive,
-                  discountedPrice: item.productId.discount?.discountedPrice || item.productId.price
+                  ...getSaleFields(item.productId)
                 }
                 : null,
             })),
@@ -407,8 +411,7 @@ const getProductById = async (req, res) => {
                 ? {
                   ...item.productId.toObject(),
                   images: formatImageArray(req, item.productId.images),
-                  isOnSale: item.productId.discount?.isActive,
-                  discountedPrice: item.productId.discount?.discountedPrice || item.productId.price
+                  ...getSaleFields(item.productId)
                 }
                 : null,
             })),
@@ -447,7 +450,7 @@ const getProductById = async (req, res) => {
 
 // @desc    Create new product
 // @route   POST /api/admin/products
-// @access  Private (Admin - canManageProducts)
+// @access  Private (Admin - products:write)
 const createProduct = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -618,6 +621,14 @@ const createProduct = async (req, res) => {
 
     await product.save();
 
+    if (product.inventory.quantity > 0) {
+      await recordStockMovement(product, product.inventory.quantity, {
+        type: "initial",
+        reason: "Product created",
+        adminId: req.admin.adminId,
+      });
+    }
+
     res.status(201).json({
       success: true,
       message: productType === "package"
@@ -656,7 +667,7 @@ const createProduct = async (req, res) => {
 
 // @desc    Update product
 // @route   PUT /api/admin/products/:productId
-// @access  Private (Admin - canManageProducts)
+// @access  Private (Admin - products:write)
 const updateProduct = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -684,6 +695,9 @@ const updateProduct = async (req, res) => {
       });
     }
 
+    // Snapshot price and stock for wishlist alerts
+    const previousPrice = getCurrentPrice(product);
+    const previousQuantity = product.inventory.quantity;
 
     // Update product fields
     Object.keys(updateData).forEach((key) => {
@@ -794,6 +808,17 @@ const updateProduct = async (req, res) => {
     product.updatedBy = req.admin.adminId;
     await product.save();
 
+    if (product.inventory.quantity !== previousQuantity) {
+      await recordStockMovement(product, product.inventory.quantity - previousQuantity, {
+        type: "manual_adjustment",
+        reason: "Product update",
+        adminId: req.admin.adminId,
+      });
+    }
+
+    // Notify wishlist owners about price drops / restocks (non-blocking)
+    processProductChange(product, { previousPrice, previousQuantity }).catch(err => console.error("Failed to send wishlist alerts:", err));
+
     res.json({
       success: true,
       message: "Product updated successfully",
@@ -830,7 +855,7 @@ const updateProduct = async (req, res) => {
 
 // @desc    Delete product (soft delete)
 // @route   DELETE /api/admin/products/:productId
-// @access  Private (Admin - canManageProducts)
+// @access  Private (Admin - products:delete)
 const deleteProduct = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -894,7 +919,7 @@ const deleteProduct = async (req, res) => {
 
 // @desc    Bulk product operations
 // @route   POST /api/admin/products/bulk
-// @access  Private (Admin - canManageProducts)
+// @access  Private (Admin - products:write)
 const bulkProductOperations = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -906,12 +931,21 @@ const bulkProductOperations = async (req, res) => {
       });
     }
 
-    const { productIds, action, data } = req.body;
+    const { productIds, category, tags, action, data } = req.body;
 
-    if (!productIds || !Array.isArray(productIds) || productIds.length === 0) {
+    // Products are picked by id, or by category and/or tag
+    const filter = {};
+    if (Array.isArray(productIds) && productIds.length > 0) {
+      filter._id = { $in: productIds };
+    } else {
+      if (category) filter.category = { $in: [].concat(category) };
+      if (tags) filter.tags = { $in: [].concat(tags) };
+    }
+
+    if (Object.keys(filter).length === 0) {
       return res.status(400).json({
         success: false,
-        message: "Product IDs array is required",
+        message: "Product IDs, a category or tags are required",
       });
     }
 
@@ -921,7 +955,7 @@ const bulkProductOperations = async (req, res) => {
     switch (action) {
       case "activate":
         result = await Product.updateMany(
-          { _id: { $in: productIds } },
+          filter,
           {
             $set: {
               status: "active",
@@ -935,7 +969,7 @@ const bulkProductOperations = async (req, res) => {
 
       case "deactivate":
         result = await Product.updateMany(
-          { _id: { $in: productIds } },
+          filter,
           {
             $set: {
               status: "inactive",
@@ -950,7 +984,7 @@ const bulkProductOperations = async (req, res) => {
       case "delete":
         // Soft delete multiple products
         result = await Product.updateMany(
-          { _id: { $in: productIds } },
+          filter,
           {
             $set: {
               status: "inactive",
@@ -971,16 +1005,33 @@ const bulkProductOperations = async (req, res) => {
           });
         }
 
-        result = await Product.updateMany(
-          { _id: { $in: productIds } },
-          {
-            $set: {
-              "inventory.quantity": parseInt(data.quantity),
-              updatedAt: new Date(),
-              updatedBy: req.admin.adminId,
-            },
+        {
+          const newQuantity = parseInt(data.quantity);
+          const products = await Product.find(filter).select("_id");
+          result = { matchedCount: 0, modifiedCount: 0 };
+
+          // One product at a time, so each ledger entry is the change from
+          // the stock the product really had (checkouts may move it meanwhile)
+          for (const { _id } of products) {
+            const previous = await Product.findOneAndUpdate(
+              { ...filter, _id },
+              { $set: { "inventory.quantity": newQuantity, updatedAt: new Date() } },
+              { projection: { "inventory.quantity": 1 } }
+            );
+            if (!previous) continue;
+            result.matchedCount++;
+
+            const delta = newQuantity - previous.inventory.quantity;
+            if (delta === 0) continue;
+            result.modifiedCount++;
+            previous.inventory.quantity = newQuantity;
+            await recordStockMovement(previous, delta, {
+              type: "bulk_update",
+              reason: data.reason || "Bulk inventory update",
+              adminId: req.admin.adminId,
+            });
           }
-        );
+        }
         message = `${result.modifiedCount} products inventory updated successfully`;
         break;
 
@@ -993,7 +1044,7 @@ const bulkProductOperations = async (req, res) => {
         }
 
         result = await Product.updateMany(
-          { _id: { $in: productIds } },
+          filter,
           {
             $set: {
               price: parseFloat(data.price),
@@ -1005,9 +1056,28 @@ const bulkProductOperations = async (req, res) => {
         message = `${result.modifiedCount} products price updated successfully`;
         break;
 
+      case "schedule_sale":
+        {
+          const sale = await scheduleSale(filter, {
+            type: data.type,
+            value: parseFloat(data.value),
+            startDate: data.startDate ? new Date(data.startDate) : undefined,
+            endDate: data.endDate ? new Date(data.endDate) : undefined,
+          });
+          result = sale;
+          message = `Sale scheduled for ${sale.scheduled} products` +
+            (sale.skipped ? ` (${sale.skipped} skipped: discount is not below their price)` : "");
+        }
+        break;
+
+      case "end_sale":
+        result = { ended: await endSales(filter) };
+        message = `Sale ended for ${result.ended} products`;
+        break;
+
       case "export":
         // Get products for export with sales data
-        const products = await Product.find({ _id: { $in: productIds } })
+        const products = await Product.find(filter)
           .select("-__v")
           .populate("createdBy", "username profile")
           .populate("updatedBy", "username profile");
@@ -1064,7 +1134,7 @@ const bulkProductOperations = async (req, res) => {
         return res.status(400).json({
           success: false,
           message:
-            "Invalid action. Supported actions: activate, deactivate, delete, update_inventory, update_price, export",
+            "Invalid action. Supported actions: activate, deactivate, delete, update_inventory, update_price, schedule_sale, end_sale, export",
         });
     }
 
@@ -1085,7 +1155,7 @@ const bulkProductOperations = async (req, res) => {
 
 // @desc    Update product inventory with operation type
 // @route   PUT /api/admin/products/:productId/inventory
-// @access  Private (Admin - canManageInventory)
+// @access  Private (Admin - inventory:write)
 const updateProductInventory = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -1108,19 +1178,48 @@ const updateProductInventory = async (req, res) => {
       });
     }
 
-    let newQuantity;
-    const oldQuantity = product.inventory.quantity;
+    const amount = parseInt(quantity);
+    const movement = {
+      type: "manual_adjustment",
+      reason: reason || `Manual adjustment (${operation})`,
+      adminId: req.admin.adminId,
+    };
 
+    // Stock is changed in place rather than saved from the copy read above,
+    // so checkouts reserving stock at the same time aren't overwritten
+    let oldQuantity;
     switch (operation) {
-      case "set":
-        newQuantity = parseInt(quantity);
+      case "set": {
+        // The previous document gives the real change for the ledger
+        const previous = await Product.findOneAndUpdate(
+          { _id: productId },
+          { $set: { "inventory.quantity": amount, updatedAt: new Date() } },
+          { projection: { "inventory.quantity": 1 } }
+        );
+        oldQuantity = previous.inventory.quantity;
+        if (amount !== oldQuantity) {
+          previous.inventory.quantity = amount;
+          await recordStockMovement(previous, amount - oldQuantity, movement);
+        }
+        product.inventory.quantity = amount;
         break;
+      }
       case "increment":
-        newQuantity = oldQuantity + parseInt(quantity);
-        break;
-      case "decrement":
-        newQuantity = Math.max(0, oldQuantity - parseInt(quantity));
+      case "decrement": {
+        const delta = operation === "increment" ? amount : -amount;
+        const adjusted = await adjustStock(productId, delta, movement, {
+          filter: operation === "decrement" ? { "inventory.quantity": { $gte: amount } } : undefined,
+        });
+        if (!adjusted) {
+          return res.status(400).json({
+            success: false,
+            message: `Not enough stock to remove ${amount} units`,
+          });
+        }
+        oldQuantity = adjusted.inventory.quantity - delta;
+        product.inventory.quantity = adjusted.inventory.quantity;
         break;
+      }
       default:
         return res.status(400).json({
           success: false,
@@ -1128,25 +1227,8 @@ const updateProductInventory = async (req, res) => {
         });
     }
 
-    // Update inventory
-    product.inventory.quantity = newQuantity;
-    product.updatedAt = new Date();
-    product.updatedBy = req.admin.adminId;
-
-    // Add inventory change to history if needed
-    if (product.inventoryHistory) {
-      product.inventoryHistory.push({
-        previousQuantity: oldQuantity,
-        newQuantity: newQuantity,
-        change: newQuantity - oldQuantity,
-        operation,
-        reason: reason || "Manual adjustment",
-        changedBy: req.admin.adminId,
-        changedAt: new Date(),
-      });
-    }
-
-    await product.save();
+    // Notify wishlist owners if the product is back in stock (non-blocking)
+    processProductChange(product, { previousQuantity: oldQuantity }).catch(err => console.error("Failed to send wishlist alerts:", err));
 
     res.json({
       success: true,
@@ -1176,14 +1258,16 @@ const updateProductInventory = async (req, res) => {
 
 // @desc    Get low stock alerts
 // @route   GET /api/admin/products/alerts/low-stock
-// @access  Private (Admin - canManageInventory)
+// @access  Private (Admin - products:read)
 const getLowStockAlerts = async (req, res) => {
   try {
     const { threshold = 10, page = 1, limit = 20 } = req.query;
 
+    // Packages are stocked through their components; see unsellablePackages
     const lowStockProducts = await Product.find({
       "inventory.quantity": { $lte: parseInt(threshold) },
       status: "active",
+      productType: { $ne: "package" },
       "inventory.trackQuantity": true,
     })
       .select(
@@ -1196,9 +1280,12 @@ const getLowStockAlerts = async (req, res) => {
     const totalLowStock = await Product.countDocuments({
       "inventory.quantity": { $lte: parseInt(threshold) },
       status: "active",
+      productType: { $ne: "package" },
       "inventory.trackQuantity": true,
     });
 
+    const unsellablePackages = await getUnsellablePackages();
+
     // Calculate restock urgency
     const productsWithUrgency = lowStockProducts.map((product) => ({
       ...product.toObject(),
@@ -1226,6 +1313,7 @@ const getLowStockAlerts = async (req, res) => {
       success: true,
       data: {
         products: productsWithUrgency,
+        unsellablePackages,
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(totalLowStock / limit),
@@ -1254,6 +1342,168 @@ const getLowStockAlerts = async (req, res) => {
   }
 };
 
+// @desc    Get a product's stock movement history
+// @route   GET /api/admin/products/:productId/inventory/history
+// @access  Private (Admin - products:read)
+const getInventoryHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { productId } = req.params;
+    const { type, startDate, endDate, page = 1, limit = 20 } = req.query;
+
+    const product = await Product.findById(productId).select("name inventory.quantity");
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    const filter = { productId: product._id };
+    if (type) filter.type = type;
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    const [movements, totalMovements] = await Promise.all([
+      StockMovement.find(filter)
+        .populate("adminId", "username")
+        .populate("orderId", "orderNumber")
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      StockMovement.countDocuments(filter),
+    ]);
+
+    const totalPages = Math.ceil(totalMovements / limit);
+
+    res.json({
+      success: true,
+      data: {
+        product: {
+          _id: product._id,
+          name: product.name,
+          quantity: product.inventory.quantity,
+        },
+        movements,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalMovements,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get inventory history error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching inventory history",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get stock valuation, optionally as of a past date
+// @route   GET /api/admin/products/inventory/valuation
+// @access  Private (Admin - products:read)
+const getStockValuation = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { category } = req.query;
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+
+    const productFilter = { createdAt: { $lte: asOf } };
+    if (category) productFilter.category = category;
+
+    const products = await Product.find(productFilter).select(
+      "name category price cost inventory.quantity"
+    );
+
+    // Quantity at asOf = current quantity minus every change recorded since
+    const laterMovements = await StockMovement.aggregate([
+      {
+        $match: {
+          productId: { $in: products.map((p) => p._id) },
+          createdAt: { $gt: asOf },
+        },
+      },
+      { $group: { _id: "$productId", delta: { $sum: "$delta" } } },
+    ]);
+    const deltaSince = new Map(laterMovements.map((m) => [String(m._id), m.delta]));
+
+    const roundMoney = (amount) => Math.round(amount * 100) / 100;
+    const totals = { units: 0, costValue: 0, retailValue: 0, productsWithoutCost: 0 };
+
+    const items = products
+      .map((product) => {
+        const quantity = Math.max(
+          0,
+          product.inventory.quantity - (deltaSince.get(String(product._id)) || 0)
+        );
+        const hasCost = typeof product.cost === "number";
+        const costValue = hasCost ? roundMoney(quantity * product.cost) : null;
+        const retailValue = roundMoney(quantity * product.price);
+
+        totals.units += quantity;
+        totals.retailValue += retailValue;
+        if (hasCost) totals.costValue += costValue;
+        else if (quantity > 0) totals.productsWithoutCost++;
+
+        return {
+          _id: product._id,
+          name: product.name,
+          category: product.category,
+          quantity,
+          unitCost: hasCost ? product.cost : null,
+          costValue,
+          retailValue,
+        };
+      })
+      .filter((item) => item.quantity > 0);
+
+    res.json({
+      success: true,
+      data: {
+        asOf,
+        products: items,
+        totals: {
+          ...totals,
+          costValue: roundMoney(totals.costValue),
+          retailValue: roundMoney(totals.retailValue),
+          productCount: items.length,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get stock valuation error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while calculating stock valuation",
+      error: error.message,
+    });
+  }
+};
+
 // Helper Functions
 
 const calculateProductConversionRate = (ordersCount) => {
@@ -1350,9 +1600,7 @@ const getAllPackages = async (req, res) => {
           isActive: product.status === "active",
           originalPrice: product.comparePrice || product.price,
           image: product.images?.[0] ? formatImageUrl(req, product.images[0]) : null,
-          isOnSale: product.discount?.isActive && (!product.discount?.endDate || new Date(product.discount.endDate) > new Date()),
-          discountPercentage: product.discount?.type === 'percentage' ? product.discount.value : 0,
-          discountedPrice: product.discount?.discountedPrice || product.price,
+          ...getSaleFields(product),
           items: (product.packageItems || []).map(item => ({
             ...item.toObject(),
             image: formatImageUrl(req, item.image)
@@ -1441,4 +1689,6 @@ module.exports = {
   bulkProductOperations,
   updateProductInventory,
   getLowStockAlerts,
+  getInventoryHistory,
+  getStockValuation,
 };
@@ -0,0 +1,476 @@
+const Return = require("../../models/Return");
+const Order = require("../../models/Order");
+const Payment = require("../../models/Payment");
+const { validationResult } = require("express-validator");
+const { formatImageArray } = require("../../utils/imageHelper");
+const { REFUNDABLE_STATUSES, issueRefund } = require("../../services/refundService");
+const { byAdmin } = require("../../services/orderHistoryService");
+const {
+  getReturnValue,
+  restockReturn,
+  notifyReturnUpdate,
+} = require("../../services/returnService");
+
+// @desc    Get all return requests
+// @route   GET /api/admin/returns
+// @access  Private (Admin - orders:read)
+const getAllReturns = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { page = 1, limit = 20, status, orderId, search } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (orderId) filter.orderId = orderId;
+    if (search) filter.returnNumber = { $regex: search, $options: "i" };
+
+    const [returns, totalReturns, statusCounts] = await Promise.all([
+      Return.find(filter)
+        .populate("orderId", "orderNumber customer totals")
+        .populate("handledBy", "username")
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Return.countDocuments(filter),
+      Return.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+    ]);
+
+    const counts = {};
+    statusCounts.forEach((s) => {
+      counts[s._id] = s.count;
+    });
+
+    const totalPages = Math.ceil(totalReturns / limit);
+
+    res.json({
+      success: true,
+      data: {
+        returns: returns.map((rma) => ({
+          ...rma.toObject(),
+          photos: formatImageArray(req, rma.photos),
+        })),
+        counts,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalReturns,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get all returns error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching returns",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get return request details
+// @route   GET /api/admin/returns/:returnId
+// @access  Private (Admin - orders:read)
+const getReturnById = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const rma = await Return.findById(req.params.returnId)
+      .populate("orderId", "orderNumber customer items totals paymentStatus deliveredAt")
+      .populate("userId", "username email profile.firstName profile.lastName")
+      .populate("handledBy", "username email")
+      .populate("refund.transactionId");
+
+    if (!rma) {
+      return res.status(404).json({
+        success: false,
+        message: "Return not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...rma.toObject(),
+        photos: formatImageArray(req, rma.photos),
+        returnValue: getReturnValue(rma),
+      },
+    });
+  } catch (error) {
+    console.error("Get return error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching return",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Approve return request
+// @route   PATCH /api/admin/returns/:returnId/approve
+// @access  Private (Admin - orders:write)
+const approveReturn = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const rma = await findReturnInStatus(req, res, "requested");
+    if (!rma) return;
+
+    rma.status = "approved";
+    rma.approvedAt = new Date();
+    rma.returnInstructions = req.body.instructions;
+    rma.handledBy = req.admin.adminId;
+    await rma.save();
+
+    sendReturnEmails(rma);
+
+    res.json({
+      success: true,
+      message: "Return approved successfully",
+      data: rma,
+    });
+  } catch (error) {
+    console.error("Approve return error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while approving return",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Reject return request
+// @route   PATCH /api/admin/returns/:returnId/reject
+// @access  Private (Admin - orders:write)
+const rejectReturn = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const rma = await findReturnInStatus(req, res, "requested");
+    if (!rma) return;
+
+    rma.status = "rejected";
+    rma.rejectedAt = new Date();
+    rma.rejectionReason = req.body.reason;
+    rma.handledBy = req.admin.adminId;
+    await rma.save();
+
+    sendReturnEmails(rma);
+
+    res.json({
+      success: true,
+      message: "Return rejected",
+      data: rma,
+    });
+  } catch (error) {
+    console.error("Reject return error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while rejecting return",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Mark returned items as received
+// @route   PATCH /api/admin/returns/:returnId/receive
+// @access  Private (Admin - orders:write)
+const receiveReturn = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const rma = await findReturnInStatus(req, res, "approved");
+    if (!rma) return;
+
+    rma.status = "received";
+    rma.receivedAt = new Date();
+    rma.handledBy = req.admin.adminId;
+    await rma.save();
+
+    sendReturnEmails(rma);
+
+    res.json({
+      success: true,
+      message: "Return marked as received",
+      data: rma,
+    });
+  } catch (error) {
+    console.error("Receive return error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while receiving return",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Record inspection results and restock resellable items
+// @route   PATCH /api/admin/returns/:returnId/inspect
+// @access  Private (Admin - orders:write)
+const inspectReturn = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const rma = await findReturnInStatus(req, res, "received");
+    if (!rma) return;
+
+    const { items, notes } = req.body;
+
+    // Every returned item needs a condition; resellable items go back to
+    // stock in full unless restockQuantity says otherwise
+    for (const returnItem of rma.items) {
+      const result = items.find((i) => i.itemId === String(returnItem._id));
+      if (!result) {
+        return res.status(400).json({
+          success: false,
+          message: `Inspection result missing for "${returnItem.name}"`,
+        });
+      }
+
+      const restockQuantity =
+        result.restockQuantity ?? (result.condition === "resellable" ? returnItem.quantity : 0);
+      if (restockQuantity > returnItem.quantity) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot restock more than ${returnItem.quantity} of "${returnItem.name}"`,
+        });
+      }
+
+      returnItem.condition = result.condition;
+      returnItem.restockedQuantity = restockQuantity;
+    }
+
+    const order = await Order.findById(rma.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    // Conditional on the status so a repeated request can't restock twice
+    const inspected = await Return.findOneAndUpdate(
+      { _id: rma._id, status: "received" },
+      {
+        status: "inspected",
+        inspectedAt: new Date(),
+        inspectionNotes: notes,
+        items: rma.items,
+        handledBy: req.admin.adminId,
+      },
+      { new: true }
+    );
+    if (!inspected) {
+      return res.status(409).json({
+        success: false,
+        message: "Return was already inspected",
+      });
+    }
+
+    await restockReturn(inspected, order, req.admin.adminId);
+
+    sendReturnEmails(inspected, order);
+
+    res.json({
+      success: true,
+      message: "Return inspected successfully",
+      data: {
+        return: inspected,
+        restocked: inspected.items.reduce((sum, item) => sum + item.restockedQuantity, 0),
+        suggestedRefund: getReturnValue(inspected),
+      },
+    });
+  } catch (error) {
+    console.error("Inspect return error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while inspecting return",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Refund an inspected return to the original payment
+// @route   POST /api/admin/returns/:returnId/refund
+// @access  Private (Admin - orders:refund)
+const refundReturn = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const rma = await findReturnInStatus(req, res, "inspected");
+    if (!rma) return;
+
+    const payment = await Payment.findOne({
+      orderId: rma.orderId,
+      status: { $in: REFUNDABLE_STATUSES },
+    });
+    if (!payment) {
+      return res.status(400).json({
+        success: false,
+        message: "No refundable payment found for this order",
+      });
+    }
+
+    const amount = req.body.amount || getReturnValue(rma);
+    const reason = req.body.reason || `Return ${rma.returnNumber}`;
+
+    // Claim the step first so concurrent requests can't refund twice
+    const claimed = await Return.updateOne(
+      { _id: rma._id, status: "inspected" },
+      { status: "refunded" }
+    );
+    if (claimed.modifiedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        message: "Return is already being refunded",
+      });
+    }
+
+    const refund = await issueRefund(payment, amount, {
+      reason,
+      by: byAdmin(req.admin.adminId),
+      items: rma.items.map((item) => ({
+        orderItemId: item.orderItemId,
+        name: item.name,
+        quantity: item.quantity,
+        unitPrice: item.price,
+      })),
+      returnId: rma._id,
+    });
+    if (!refund.success) {
+      await Return.updateOne({ _id: rma._id }, { status: "inspected" });
+      return res.status(400).json({
+        success: false,
+        message: "Refund processing failed",
+        error: refund.error,
+      });
+    }
+
+    rma.status = "refunded";
+    rma.refund = {
+      amount: refund.refundedAmount,
+      paymentId: payment._id,
+      transactionId: refund.refundTransaction._id,
+      refundedAt: new Date(),
+    };
+    rma.handledBy = req.admin.adminId;
+    await rma.save();
+
+    sendReturnEmails(rma);
+
+    res.json({
+      success: true,
+      message: "Return refunded successfully",
+      data: {
+        return: rma,
+        refundTransaction: refund.refundTransaction,
+        creditNote: refund.creditNote,
+        refundSummary: {
+          refundedAmount: refund.refundedAmount,
+          totalRefunded: refund.totalRefunded,
+          availableForRefund: refund.availableForRefund,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Refund return error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while refunding return",
+      error: error.message,
+    });
+  }
+};
+
+// Helper Functions
+
+// Load the return and make sure it is at the expected step; responds with
+// 404/400 and resolves to null otherwise
+const findReturnInStatus = async (req, res, status) => {
+  const rma = await Return.findById(req.params.returnId);
+  if (!rma) {
+    res.status(404).json({
+      success: false,
+      message: "Return not found",
+    });
+    return null;
+  }
+
+  if (rma.status !== status) {
+    res.status(400).json({
+      success: false,
+      message: `Return is ${rma.status}; this step requires it to be ${status}`,
+    });
+    return null;
+  }
+
+  return rma;
+};
+
+// Email customer and admins about the new status (non-blocking)
+const sendReturnEmails = (rma, order) => {
+  (order ? Promise.resolve(order) : Order.findById(rma.orderId))
+    .then((loaded) => loaded && notifyReturnUpdate(rma, loaded))
+    .catch(err => console.error("Failed to send return update emails:", err));
+};
+
+module.exports = {
+  getAllReturns,
+  getReturnById,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  inspectReturn,
+  refundReturn,
+};
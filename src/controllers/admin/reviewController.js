@@ -0,0 +1,253 @@
+const Review = require("../../models/Review");
+const { validationResult } = require("express-validator");
+const { formatImageArray } = require("../../utils/imageHelper");
+
+// @desc    Get reviews moderation queue
+// @route   GET /api/admin/reviews
+// @access  Private (Admin)
+const getAllReviews = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const {
+      page = 1,
+      limit = 20,
+      status = "pending",
+      productId,
+      rating,
+    } = req.query;
+
+    const filter = {};
+    if (status !== "all") filter.status = status;
+    if (productId) filter.productId = productId;
+    if (rating) filter.rating = parseInt(rating);
+
+    const [reviews, totalReviews, statusCounts] = await Promise.all([
+      Review.find(filter)
+        .sort({ createdAt: status === "pending" ? 1 : -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .populate("productId", "name images seo.slug")
+        .populate("userId", "username email profile.firstName profile.lastName")
+        .populate("moderation.moderatedBy", "username email"),
+      Review.countDocuments(filter),
+      Review.aggregate([{ $group: { _id: "$status", count: { $sum: 1 } } }]),
+    ]);
+
+    const counts = { pending: 0, approved: 0, rejected: 0 };
+    statusCounts.forEach((s) => {
+      counts[s._id] = s.count;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        reviews: reviews.map((r) => ({
+          ...r.toObject(),
+          photos: formatImageArray(req, r.photos),
+        })),
+        counts,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totalReviews / limit),
+          totalReviews,
+          hasNext: page * limit < totalReviews,
+          hasPrev: page > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get all reviews error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching reviews",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Approve review
+// @route   PATCH /api/admin/reviews/:reviewId/approve
+// @access  Private (Admin)
+const approveReview = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const review = await Review.findById(req.params.reviewId);
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found",
+      });
+    }
+
+    review.status = "approved";
+    review.moderation = {
+      moderatedBy: req.admin.adminId,
+      moderatedAt: new Date(),
+    };
+    await review.save();
+
+    res.json({
+      success: true,
+      message: "Review approved successfully",
+      data: { review },
+    });
+  } catch (error) {
+    console.error("Approve review error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while approving review",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Reject review
+// @route   PATCH /api/admin/reviews/:reviewId/reject
+// @access  Private (Admin)
+const rejectReview = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const review = await Review.findById(req.params.reviewId);
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found",
+      });
+    }
+
+    review.status = "rejected";
+    review.moderation = {
+      moderatedBy: req.admin.adminId,
+      moderatedAt: new Date(),
+      rejectionReason: req.body.reason,
+    };
+    await review.save();
+
+    res.json({
+      success: true,
+      message: "Review rejected successfully",
+      data: { review },
+    });
+  } catch (error) {
+    console.error("Reject review error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while rejecting review",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Reply to review
+// @route   POST /api/admin/reviews/:reviewId/reply
+// @access  Private (Admin)
+const replyToReview = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const review = await Review.findById(req.params.reviewId);
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found",
+      });
+    }
+
+    review.adminReply = {
+      content: req.body.content,
+      repliedBy: req.admin.adminId,
+      repliedAt: new Date(),
+    };
+    await review.save();
+
+    res.json({
+      success: true,
+      message: "Reply saved successfully",
+      data: { review },
+    });
+  } catch (error) {
+    console.error("Reply to review error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while replying to review",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Delete review
+// @route   DELETE /api/admin/reviews/:reviewId
+// @access  Private (Admin)
+const deleteReview = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const review = await Review.findById(req.params.reviewId);
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found",
+      });
+    }
+
+    await review.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Review deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete review error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while deleting review",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getAllReviews,
+  approveReview,
+  rejectReview,
+  replyToReview,
+  deleteReview,
+};
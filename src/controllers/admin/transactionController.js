@@ -1,9 +1,15 @@
 // controllers/admin/transactionController.js
 const Transaction = require("../../models/Transaction");
 const Payment = require("../../models/Payment");
-const Order = require("../../models/Order");
+const CreditNote = require("../../models/CreditNote");
 const { validationResult } = require("express-validator");
 const mongoose = require("mongoose");
+const {
+  byAdmin,
+  appendOrderHistory,
+  updateOrderWithHistory,
+} = require("../../services/orderHistoryService");
+const { issueCreditNote } = require("../../services/creditNoteService");
 
 // @desc    Create new transaction
 // @route   POST /api/admin/transactions
@@ -71,7 +77,7 @@ const createTransaction = async (req, res) => {
     await transaction.save();
 
     // Update payment status based on transaction
-    await updatePaymentStatus(payment, transaction);
+    await updatePaymentStatus(payment, transaction, byAdmin(req.admin.adminId));
 
     // Populate transaction with related data
     await transaction.populate([
@@ -394,7 +400,7 @@ const updateTransactionStatus = async (req, res) => {
     // Update related payment status
     const payment = await Payment.findById(transaction.paymentId);
     if (payment) {
-      await updatePaymentStatus(payment, transaction);
+      await updatePaymentStatus(payment, transaction, byAdmin(req.admin.adminId));
     }
 
     await transaction.populate([
@@ -502,13 +508,27 @@ const processRefundTransaction = async (req, res) => {
     payment.refundedAmount = newTotalRefunded;
     await payment.save();
 
-    // Update order status if fully refunded
+    // Update order payment status if fully refunded. "refunded" isn't an
+    // order status; the order itself moves through the state machine.
+    const history = { by: byAdmin(req.admin.adminId), note: reason || "Admin initiated refund" };
     if (payment.status === "refunded") {
-      await Order.findByIdAndUpdate(payment.orderId, {
-        status: "refunded",
-        paymentStatus: "refunded",
-      });
+      await updateOrderWithHistory(payment.orderId, { paymentStatus: "refunded" }, history);
     }
+    await appendOrderHistory(
+      payment.orderId,
+      "refund",
+      totalRefunded.toFixed(2),
+      newTotalRefunded.toFixed(2),
+      history
+    );
+
+    const creditNote = await issueCreditNote(payment.orderId, {
+      amount: amountToRefund,
+      reason: history.note,
+      paymentId: payment._id,
+      transactionId: refundTransaction._id,
+      adminId: req.admin.adminId,
+    });
 
     await refundTransaction.populate([
       { path: "paymentId", select: "orderId paymentMethod amount" },
@@ -520,6 +540,7 @@ const processRefundTransaction = async (req, res) => {
       message: "Refund processed successfully",
       data: {
         refundTransaction,
+        creditNote,
         originalTransaction: {
           id: originalTransaction._id,
           amount: originalTransaction.amount,
@@ -788,6 +809,12 @@ const bulkTransactionOperation = async (req, res) => {
       });
     }
 
+    // Credit notes issued for refunds, keyed by transaction
+    const creditNotes = await CreditNote.find({ transactionId: { $in: transactionIds } });
+    const creditNotesByTransaction = new Map(
+      creditNotes.map((note) => [String(note.transactionId), note])
+    );
+
     let result;
 
     switch (action) {
@@ -795,7 +822,7 @@ const bulkTransactionOperation = async (req, res) => {
         result = {
           action: "export",
           format,
-          data: formatExportData(transactions, format),
+          data: formatExportData(transactions, format, creditNotesByTransaction),
           count: transactions.length,
         };
         break;
@@ -835,7 +862,7 @@ const bulkTransactionOperation = async (req, res) => {
       case "reconcile":
         result = {
           action: "reconcile",
-          report: await generateReconciliationReport(transactionIds),
+          report: generateReconciliationReport(transactions, creditNotesByTransaction),
         };
         break;
 
@@ -862,14 +889,12 @@ const bulkTransactionOperation = async (req, res) => {
 };
 
 // Helper function to update payment status based on transaction
-const updatePaymentStatus = async (payment, transaction) => {
+const updatePaymentStatus = async (payment, transaction, by) => {
   if (transaction.type === "sale") {
     if (transaction.status === "success") {
       payment.status = "completed";
       // Update order payment status
-      await Order.findByIdAndUpdate(payment.orderId, {
-        paymentStatus: "paid",
-      });
+      await updateOrderWithHistory(payment.orderId, { paymentStatus: "paid" }, { by });
     } else if (transaction.status === "failed") {
       payment.status = "failed";
     }
@@ -883,10 +908,7 @@ const updatePaymentStatus = async (payment, transaction) => {
 
     if (totalRefunded >= payment.amount) {
       payment.status = "refunded";
-      await Order.findByIdAndUpdate(payment.orderId, {
-        paymentStatus: "refunded",
-        status: "refunded",
-      });
+      await updateOrderWithHistory(payment.orderId, { paymentStatus: "refunded" }, { by });
     } else {
       payment.status = "partially_refunded";
     }
@@ -935,19 +957,24 @@ const getDateRange = (period, startDateParam, endDateParam) => {
   return { startDate, endDate };
 };
 
-const formatExportData = (transactions, format) => {
+const formatExportData = (transactions, format, creditNotesByTransaction = new Map()) => {
+  const creditNoteFor = (t) => creditNotesByTransaction.get(String(t._id));
+
   if (format === "csv") {
     const headers =
-      "ID,Type,Amount,Currency,Status,Gateway ID,Processed At,User Email,Order ID\n";
+      "ID,Type,Amount,Currency,Status,Gateway ID,Processed At,User Email,Order ID,Credit Note,Invoice\n";
     const rows = transactions
       .map(
         (t) =>
-          `"${t._id}","${t.type}",${t.amount},"${t.currency}","${t.status}","${t.gatewayTransactionId}","${t.processedAt}","${t.userId?.email}","${t.paymentId?.orderId}"`
+          `"${t._id}","${t.type}",${t.amount},"${t.currency}","${t.status}","${t.gatewayTransactionId}","${t.processedAt}","${t.userId?.email}","${t.paymentId?.orderId}","${creditNoteFor(t)?.creditNoteNumber || ""}","${creditNoteFor(t)?.invoiceNumber || ""}"`
       )
       .join("\n");
     return headers + rows;
   } else if (format === "json") {
-    return transactions;
+    return transactions.map((t) => ({
+      ...t.toObject(),
+      creditNote: creditNoteFor(t) || null,
+    }));
   } else {
     return {
       summary: `Transaction Report - ${new Date().toISOString()}`,
@@ -958,18 +985,57 @@ const formatExportData = (transactions, format) => {
         amount: t.amount,
         status: t.status,
         processedAt: t.processedAt,
+        creditNoteNumber: creditNoteFor(t)?.creditNoteNumber,
       })),
     };
   }
 };
 
-const generateReconciliationReport = async (transactionIds) => {
+// Every successful refund should be documented by a credit note for the
+// same amount
+const generateReconciliationReport = (transactions, creditNotesByTransaction) => {
+  const discrepancies = [];
+
+  transactions
+    .filter((t) => t.type === "refund" && t.status === "success")
+    .forEach((t) => {
+      const creditNote = creditNotesByTransaction.get(String(t._id));
+      if (!creditNote) {
+        discrepancies.push({
+          transactionId: t._id,
+          issue: "Refund has no credit note",
+          amount: t.amount,
+        });
+      } else if (Math.abs(creditNote.amount - t.amount) >= 0.01) {
+        discrepancies.push({
+          transactionId: t._id,
+          issue: "Credit note amount differs from refund",
+          amount: t.amount,
+          creditNoteNumber: creditNote.creditNoteNumber,
+          creditNoteAmount: creditNote.amount,
+        });
+      }
+    });
+
+  const creditNotes = [...creditNotesByTransaction.values()];
+
   return {
     generatedAt: new Date(),
-    totalTransactions: transactionIds.length,
-    matched: transactionIds.length,
-    discrepancies: [],
-    summary: "All transactions reconciled successfully",
+    totalTransactions: transactions.length,
+    matched: transactions.length - discrepancies.length,
+    discrepancies,
+    creditNotes: creditNotes.map((note) => ({
+      creditNoteNumber: note.creditNoteNumber,
+      invoiceNumber: note.invoiceNumber,
+      transactionId: note.transactionId,
+      amount: note.amount,
+      issuedAt: note.createdAt,
+    })),
+    totalCredited: Math.round(creditNotes.reduce((sum, note) => sum + note.amount, 0) * 100) / 100,
+    summary:
+      discrepancies.length === 0
+        ? "All transactions reconciled successfully"
+        : `${discrepancies.length} transaction(s) need attention`,
   };
 };
 
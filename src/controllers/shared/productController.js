@@ -2,6 +2,8 @@ const Product = require("../../models/Product");
 const Category = require("../../models/Category");
 const { validationResult } = require("express-validator");
 const { formatImageArray, formatImageUrl } = require("../../utils/imageHelper");
+const { getPackageStock } = require("../../services/inventoryService");
+const { getCurrentPrice, getSaleFields } = require("../../utils/pricing");
 
 const getAllCategories = async (req, res) => {
   try {
@@ -54,9 +56,7 @@ const getCategoryById = async (req, res) => {
       products: products.map(p => ({
         ...p.toObject(),
         images: formatImageArray(req, p.images),
-        isOnSale: p.discount?.isActive && (!p.discount?.endDate || new Date(p.discount.endDate) > new Date()),
-        discountPercentage: p.discount?.type === 'percentage' ? p.discount.value : 0,
-        discountedPrice: p.discount?.discountedPrice || p.price
+        ...getSaleFields(p)
       })),
       productsPagination: {
         currentPage: parseInt(page),
@@ -186,9 +186,7 @@ const getAllProducts = async (req, res) => {
           originalPrice: p.comparePrice || p.price,
           image: p.images?.[0] ? formatImageUrl(req, p.images[0]) : null,
           images: formatImageArray(req, p.images),
-          isOnSale: p.discount?.isActive && (!p.discount?.endDate || new Date(p.discount.endDate) > new Date()),
-          discountPercentage: p.discount?.type === 'percentage' ? p.discount.value : 0,
-          discountedPrice: p.discount?.discountedPrice || p.price,
+          ...getSaleFields(p),
           items: p.packageItems.map((item) => ({
             ...item.toObject(),
             image: formatImageUrl(req, item.image),
@@ -351,9 +349,7 @@ const getProductById = async (req, res) => {
           originalPrice: product.comparePrice || product.price,
           image: product.images?.[0] ? formatImageUrl(req, product.images[0]) : null,
           images: formatImageArray(req, product.images),
-          isOnSale: product.discount?.isActive && (!product.discount?.endDate || new Date(product.discount.endDate) > new Date()),
-          discountPercentage: product.discount?.type === 'percentage' ? product.discount.value : 0,
-          discountedPrice: product.discount?.discountedPrice || product.price,
+          ...getSaleFields(product),
           ...(product.productType === "package" &&
             product.packageItems && {
             items: product.packageItems.map((item) => ({
@@ -363,8 +359,7 @@ const getProductById = async (req, res) => {
                 ? {
                   ...item.productId.toObject(),
                   images: formatImageArray(req, item.productId.images),
-                  isOnSale: item.productId.discount?.isActive,
-                  discountedPrice: item.productId.discount?.discountedPrice || item.productId.price
+                  ...getSaleFields(item.productId)
                 }
                 : null,
             })),
@@ -375,8 +370,7 @@ const getProductById = async (req, res) => {
                 ? {
                   ...item.productId.toObject(),
                   images: formatImageArray(req, item.productId.images),
-                  isOnSale: item.productId.discount?.isActive,
-                  discountedPrice: item.productId.discount?.discountedPrice || item.productId.price
+                  ...getSaleFields(item.productId)
                 }
                 : null,
             })),
@@ -385,9 +379,7 @@ const getProductById = async (req, res) => {
         relatedProducts: relatedProducts.map(p => ({
           ...p.toObject(),
           images: formatImageArray(req, p.images),
-          isOnSale: p.discount?.isActive && (!p.discount?.endDate || new Date(p.discount.endDate) > new Date()),
-          discountPercentage: p.discount?.type === 'percentage' ? p.discount.value : 0,
-          discountedPrice: p.discount?.discountedPrice || p.price
+          ...getSaleFields(p)
         })),
       },
     });
@@ -439,16 +431,12 @@ const getProductBySlug = async (req, res) => {
         product: {
           ...product.toObject(),
           images: formatImageArray(req, product.images),
-          isOnSale: product.discount?.isActive && (!product.discount?.endDate || new Date(product.discount.endDate) > new Date()),
-          discountPercentage: product.discount?.type === 'percentage' ? product.discount.value : 0,
-          discountedPrice: product.discount?.discountedPrice || product.price
+          ...getSaleFields(product)
         },
         relatedProducts: relatedProducts.map(p => ({
           ...p.toObject(),
           images: formatImageArray(req, p.images),
-          isOnSale: p.discount?.isActive && (!p.discount?.endDate || new Date(p.discount.endDate) > new Date()),
-          discountPercentage: p.discount?.type === 'percentage' ? p.discount.value : 0,
-          discountedPrice: p.discount?.discountedPrice || p.price
+          ...getSaleFields(p)
         })),
       },
     });
@@ -483,9 +471,7 @@ const getFeaturedProducts = async (req, res) => {
         products: products.map(p => ({
           ...p.toObject(),
           images: formatImageArray(req, p.images),
-          isOnSale: p.discount?.isActive && (!p.discount?.endDate || new Date(p.discount.endDate) > new Date()),
-          discountPercentage: p.discount?.type === 'percentage' ? p.discount.value : 0,
-          discountedPrice: p.discount?.discountedPrice || p.price
+          ...getSaleFields(p)
         })),
       },
     });
@@ -537,9 +523,7 @@ const searchProducts = async (req, res) => {
         products: products.map(p => ({
           ...p.toObject(),
           images: formatImageArray(req, p.images),
-          isOnSale: p.discount?.isActive && (!p.discount?.endDate || new Date(p.discount.endDate) > new Date()),
-          discountPercentage: p.discount?.type === 'percentage' ? p.discount.value : 0,
-          discountedPrice: p.discount?.discountedPrice || p.price
+          ...getSaleFields(p)
         })),
         searchQuery: q,
         resultsCount: products.length,
@@ -595,9 +579,7 @@ const getSearchSuggestions = async (req, res) => {
         products: products.map(p => ({
           ...p.toObject(),
           images: formatImageArray(req, p.images),
-          isOnSale: p.discount?.isActive && (!p.discount?.endDate || new Date(p.discount.endDate) > new Date()),
-          discountPercentage: p.discount?.type === 'percentage' ? p.discount.value : 0,
-          discountedPrice: p.discount?.discountedPrice || p.price
+          ...getSaleFields(p)
         })),
         categories: categories.slice(0, 5),
         brands: brands.slice(0, 5),
@@ -758,33 +740,26 @@ const getStockAvailability = async (req, res) => {
       });
     }
 
+    // Packages are stocked through their components
+    let quantity = product.inventory.quantity;
+    let packageStock = null;
+    if (product.productType === "package" && product.packageItems?.length) {
+      packageStock = await getPackageStock(product);
+      quantity = packageStock.quantity;
+    }
+
     let stockInfo = {
       productId: product._id,
       name: product.name,
-      inStock: product.inventory.quantity > 0,
-      quantity: product.inventory.quantity,
-      lowStock: product.inventory.quantity <= (product.inventory.lowStockAlert || 10),
+      inStock: quantity > 0,
+      quantity,
+      lowStock: quantity <= (product.inventory.lowStockAlert || 10),
       status: product.status,
     };
 
-    // For package products, check all items
-    if (product.productType === "package" && product.packageItems) {
-      const packageItemsStock = await Promise.all(
-        product.packageItems.map(async (item) => {
-          const itemProduct = await Product.findById(item.productId)
-            .select("name inventory status");
-          return {
-            productId: item.productId,
-            name: item.name,
-            inStock: itemProduct ? itemProduct.inventory.quantity >= item.quantity : false,
-            available: itemProduct?.inventory.quantity || 0,
-            required: item.quantity,
-          };
-        })
-      );
-
-      stockInfo.packageItems = packageItemsStock;
-      stockInfo.allItemsAvailable = packageItemsStock.every(item => item.inStock);
+    if (packageStock) {
+      stockInfo.packageItems = packageStock.components;
+      stockInfo.allItemsAvailable = packageStock.components.every(item => item.inStock);
     }
 
     res.json({
@@ -809,7 +784,7 @@ const estimateShipping = async (req, res) => {
     const { productId } = req.params;
     const { zipCode, quantity = 1 } = req.body;
 
-    const product = await Product.findById(productId).select("name price weight dimensions");
+    const product = await Product.findById(productId).select("name price discount weight dimensions");
 
     if (!product) {
       return res.status(404).json({
@@ -824,7 +799,7 @@ const estimateShipping = async (req, res) => {
 
     const estimates = shippingMethods.map(method => {
       let baseFee = method.baseFee || 0;
-      const itemTotal = product.price * quantity;
+      const itemTotal = getCurrentPrice(product) * quantity;
 
       // Free shipping threshold
       if (method.freeShippingThreshold && itemTotal >= method.freeShippingThreshold) {
@@ -859,7 +834,7 @@ const estimateShipping = async (req, res) => {
         product: {
           id: product._id,
           name: product.name,
-          price: product.price,
+          price: getCurrentPrice(product),
           quantity,
         },
         zipCode,
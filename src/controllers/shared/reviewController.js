@@ -0,0 +1,287 @@
+const Review = require("../../models/Review");
+const Product = require("../../models/Product");
+const Order = require("../../models/Order");
+const { validationResult } = require("express-validator");
+const { formatImageArray, stripImageArray } = require("../../utils/imageHelper");
+
+// Orders in these states count as a completed purchase for reviews
+const REVIEWABLE_ORDER_STATUSES = ["delivered", "completed"];
+
+// Format a review for API responses
+const formatReview = (req, review) => {
+  const r = review.toObject ? review.toObject() : review;
+  return {
+    ...r,
+    photos: formatImageArray(req, r.photos),
+  };
+};
+
+// @desc    Get reviews for a product
+// @route   GET /api/products/:productId/reviews
+// @access  Public
+const getProductReviews = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { productId } = req.params;
+    const {
+      page = 1,
+      limit = 10,
+      rating,
+      withPhotos,
+      verifiedOnly,
+      sortBy = "newest",
+    } = req.query;
+
+    const product = await Product.findById(productId).select("name ratings");
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    const filter = { productId, status: "approved" };
+    if (rating) filter.rating = parseInt(rating);
+    if (withPhotos === "true") filter["photos.0"] = { $exists: true };
+    if (verifiedOnly === "true") filter.isVerifiedPurchase = true;
+
+    const sortOptions = {
+      newest: { createdAt: -1 },
+      oldest: { createdAt: 1 },
+      highest: { rating: -1, createdAt: -1 },
+      lowest: { rating: 1, createdAt: -1 },
+    };
+
+    const [reviews, totalReviews] = await Promise.all([
+      Review.find(filter)
+        .sort(sortOptions[sortBy] || sortOptions.newest)
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .populate("userId", "username profile.firstName profile.lastName profile.avatar")
+        .select("-moderation"),
+      Review.countDocuments(filter),
+    ]);
+
+    // Let a logged in customer see their own review even while it is pending
+    let myReview = null;
+    if (req.user) {
+      myReview = await Review.findOne({ productId, userId: req.user.userId });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        reviews: reviews.map((r) => formatReview(req, r)),
+        summary: product.ratings,
+        myReview: myReview ? formatReview(req, myReview) : null,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(totalReviews / limit),
+          totalReviews,
+          hasNext: page * limit < totalReviews,
+          hasPrev: page > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get product reviews error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching reviews",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Create a review for a purchased product
+// @route   POST /api/products/:productId/reviews
+// @access  Private (User)
+const createReview = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { productId } = req.params;
+    const { rating, title, comment, photos } = req.body;
+    const userId = req.user.userId;
+
+    const product = await Product.findById(productId).select("name status");
+    if (!product || product.status === "draft") {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    const existingReview = await Review.findOne({ productId, userId });
+    if (existingReview) {
+      return res.status(400).json({
+        success: false,
+        message: "You have already reviewed this product. Edit your existing review instead.",
+        data: { reviewId: existingReview._id },
+      });
+    }
+
+    // Verified purchase check against the customer's fulfilled orders
+    const order = await Order.findOne({
+      userId,
+      "items.productId": productId,
+      status: { $in: REVIEWABLE_ORDER_STATUSES },
+    }).sort({ createdAt: -1 });
+
+    if (!order) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only review products you have purchased and received",
+      });
+    }
+
+    const review = new Review({
+      productId,
+      userId,
+      orderId: order._id,
+      rating,
+      title,
+      comment,
+      photos: stripImageArray(photos || []),
+      isVerifiedPurchase: true,
+    });
+
+    await review.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Review submitted successfully and is awaiting moderation",
+      data: { review: formatReview(req, review) },
+    });
+  } catch (error) {
+    console.error("Create review error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while creating review",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Update own review
+// @route   PUT /api/products/:productId/reviews/:reviewId
+// @access  Private (User)
+const updateReview = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { productId, reviewId } = req.params;
+    const { rating, title, comment, photos } = req.body;
+
+    const review = await Review.findOne({
+      _id: reviewId,
+      productId,
+      userId: req.user.userId,
+    });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found",
+      });
+    }
+
+    if (rating !== undefined) review.rating = rating;
+    if (title !== undefined) review.title = title;
+    if (comment !== undefined) review.comment = comment;
+    if (photos !== undefined) review.photos = stripImageArray(photos);
+
+    // Edited content goes back through moderation
+    review.status = "pending";
+    review.moderation = undefined;
+
+    await review.save();
+
+    res.json({
+      success: true,
+      message: "Review updated successfully and is awaiting moderation",
+      data: { review: formatReview(req, review) },
+    });
+  } catch (error) {
+    console.error("Update review error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating review",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Delete own review
+// @route   DELETE /api/products/:productId/reviews/:reviewId
+// @access  Private (User)
+const deleteReview = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { productId, reviewId } = req.params;
+
+    const review = await Review.findOne({
+      _id: reviewId,
+      productId,
+      userId: req.user.userId,
+    });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: "Review not found",
+      });
+    }
+
+    await review.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Review deleted successfully",
+    });
+  } catch (error) {
+    console.error("Delete review error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while deleting review",
+      error: error.message,
+    });
+  }
+};
+
+module.exports = {
+  getProductReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+};
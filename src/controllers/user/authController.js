@@ -1,8 +1,71 @@
 const User = require("../../models/User");
 const Cart = require("../../models/Cart");
+const Order = require("../../models/Order");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
 const { validationResult } = require("express-validator");
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+} = require("../../services/tokenService");
+const LoginHistory = require("../../models/LoginHistory");
+const { getRequestInfo } = require("../../utils/requestInfo");
+const { sendEmailVerificationEmail } = require("../../services/emailService");
+const {
+  verifyAccountInviteToken,
+  claimGuestOrders,
+} = require("../../services/guestOrderService");
+const { CART_TOKEN_HEADER, mergeGuestCart } = require("../../services/cartService");
+
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const EMAIL_VERIFICATION_COOLDOWN_MS = 2 * 60 * 1000; // 2 minutes
+
+// Generate a new verification token (invalidating any previous one), store
+// its hash on the user and email the link
+const issueEmailVerification = async (user) => {
+  const verificationToken = crypto.randomBytes(32).toString("hex");
+
+  user.emailVerification = {
+    token: crypto.createHash("sha256").update(verificationToken).digest("hex"),
+    expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_TTL_MS),
+    lastSentAt: new Date(),
+  };
+  await user.save();
+
+  sendEmailVerificationEmail(user, verificationToken).catch(err => console.error("Failed to send verification email:", err));
+};
+
+// Seconds left before another verification email may be sent
+const getVerificationCooldown = (user) => {
+  const lastSentAt = user.emailVerification?.lastSentAt;
+  if (!lastSentAt) return 0;
+
+  const elapsed = Date.now() - new Date(lastSentAt).getTime();
+  return Math.max(0, Math.ceil((EMAIL_VERIFICATION_COOLDOWN_MS - elapsed) / 1000));
+};
+
+// Merge the guest cart the customer filled before signing in, if they
+// send its token. A failed merge never blocks signing in.
+const mergeCartOnSignIn = async (req, userId) => {
+  const cartToken = req.body.cartToken || req.header(CART_TOKEN_HEADER);
+  if (!cartToken) return undefined;
+
+  try {
+    const merge = await mergeGuestCart(cartToken, userId);
+    if (!merge) return undefined;
+
+    return {
+      itemsCount: merge.cart.summary.itemsCount,
+      adjustments: merge.adjustments,
+      droppedCoupon: merge.droppedCoupon,
+    };
+  } catch (error) {
+    console.error("Failed to merge guest cart:", error);
+    return undefined;
+  }
+};
 
 // @desc    Register a new user (customer)
 // @route   POST /api/auth/register
@@ -25,6 +88,19 @@ const registerUser = async (req, res) => {
     const lastName = req.body.lastName || profile?.lastName;
     const phone = req.body.phone || profile?.phone;
 
+    // Registering from a guest order's invite link: the link was emailed to
+    // the order's address, so it already proves the customer owns it
+    let invite = null;
+    if (req.body.inviteToken) {
+      invite = verifyAccountInviteToken(req.body.inviteToken);
+      if (!invite || invite.email !== email) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid or expired invite link",
+        });
+      }
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({
       $or: [{ email }, { username }],
@@ -54,20 +130,29 @@ const registerUser = async (req, res) => {
       role: "user", // Explicitly set as user
     });
 
-    await user.save();
+    // Guest orders are only linked once the email is verified, so nobody
+    // can see another customer's orders by registering with their address
+    let claimedOrders = 0;
+    if (invite) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+      claimedOrders = await claimGuestOrders(user);
+    } else {
+      await user.save();
+      await issueEmailVerification(user);
+    }
 
     // Create empty cart for user
     const cart = new Cart({
       userId: user._id,
     });
     await cart.save();
+    const cartMerge = await mergeCartOnSignIn(req, user._id);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, role: "user" },
-      process.env.JWT_SECRET,
-      { expiresIn: "30d" }
-    );
+    // Start a session (short-lived access token + refresh token)
+    const { token, refreshToken, expiresIn, refreshTokenExpiresAt } =
+      await createSession("User", user, req);
 
     // Remove password from response
     const userResponse = {
@@ -76,15 +161,23 @@ const registerUser = async (req, res) => {
       email: user.email,
       profile: user.profile,
       role: user.role,
+      isEmailVerified: user.isEmailVerified,
       createdAt: user.createdAt,
     };
 
     res.status(201).json({
       success: true,
-      message: "User registered successfully",
+      message: invite
+        ? "User registered successfully"
+        : "User registered successfully. Please check your email to verify your account.",
       data: {
         user: userResponse,
+        claimedOrders,
+        cartMerge,
         token,
+        refreshToken,
+        expiresIn,
+        refreshTokenExpiresAt,
       },
     });
   } catch (error) {
@@ -124,6 +217,14 @@ const loginUser = async (req, res) => {
 
     // Check if user is active
     if (!user.isActive) {
+      await LoginHistory.record({
+        ownerType: "User",
+        ownerId: user._id,
+        email,
+        success: false,
+        failureReason: "account_inactive",
+        ...getRequestInfo(req),
+      });
       return res.status(401).json({
         success: false,
         message: "Account is deactivated. Please contact support.",
@@ -133,6 +234,14 @@ const loginUser = async (req, res) => {
     // Verify password
     const isPasswordValid = await bcrypt.compare(password, user.password);
     if (!isPasswordValid) {
+      await LoginHistory.record({
+        ownerType: "User",
+        ownerId: user._id,
+        email,
+        success: false,
+        failureReason: "invalid_password",
+        ...getRequestInfo(req),
+      });
       return res.status(401).json({
         success: false,
         message: "Invalid email or password",
@@ -143,12 +252,20 @@ const loginUser = async (req, res) => {
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, role: "user" },
-      process.env.JWT_SECRET,
-      { expiresIn: "30d" }
-    );
+    const cartMerge = await mergeCartOnSignIn(req, user._id);
+
+    // Start a session (short-lived access token + refresh token)
+    const { session, token, refreshToken, expiresIn, refreshTokenExpiresAt } =
+      await createSession("User", user, req);
+
+    await LoginHistory.record({
+      ownerType: "User",
+      ownerId: user._id,
+      email,
+      success: true,
+      sessionId: session._id,
+      ...getRequestInfo(req),
+    });
 
     // Remove password from response
     const userResponse = {
@@ -157,6 +274,7 @@ const loginUser = async (req, res) => {
       email: user.email,
       profile: user.profile,
       role: user.role,
+      isEmailVerified: user.isEmailVerified,
       preferences: user.preferences,
       lastLogin: user.lastLogin,
       createdAt: user.createdAt,
@@ -167,7 +285,11 @@ const loginUser = async (req, res) => {
       message: "Login successful",
       data: {
         user: userResponse,
+        cartMerge,
         token,
+        refreshToken,
+        expiresIn,
+        refreshTokenExpiresAt,
       },
     });
   } catch (error) {
@@ -180,13 +302,13 @@ const loginUser = async (req, res) => {
   }
 };
 
-// @desc    Logout user
+// @desc    Logout user (revokes the current session)
 // @route   POST /api/auth/logout
 // @access  Private
 const logoutUser = async (req, res) => {
   try {
-    // In a real app, you might blacklist the token
-    // For now, just return success
+    await revokeSession(req.user.sessionId, "logout");
+
     res.json({
       success: true,
       message: "Logout successful",
@@ -201,31 +323,60 @@ const logoutUser = async (req, res) => {
   }
 };
 
-// @desc    Refresh token
-// @route   POST /api/auth/refresh
+// @desc    Logout user from all devices
+// @route   POST /api/auth/logout-all
 // @access  Private
+const logoutAllDevices = async (req, res) => {
+  try {
+    const revokedSessions = await revokeAllSessions("User", req.user.userId, "logout_all");
+
+    res.json({
+      success: true,
+      message: "Logged out from all devices",
+      data: {
+        revokedSessions,
+      },
+    });
+  } catch (error) {
+    console.error("Logout all devices error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error during logout",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public (requires refresh token)
 const refreshToken = async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (!user) {
-      return res.status(404).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: "User not found",
+        message: "Validation failed",
+        errors: errors.array(),
       });
     }
 
-    // Generate new token
-    const token = jwt.sign(
-      { userId: user._id, role: "user" },
-      process.env.JWT_SECRET,
-      { expiresIn: "30d" }
-    );
+    const result = await rotateRefreshToken("User", req.body.refreshToken, req);
+    if (!result.success) {
+      return res.status(401).json({
+        success: false,
+        message: result.message,
+      });
+    }
 
     res.json({
       success: true,
       message: "Token refreshed successfully",
       data: {
-        token,
+        token: result.token,
+        refreshToken: result.refreshToken,
+        expiresIn: result.expiresIn,
+        refreshTokenExpiresAt: result.refreshTokenExpiresAt,
       },
     });
   } catch (error) {
@@ -279,7 +430,6 @@ const forgotPassword = async (req, res) => {
     }
 
     // Generate secure reset token (crypto random)
-    const crypto = require("crypto");
     const resetToken = crypto.randomBytes(32).toString("hex");
     const hashedToken = crypto.createHash("sha256").update(resetToken).digest("hex");
 
@@ -332,7 +482,6 @@ const resetPassword = async (req, res) => {
     const { token, newPassword } = req.body;
 
     // Hash the provided token to compare with stored hash
-    const crypto = require("crypto");
     const hashedToken = crypto.createHash("sha256").update(token).digest("hex");
 
     // Find user with valid reset token
@@ -362,6 +511,9 @@ const resetPassword = async (req, res) => {
     
     await user.save();
 
+    // Sign out every device that used the old password
+    await revokeAllSessions("User", user._id, "password_reset");
+
     res.json({
       success: true,
       message: "Password reset successfully. You can now login with your new password.",
@@ -376,11 +528,222 @@ const resetPassword = async (req, res) => {
   }
 };
 
+// @desc    Send a verification email to the logged-in user
+// @route   POST /api/auth/send-verification
+// @access  Private
+const sendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (user.isEmailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Email is already verified",
+      });
+    }
+
+    const cooldown = getVerificationCooldown(user);
+    if (cooldown > 0) {
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${cooldown} second(s) before requesting another verification email`,
+      });
+    }
+
+    await issueEmailVerification(user);
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${user.email}`,
+    });
+  } catch (error) {
+    console.error("Send verification email error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while sending verification email",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Resend the verification email by address
+// @route   POST /api/auth/resend-verification
+// @access  Public
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { email } = req.body;
+
+    // Don't reveal if user exists or is already verified (security)
+    const genericResponse = {
+      success: true,
+      message:
+        "If an unverified account with that email exists, a verification email has been sent",
+    };
+
+    const user = await User.findOne({ email });
+    if (!user || !user.isActive || user.isEmailVerified) {
+      return res.json(genericResponse);
+    }
+
+    const cooldown = getVerificationCooldown(user);
+    if (cooldown > 0) {
+      return res.status(429).json({
+        success: false,
+        message: `Please wait ${cooldown} second(s) before requesting another verification email`,
+      });
+    }
+
+    await issueEmailVerification(user);
+
+    res.json(genericResponse);
+  } catch (error) {
+    console.error("Resend verification email error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while sending verification email",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email
+// @access  Public
+const verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const hashedToken = crypto.createHash("sha256").update(req.body.token).digest("hex");
+
+    const user = await User.findOne({
+      "emailVerification.token": hashedToken,
+      "emailVerification.expiresAt": { $gt: new Date() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired verification token",
+      });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+    // Clear token (single use)
+    user.emailVerification = {
+      token: undefined,
+      expiresAt: undefined,
+      lastSentAt: user.emailVerification.lastSentAt,
+    };
+    user.updatedAt = new Date();
+    await user.save();
+
+    // Orders placed as a guest with this email now belong to the account
+    const claimedOrders = await claimGuestOrders(user);
+
+    res.json({
+      success: true,
+      message: "Email verified successfully",
+      data: {
+        email: user.email,
+        isEmailVerified: true,
+        claimedOrders,
+      },
+    });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error during email verification",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get the registration details for a guest order's invite link
+// @route   GET /api/auth/register/invite
+// @access  Public (requires invite token)
+const getAccountInvite = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const invite = verifyAccountInviteToken(req.query.token);
+    const order = invite && (await Order.findById(invite.orderId));
+    if (!order) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired invite link",
+      });
+    }
+
+    if (await User.exists({ email: invite.email })) {
+      return res.status(400).json({
+        success: false,
+        message: "An account already exists with this email. Please log in instead.",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        email: invite.email,
+        profile: {
+          firstName: order.customer.firstName,
+          lastName: order.customer.lastName,
+          phone: order.customer.phone,
+        },
+        orderNumber: order.orderNumber,
+      },
+    });
+  } catch (error) {
+    console.error("Get account invite error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while loading invite",
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   registerUser,
+  getAccountInvite,
   loginUser,
   logoutUser,
+  logoutAllDevices,
   refreshToken,
   forgotPassword,
   resetPassword,
+  sendVerificationEmail,
+  resendVerificationEmail,
+  verifyEmail,
 };
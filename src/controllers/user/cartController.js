@@ -2,17 +2,32 @@ const Cart = require("../../models/Cart");
 const Product = require("../../models/Product");
 const { validationResult } = require("express-validator");
 const { formatImageArray, formatImageUrl } = require("../../utils/imageHelper");
+const {
+  holdCartStock,
+  releaseCartHolds,
+  getSellableQuantity,
+} = require("../../services/inventoryService");
+const { createGuestCart } = require("../../services/cartService");
+const { restoreAbandonedCart } = require("../../services/cartRecoveryService");
+const { getCartItemPricing } = require("../../utils/pricing");
 
 // @desc    Get user's cart
 // @route   GET /api/cart
-// @access  Private
+// @access  Private (or guest with cart token)
 const getCart = async (req, res) => {
   try {
-    const cart = await Cart.findOne({ userId: req.user.userId }).populate(
+    const cart = await Cart.findOne(cartOwner(req)).populate(
       "items.productId",
       "name price images inventory slug productType packageDetails packageItems"
     );
 
+    if (!cart && !req.user) {
+      return res.status(404).json({
+        success: false,
+        message: "Cart not found or expired",
+      });
+    }
+
     if (!cart) {
       // Create empty cart if it doesn't exist
       const newCart = new Cart({
@@ -60,7 +75,7 @@ const getCart = async (req, res) => {
 
 // @desc    Add item to cart
 // @route   POST /api/cart/items
-// @access  Private
+// @access  Private (or guest with cart token)
 const addToCart = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -109,8 +124,14 @@ const addToCart = async (req, res) => {
       });
     }
 
-    // Find or create cart
-    let cart = await Cart.findOne({ userId: req.user.userId });
+    // Find or create cart (guest carts are created through createGuestCart)
+    let cart = await Cart.findOne(cartOwner(req));
+    if (!cart && !req.user) {
+      return res.status(404).json({
+        success: false,
+        message: "Cart not found or expired",
+      });
+    }
     if (!cart) {
       cart = new Cart({ userId: req.user.userId });
     }
@@ -121,16 +142,17 @@ const addToCart = async (req, res) => {
     );
     const existingQuantity = existingItem ? existingItem.quantity : 0;
     const totalQuantity = existingQuantity + quantity;
+    const available = await getSellableQuantity(product);
 
-    if (totalQuantity > product.inventory.quantity) {
+    if (totalQuantity > available) {
       return res.status(400).json({
         success: false,
-        message: `Insufficient stock. Only ${product.inventory.quantity} available.`,
+        message: `Insufficient stock. Only ${available} available.`,
         data: {
-          available: product.inventory.quantity,
+          available,
           inCart: existingQuantity,
           requested: quantity,
-          maxCanAdd: Math.max(0, product.inventory.quantity - existingQuantity),
+          maxCanAdd: Math.max(0, available - existingQuantity),
         },
       });
     }
@@ -168,7 +190,7 @@ const addToCart = async (req, res) => {
 
 // @desc    Update cart item quantity
 // @route   PUT /api/cart/items/:itemId
-// @access  Private
+// @access  Private (or guest with cart token)
 const updateCartItem = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -183,7 +205,7 @@ const updateCartItem = async (req, res) => {
     const { itemId } = req.params;
     const { quantity } = req.body;
 
-    const cart = await Cart.findOne({ userId: req.user.userId });
+    const cart = await Cart.findOne(cartOwner(req));
     if (!cart) {
       return res.status(404).json({
         success: false,
@@ -209,19 +231,20 @@ const updateCartItem = async (req, res) => {
       });
     }
 
-    if (quantity > product.inventory.quantity) {
+    const available = await getSellableQuantity(product);
+    if (quantity > available) {
       return res.status(400).json({
         success: false,
-        message: `Only ${product.inventory.quantity} items available in stock`,
+        message: `Only ${available} items available in stock`,
         data: {
-          available: product.inventory.quantity,
+          available,
           requested: quantity,
         },
       });
     }
 
     // Update quantity with actual stock validation
-    const updateResult = cart.updateQuantity(cartItem.productId, quantity, product.inventory.quantity);
+    const updateResult = cart.updateQuantity(cartItem.productId, quantity, available);
     if (!updateResult.success) {
       return res.status(400).json({
         success: false,
@@ -252,7 +275,7 @@ const updateCartItem = async (req, res) => {
 
 // @desc    Remove item from cart
 // @route   DELETE /api/cart/items/:itemId
-// @access  Private
+// @access  Private (or guest with cart token)
 const removeFromCart = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -266,7 +289,7 @@ const removeFromCart = async (req, res) => {
 
     const { itemId } = req.params;
 
-    const cart = await Cart.findOne({ userId: req.user.userId });
+    const cart = await Cart.findOne(cartOwner(req));
     if (!cart) {
       return res.status(404).json({
         success: false,
@@ -307,10 +330,10 @@ const removeFromCart = async (req, res) => {
 
 // @desc    Clear entire cart
 // @route   DELETE /api/cart/clear
-// @access  Private
+// @access  Private (or guest with cart token)
 const clearCart = async (req, res) => {
   try {
-    const cart = await Cart.findOne({ userId: req.user.userId });
+    const cart = await Cart.findOne(cartOwner(req));
     if (!cart) {
       return res.status(404).json({
         success: false,
@@ -320,6 +343,9 @@ const clearCart = async (req, res) => {
 
     cart.clearCart();
     await cart.save();
+    if (req.user) {
+      await releaseCartHolds(req.user.userId);
+    }
 
     res.json({
       success: true,
@@ -340,7 +366,7 @@ const clearCart = async (req, res) => {
 
 // @desc    Apply coupon to cart
 // @route   POST /api/cart/coupon
-// @access  Private
+// @access  Private (or guest with cart token)
 const applyCoupon = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -353,9 +379,9 @@ const applyCoupon = async (req, res) => {
     }
 
     const { couponCode } = req.body;
-    const userId = req.user.userId;
+    const userId = req.user?.userId;
 
-    const cart = await Cart.findOne({ userId }).populate("items.productId");
+    const cart = await Cart.findOne(cartOwner(req)).populate("items.productId");
     if (!cart) {
       return res.status(404).json({
         success: false,
@@ -371,17 +397,7 @@ const applyCoupon = async (req, res) => {
       });
     }
 
-    // Prepare cart items for validation
-    const cartItems = cart.items.map(item => ({
-      productId: item.productId._id,
-      name: item.productId.name,
-      price: item.productId.price,
-      quantity: item.quantity,
-      category: item.productId.category,
-    }));
-
-    // Validate coupon using the Coupon model
-    const coupon = await validateCoupon(couponCode, cart.summary.totalPrice, userId, cartItems);
+    const coupon = await applyCouponToCart(cart, couponCode, userId);
     if (!coupon.valid) {
       return res.status(400).json({
         success: false,
@@ -389,18 +405,6 @@ const applyCoupon = async (req, res) => {
       });
     }
 
-    // Apply coupon to cart
-    cart.coupon = {
-      code: couponCode.toUpperCase(),
-      couponId: coupon.couponId,
-      discountType: coupon.discountType,
-      discountValue: coupon.discountValue,
-      calculatedDiscount: coupon.calculatedDiscount,
-      freeShipping: coupon.freeShipping || false,
-      minOrderValue: coupon.minOrderValue,
-    };
-
-    await cart.calculateTotals();
     await cart.save();
     await cart.populate("items.productId", "name price images inventory slug");
 
@@ -430,10 +434,10 @@ const applyCoupon = async (req, res) => {
 
 // @desc    Remove coupon from cart
 // @route   DELETE /api/cart/coupon
-// @access  Private
+// @access  Private (or guest with cart token)
 const removeCoupon = async (req, res) => {
   try {
-    const cart = await Cart.findOne({ userId: req.user.userId });
+    const cart = await Cart.findOne(cartOwner(req));
     if (!cart) {
       return res.status(404).json({
         success: false,
@@ -473,7 +477,7 @@ const removeCoupon = async (req, res) => {
 
 // @desc    Update shipping address
 // @route   PUT /api/cart/shipping
-// @access  Private
+// @access  Private (or guest with cart token)
 const updateShippingAddress = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -487,7 +491,7 @@ const updateShippingAddress = async (req, res) => {
 
     const { street, city, state, zipCode, country } = req.body;
 
-    const cart = await Cart.findOne({ userId: req.user.userId });
+    const cart = await Cart.findOne(cartOwner(req));
     if (!cart) {
       return res.status(404).json({
         success: false,
@@ -529,7 +533,7 @@ const updateShippingAddress = async (req, res) => {
 
 // @desc    Update cart notes
 // @route   PUT /api/cart/notes
-// @access  Private
+// @access  Private (or guest with cart token)
 const updateCartNotes = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -543,7 +547,7 @@ const updateCartNotes = async (req, res) => {
 
     const { notes } = req.body;
 
-    const cart = await Cart.findOne({ userId: req.user.userId });
+    const cart = await Cart.findOne(cartOwner(req));
     if (!cart) {
       return res.status(404).json({
         success: false,
@@ -572,6 +576,183 @@ const updateCartNotes = async (req, res) => {
   }
 };
 
+// @desc    Hold cart stock while the customer checks out
+// @route   POST /api/cart/hold
+// @access  Private
+const holdCart = async (req, res) => {
+  try {
+    const cart = await Cart.findOne(cartOwner(req));
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Cart is empty",
+      });
+    }
+
+    const hold = await holdCartStock(cart);
+    if (!hold.success) {
+      return res.status(409).json({
+        success: false,
+        message: "Some items are no longer available in the requested quantity",
+        data: {
+          unavailableItems: hold.unavailableItems,
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Cart items reserved",
+      data: {
+        expiresAt: hold.expiresAt,
+        items: hold.items,
+      },
+    });
+  } catch (error) {
+    console.error("Hold cart error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while reserving cart items",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Release cart stock holds
+// @route   DELETE /api/cart/hold
+// @access  Private
+const releaseCartHold = async (req, res) => {
+  try {
+    await releaseCartHolds(req.user.userId);
+
+    res.json({
+      success: true,
+      message: "Cart reservation released",
+    });
+  } catch (error) {
+    console.error("Release cart hold error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while releasing cart reservation",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Restore a cart from an abandoned cart reminder link
+// @route   POST /api/cart/recover
+// @access  Private
+const recoverCart = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const result = await restoreAbandonedCart(req.body.token, req.user.userId);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    const { recovery, unavailableItems } = result;
+    const cart = await result.cart.populate("items.productId");
+
+    // The reminder's coupon is applied unless the cart already has one
+    let couponMessage;
+    if (recovery.couponCode && !cart.coupon?.code && cart.items.length > 0) {
+      const coupon = await applyCouponToCart(cart, recovery.couponCode, req.user.userId);
+      couponMessage = coupon.message;
+      if (coupon.valid) await cart.save();
+    }
+
+    await cart.populate("items.productId", "name price images inventory slug");
+
+    res.json({
+      success: true,
+      message: "Cart restored",
+      data: {
+        cart: formatCartResponse(req, cart),
+        unavailableItems,
+        couponMessage,
+      },
+    });
+  } catch (error) {
+    console.error("Recover cart error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while restoring cart",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Start a guest cart
+// @route   POST /api/user/guest-cart
+// @access  Public
+const startGuestCart = async (req, res) => {
+  try {
+    const { cart, cartToken } = await createGuestCart();
+
+    res.status(201).json({
+      success: true,
+      message: "Guest cart created",
+      data: {
+        cartToken,
+        cart: formatCartResponse(req, cart),
+      },
+    });
+  } catch (error) {
+    console.error("Create guest cart error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while creating guest cart",
+      error: error.message,
+    });
+  }
+};
+
+// The cart handlers serve both /api/user/cart and the guest cart routes;
+// this is the filter for the cart the request is working on
+const cartOwner = (req) =>
+  req.user ? { userId: req.user.userId } : { sessionId: req.cartToken, isActive: true };
+
+// Validate a coupon for the cart and set it on the cart (not saved).
+// Expects cart.items.productId to be populated. Returns the validation result.
+const applyCouponToCart = async (cart, couponCode, userId) => {
+  // Prepare cart items for validation, at their sale prices
+  const cartItems = cart.items.map(item => ({
+    productId: item.productId._id,
+    name: item.productId.name,
+    price: item.discount?.discountedPrice || item.price,
+    quantity: item.quantity,
+    category: item.productId.category,
+  }));
+  const cartTotal = cartItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+  // Validate coupon using the Coupon model
+  const coupon = await validateCoupon(couponCode, cartTotal, userId, cartItems);
+  if (!coupon.valid) return coupon;
+
+  cart.coupon = {
+    code: couponCode.toUpperCase(),
+    couponId: coupon.couponId,
+    discountType: coupon.discountType,
+    discountValue: coupon.discountValue,
+    calculatedDiscount: coupon.calculatedDiscount,
+    freeShipping: coupon.freeShipping || false,
+    minOrderValue: coupon.minOrderValue,
+  };
+  await cart.calculateTotals();
+  return coupon;
+};
+
 // Helper function to validate coupon (using Coupon model)
 const validateCoupon = async (couponCode, cartTotal, userId, cartItems = []) => {
   try {
@@ -634,8 +815,11 @@ const updateCartItemsAvailability = async (cart) => {
       item.isAvailable = false;
       item.maxQuantity = 0;
     } else {
-      item.isAvailable = product.inventory.quantity > 0;
-      item.maxQuantity = Math.min(product.inventory.quantity, 10);
+      const available = await getSellableQuantity(product);
+      item.isAvailable = available > 0;
+      item.maxQuantity = Math.min(available, 10);
+      // Reprice so sales that started or ended since the item was added apply
+      item.set(getCartItemPricing(product));
 
       // Adjust quantity if it exceeds available stock
       if (item.quantity > item.maxQuantity) {
@@ -647,7 +831,7 @@ const updateCartItemsAvailability = async (cart) => {
 
 // @desc    Update selected shipping fee
 // @route   PATCH /api/cart/shipping-fee
-// @access  Private
+// @access  Private (or guest with cart token)
 const updateSelectedShippingFee = async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -660,9 +844,8 @@ const updateSelectedShippingFee = async (req, res) => {
     }
 
     const { shippingFeeId } = req.body;
-    const userId = req.user.userId;
 
-    const cart = await Cart.findOne({ userId });
+    const cart = await Cart.findOne(cartOwner(req));
     if (!cart) {
       return res.status(404).json({
         success: false,
@@ -755,4 +938,8 @@ module.exports = {
   updateShippingAddress,
   updateCartNotes,
   updateSelectedShippingFee,
+  holdCart,
+  releaseCartHold,
+  recoverCart,
+  startGuestCart,
 };
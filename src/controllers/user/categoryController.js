@@ -69,15 +69,14 @@ exports.getCategoryById = async (req, res) => {
     });
 
     const { formatImageArray } = require('../../utils/imageHelper');
+    const { getSaleFields } = require('../../utils/pricing');
 
     const categoryData = {
       ...category.toObject(),
       products: products.map(p => ({
         ...p.toObject(),
         images: formatImageArray(req, p.images),
-        isOnSale: p.discount?.isActive && (!p.discount?.endDate || new Date(p.discount.endDate) > new Date()),
-        discountPercentage: p.discount?.type === 'percentage' ? p.discount.value : 0,
-        discountedPrice: p.discount?.discountedPrice || p.price
+        ...getSaleFields(p)
       })),
       productsPagination: {
         currentPage: parseInt(page),
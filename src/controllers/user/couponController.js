@@ -1,6 +1,7 @@
 const Coupon = require("../../models/Coupon");
 const Cart = require("../../models/Cart");
 const { validationResult } = require("express-validator");
+const { getCurrentPrice } = require("../../utils/pricing");
 
 // @desc    Get available coupons for user
 // @route   GET /api/user/coupons
@@ -62,11 +63,11 @@ const validateCouponCode = async (req, res) => {
             if (cart && cart.items.length > 0) {
                 cartItems = cart.items.map(item => ({
                     productId: item.productId._id,
-                    price: item.productId.price,
+                    price: getCurrentPrice(item.productId),
                     quantity: item.quantity,
                     category: item.productId.category
                 }));
-                totalPrice = cart.summary.totalPrice;
+                totalPrice = cartItems.reduce((sum, item) => sum + (item.price * item.quantity), 0);
                 if (!validationEmail && req.user.email) {
                     validationEmail = req.user.email;
                 }
@@ -4,8 +4,38 @@ const Product = require("../../models/Product");
 const Cart = require("../../models/Cart");
 const Payment = require("../../models/Payment");
 const ShippingFee = require("../../models/ShippingFee");
+const PaymentSettings = require("../../models/PaymentSettings");
+const Return = require("../../models/Return");
+const CreditNote = require("../../models/CreditNote");
 const { validationResult } = require("express-validator");
-const { formatImageArray, formatImageUrl } = require("../../utils/imageHelper");
+const { byUser } = require("../../services/orderHistoryService");
+const { transitionOrder } = require("../../services/orderStateMachine");
+const { nextDocumentNumber } = require("../../services/documentNumberService");
+const { recordCartRecovery } = require("../../services/cartRecoveryService");
+const {
+  buildInvoiceData,
+  generateInvoicePdf,
+  generateCreditNotePdf,
+} = require("../../services/invoiceService");
+const {
+  reserveOrderStock,
+  restoreStock,
+  releaseCartHolds,
+  getSellableQuantity,
+} = require("../../services/inventoryService");
+const {
+  RETURN_WINDOW_DAYS,
+  generateReturnNumber,
+  getReturnDeadline,
+  getReturnedQuantities,
+  notifyReturnUpdate,
+} = require("../../services/returnService");
+const {
+  formatImageArray,
+  formatImageUrl,
+  stripImageArray,
+} = require("../../utils/imageHelper");
+const { getCurrentPrice, getCartItemPricing } = require("../../utils/pricing");
 
 // @desc    Get user's orders
 // @route   GET /api/user/orders
@@ -189,6 +219,9 @@ const getOrderById = async (req, res) => {
 // @route   POST /api/user/orders
 // @access  Private (User)
 const createOrder = async (req, res) => {
+  // Stock taken for this request, put back if the order isn't created
+  let reservedStock = null;
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -323,11 +356,12 @@ const createOrder = async (req, res) => {
         continue;
       }
 
-      if (product.inventory.quantity < item.quantity) {
+      const available = await getSellableQuantity(product);
+      if (available < item.quantity) {
         outOfStockItems.push({
           productId: product._id,
           name: product.name,
-          reason: `Only ${product.inventory.quantity} available in stock`,
+          reason: `Only ${available} available in stock`,
         });
         continue;
       }
@@ -347,14 +381,16 @@ const createOrder = async (req, res) => {
         }
       }
 
-      const itemTotal = product.price * item.quantity;
+      // Charged at the sale price while a sale is on
+      const price = getCurrentPrice(product);
+      const itemTotal = price * item.quantity;
       subtotal += itemTotal;
 
       // Build order item
       const orderItem = {
         productId: product._id,
         name: product.name,
-        price: product.price,
+        price,
         quantity: item.quantity,
         subtotal: itemTotal,
         image: formatImageUrl(req, product.images?.[0]),
@@ -392,6 +428,20 @@ const createOrder = async (req, res) => {
       });
     }
 
+    // Take the stock atomically so concurrent checkouts can't oversell
+    const orderId = new mongoose.Types.ObjectId();
+    const stock = await reserveOrderStock(orderItems, { userId, orderId });
+    if (!stock.success) {
+      return res.status(409).json({
+        success: false,
+        message: "Some items are no longer available in the requested quantity",
+        data: {
+          unavailableItems: stock.unavailableItems,
+        },
+      });
+    }
+    reservedStock = { items: orderItems, orderId };
+
     // Calculate totals
     let shippingFee = 0;
 
@@ -416,7 +466,12 @@ const createOrder = async (req, res) => {
     let discount = 0;
     let couponInfo = null;
 
-    if (cart && cart.coupon && cart.coupon.code) {
+    // Coupons applied before verification became mandatory are dropped
+    const couponsBlocked =
+      !req.user.isEmailVerified &&
+      (await PaymentSettings.requiresVerifiedEmail("coupons"));
+
+    if (cart && cart.coupon && cart.coupon.code && !couponsBlocked) {
       const Coupon = require("../../models/Coupon");
       const coupon = await Coupon.findById(cart.coupon.couponId);
 
@@ -453,6 +508,7 @@ const createOrder = async (req, res) => {
 
     // Create order
     const order = new Order({
+      _id: orderId,
       orderNumber,
       userId,
       isGuestOrder,
@@ -483,9 +539,13 @@ const createOrder = async (req, res) => {
       coupon: couponInfo,
       status: "pending",
       paymentStatus: "pending",
+      statusHistory: [
+        { field: "status", to: "pending", actor: "user", actorId: userId, note: "Order placed" },
+      ],
     });
 
     await order.save();
+    reservedStock = null;
 
     // Clear the cart if user is authenticated
     if (userId) {
@@ -504,10 +564,13 @@ const createOrder = async (req, res) => {
           coupon: undefined,
         }
       );
-    }
 
-    // Update product inventory
-    await updateProductInventory(orderItems);
+      // Holds on products that weren't ordered are no longer needed
+      releaseCartHolds(userId).catch(err => console.error("Failed to release cart holds:", err));
+
+      // Credit the order to an abandoned cart reminder, if one was sent
+      recordCartRecovery(order).catch(err => console.error("Failed to record cart recovery:", err));
+    }
 
     // Create pending payment record
     const payment = new Payment({
@@ -555,6 +618,10 @@ const createOrder = async (req, res) => {
       },
     });
   } catch (error) {
+    if (reservedStock) {
+      restoreStock(reservedStock.items, { type: "checkout_rollback", orderId: reservedStock.orderId })
+        .catch(err => console.error("Failed to restore stock:", err));
+    }
     console.error("Create order error:", error);
     res.status(500).json({
       success: false,
@@ -612,31 +679,35 @@ const cancelOrder = async (req, res) => {
       });
     }
 
-    // Update order status
-    order.status = "cancelled";
-    order.cancellationReason = reason || "Customer request";
-    order.cancelledAt = new Date();
-    order.updatedAt = new Date();
-    await order.save();
-
-    // Update payment status if exists
-    if (payment) {
-      payment.status = "cancelled";
-      await payment.save();
+    // Cancelling restores stock, voids a card authorization and cancels
+    // a payment that's still waiting
+    const cancellationReason = reason || "Customer request";
+    const transition = await transitionOrder(order, "cancelled", {
+      by: byUser(userId),
+      note: cancellationReason,
+      set: {
+        cancellation: {
+          reason: cancellationReason,
+          cancelledAt: new Date(),
+        },
+      },
+    });
+    if (!transition.success) {
+      return res.status(transition.conflict ? 409 : 400).json({
+        success: false,
+        message: transition.error,
+      });
     }
 
-    // Restore product inventory
-    await restoreProductInventory(order.items);
-
     res.json({
       success: true,
       message: "Order cancelled successfully",
       data: {
         order: {
-          _id: order._id,
-          orderNumber: order.orderNumber,
-          status: order.status,
-          cancellationReason: order.cancellationReason,
+          _id: transition.order._id,
+          orderNumber: transition.order.orderNumber,
+          status: transition.order.status,
+          cancellationReason: transition.order.cancellation.reason,
         },
       },
     });
@@ -671,7 +742,7 @@ const trackOrder = async (req, res) => {
       _id: orderId,
       userId: userId,
     }).select(
-      "orderNumber status trackingNumber shippingAddress shippingMethod createdAt updatedAt"
+      "orderNumber status trackingNumber shippingAddress shippingMethod statusHistory createdAt updatedAt"
     );
 
     if (!order) {
@@ -726,7 +797,7 @@ const requestReturn = async (req, res) => {
     }
 
     const { orderId } = req.params;
-    const { reason, items, comments } = req.body;
+    const { reason, items, comments, photos } = req.body;
     const userId = req.user.userId;
 
     const order = await Order.findOne({
@@ -749,55 +820,71 @@ const requestReturn = async (req, res) => {
       });
     }
 
-    // Check if return was already requested
-    if (order.returnStatus) {
+    if (new Date() > getReturnDeadline(order)) {
       return res.status(400).json({
         success: false,
-        message: `Return already ${order.returnStatus} for this order`,
+        message: `Return window has expired (${RETURN_WINDOW_DAYS} days from delivery)`,
       });
     }
 
-    // Calculate return window (30 days from delivery)
-    const returnWindow = new Date(order.updatedAt);
-    returnWindow.setDate(returnWindow.getDate() + 30);
+    // Each line can only be returned up to the quantity not already in a return
+    const alreadyReturned = await getReturnedQuantities(order._id);
+    const returnItems = [];
 
-    if (new Date() > returnWindow) {
-      return res.status(400).json({
-        success: false,
-        message: "Return window has expired (30 days from delivery)",
+    for (const { itemId, quantity, reason: itemReason } of items) {
+      const orderItem = order.items.id(itemId);
+      if (!orderItem) {
+        return res.status(400).json({
+          success: false,
+          message: `Item ${itemId} is not part of this order`,
+        });
+      }
+
+      const returnable = orderItem.quantity - (alreadyReturned.get(String(orderItem._id)) || 0);
+      if (quantity > returnable) {
+        return res.status(400).json({
+          success: false,
+          message: `Only ${returnable} of "${orderItem.name}" can still be returned`,
+        });
+      }
+
+      returnItems.push({
+        orderItemId: orderItem._id,
+        productId: orderItem.productId,
+        name: orderItem.name,
+        price: orderItem.price,
+        quantity,
+        reason: itemReason || reason,
       });
     }
 
-    // Update order with return request
-    order.returnStatus = "requested";
-    order.returnRequestedAt = new Date();
-    order.returnReason = reason;
-    order.returnComments = comments;
-    order.returnItems =
-      items ||
-      order.items.map((item) => ({
-        productId: item.productId,
-        quantity: item.quantity,
-        reason: reason,
-      }));
-    await order.save();
+    const rma = await Return.create({
+      returnNumber: await generateReturnNumber(),
+      orderId: order._id,
+      userId,
+      items: returnItems,
+      reason,
+      comments,
+      photos: stripImageArray(photos || []),
+    });
 
-    // TODO: Notify admin about return request
-    // sendReturnNotificationToAdmin(order);
+    notifyReturnUpdate(rma, order).catch(err => console.error("Failed to send return request emails:", err));
 
-    res.json({
+    res.status(201).json({
       success: true,
       message: "Return request submitted successfully",
       data: {
-        order: {
-          _id: order._id,
+        return: {
+          _id: rma._id,
+          returnNumber: rma.returnNumber,
           orderNumber: order.orderNumber,
-          returnStatus: order.returnStatus,
-          returnRequestedAt: order.returnRequestedAt,
+          status: rma.status,
+          items: rma.items,
+          requestedAt: rma.createdAt,
         },
         instructions: {
           nextSteps:
-            "Please wait for approval. We will contact you with return instructions.",
+            "Please wait for approval. We will email you return instructions.",
           contact: "support@yourstore.com",
           timeframe: "Processing usually takes 1-2 business days",
         },
@@ -813,6 +900,108 @@ const requestReturn = async (req, res) => {
   }
 };
 
+// @desc    Get user's return requests
+// @route   GET /api/user/orders/returns
+// @access  Private (User)
+const getUserReturns = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { page = 1, limit = 10, status } = req.query;
+
+    const filter = { userId: req.user.userId };
+    if (status) filter.status = status;
+
+    const [returns, totalReturns] = await Promise.all([
+      Return.find(filter)
+        .populate("orderId", "orderNumber")
+        .select("-handledBy")
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Return.countDocuments(filter),
+    ]);
+
+    const totalPages = Math.ceil(totalReturns / limit);
+
+    res.json({
+      success: true,
+      data: {
+        returns: returns.map((rma) => ({
+          ...rma.toObject(),
+          photos: formatImageArray(req, rma.photos),
+        })),
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalReturns,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get user returns error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching returns",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get a return request
+// @route   GET /api/user/orders/returns/:returnId
+// @access  Private (User)
+const getReturnById = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const rma = await Return.findOne({
+      _id: req.params.returnId,
+      userId: req.user.userId,
+    })
+      .populate("orderId", "orderNumber status deliveredAt")
+      .select("-handledBy");
+
+    if (!rma) {
+      return res.status(404).json({
+        success: false,
+        message: "Return not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...rma.toObject(),
+        photos: formatImageArray(req, rma.photos),
+      },
+    });
+  } catch (error) {
+    console.error("Get return error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching return",
+      error: error.message,
+    });
+  }
+};
+
 // @desc    Reorder previous order
 // @route   POST /api/user/orders/:orderId/reorder
 // @access  Private (User)
@@ -858,11 +1047,12 @@ const reorder = async (req, res) => {
         continue;
       }
 
-      if (product.inventory.quantity < item.quantity) {
+      const available = await getSellableQuantity(product);
+      if (available < item.quantity) {
         unavailableItems.push({
           productId: product._id,
           name: product.name,
-          reason: `Only ${product.inventory.quantity} available in stock (requested: ${item.quantity})`,
+          reason: `Only ${available} available in stock (requested: ${item.quantity})`,
         });
         continue;
       }
@@ -870,6 +1060,7 @@ const reorder = async (req, res) => {
       availableItems.push({
         productId: product._id,
         quantity: item.quantity,
+        product,
       });
     }
 
@@ -899,7 +1090,9 @@ const reorder = async (req, res) => {
         cart.items.push({
           productId: item.productId,
           quantity: item.quantity,
-          price: item.productId.price,
+          ...getCartItemPricing(item.product),
+          name: item.product.name,
+          image: item.product.images?.[0],
         });
       }
     }
@@ -960,22 +1153,7 @@ const calculateTax = (subtotal, state) => {
   return parseFloat((subtotal * taxRate).toFixed(2));
 };
 
-const generateOrderNumber = async () => {
-  const date = new Date();
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, "0");
-  const day = String(date.getDate()).padStart(2, "0");
-
-  const startOfDay = new Date(date.setHours(0, 0, 0, 0));
-  const endOfDay = new Date(date.setHours(23, 59, 59, 999));
-
-  const todaysOrderCount = await Order.countDocuments({
-    createdAt: { $gte: startOfDay, $lte: endOfDay },
-  });
-
-  const sequence = String(todaysOrderCount + 1).padStart(4, "0");
-  return `ORD-${year}${month}${day}-${sequence}`;
-};
+const generateOrderNumber = () => nextDocumentNumber("order");
 
 const getCustomerInfo = async (userId) => {
   const User = require("../../models/User");
@@ -988,61 +1166,58 @@ const getCustomerInfo = async (userId) => {
   };
 };
 
-const updateProductInventory = async (orderItems) => {
-  for (const item of orderItems) {
-    await Product.findByIdAndUpdate(item.productId, {
-      $inc: { "inventory.quantity": -item.quantity },
-    });
-  }
+// Customer-facing wording for each order and payment status
+const TIMELINE_STEPS = {
+  status: {
+    pending: { key: "ordered", title: "Order Placed", description: "Order placed", icon: "shopping-cart" },
+    confirmed: { title: "Order Confirmed", description: "Order confirmed", icon: "check-circle" },
+    processing: { title: "Processing", description: "Your order is being prepared for shipment", icon: "package" },
+    shipped: { title: "Shipped", description: "Order shipped", icon: "truck" },
+    delivered: { title: "Delivered", description: "Order delivered", icon: "home" },
+    completed: { title: "Completed", description: "Order completed", icon: "check-circle" },
+    cancelled: { title: "Cancelled", description: "Order cancelled", icon: "x-circle" },
+    returned: { title: "Returned", description: "Order returned", icon: "rotate-ccw" },
+    refunded: { title: "Refunded", description: "Order refunded", icon: "rotate-ccw" },
+  },
+  paymentStatus: {
+    authorized: { key: "payment", title: "Payment Authorized", description: "Payment authorized; you'll be charged when your order ships", icon: "credit-card" },
+    paid: { key: "payment", title: "Payment Confirmed", description: "Payment has been successfully processed", icon: "credit-card" },
+    refunded: { key: "refund", title: "Refunded", description: "Your payment has been refunded", icon: "rotate-ccw" },
+    partially_refunded: { key: "refund", title: "Partially Refunded", description: "Part of your payment has been refunded", icon: "rotate-ccw" },
+  },
 };
 
-const restoreProductInventory = async (orderItems) => {
-  for (const item of orderItems) {
-    await Product.findByIdAndUpdate(item.productId, {
-      $inc: { "inventory.quantity": item.quantity },
-    });
-  }
-};
-
-const generateTrackingTimeline = (order) => {
-  const timeline = [
-    {
-      status: "ordered",
-      description: "Order placed",
-      date: order.createdAt,
-      completed: true,
-    },
-  ];
-
-  if (["confirmed", "shipped", "delivered"].includes(order.status)) {
-    timeline.push({
-      status: "confirmed",
-      description: "Order confirmed",
-      date: order.updatedAt,
-      completed: true,
-    });
-  }
+// Timeline of what actually happened to the order, from its status history.
+// Admin notes and actors stay internal; only a cancellation reason is shown.
+const buildStatusTimeline = (order) => {
+  const history = [...(order.statusHistory || [])];
 
-  if (["shipped", "delivered"].includes(order.status)) {
-    timeline.push({
-      status: "shipped",
-      description: "Order shipped",
-      date: order.updatedAt,
-      completed: true,
-      trackingNumber: order.trackingNumber,
-    });
+  // Orders placed before the history existed only know their creation date
+  if (!history.some((entry) => entry.field === "status" && entry.to === "pending")) {
+    history.unshift({ field: "status", to: "pending", createdAt: order.createdAt });
   }
 
-  if (order.status === "delivered") {
-    timeline.push({
-      status: "delivered",
-      description: "Order delivered",
-      date: order.updatedAt,
-      completed: true,
+  return history
+    .filter((entry) => TIMELINE_STEPS[entry.field]?.[entry.to])
+    .map((entry) => {
+      const step = TIMELINE_STEPS[entry.field][entry.to];
+      return {
+        status: step.key || entry.to,
+        title: step.title,
+        description:
+          entry.to === "cancelled" && entry.note
+            ? `${step.description}: ${entry.note}`
+            : step.description,
+        date: entry.createdAt,
+        completed: true,
+        icon: step.icon,
+        ...(entry.to === "shipped" && { trackingNumber: order.trackingNumber }),
+      };
     });
-  }
+};
 
-  return timeline;
+const generateTrackingTimeline = (order) => {
+  return buildStatusTimeline(order).map(({ title, icon, ...step }) => step);
 };
 
 const calculateEstimatedDelivery = (orderDate, shippingMethod) => {
@@ -1063,6 +1238,9 @@ const calculateEstimatedDelivery = (orderDate, shippingMethod) => {
 // @route   POST /api/user/orders/guest
 // @access  Public
 const createGuestOrder = async (req, res) => {
+  // Stock taken for this request, put back if the order isn't created
+  let reservedStock = null;
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -1082,6 +1260,7 @@ const createGuestOrder = async (req, res) => {
       paymentMethod,
       notes,
       couponCode, // Added couponCode
+      cartToken,
     } = req.body;
 
     // Validate shipping address is provided
@@ -1100,7 +1279,24 @@ const createGuestOrder = async (req, res) => {
       });
     }
 
-    if (!items || items.length === 0) {
+    // Checking out a server-side guest cart: its items, coupon and notes are
+    // used unless the request sends its own
+    let guestCart = null;
+    if (cartToken) {
+      guestCart = await Cart.findBySession(cartToken);
+      if (!guestCart) {
+        return res.status(404).json({
+          success: false,
+          message: "Cart not found or expired",
+        });
+      }
+    }
+
+    const itemsToOrder = items?.length ? items : guestCart?.items || [];
+    const checkoutCouponCode = couponCode || guestCart?.coupon?.code;
+    const checkoutNotes = notes || guestCart?.notes;
+
+    if (itemsToOrder.length === 0) {
       return res.status(400).json({
         success: false,
         message: "Order items are required",
@@ -1112,7 +1308,7 @@ const createGuestOrder = async (req, res) => {
     let subtotal = 0;
     let outOfStockItems = [];
 
-    for (const item of items) {
+    for (const item of itemsToOrder) {
       const product = await Product.findById(item.productId);
 
       if (!product || product.status !== "active") {
@@ -1124,11 +1320,12 @@ const createGuestOrder = async (req, res) => {
         continue;
       }
 
-      if (product.inventory.quantity < item.quantity) {
+      const available = await getSellableQuantity(product);
+      if (available < item.quantity) {
         outOfStockItems.push({
           productId: product._id,
           name: product.name,
-          reason: `Only ${product.inventory.quantity} available in stock`,
+          reason: `Only ${available} available in stock`,
         });
         continue;
       }
@@ -1148,14 +1345,16 @@ const createGuestOrder = async (req, res) => {
         }
       }
 
-      const itemTotal = product.price * item.quantity;
+      // Charged at the sale price while a sale is on
+      const price = getCurrentPrice(product);
+      const itemTotal = price * item.quantity;
       subtotal += itemTotal;
 
       // Build order item
       const orderItem = {
         productId: product._id,
         name: product.name,
-        price: product.price,
+        price,
         quantity: item.quantity,
         subtotal: itemTotal,
         image: product.images?.[0],
@@ -1193,6 +1392,20 @@ const createGuestOrder = async (req, res) => {
       });
     }
 
+    // Take the stock atomically so concurrent checkouts can't oversell
+    const orderId = new mongoose.Types.ObjectId();
+    const stock = await reserveOrderStock(orderItems, { orderId });
+    if (!stock.success) {
+      return res.status(409).json({
+        success: false,
+        message: "Some items are no longer available in the requested quantity",
+        data: {
+          unavailableItems: stock.unavailableItems,
+        },
+      });
+    }
+    reservedStock = { items: orderItems, orderId };
+
     // Calculate totals
     let shippingFee = calculateShippingFee(shippingMethod, subtotal);
 
@@ -1211,9 +1424,9 @@ const createGuestOrder = async (req, res) => {
     // Coupon logic for guest
     let discount = 0;
     let couponInfo = null;
-    if (couponCode) {
+    if (checkoutCouponCode) {
       const Coupon = require("../../models/Coupon");
-      const coupon = await Coupon.findValidByCode(couponCode);
+      const coupon = await Coupon.findValidByCode(checkoutCouponCode);
       if (coupon) {
         // Prepare items for validation
         const canUse = await coupon.canBeUsedBy(null, subtotal, orderItems, customerInfo.email);
@@ -1263,15 +1476,15 @@ const createGuestOrder = async (req, res) => {
     })();
 
     const resolvedNotes = (() => {
-      if (!notes) return undefined;
+      if (!checkoutNotes) return undefined;
 
-      if (typeof notes === "string") {
-        const trimmed = notes.trim();
+      if (typeof checkoutNotes === "string") {
+        const trimmed = checkoutNotes.trim();
         return trimmed ? [{ content: trimmed }] : undefined;
       }
 
-      if (Array.isArray(notes)) {
-        const normalized = notes
+      if (Array.isArray(checkoutNotes)) {
+        const normalized = checkoutNotes
           .map((n) => {
             if (!n) return null;
             if (typeof n === "string") {
@@ -1294,6 +1507,7 @@ const createGuestOrder = async (req, res) => {
 
     // Create guest order
     const order = new Order({
+      _id: orderId,
       orderNumber,
       isGuestOrder: true,
       customer: {
@@ -1318,9 +1532,18 @@ const createGuestOrder = async (req, res) => {
       coupon: couponInfo,
       status: "pending",
       paymentStatus: "pending",
+      statusHistory: [
+        { field: "status", to: "pending", actor: "user", note: "Order placed" },
+      ],
     });
 
     await order.save();
+    reservedStock = null;
+
+    // The guest cart has been checked out
+    if (guestCart) {
+      await guestCart.deleteOne();
+    }
 
     // Record coupon usage after successful save
     if (couponInfo && couponInfo.couponId) {
@@ -1331,9 +1554,6 @@ const createGuestOrder = async (req, res) => {
       }
     }
 
-    // Update product inventory
-    await updateProductInventory(orderItems);
-
     // Create pending payment record
     const payment = new Payment({
       orderId: order._id,
@@ -1391,6 +1611,10 @@ const createGuestOrder = async (req, res) => {
       },
     });
   } catch (error) {
+    if (reservedStock) {
+      restoreStock(reservedStock.items, { type: "checkout_rollback", orderId: reservedStock.orderId })
+        .catch(err => console.error("Failed to restore stock:", err));
+    }
     console.error("Create guest order error:", error);
     res.status(500).json({
       success: false,
@@ -1417,7 +1641,7 @@ const trackGuestOrder = async (req, res) => {
     const order = await Order.findOne({
       orderNumber: orderNumber.toUpperCase(),
       "customer.email": email.toLowerCase(),
-    }).select("orderNumber status trackingNumber shippingAddress shippingMethod createdAt updatedAt items totals customer isGuestOrder");
+    }).select("orderNumber status trackingNumber shippingAddress shippingMethod statusHistory createdAt updatedAt items totals customer isGuestOrder");
 
     if (!order) {
       return res.status(404).json({
@@ -1479,7 +1703,7 @@ const getOrderTimeline = async (req, res) => {
     const order = await Order.findOne({
       _id: orderId,
       userId: userId,
-    }).select("orderNumber status trackingNumber statusHistory shippingMethod createdAt updatedAt deliveredAt shippedAt confirmedAt");
+    }).select("orderNumber status paymentStatus trackingNumber statusHistory shippingMethod createdAt updatedAt deliveredAt shippedAt confirmedAt");
 
     if (!order) {
       return res.status(404).json({
@@ -1488,96 +1712,11 @@ const getOrderTimeline = async (req, res) => {
       });
     }
 
-    // Build detailed timeline
-    const timeline = [];
-
-    // Order placed
-    timeline.push({
-      status: "placed",
-      title: "Order Placed",
-      description: `Order #${order.orderNumber} has been received`,
-      date: order.createdAt,
-      completed: true,
-      icon: "shopping-cart",
-    });
-
-    // Payment confirmed (if applicable)
-    if (order.paymentStatus === "paid" || ["confirmed", "processing", "shipped", "delivered"].includes(order.status)) {
-      timeline.push({
-        status: "payment",
-        title: "Payment Confirmed",
-        description: "Payment has been successfully processed",
-        date: order.confirmedAt || order.createdAt,
-        completed: true,
-        icon: "credit-card",
-      });
-    }
-
-    // Order confirmed
-    if (["confirmed", "processing", "shipped", "delivered"].includes(order.status)) {
-      timeline.push({
-        status: "confirmed",
-        title: "Order Confirmed",
-        description: "Your order has been confirmed and is being prepared",
-        date: order.confirmedAt || order.createdAt,
-        completed: true,
-        icon: "check-circle",
-      });
-    }
-
-    // Processing
-    if (["processing", "shipped", "delivered"].includes(order.status)) {
-      timeline.push({
-        status: "processing",
-        title: "Processing",
-        description: "Your order is being prepared for shipment",
-        date: order.updatedAt,
-        completed: true,
-        icon: "package",
-      });
-    }
-
-    // Shipped
-    if (["shipped", "delivered"].includes(order.status)) {
-      timeline.push({
-        status: "shipped",
-        title: "Shipped",
-        description: order.trackingNumber
-          ? `Package shipped with tracking number: ${order.trackingNumber}`
-          : "Your package has been shipped",
-        date: order.shippedAt || order.updatedAt,
-        completed: true,
-        icon: "truck",
-        trackingNumber: order.trackingNumber,
-      });
-    }
-
-    // Out for delivery (if status exists)
-    if (order.status === "out_for_delivery" || order.status === "delivered") {
-      timeline.push({
-        status: "out_for_delivery",
-        title: "Out for Delivery",
-        description: "Your package is out for delivery",
-        date: order.updatedAt,
-        completed: order.status === "delivered",
-        icon: "map-pin",
-      });
-    }
-
-    // Delivered
-    if (order.status === "delivered") {
-      timeline.push({
-        status: "delivered",
-        title: "Delivered",
-        description: "Package has been delivered successfully",
-        date: order.deliveredAt || order.updatedAt,
-        completed: true,
-        icon: "home",
-      });
-    }
+    // Build detailed timeline from the recorded history
+    const timeline = buildStatusTimeline(order);
 
     // Add estimated steps for non-delivered orders
-    if (!["delivered", "cancelled", "refunded"].includes(order.status)) {
+    if (!["delivered", "completed", "cancelled", "returned", "refunded"].includes(order.status)) {
       const estimatedDelivery = calculateEstimatedDelivery(order.createdAt, order.shippingMethod);
 
       if (order.status !== "shipped") {
@@ -1643,9 +1782,11 @@ const downloadInvoice = async (req, res) => {
       });
     }
 
-    // Generate invoice data (could be used to generate PDF)
+    // Issues the invoice number on first download
+    const invoice = await buildInvoiceData(order);
     const invoiceData = {
-      invoiceNumber: `INV-${order.orderNumber}`,
+      invoiceNumber: invoice.invoiceNumber,
+      invoiceDate: invoice.invoiceDate,
       orderNumber: order.orderNumber,
       orderDate: order.createdAt,
       customer: order.customer,
@@ -1658,9 +1799,11 @@ const downloadInvoice = async (req, res) => {
         subtotal: item.subtotal,
       })),
       totals: order.totals,
+      taxBreakdown: invoice.taxBreakdown,
       paymentMethod: order.paymentMethod,
       paymentStatus: order.paymentStatus,
       status: order.status,
+      company: invoice.company,
     };
 
     res.json({
@@ -1668,7 +1811,7 @@ const downloadInvoice = async (req, res) => {
       message: "Invoice data retrieved",
       data: {
         invoice: invoiceData,
-        downloadUrl: `/api/user/orders/${orderId}/invoice/pdf`, // Future PDF endpoint
+        downloadUrl: `/api/user/orders/${orderId}/invoice/pdf`,
       },
     });
   } catch (error) {
@@ -1681,6 +1824,138 @@ const downloadInvoice = async (req, res) => {
   }
 };
 
+// @desc    Download order invoice as PDF
+// @route   GET /api/user/orders/:orderId/invoice/pdf
+// @access  Private (User)
+const downloadInvoicePdf = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const userId = req.user.userId;
+
+    const order = await Order.findOne({
+      _id: orderId,
+      userId: userId,
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const pdf = await generateInvoicePdf(order);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="invoice-${order.invoice.number}.pdf"`
+    );
+    res.send(pdf);
+  } catch (error) {
+    console.error("Download invoice PDF error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while generating invoice",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get credit notes for an order
+// @route   GET /api/user/orders/:orderId/credit-notes
+// @access  Private (User)
+const getOrderCreditNotes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { orderId } = req.params;
+    const userId = req.user.userId;
+
+    const order = await Order.findOne({ _id: orderId, userId }).select("orderNumber");
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
+    }
+
+    const creditNotes = await CreditNote.find({ orderId })
+      .select("-issuedBy -transactionId -paymentId")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        creditNotes: creditNotes.map((note) => ({
+          ...note.toObject(),
+          downloadUrl: `/api/user/orders/${orderId}/credit-notes/${note._id}/pdf`,
+        })),
+      },
+    });
+  } catch (error) {
+    console.error("Get credit notes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching credit notes",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Download a credit note as PDF
+// @route   GET /api/user/orders/:orderId/credit-notes/:creditNoteId/pdf
+// @access  Private (User)
+const downloadCreditNotePdf = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { orderId, creditNoteId } = req.params;
+    const userId = req.user.userId;
+
+    const [order, creditNote] = await Promise.all([
+      Order.findOne({ _id: orderId, userId }),
+      CreditNote.findOne({ _id: creditNoteId, orderId }),
+    ]);
+    if (!order || !creditNote) {
+      return res.status(404).json({
+        success: false,
+        message: "Credit note not found",
+      });
+    }
+
+    const pdf = await generateCreditNotePdf(creditNote, order);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="credit-note-${creditNote.creditNoteNumber}.pdf"`
+    );
+    res.send(pdf);
+  } catch (error) {
+    console.error("Download credit note error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while generating credit note",
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   getUserOrders,
   getOrderById,
@@ -1688,9 +1963,14 @@ module.exports = {
   cancelOrder,
   trackOrder,
   requestReturn,
+  getUserReturns,
+  getReturnById,
   reorder,
   createGuestOrder,
   trackGuestOrder,
   getOrderTimeline,
   downloadInvoice,
+  downloadInvoicePdf,
+  getOrderCreditNotes,
+  downloadCreditNotePdf,
 };
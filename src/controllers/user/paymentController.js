@@ -3,6 +3,17 @@ const Payment = require("../../models/Payment");
 const Order = require("../../models/Order");
 const Transaction = require("../../models/Transaction");
 const PaymentSettings = require("../../models/PaymentSettings");
+const {
+  usesDelayedCapture,
+  chargeWithGateway,
+  authorizeWithGateway,
+} = require("../../services/paymentGateways");
+const { recordAuthorization } = require("../../services/paymentCaptureService");
+const { byUser, updateOrderWithHistory } = require("../../services/orderHistoryService");
+const {
+  releaseOrderStock,
+  reacquireOrderStock,
+} = require("../../services/inventoryService");
 const { validationResult } = require("express-validator");
 const mongoose = require("mongoose");
 
@@ -138,8 +149,47 @@ const processPayment = async (req, res) => {
       });
     }
 
-    // Process payment with payment gateway (simulated)
-    const paymentResult = await processWithPaymentGateway(payment, paymentToken);
+    // Card methods are authorized now and captured when the order ships
+    const delayedCapture = await usesDelayedCapture(payment.paymentMethod);
+    const gatewayOptions = { paymentToken, order: payment.orderId };
+    const paymentResult = delayedCapture
+      ? await authorizeWithGateway(payment, gatewayOptions)
+      : await chargeWithGateway(payment, gatewayOptions);
+
+    // Hosted payment page: the gateway webhook completes the payment
+    if (paymentResult.success && paymentResult.pending) {
+      await markAwaitingGateway(payment, paymentResult);
+
+      return res.json({
+        success: true,
+        message: "Redirect to the payment page to complete the payment",
+        data: {
+          payment,
+          redirectUrl: paymentResult.redirectUrl,
+        },
+      });
+    }
+
+    if (paymentResult.success && delayedCapture) {
+      payment.gatewayTransactionId = paymentResult.transactionId;
+      const transaction = await recordAuthorization(payment, paymentResult, byUser(req.user.userId));
+
+      if (savePaymentMethod) {
+        await saveUserPaymentMethod(req.user.userId, payment.paymentDetails);
+      }
+
+      return res.json({
+        success: true,
+        message: "Payment authorized. You will be charged when your order ships.",
+        data: {
+          payment,
+          transaction: {
+            id: transaction._id,
+            gatewayTransactionId: transaction.gatewayTransactionId,
+          },
+        },
+      });
+    }
 
     if (paymentResult.success) {
       // Update payment status
@@ -147,6 +197,9 @@ const processPayment = async (req, res) => {
       payment.paymentDate = new Date();
       payment.gatewayTransactionId = paymentResult.transactionId;
       payment.gatewayResponse = paymentResult.response;
+      payment.paymentDetails.paymentGateway = paymentResult.gateway;
+      payment.paymentDetails.transactionId = paymentResult.transactionId;
+      payment.paymentDetails.authorizationCode = paymentResult.authorizationCode;
 
       // Save payment method if requested
       if (savePaymentMethod) {
@@ -156,9 +209,11 @@ const processPayment = async (req, res) => {
       await payment.save();
 
       // Update order payment status
-      await Order.findByIdAndUpdate(payment.orderId, {
-        paymentStatus: "paid",
-      });
+      await updateOrderWithHistory(
+        payment.orderId,
+        { paymentStatus: "paid" },
+        { by: byUser(req.user.userId) }
+      );
 
       // Create transaction record
       const transaction = new Transaction({
@@ -192,6 +247,9 @@ const processPayment = async (req, res) => {
       payment.failureReason = paymentResult.error;
       await payment.save();
 
+      // Give the stock back; a retry takes it again
+      releaseOrderStock(payment.orderId._id, { type: "payment_failed" }).catch(err => console.error("Failed to release order stock:", err));
+
       // Create failed transaction record
       const transaction = new Transaction({
         paymentId: payment._id,
@@ -619,6 +677,18 @@ const retryPayment = async (req, res) => {
       payment.paymentDetails = sanitizePaymentDetails(paymentDetails, payment.paymentMethod);
     }
 
+    // Stock was given back when the payment failed
+    const stock = await reacquireOrderStock(payment.orderId);
+    if (!stock.success) {
+      return res.status(409).json({
+        success: false,
+        message: "Some items in this order are no longer in stock",
+        data: {
+          unavailableItems: stock.unavailableItems,
+        },
+      });
+    }
+
     // Reset payment status
     payment.status = "pending";
     payment.failureReason = null;
@@ -699,8 +769,42 @@ const processGuestPayment = async (req, res) => {
       });
     }
 
-    // Process payment with payment gateway (simulated)
-    const paymentResult = await processWithPaymentGateway(payment, paymentToken);
+    // Card methods are authorized now and captured when the order ships
+    const delayedCapture = await usesDelayedCapture(payment.paymentMethod);
+    const gatewayOptions = { paymentToken, order: payment.orderId };
+    const paymentResult = delayedCapture
+      ? await authorizeWithGateway(payment, gatewayOptions)
+      : await chargeWithGateway(payment, gatewayOptions);
+
+    // Hosted payment page: the gateway webhook completes the payment
+    if (paymentResult.success && paymentResult.pending) {
+      await markAwaitingGateway(payment, paymentResult);
+
+      return res.json({
+        success: true,
+        message: "Redirect to the payment page to complete the payment",
+        data: {
+          payment,
+          redirectUrl: paymentResult.redirectUrl,
+        },
+      });
+    }
+
+    if (paymentResult.success && delayedCapture) {
+      payment.gatewayTransactionId = paymentResult.transactionId;
+      const transaction = await recordAuthorization(payment, paymentResult, { actor: "user" });
+      return res.json({
+        success: true,
+        message: "Payment authorized. You will be charged when your order ships.",
+        data: {
+          payment,
+          transaction: {
+            id: transaction._id,
+            gatewayTransactionId: transaction.gatewayTransactionId,
+          },
+        },
+      });
+    }
 
     if (paymentResult.success) {
       // Update payment status
@@ -708,13 +812,14 @@ const processGuestPayment = async (req, res) => {
       payment.paymentDate = new Date();
       payment.gatewayTransactionId = paymentResult.transactionId;
       payment.gatewayResponse = paymentResult.response;
+      payment.paymentDetails.paymentGateway = paymentResult.gateway;
+      payment.paymentDetails.transactionId = paymentResult.transactionId;
+      payment.paymentDetails.authorizationCode = paymentResult.authorizationCode;
 
       await payment.save();
 
       // Update order payment status
-      await Order.findByIdAndUpdate(payment.orderId._id, {
-        paymentStatus: "paid",
-      });
+      await updateOrderWithHistory(payment.orderId._id, { paymentStatus: "paid" }, { by: { actor: "user" } });
 
       // Create transaction record
       const transaction = new Transaction({
@@ -748,6 +853,9 @@ const processGuestPayment = async (req, res) => {
       payment.failureReason = paymentResult.error;
       await payment.save();
 
+      // Give the stock back; a retry takes it again
+      releaseOrderStock(payment.orderId._id, { type: "payment_failed" }).catch(err => console.error("Failed to release order stock:", err));
+
       // Create failed transaction record
       const transaction = new Transaction({
         paymentId: payment._id,
@@ -847,46 +955,12 @@ const sanitizePaymentDetails = (paymentDetails, paymentMethod) => {
   return sanitized;
 };
 
-const processWithPaymentGateway = async (payment, paymentToken) => {
-  try {
-    // Simulate API call to payment gateway
-    await new Promise((resolve) => setTimeout(resolve, 1000));
-
-    // Simulate success 95% of the time
-    const isSuccess = Math.random() < 0.95;
-
-    if (isSuccess) {
-      return {
-        success: true,
-        transactionId: `TXN_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        response: {
-          gateway: "simulated_gateway",
-          status: "succeeded",
-          authorizationCode: `AUTH_${Math.random().toString(36).substr(2, 8)}`,
-        },
-      };
-    } else {
-      return {
-        success: false,
-        error: "Insufficient funds",
-        response: {
-          gateway: "simulated_gateway",
-          status: "failed",
-          decline_code: "insufficient_funds",
-        },
-      };
-    }
-  } catch (error) {
-    return {
-      success: false,
-      error: "Payment gateway error",
-      response: {
-        gateway: "simulated_gateway",
-        status: "error",
-        error: error.message,
-      },
-    };
-  }
+const markAwaitingGateway = async (payment, paymentResult) => {
+  payment.status = "processing";
+  payment.gatewayTransactionId = paymentResult.transactionId;
+  payment.gatewayResponse = paymentResult.response;
+  payment.paymentDetails.paymentGateway = paymentResult.gateway;
+  await payment.save();
 };
 
 const saveUserPaymentMethod = async (userId, paymentDetails) => {
@@ -2,6 +2,15 @@ const User = require("../../models/User");
 const Order = require("../../models/Order");
 const { validationResult } = require("express-validator");
 const { formatImageUrl } = require("../../utils/imageHelper");
+const {
+  createSession,
+  revokeAllSessions,
+  listActiveSessions,
+  revokeOwnedSession,
+} = require("../../services/tokenService");
+const { eraseUserAccount } = require("../../services/accountDeletionService");
+const { exportUserData } = require("../../services/dataExportService");
+const { sendAccountDeletionEmail } = require("../../services/emailService");
 
 // @desc    Get user profile
 // @route   GET /api/user/profile
@@ -191,12 +200,17 @@ const changePassword = async (req, res) => {
       });
     }
 
-    // Update password
-    user.password = newPassword;
+    // Hash and update password
+    const bcrypt = require("bcryptjs");
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(newPassword, salt);
     user.updatedAt = new Date();
 
     await user.save();
 
+    // Sign out every other device; the current session stays logged in
+    await revokeAllSessions("User", user._id, "password_changed", req.user.sessionId);
+
     res.json({
       success: true,
       message: "Password changed successfully",
@@ -225,7 +239,7 @@ const updatePreferences = async (req, res) => {
       });
     }
 
-    const { newsletter, notifications, emailFrequency, theme } = req.body;
+    const { newsletter, notifications, emailFrequency, theme, wishlistAlerts, cartReminders } = req.body;
 
     const user = await User.findById(req.user.userId);
     if (!user) {
@@ -241,6 +255,10 @@ const updatePreferences = async (req, res) => {
       user.preferences.notifications = notifications;
     if (emailFrequency) user.preferences.emailFrequency = emailFrequency;
     if (theme) user.preferences.theme = theme;
+    if (wishlistAlerts !== undefined)
+      user.preferences.emailNotifications.wishlistAlerts = wishlistAlerts;
+    if (cartReminders !== undefined)
+      user.preferences.emailNotifications.cartReminders = cartReminders;
 
     user.updatedAt = new Date();
     await user.save();
@@ -322,7 +340,7 @@ const deleteAccount = async (req, res) => {
       });
     }
 
-    const { password, reason } = req.body;
+    const { password } = req.body;
 
     const user = await User.findById(req.user.userId);
     if (!user) {
@@ -341,17 +359,13 @@ const deleteAccount = async (req, res) => {
       });
     }
 
-    // Soft delete - mark as inactive instead of actually deleting
-    user.isActive = false;
-    user.deactivatedAt = new Date();
-    user.deactivationReason = reason || "User requested account deletion";
-    await user.save();
-
-    // TODO: In a real application, you might want to:
-    // 1. Cancel any pending orders
-    // 2. Anonymize personal data
-    // 3. Send confirmation email
-    // 4. Log out all active sessions
+    const outcome = await eraseUserAccount(user);
+    if (outcome === "postponed") {
+      return res.status(400).json({
+        success: false,
+        message: "You have an order on its way. Your account can be deleted once it has been delivered.",
+      });
+    }
 
     res.json({
       success: true,
@@ -457,14 +471,18 @@ const reactivateAccount = async (req, res) => {
     user.reactivatedAt = new Date();
     await user.save();
 
-    // Generate new token
-    const token = user.generateAuthToken();
+    // Start a new session
+    const { token, refreshToken, expiresIn, refreshTokenExpiresAt } =
+      await createSession("User", user, req);
 
     res.json({
       success: true,
       message: "Account reactivated successfully",
       data: {
         token,
+        refreshToken,
+        expiresIn,
+        refreshTokenExpiresAt,
         user: {
           _id: user._id,
           username: user.username,
@@ -999,6 +1017,332 @@ const clearCompareList = async (req, res) => {
   }
 };
 
+// ==================== WISHLIST ====================
+
+// @desc    Get wishlist
+// @route   GET /api/user/profile/wishlist
+// @access  Private (User)
+const getWishlist = async (req, res) => {
+  try {
+    const { getCurrentPrice } = require("../../utils/pricing");
+
+    const user = await User.findById(req.user.userId)
+      .select("wishlist")
+      .populate({
+        path: "wishlist.productId",
+        select: "name price comparePrice discount images seo.slug category inventory status productType ratings",
+      });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    // Filter out deleted products
+    const wishlist = user.wishlist
+      .filter(item => item.productId)
+      .map(item => {
+        const product = item.productId;
+        const currentPrice = getCurrentPrice(product);
+        const priceWhenAdded = item.priceWhenAdded ?? currentPrice;
+
+        return {
+          _id: item._id,
+          product: {
+            _id: product._id,
+            name: product.name,
+            slug: product.seo?.slug,
+            category: product.category,
+            productType: product.productType,
+            image: product.images?.[0] ? formatImageUrl(req, product.images[0]) : null,
+            ratings: product.ratings,
+            status: product.status,
+          },
+          priceWhenAdded,
+          currentPrice,
+          priceDifference: Math.round((currentPrice - priceWhenAdded) * 100) / 100,
+          hasPriceDropped: currentPrice < priceWhenAdded,
+          inStock: product.status === "active" && product.inventory?.quantity > 0,
+          addedAt: item.addedAt,
+        };
+      });
+
+    res.json({
+      success: true,
+      data: {
+        wishlist,
+        count: wishlist.length,
+      },
+    });
+  } catch (error) {
+    console.error("Get wishlist error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching wishlist",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Add product to wishlist
+// @route   POST /api/user/profile/wishlist/:productId
+// @access  Private (User)
+const addToWishlist = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { productId } = req.params;
+    const Product = require("../../models/Product");
+    const { getCurrentPrice } = require("../../utils/pricing");
+
+    // Verify product exists
+    const product = await Product.findById(productId).select("name price discount status");
+    if (!product || product.status === "draft") {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const result = await user.addToWishlist(productId, getCurrentPrice(product));
+
+    if (!result.added) {
+      return res.status(400).json({
+        success: false,
+        message: result.message,
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `${product.name} added to wishlist`,
+      data: {
+        wishlistCount: user.wishlist.length,
+        priceWhenAdded: user.wishlist[0].priceWhenAdded,
+      },
+    });
+  } catch (error) {
+    console.error("Add to wishlist error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating wishlist",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Remove product from wishlist
+// @route   DELETE /api/user/profile/wishlist/:productId
+// @access  Private (User)
+const removeFromWishlist = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const result = await user.removeFromWishlist(req.params.productId);
+
+    if (!result.removed) {
+      return res.status(404).json({
+        success: false,
+        message: result.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.message,
+      data: {
+        wishlistCount: user.wishlist.length,
+      },
+    });
+  } catch (error) {
+    console.error("Remove from wishlist error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while updating wishlist",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Clear wishlist
+// @route   DELETE /api/user/profile/wishlist
+// @access  Private (User)
+const clearWishlist = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    user.wishlist = [];
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Wishlist cleared",
+    });
+  } catch (error) {
+    console.error("Clear wishlist error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while clearing wishlist",
+      error: error.message,
+    });
+  }
+};
+
+// ==================== SESSIONS & LOGIN HISTORY ====================
+
+// @desc    Get active sessions (devices)
+// @route   GET /api/user/profile/sessions
+// @access  Private (User)
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await listActiveSessions("User", req.user.userId, req.user.sessionId);
+
+    res.json({
+      success: true,
+      data: {
+        sessions,
+        count: sessions.length,
+      },
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching sessions",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Revoke a session (log out that device)
+// @route   DELETE /api/user/profile/sessions/:sessionId
+// @access  Private (User)
+const revokeUserSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const session = await revokeOwnedSession("User", req.user.userId, req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found or already revoked",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Session revoked successfully",
+      data: {
+        sessionId: session._id,
+        wasCurrentSession: session._id.toString() === req.user.sessionId.toString(),
+      },
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while revoking session",
+      error: error.message,
+    });
+  }
+};
+
+// @desc    Get login history
+// @route   GET /api/user/profile/login-history
+// @access  Private (User)
+const getLoginHistory = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const LoginHistory = require("../../models/LoginHistory");
+    const { page = 1, limit = 20 } = req.query;
+
+    const filter = { ownerType: "User", ownerId: req.user.userId };
+
+    const [history, total] = await Promise.all([
+      LoginHistory.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit * 1)
+        .select("-ownerType -ownerId -__v"),
+      LoginHistory.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        history,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get login history error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while fetching login history",
+      error: error.message,
+    });
+  }
+};
+
 // ==================== ACCOUNT DELETION REQUEST ====================
 
 // @desc    Request account deletion (with grace period)
@@ -1041,13 +1385,13 @@ const requestAccountDeletion = async (req, res) => {
     user.deletionRequest = {
       requested: true,
       requestedAt: new Date(),
-      scheduledDeletion: scheduledDate,
+      scheduledDeletionAt: scheduledDate,
       reason: reason || "No reason provided",
     };
 
     await user.save();
 
-    // TODO: Send email notification about deletion request
+    sendAccountDeletionEmail(user.email, user.profile?.firstName, scheduledDate).catch(err => console.error("Failed to send account deletion email:", err));
 
     res.json({
       success: true,
@@ -1090,7 +1434,7 @@ const cancelDeletionRequest = async (req, res) => {
     user.deletionRequest = {
       requested: false,
       requestedAt: null,
-      scheduledDeletion: null,
+      scheduledDeletionAt: null,
       reason: null,
     };
 
@@ -1110,6 +1454,38 @@ const cancelDeletionRequest = async (req, res) => {
   }
 };
 
+// @desc    Download everything stored about the user
+// @route   GET /api/user/profile/export
+// @access  Private (User)
+const exportPersonalData = async (req, res) => {
+  try {
+    const data = await exportUserData(req.user.userId);
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const date = data.exportedAt.toISOString().slice(0, 10);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="mk-dental-data-${req.user.userId}-${date}.json"`
+    );
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error("Export personal data error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error while exporting personal data",
+      error: error.message,
+    });
+  }
+};
+
 module.exports = {
   getUserProfile,
   updateUserProfile,
@@ -1132,7 +1508,17 @@ module.exports = {
   getCompareList,
   toggleCompareProduct,
   clearCompareList,
+  // Wishlist
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  clearWishlist,
+  // Sessions
+  getSessions,
+  revokeUserSession,
+  getLoginHistory,
   // Account deletion
   requestAccountDeletion,
   cancelDeletionRequest,
+  exportPersonalData,
 };
@@ -1,5 +1,19 @@
 const jwt = require("jsonwebtoken");
 const Admin = require("../models/Admin");
+const {
+  findActiveSession,
+  touchSession,
+  isStepUpFresh,
+} = require("../services/tokenService");
+const { ALL_PERMISSIONS } = require("../utils/permissions");
+
+// Fail at startup on a misspelled permission rather than locking out a route
+const assertKnownPermissions = (permissions) => {
+  const unknown = permissions.filter(permission => !ALL_PERMISSIONS.includes(permission));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown admin permission: ${unknown.join(", ")}`);
+  }
+};
 
 const adminAuth = async (req, res, next) => {
   try {
@@ -14,7 +28,7 @@ const adminAuth = async (req, res, next) => {
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    // Check if user is admin
+    // Check if token belongs to an admin (any admin role)
     if (decoded.role !== "admin") {
       return res.status(403).json({
         success: false,
@@ -31,8 +45,23 @@ const adminAuth = async (req, res, next) => {
       });
     }
 
+    // Reject tokens whose session was logged out or revoked
+    const session = await findActiveSession(decoded, "Admin", admin._id);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: "Session has expired or been revoked. Please log in again.",
+      });
+    }
+    touchSession(session, req);
+
     req.admin = {
       ...decoded,
+      sessionId: session._id,
+      adminRole: admin.role,
+      permissions: admin.getEffectivePermissions(),
+      twoFactorEnabled: !!admin.twoFactor?.enabled,
+      stepUpVerifiedAt: session.stepUpVerifiedAt,
       profile: admin.profile,
     };
 
@@ -61,10 +90,67 @@ const adminAuth = async (req, res, next) => {
   }
 };
 
-// Permission middleware (no-op, always allow)
-const requirePermission = () => (req, res, next) => next();
-// Check permission middleware (no-op, always allow)
-const checkPermission = () => (req, res, next) => next();
+// Permission middleware - admin must hold every listed permission
+// (use after adminAuth)
+const requirePermission = (...permissions) => {
+  assertKnownPermissions(permissions);
+
+  return (req, res, next) => {
+    const granted = req.admin?.permissions || [];
+    const missing = permissions.filter(permission => !granted.includes(permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Required permission: ${missing.join(", ")}`,
+      });
+    }
+
+    next();
+  };
+};
+
+// Check permission middleware - admin must hold at least one listed permission
+// (use after adminAuth)
+const checkPermission = (...permissions) => {
+  assertKnownPermissions(permissions);
+
+  return (req, res, next) => {
+    const granted = req.admin?.permissions || [];
+
+    if (!permissions.some(permission => granted.includes(permission))) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Requires one of: ${permissions.join(", ")}`,
+      });
+    }
+
+    next();
+  };
+};
+
+// Step-up middleware for sensitive actions (refunds, gateway credentials,
+// deleting admins). Requires 2FA to be enabled and a recent
+// POST /api/admin/auth/2fa/step-up on the current session (use after adminAuth)
+const requireStepUp = (req, res, next) => {
+  if (!req.admin?.twoFactorEnabled) {
+    return res.status(403).json({
+      success: false,
+      message: "Two-factor authentication must be enabled to perform this action",
+      stepUpRequired: true,
+    });
+  }
+
+  if (!isStepUpFresh(req.admin.stepUpVerifiedAt)) {
+    return res.status(403).json({
+      success: false,
+      message: "Please confirm this action with your two-factor authentication code",
+      stepUpRequired: true,
+    });
+  }
+
+  next();
+};
 
 // Super Admin only middleware
 const isSuperAdmin = async (req, res, next) => {
@@ -93,5 +179,6 @@ module.exports = {
   adminAuth,
   requirePermission,
   checkPermission,
+  requireStepUp,
   isSuperAdmin,
 };
@@ -0,0 +1,20 @@
+const { CART_TOKEN_HEADER } = require("../services/cartService");
+
+// Guest cart routes identify the cart by the token issued when it was created
+const requireCartToken = (req, res, next) => {
+  const cartToken = req.header(CART_TOKEN_HEADER);
+
+  if (!cartToken) {
+    return res.status(401).json({
+      success: false,
+      message: `Cart token required in the ${CART_TOKEN_HEADER} header`,
+    });
+  }
+
+  req.cartToken = cartToken;
+  next();
+};
+
+module.exports = {
+  requireCartToken,
+};
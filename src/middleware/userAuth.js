@@ -1,6 +1,8 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
 const Admin = require("../models/Admin");
+const PaymentSettings = require("../models/PaymentSettings");
+const { findActiveSession, touchSession } = require("../services/tokenService");
 
 const userAuth = async (req, res, next) => {
   try {
@@ -32,8 +34,20 @@ const userAuth = async (req, res, next) => {
       });
     }
 
+    // Reject tokens whose session was logged out or revoked
+    const session = await findActiveSession(decoded, "User", user._id);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: "Session has expired or been revoked. Please log in again.",
+      });
+    }
+    touchSession(session, req);
+
     req.user = {
       ...decoded,
+      sessionId: session._id,
+      isEmailVerified: user.isEmailVerified,
       profile: user.profile,
       preferences: user.preferences,
       address: user.address,
@@ -99,17 +113,21 @@ const optionalAuth = async (req, res, next) => {
 
     if (decoded.role === "user") {
       const user = await User.findById(decoded.userId).select("-password");
-      if (user && user.isActive) {
+      const session = user && (await findActiveSession(decoded, "User", user._id));
+      if (user && user.isActive && session) {
         req.user = {
           ...decoded,
+          sessionId: session._id,
+          isEmailVerified: user.isEmailVerified,
           profile: user.profile,
           preferences: user.preferences,
         };
       }
     } else if (decoded.role === "admin") {
       const admin = await Admin.findById(decoded.adminId).select("-password");
-      if (admin && admin.isActive) {
-        req.admin = decoded;
+      const session = admin && (await findActiveSession(decoded, "Admin", admin._id));
+      if (admin && admin.isActive && session) {
+        req.admin = { ...decoded, sessionId: session._id };
       }
     }
 
@@ -121,8 +139,39 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Verified email middleware - blocks "checkout" or "coupons" for unverified
+// accounts when enabled in payment settings. Guests are not affected.
+const requireVerifiedEmail = (action) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user || req.user.isEmailVerified) {
+        return next();
+      }
+
+      if (await PaymentSettings.requiresVerifiedEmail(action)) {
+        return res.status(403).json({
+          success: false,
+          message:
+            action === "coupons"
+              ? "Please verify your email address before using coupons"
+              : "Please verify your email address before placing an order",
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error("Email verification check error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error during authorization check",
+      });
+    }
+  };
+};
+
 module.exports = {
   userAuth,
   requireUserPermission,
+  requireVerifiedEmail,
   optionalAuth,
 };
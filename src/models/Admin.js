@@ -1,5 +1,7 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { ADMIN_ROLES, ALL_PERMISSIONS, resolvePermissions } = require("../utils/permissions");
+const { verifyCode, hashRecoveryCode } = require("../utils/totp");
 
 const adminSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
@@ -7,9 +9,14 @@ const adminSchema = new mongoose.Schema({
   password: { type: String, required: true },
   role: {
     type: String,
-    enum: ["admin", "superadmin"], // Added superadmin as it was used in middleware
+    enum: ADMIN_ROLES,
     default: "admin",
   },
+  // Per-admin adjustments on top of the role's permission bundle
+  permissionOverrides: {
+    granted: [{ type: String, enum: ALL_PERMISSIONS }],
+    revoked: [{ type: String, enum: ALL_PERMISSIONS }],
+  },
   profile: {
     firstName: { type: String, required: true },
     lastName: { type: String, required: true },
@@ -21,6 +28,17 @@ const adminSchema = new mongoose.Schema({
     lastRequestedAt: { type: Date },
     attempts: { type: Number, default: 0 }, // Track failed attempts
   },
+  // TOTP two-factor authentication
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false }, // Base32 TOTP secret
+    pendingSecret: { type: String, select: false }, // Set during enrolment until confirmed
+    recoveryCodes: { type: [String], select: false }, // Hashed one-time codes
+    lastUsedStep: { type: Number, select: false }, // Blocks replay of the same code
+    failedAttempts: { type: Number, default: 0 },
+    lockedUntil: { type: Date },
+    enabledAt: { type: Date },
+  },
   lastLogin: { type: Date, default: Date.now },
   isActive: { type: Boolean, default: true },
   createdAt: { type: Date, default: Date.now },
@@ -31,4 +49,42 @@ adminSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Method to get the permissions this admin actually holds
+adminSchema.methods.getEffectivePermissions = function () {
+  return resolvePermissions(this.role, this.permissionOverrides);
+};
+
+// Method to check a single permission
+adminSchema.methods.hasPermission = function (permission) {
+  return this.getEffectivePermissions().includes(permission);
+};
+
+// Method to verify a TOTP code or a recovery code (requires the twoFactor
+// secret fields to be selected). Caller must save the admin afterwards.
+adminSchema.methods.verifyTwoFactor = function ({ code, recoveryCode }) {
+  if (!this.twoFactor?.enabled || !this.twoFactor.secret) {
+    return { valid: false };
+  }
+
+  if (code) {
+    const step = verifyCode(this.twoFactor.secret, code);
+    if (step !== null && step > (this.twoFactor.lastUsedStep || 0)) {
+      this.twoFactor.lastUsedStep = step;
+      return { valid: true, method: "totp" };
+    }
+    return { valid: false };
+  }
+
+  if (recoveryCode) {
+    const index = this.twoFactor.recoveryCodes.indexOf(hashRecoveryCode(recoveryCode));
+    if (index !== -1) {
+      // Recovery codes are single use
+      this.twoFactor.recoveryCodes.splice(index, 1);
+      return { valid: true, method: "recovery_code" };
+    }
+  }
+
+  return { valid: false };
+};
+
 module.exports = mongoose.model("Admin", adminSchema);
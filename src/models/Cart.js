@@ -1,4 +1,9 @@
 const mongoose = require("mongoose");
+const { getCartItemPricing } = require("../utils/pricing");
+
+// Days a cart is kept without being touched: guest carts are then deleted
+// and user carts emptied
+const CART_TTL_DAYS = parseInt(process.env.CART_TTL_DAYS) || 30;
 
 const cartItemSchema = new mongoose.Schema({
   productId: {
@@ -68,11 +73,12 @@ const cartItemSchema = new mongoose.Schema({
 });
 
 const cartSchema = new mongoose.Schema({
+  // A cart belongs to a user, or to a guest holding its cart token (sessionId)
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
-    required: true,
     unique: true,
+    sparse: true,
   },
   sessionId: {
     type: String,
@@ -141,9 +147,24 @@ const cartSchema = new mongoose.Schema({
   },
 });
 
+// Guest carts are deleted once they expire
+cartSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: 0, partialFilterExpression: { sessionId: { $exists: true } } }
+);
+
+cartSchema.pre("validate", function (next) {
+  if (!this.userId && !this.sessionId) {
+    this.invalidate("userId", "A cart needs a user or a guest cart token");
+  }
+  next();
+});
+
 // Middleware to update updatedAt timestamp
 cartSchema.pre("save", function (next) {
   this.updatedAt = Date.now();
+  // Carts stay alive while they are being used
+  this.expiresAt = new Date(Date.now() + CART_TTL_DAYS * 24 * 60 * 60 * 1000);
   next();
 });
 
@@ -219,6 +240,7 @@ cartSchema.methods.addItem = function (product, quantity = 1) {
     if (newQuantity <= availableStock) {
       this.items[existingItemIndex].quantity = newQuantity;
       this.items[existingItemIndex].maxQuantity = availableStock;
+      this.items[existingItemIndex].set(getCartItemPricing(product));
       this.calculateTotals();
       return { success: true, quantity: newQuantity };
     } else {
@@ -245,7 +267,7 @@ cartSchema.methods.addItem = function (product, quantity = 1) {
     const cartItem = {
       productId: product._id,
       quantity: quantity,
-      price: product.price,
+      ...getCartItemPricing(product),
       name: product.name,
       image: product.images?.[0],
       sku: product.sku,
@@ -332,39 +354,4 @@ cartSchema.statics.findBySession = function (sessionId) {
   return this.findOne({ sessionId, isActive: true });
 };
 
-// Static method to merge guest cart with user cart
-cartSchema.statics.mergeCarts = async function (guestCartId, userId) {
-  const guestCart = await this.findById(guestCartId);
-  const userCart = await this.findOne({ userId });
-
-  if (!guestCart) return userCart;
-
-  if (!userCart) {
-    // If user doesn't have a cart, convert guest cart to user cart
-    guestCart.userId = userId;
-    guestCart.sessionId = undefined;
-    return await guestCart.save();
-  }
-
-  // Merge items from guest cart to user cart
-  guestCart.items.forEach((guestItem) => {
-    userCart.addItem(
-      {
-        _id: guestItem.productId,
-        price: guestItem.price,
-        name: guestItem.name,
-        images: guestItem.image ? [guestItem.image] : [],
-        sku: guestItem.sku,
-        inventory: { quantity: guestItem.maxQuantity },
-      },
-      guestItem.quantity
-    );
-  });
-
-  await userCart.save();
-  await guestCart.deleteOne(); // Remove guest cart after merge
-
-  return userCart;
-};
-
 module.exports = mongoose.model("Cart", cartSchema);
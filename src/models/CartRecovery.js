@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+
+// One abandoned cart and the reminder emails sent about it. Stays open
+// until the customer orders (recovered) or the attribution window after
+// the last reminder runs out (expired).
+const cartRecoverySchema = new mongoose.Schema(
+  {
+    cartId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Cart",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // What was in the cart when it was abandoned, to restore it from
+    items: [
+      {
+        _id: false,
+        productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+        name: { type: String },
+        quantity: { type: Number },
+        price: { type: Number },
+      },
+    ],
+    cartTotal: { type: Number, default: 0 },
+    status: {
+      type: String,
+      enum: ["open", "recovered", "expired"],
+      default: "open",
+    },
+    remindersSent: { type: Number, default: 0 },
+    reminders: [
+      {
+        _id: false,
+        step: { type: Number },
+        sentAt: { type: Date },
+        couponCode: { type: String },
+      },
+    ],
+    lastReminderAt: { type: Date },
+    // Single-use coupon created for one of the reminders
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+    couponCode: { type: String },
+    clickedAt: { type: Date },
+    recoveredAt: { type: Date },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    recoveredRevenue: { type: Number, default: 0 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+// A cart has at most one open recovery at a time
+cartRecoverySchema.index(
+  { cartId: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+cartRecoverySchema.index({ userId: 1, status: 1 });
+cartRecoverySchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("CartRecovery", cartRecoverySchema);
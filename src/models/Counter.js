@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// Named sequences for human-facing document numbers (orders, invoices, ...).
+// Incremented atomically so concurrent requests never get the same value.
+const counterSchema = new mongoose.Schema({
+  _id: { type: String },
+  seq: { type: Number, default: 0 },
+});
+
+// Next value of the named sequence, starting at 1
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findByIdAndUpdate(
+    name,
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+// Create the sequence at `value` unless it already exists
+counterSchema.statics.seed = async function (name, value) {
+  try {
+    await this.updateOne({ _id: name }, { $setOnInsert: { seq: value } }, { upsert: true });
+  } catch (error) {
+    // Another request created it first
+    if (error.code !== 11000) throw error;
+  }
+};
+
+module.exports = mongoose.model("Counter", counterSchema);
@@ -308,11 +308,22 @@ couponSchema.methods.canBeUsedBy = async function (userId, cartTotal, cartItems,
 
   // Check first order restriction
   if (this.restrictions.firstOrderOnly) {
+    // Orders placed as a guest with the same email count too, whether or
+    // not they have been claimed by an account yet
     const Order = mongoose.model("Order");
-    const previousOrders = await Order.countDocuments({
-      userId,
-      paymentStatus: "paid",
-    });
+    let orderEmail = email;
+    if (!orderEmail && userId) {
+      const user = await mongoose.model("User").findById(userId).select("email");
+      orderEmail = user?.email;
+    }
+
+    const customerFilters = [];
+    if (userId) customerFilters.push({ userId });
+    if (orderEmail) customerFilters.push({ "customer.email": orderEmail.toLowerCase().trim() });
+
+    const previousOrders = customerFilters.length
+      ? await Order.countDocuments({ $or: customerFilters, paymentStatus: "paid" })
+      : 0;
     if (previousOrders > 0) {
       return {
         valid: false,
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// Accounting document for money given back on an order (refund of a
+// payment, a return or a cancellation). References the order's invoice.
+const creditNoteLineSchema = new mongoose.Schema(
+  {
+    // _id of the line in Order.items; empty for shipping, tax and adjustments
+    orderItemId: { type: mongoose.Schema.Types.ObjectId },
+    name: { type: String, required: true },
+    quantity: { type: Number, default: 1 },
+    unitPrice: { type: Number, required: true },
+    amount: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const creditNoteSchema = new mongoose.Schema(
+  {
+    creditNoteNumber: { type: String, required: true, unique: true },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    // Empty for guest orders
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    invoiceNumber: { type: String, required: true },
+    type: {
+      type: String,
+      enum: ["full", "partial"],
+      required: true,
+    },
+    lines: [creditNoteLineSchema],
+    amount: { type: Number, required: true },
+    currency: { type: String, default: "EGP" },
+    reason: { type: String },
+    paymentId: { type: mongoose.Schema.Types.ObjectId, ref: "Payment" },
+    transactionId: { type: mongoose.Schema.Types.ObjectId, ref: "Transaction" },
+    returnId: { type: mongoose.Schema.Types.ObjectId, ref: "Return" },
+    issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+creditNoteSchema.index({ orderId: 1, createdAt: -1 });
+creditNoteSchema.index({ transactionId: 1 });
+
+module.exports = mongoose.model("CreditNote", creditNoteSchema);
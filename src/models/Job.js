@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// Schedule, lock and last outcome of a background job; one document per job.
+// The lock (lockedBy/runId/lockedUntil) makes sure only one run of a job
+// happens at a time; a run that dies or overruns loses it when lockedUntil
+// passes, and runId tells it apart from the run that took over.
+const jobSchema = new mongoose.Schema(
+  {
+    _id: { type: String }, // job name
+    nextRunAt: { type: Date, default: Date.now },
+    lockedBy: { type: String, default: null },
+    runId: { type: String, default: null },
+    lockedUntil: { type: Date, default: null },
+    lastStartedAt: { type: Date },
+    lastFinishedAt: { type: Date },
+    lastStatus: {
+      type: String,
+      enum: ["success", "failed"],
+    },
+    lastError: { type: String },
+    lastResult: { type: mongoose.Schema.Types.Mixed },
+    lastDurationMs: { type: Number },
+    // "schedule" or the id of the superadmin who triggered the run
+    lastTriggeredBy: { type: String },
+    runCount: { type: Number, default: 0 },
+    failureCount: { type: Number, default: 0 },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("Job", jobSchema);
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+// Every login attempt against a known account, kept for security reviews
+const loginHistorySchema = new mongoose.Schema(
+  {
+    ownerType: {
+      type: String,
+      enum: ["User", "Admin"],
+      required: true,
+    },
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "ownerType",
+      required: true,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    success: {
+      type: Boolean,
+      required: true,
+    },
+    failureReason: {
+      type: String,
+      enum: ["invalid_password", "account_inactive", "invalid_2fa_code"],
+    },
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Session",
+    },
+    ipAddress: String,
+    userAgent: String,
+    device: {
+      browser: String,
+      os: String,
+      deviceType: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes
+loginHistorySchema.index({ ownerType: 1, ownerId: 1, createdAt: -1 });
+// Keep login history for 180 days
+loginHistorySchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+// Method to record a login attempt without ever failing the login itself
+loginHistorySchema.statics.record = async function (data) {
+  try {
+    return await this.create(data);
+  } catch (error) {
+    console.error("Failed to record login history:", error);
+    return null;
+  }
+};
+
+module.exports = mongoose.model("LoginHistory", loginHistorySchema);
@@ -4,6 +4,8 @@ const orderSchema = new mongoose.Schema({
   orderNumber: { type: String, required: true, unique: true },
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   isGuestOrder: { type: Boolean, default: false },
+  // Set when a guest order is linked to the account the guest created later
+  claimedAt: { type: Date },
   customer: {
     email: { type: String, required: true },
     firstName: { type: String, required: true },
@@ -73,7 +75,7 @@ const orderSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ["pending", "paid", "failed", "refunded"],
+    enum: ["pending", "authorized", "paid", "failed", "refunded", "partially_refunded", "voided"],
     default: "pending",
   },
   shippingMethod: { type: String },
@@ -96,6 +98,12 @@ const orderSchema = new mongoose.Schema({
     createdAt: { type: Date, default: Date.now },
   }],
 
+  // Set the first time an invoice is issued for the order
+  invoice: {
+    number: { type: String },
+    issuedAt: { type: Date },
+  },
+
   // Refund information
   refund: {
     amount: { type: Number },
@@ -105,6 +113,10 @@ const orderSchema = new mongoose.Schema({
     processedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
   },
 
+  // Set when a paid order is cancelled or returned without a refund; an
+  // admin with orders:refund issues it and a full refund clears this
+  refundDue: { type: Boolean, default: false },
+
   // Cancellation information
   cancellation: {
     reason: { type: String },
@@ -112,6 +124,27 @@ const orderSchema = new mongoose.Schema({
     cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
   },
 
+  // Append-only audit trail of status, payment status and refund changes.
+  // Written through services/orderHistoryService; never edit entries.
+  statusHistory: [{
+    field: {
+      type: String,
+      enum: ["status", "paymentStatus", "refund"],
+      required: true,
+    },
+    from: { type: String },
+    to: { type: String },
+    actor: {
+      type: String,
+      enum: ["admin", "user", "system", "webhook"],
+      required: true,
+    },
+    // Admin or User id, depending on actor
+    actorId: { type: mongoose.Schema.Types.ObjectId },
+    note: { type: String },
+    createdAt: { type: Date, default: Date.now },
+  }],
+
   // Payment method
   paymentMethod: { type: String },
 
@@ -120,6 +153,8 @@ const orderSchema = new mongoose.Schema({
   shippedAt: { type: Date },
   deliveredAt: { type: Date },
   returnedAt: { type: Date },
+  // Set when the order's stock was put back (payment failed, cancelled)
+  inventoryReleasedAt: { type: Date },
 
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
@@ -130,5 +165,7 @@ orderSchema.index({ createdAt: -1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ paymentStatus: 1 });
 orderSchema.index({ orderNumber: 1, "customer.email": 1 });
+orderSchema.index({ "invoice.number": 1 }, { unique: true, sparse: true });
+orderSchema.index({ "customer.email": 1, isGuestOrder: 1 });
 
 module.exports = mongoose.model("Order", orderSchema);
@@ -32,7 +32,7 @@ const paymentSchema = new mongoose.Schema({
   currency: { type: String, default: "EGP" },
   status: {
     type: String,
-    enum: ["pending", "processing", "completed", "failed", "refunded", "partially_refunded", "cancelled"],
+    enum: ["pending", "processing", "authorized", "completed", "failed", "refunded", "partially_refunded", "voided", "cancelled"],
     default: "pending",
   },
   // For COD payments
@@ -41,8 +41,22 @@ const paymentSchema = new mongoose.Schema({
     enum: ["awaiting_delivery", "collected", "failed_collection", null],
     default: null,
   },
+  // Card authorization held until the order ships
+  authorization: {
+    amount: { type: Number },
+    authorizedAt: { type: Date },
+    expiresAt: { type: Date },
+    capturedAmount: { type: Number },
+    capturedAt: { type: Date },
+    voidedAt: { type: Date },
+    voidReason: { type: String },
+    expiredAt: { type: Date },
+  },
   paymentDate: { type: Date },
   refundAmount: { type: Number, default: 0 },
+  // Refunds sent to the gateway but not yet recorded, reserved so
+  // concurrent refunds can't take the same balance
+  refundPending: { type: Number, default: 0 },
   refundDate: { type: Date },
   refundReason: { type: String },
   failureReason: { type: String },
@@ -60,6 +74,7 @@ paymentSchema.index({ userId: 1 });
 paymentSchema.index({ status: 1 });
 paymentSchema.index({ paymentMethod: 1 });
 paymentSchema.index({ createdAt: -1 });
+paymentSchema.index({ status: 1, "authorization.expiresAt": 1 });
 
 // Pre-save middleware to update timestamp
 paymentSchema.pre("save", function(next) {
@@ -14,10 +14,20 @@ const paymentSettingsSchema = new mongoose.Schema(
         instructions: String,
         icon: String,
         testMode: { type: Boolean, default: true },
+        // Gateway adapter used for this method (see services/paymentGateways)
+        provider: String,
+        // "on_shipment" authorizes at checkout and captures when the order ships
+        captureMode: {
+          type: String,
+          enum: ["immediate", "on_shipment"],
+          default: "on_shipment",
+        },
         credentials: {
           publicKey: String,
           secretKey: String,
           webhookSecret: String,
+          integrationId: String,
+          iframeId: String,
         },
         fees: {
           type: { type: String, enum: ["percentage", "fixed"] },
@@ -42,6 +52,11 @@ const paymentSettingsSchema = new mongoose.Schema(
       taxInclusive: { type: Boolean, default: false },
       taxLabel: { type: String, default: "Tax" },
     },
+    // Restrict unverified customer accounts
+    emailVerification: {
+      requiredForCheckout: { type: Boolean, default: false },
+      requiredForCoupons: { type: Boolean, default: false },
+    },
     updatedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Admin",
@@ -85,6 +100,17 @@ paymentSettingsSchema.statics.updateSettings = async function (data, adminId) {
   return settings;
 };
 
+// Static method to check whether an action ("checkout" or "coupons")
+// requires a verified email address
+paymentSettingsSchema.statics.requiresVerifiedEmail = async function (action) {
+  const settings = await this.getSettings();
+  const emailVerification = settings.emailVerification || {};
+
+  if (action === "checkout") return !!emailVerification.requiredForCheckout;
+  if (action === "coupons") return !!emailVerification.requiredForCoupons;
+  return false;
+};
+
 const PaymentSettings = mongoose.model("PaymentSettings", paymentSettingsSchema);
 
 module.exports = PaymentSettings;
@@ -46,6 +46,8 @@ const productSchema = new mongoose.Schema({
   cost: { type: Number },
   inventory: {
     quantity: { type: Number, required: true, default: 0 },
+    // Units held by customers' carts during checkout (see StockHold)
+    reserved: { type: Number, default: 0 },
     lowStockAlert: { type: Number, default: 10 },
     trackQuantity: { type: Boolean, default: true },
   },
@@ -78,6 +80,8 @@ const productSchema = new mongoose.Schema({
     startDate: { type: Date },
     endDate: { type: Date },
     isActive: { type: Boolean, default: false },
+    // Set once the sale has begun and wishlist alerts went out for it
+    startedAt: { type: Date },
   },
   ratings: {
     average: { type: Number, default: 0, min: 0, max: 5 },
@@ -145,5 +149,6 @@ productSchema.index({ "inventory.quantity": 1 });
 productSchema.index({ "inventory.lowStockAlert": 1 });
 productSchema.index({ productType: 1 });
 productSchema.index({ "packageItems.productId": 1 });
+productSchema.index({ "discount.isActive": 1, "discount.endDate": 1 });
 
 module.exports = mongoose.model("Product", productSchema);
@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+
+// Return merchandise authorization (RMA): a customer's request to send back
+// some or all of a delivered order. Moves requested -> approved | rejected,
+// then received -> inspected -> refunded.
+const returnItemSchema = new mongoose.Schema({
+  // _id of the line in Order.items
+  orderItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  name: { type: String },
+  price: { type: Number, required: true },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  reason: { type: String },
+  // Set at inspection
+  condition: {
+    type: String,
+    enum: ["resellable", "damaged", "defective"],
+  },
+  restockedQuantity: { type: Number, default: 0 },
+});
+
+const returnSchema = new mongoose.Schema(
+  {
+    returnNumber: { type: String, required: true, unique: true },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    items: {
+      type: [returnItemSchema],
+      validate: [(items) => items.length > 0, "A return needs at least one item"],
+    },
+    reason: { type: String, required: true },
+    comments: { type: String },
+    // Photo evidence from the customer (relative upload paths)
+    photos: [{ type: String }],
+    status: {
+      type: String,
+      enum: ["requested", "approved", "rejected", "received", "inspected", "refunded"],
+      default: "requested",
+    },
+    approvedAt: Date,
+    rejectedAt: Date,
+    rejectionReason: String,
+    returnInstructions: String,
+    receivedAt: Date,
+    inspectedAt: Date,
+    inspectionNotes: String,
+    refund: {
+      amount: Number,
+      paymentId: { type: mongoose.Schema.Types.ObjectId, ref: "Payment" },
+      transactionId: { type: mongoose.Schema.Types.ObjectId, ref: "Transaction" },
+      refundedAt: Date,
+    },
+    handledBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+returnSchema.index({ orderId: 1 });
+returnSchema.index({ userId: 1, createdAt: -1 });
+returnSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Return", returnSchema);
@@ -0,0 +1,108 @@
+const mongoose = require("mongoose");
+
+const reviewSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    rating: {
+      type: Number,
+      required: [true, "Rating is required"],
+      min: [1, "Rating must be at least 1"],
+      max: [5, "Rating cannot exceed 5"],
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Title cannot exceed 100 characters"],
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Comment cannot exceed 2000 characters"],
+    },
+    photos: [{ type: String }],
+    isVerifiedPurchase: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected"],
+      default: "pending",
+    },
+    moderation: {
+      moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+      moderatedAt: Date,
+      rejectionReason: String,
+    },
+    adminReply: {
+      content: { type: String, trim: true },
+      repliedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin" },
+      repliedAt: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+reviewSchema.index({ productId: 1, userId: 1 }, { unique: true });
+reviewSchema.index({ productId: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: -1 });
+
+// Method to recompute Product.ratings from approved reviews
+reviewSchema.statics.calculateProductRatings = async function (productId) {
+  const Product = mongoose.model("Product");
+
+  const stats = await this.aggregate([
+    {
+      $match: {
+        productId: new mongoose.Types.ObjectId(productId),
+        status: "approved",
+      },
+    },
+    { $group: { _id: "$rating", count: { $sum: 1 } } },
+  ]);
+
+  const distribution = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+  let count = 0;
+  let total = 0;
+
+  stats.forEach((s) => {
+    distribution[s._id] = s.count;
+    count += s.count;
+    total += s._id * s.count;
+  });
+
+  const average = count > 0 ? Math.round((total / count) * 10) / 10 : 0;
+
+  await Product.findByIdAndUpdate(productId, {
+    ratings: { average, count, distribution },
+  });
+
+  return { average, count, distribution };
+};
+
+// Keep product ratings in sync whenever a review changes
+reviewSchema.post("save", async function (doc) {
+  await doc.constructor.calculateProductRatings(doc.productId);
+});
+
+reviewSchema.post("deleteOne", { document: true, query: false }, async function (doc) {
+  await doc.constructor.calculateProductRatings(doc.productId);
+});
+
+module.exports = mongoose.model("Review", reviewSchema);
@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+
+// A login session backing one rotating refresh token. Access tokens carry the
+// session id, so revoking the session invalidates them immediately.
+const sessionSchema = new mongoose.Schema(
+  {
+    ownerType: {
+      type: String,
+      enum: ["User", "Admin"],
+      required: true,
+    },
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "ownerType",
+      required: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Hashes of refresh tokens already rotated out, used for reuse detection
+    previousTokenHashes: {
+      type: [String],
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    ipAddress: String,
+    userAgent: String,
+    device: {
+      browser: String,
+      os: String,
+      deviceType: String,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastSeenIp: String,
+    // Last successful two-factor step-up check (admin sessions)
+    stepUpVerifiedAt: Date,
+    lastRotatedAt: Date,
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "logout_all",
+        "password_changed",
+        "password_reset",
+        "account_deactivated",
+        "token_reuse",
+        "revoked_by_owner",
+        "revoked_by_admin",
+      ],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+sessionSchema.index({ ownerType: 1, ownerId: 1, revokedAt: 1 });
+// Expired sessions are purged 30 days after expiry
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Virtual to check if session can still be used
+sessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Method to revoke every active session of an account
+sessionSchema.statics.revokeAllForOwner = async function (ownerType, ownerId, reason, exceptSessionId = null) {
+  const filter = { ownerType, ownerId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await this.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason },
+  });
+
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
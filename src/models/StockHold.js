@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// Short-lived reservation of a product's stock for a customer's cart while
+// they check out. Each hold is mirrored in Product.inventory.reserved; the
+// process that deletes the hold is the one that releases the reserved units.
+const stockHoldSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    cartId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Cart",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+stockHoldSchema.index({ userId: 1, productId: 1 });
+stockHoldSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model("StockHold", stockHoldSchema);
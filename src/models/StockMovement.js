@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+const MOVEMENT_TYPES = [
+  "initial",
+  "manual_adjustment",
+  "bulk_update",
+  "order_placed",
+  "checkout_rollback",
+  "order_cancelled",
+  "order_item_removed",
+  "payment_failed",
+  "payment_retry",
+  "refund_restock",
+  "return",
+];
+
+// Inventory ledger: one entry per change to Product.inventory.quantity
+const stockMovementSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: MOVEMENT_TYPES,
+      required: true,
+    },
+    delta: {
+      type: Number,
+      required: true,
+    },
+    // Product.inventory.quantity right after this change
+    quantityAfter: {
+      type: Number,
+      required: true,
+    },
+    reason: String,
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+    },
+    adminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes
+stockMovementSchema.index({ productId: 1, createdAt: -1 });
+stockMovementSchema.index({ createdAt: -1 });
+stockMovementSchema.index({ orderId: 1 });
+
+module.exports = mongoose.model("StockMovement", stockMovementSchema);
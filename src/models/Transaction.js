@@ -9,7 +9,7 @@ const transactionSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   type: {
     type: String,
-    enum: ["sale", "refund", "authorization", "capture"],
+    enum: ["sale", "refund", "authorization", "capture", "void"],
     required: true,
   },
   amount: { type: Number, required: true },
@@ -25,4 +25,11 @@ const transactionSchema = new mongoose.Schema({
   createdAt: { type: Date, default: Date.now },
 });
 
+// A gateway refund is recorded once, whether issueRefund or the gateway's
+// webhook reports it first
+transactionSchema.index(
+  { gatewayTransactionId: 1 },
+  { unique: true, partialFilterExpression: { type: "refund" } }
+);
+
 module.exports = mongoose.model("Transaction", transactionSchema);
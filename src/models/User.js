@@ -45,6 +45,14 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: "Product",
   }],
+  // Wishlist (price captured when saved, used for price-drop alerts)
+  wishlist: [{
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
+    priceWhenAdded: { type: Number },
+    lastNotifiedPrice: { type: Number },
+    backInStockNotifiedAt: { type: Date },
+    addedAt: { type: Date, default: Date.now },
+  }],
   preferences: {
     newsletter: { type: Boolean, default: false },
     notifications: { type: Boolean, default: true },
@@ -52,15 +60,19 @@ const userSchema = new mongoose.Schema({
       orderUpdates: { type: Boolean, default: true },
       promotions: { type: Boolean, default: false },
       newProducts: { type: Boolean, default: false },
+      wishlistAlerts: { type: Boolean, default: true },
+      cartReminders: { type: Boolean, default: true },
     },
   },
   // Account status
   isActive: { type: Boolean, default: true },
   isEmailVerified: { type: Boolean, default: false },
   emailVerification: {
-    token: { type: String },
+    token: { type: String }, // Hashed verification token
     expiresAt: { type: Date },
+    lastSentAt: { type: Date },
   },
+  emailVerifiedAt: { type: Date },
   passwordReset: {
     token: { type: String },
     expiresAt: { type: Date },
@@ -75,6 +87,8 @@ const userSchema = new mongoose.Schema({
     scheduledDeletionAt: { type: Date },
     reason: { type: String },
   },
+  // Set when the account was erased but kept (anonymized) for its orders
+  anonymizedAt: { type: Date },
   // Timestamps
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
@@ -124,6 +138,45 @@ userSchema.methods.toggleCompare = async function(productId) {
   return { added: true, message: "Product added to compare list" };
 };
 
+// Method to add a product to the wishlist
+userSchema.methods.addToWishlist = async function(productId, price) {
+  const exists = this.wishlist.some(
+    item => item.productId && item.productId.toString() === productId.toString()
+  );
+
+  if (exists) {
+    return { added: false, message: "Product is already in your wishlist" };
+  }
+
+  // Max 100 products in wishlist
+  if (this.wishlist.length >= 100) {
+    return { added: false, message: "Wishlist is full (max 100 products)" };
+  }
+
+  this.wishlist.unshift({
+    productId,
+    priceWhenAdded: price,
+    addedAt: new Date(),
+  });
+  await this.save();
+  return { added: true, message: "Product added to wishlist" };
+};
+
+// Method to remove a product from the wishlist
+userSchema.methods.removeFromWishlist = async function(productId) {
+  const before = this.wishlist.length;
+  this.wishlist = this.wishlist.filter(
+    item => !item.productId || item.productId.toString() !== productId.toString()
+  );
+
+  if (this.wishlist.length === before) {
+    return { removed: false, message: "Product is not in your wishlist" };
+  }
+
+  await this.save();
+  return { removed: true, message: "Product removed from wishlist" };
+};
+
 // Method to get default shipping address
 userSchema.methods.getDefaultShippingAddress = function() {
   const defaultAddr = this.addresses.find(addr => addr.isDefault);
@@ -146,12 +199,7 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Method to generate auth token
-userSchema.methods.generateAuthToken = function () {
-  const jwt = require("jsonwebtoken");
-  return jwt.sign({ userId: this._id, role: "user" }, process.env.JWT_SECRET, {
-    expiresIn: "30d",
-  });
-};
+// Indexes
+userSchema.index({ "wishlist.productId": 1 });
 
 module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+
+// Log of payment gateway webhook deliveries. The unique (gateway, eventId)
+// index makes redelivered events no-ops.
+const webhookEventSchema = new mongoose.Schema(
+  {
+    gateway: {
+      type: String,
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["processing", "processed", "ignored", "failed"],
+      default: "processing",
+    },
+    attempts: {
+      type: Number,
+      default: 1,
+    },
+    lastError: String,
+    processedAt: Date,
+    ipAddress: String,
+    // Admin who triggered the last manual re-process
+    reprocessedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+webhookEventSchema.index({ gateway: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+// Method to claim an event for processing. Returns { event, duplicate };
+// duplicate is true when the event was already processed or is in progress.
+// Failed events are claimed again so gateway retries can succeed.
+webhookEventSchema.statics.claim = async function ({ gateway, eventId, type, payload, ipAddress }) {
+  try {
+    const event = await this.create({ gateway, eventId, type, payload, ipAddress });
+    return { event, duplicate: false };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const retried = await this.findOneAndUpdate(
+      { gateway, eventId, status: "failed" },
+      { $set: { status: "processing" }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (retried) {
+      return { event: retried, duplicate: false };
+    }
+
+    const existing = await this.findOne({ gateway, eventId });
+    return { event: existing, duplicate: true };
+  }
+};
+
+// Method to record the outcome of processing
+webhookEventSchema.methods.markProcessed = async function (handled) {
+  this.status = handled ? "processed" : "ignored";
+  this.processedAt = new Date();
+  this.lastError = undefined;
+  return this.save();
+};
+
+webhookEventSchema.methods.markFailed = async function (error) {
+  this.status = "failed";
+  this.lastError = error?.message || String(error);
+  return this.save();
+};
+
+module.exports = mongoose.model("WebhookEvent", webhookEventSchema);
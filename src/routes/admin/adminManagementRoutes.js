@@ -1,11 +1,16 @@
 // routes/admin/adminManagementRoutes.js
 const express = require("express");
 const router = express.Router();
-const { adminAuth } = require("../../middleware/adminAuth");
+const {
+  adminAuth,
+  requirePermission,
+  requireStepUp,
+} = require("../../middleware/adminAuth");
 const {
   validateAdminId,
   validateCreateAdmin,
   validateUpdateAdmin,
+  validateUpdatePermissions,
 } = require("../../validations/admin/adminManagementValidation");
 const {
   getAllAdmins,
@@ -14,12 +19,18 @@ const {
   updateAdmin,
   toggleAdminStatus,
   deleteAdmin,
+  getRolesAndPermissions,
+  updateAdminPermissions,
+  resetAdminTwoFactor,
 } = require("../../controllers/admin/adminManagementController");
 
-// All routes require admin authentication
-router.use(adminAuth);
+// All routes require admin authentication and the admins:manage permission
+router.use(adminAuth, requirePermission("admins:manage"));
+
+// Role and permission catalogue
+router.get("/roles", getRolesAndPermissions);
 
-// Admin users management (Super Admin only)
+// Admin users management
 router.get("/",  getAllAdmins);
 router.post("/", validateCreateAdmin, createAdmin);
 router.get("/:adminId", validateAdminId, getAdminById);
@@ -29,6 +40,19 @@ router.patch(
   validateAdminId,
   toggleAdminStatus
 );
-router.delete("/:adminId", validateAdminId, deleteAdmin);
+router.put(
+  "/:adminId/permissions",
+  requireStepUp,
+  validateAdminId,
+  validateUpdatePermissions,
+  updateAdminPermissions
+);
+router.delete(
+  "/:adminId/2fa",
+  requireStepUp,
+  validateAdminId,
+  resetAdminTwoFactor
+);
+router.delete("/:adminId", requireStepUp, validateAdminId, deleteAdmin);
 
 module.exports = router;
@@ -10,9 +10,20 @@ const {
   updateAdminProfile,
   changeAdminPassword,
   logoutAdmin,
+  logoutAllDevices,
   refreshToken,
+  getSessions,
+  revokeAdminSession,
+  getLoginHistory,
   forgotPassword,
   resetPassword,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  stepUpTwoFactor,
 } = require("../../controllers/admin/authController");
 
 const {
@@ -21,12 +32,22 @@ const {
   validateAdminChangePassword,
   validateAdminForgotPassword,
   validateAdminResetPassword,
+  validateAdminRefreshToken,
+  validateAdminSessionId,
+  validateAdminLoginHistoryQuery,
+  validateTwoFactorLogin,
+  validateTwoFactorSetup,
+  validateTwoFactorEnable,
+  validateTwoFactorChallenge,
+  validateTwoFactorDisable,
 } = require("../../validations/admin/authValidation");
 
 // Public routes
 router.post("/login", validateAdminLogin, loginAdmin);
 router.post("/forgot-password", validateAdminForgotPassword, forgotPassword);
 router.post("/reset-password", validateAdminResetPassword, resetPassword);
+router.post("/refresh", validateAdminRefreshToken, refreshToken);
+router.post("/2fa/verify-login", validateTwoFactorLogin, verifyTwoFactorLogin);
 
 // Protected routes
 router.get("/profile", adminAuth, getAdminProfile);
@@ -43,6 +64,34 @@ router.put(
   changeAdminPassword
 );
 router.post("/logout", adminAuth, logoutAdmin);
-router.post("/refresh", adminAuth, refreshToken);
+router.post("/logout-all", adminAuth, logoutAllDevices);
+
+// Session / device management
+router.get("/sessions", adminAuth, getSessions);
+router.delete(
+  "/sessions/:sessionId",
+  adminAuth,
+  validateAdminSessionId,
+  revokeAdminSession
+);
+router.get(
+  "/login-history",
+  adminAuth,
+  validateAdminLoginHistoryQuery,
+  getLoginHistory
+);
+
+// Two-factor authentication
+router.get("/2fa", adminAuth, getTwoFactorStatus);
+router.post("/2fa/setup", adminAuth, validateTwoFactorSetup, setupTwoFactor);
+router.post("/2fa/enable", adminAuth, validateTwoFactorEnable, enableTwoFactor);
+router.post("/2fa/disable", adminAuth, validateTwoFactorDisable, disableTwoFactor);
+router.post(
+  "/2fa/recovery-codes",
+  adminAuth,
+  validateTwoFactorChallenge,
+  regenerateRecoveryCodes
+);
+router.post("/2fa/step-up", adminAuth, validateTwoFactorChallenge, stepUpTwoFactor);
 
 module.exports = router;
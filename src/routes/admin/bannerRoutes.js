@@ -1,6 +1,6 @@
 const express = require("express");
 const router = express.Router();
-const { adminAuth } = require("../../middleware/adminAuth");
+const { adminAuth, requirePermission } = require("../../middleware/adminAuth");
 
 const {
   validateBannerId,
@@ -30,6 +30,7 @@ router.use(adminAuth);
 // Get all banners
 router.get(
   "/",
+  requirePermission("banners:read"),
   validateBannerQuery,
   getAllBanners
 );
@@ -37,6 +38,7 @@ router.get(
 // Create banner
 router.post(
   "/",
+  requirePermission("banners:write"),
   validateCreateBanner,
   createBanner
 );
@@ -44,6 +46,7 @@ router.post(
 // Reorder banners
 router.put(
   "/reorder",
+  requirePermission("banners:write"),
   validateReorderBanners,
   reorderBanners
 );
@@ -51,6 +54,7 @@ router.put(
 // Bulk delete banners
 router.delete(
   "/bulk",
+  requirePermission("banners:write"),
   validateBulkDelete,
   bulkDeleteBanners
 );
@@ -58,6 +62,7 @@ router.delete(
 // Bulk update banner status
 router.patch(
   "/bulk/status",
+  requirePermission("banners:write"),
   validateBulkUpdateStatus,
   bulkUpdateStatus
 );
@@ -65,6 +70,7 @@ router.patch(
 // Get single banner
 router.get(
   "/:bannerId",
+  requirePermission("banners:read"),
   validateBannerId,
   getBannerById
 );
@@ -72,6 +78,7 @@ router.get(
 // Update banner
 router.put(
   "/:bannerId",
+  requirePermission("banners:write"),
   validateUpdateBanner,
   updateBanner
 );
@@ -79,6 +86,7 @@ router.put(
 // Delete banner
 router.delete(
   "/:bannerId",
+  requirePermission("banners:write"),
   validateBannerId,
   deleteBanner
 );
@@ -86,6 +94,7 @@ router.delete(
 // Toggle banner status
 router.patch(
   "/:bannerId/toggle",
+  requirePermission("banners:write"),
   validateBannerId,
   toggleBannerStatus
 );
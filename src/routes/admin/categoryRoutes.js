@@ -1,7 +1,7 @@
 // routes/admin/categoryRoutes.js
 const express = require("express");
 const router = express.Router();
-const { adminAuth } = require("../../middleware/adminAuth");
+const { adminAuth, requirePermission } = require("../../middleware/adminAuth");
 const {
   validateCreateCategory,
   validateUpdateCategory,
@@ -24,13 +24,15 @@ router.use(adminAuth);
 // Update all statistics
 router.post(
   "/update-statistics",
+  requirePermission("categories:write"),
   updateAllStatistics
 );
 
 // CRUD operations
-router.get("/", getAllCategories);
+router.get("/", requirePermission("categories:read"), getAllCategories);
 router.post(
   "/",
+  requirePermission("categories:write"),
   validateCreateCategory,
   createCategory
 );
@@ -38,27 +40,32 @@ router.post(
 // Single category operations
 router.get(
   "/:categoryId",
+  requirePermission("categories:read"),
   validateCategoryId,
   getCategoryById
 );
 router.put(
   "/:categoryId",
+  requirePermission("categories:write"),
   validateCategoryId,
   validateUpdateCategory,
   updateCategory
 );
 router.delete(
   "/:categoryId",
+  requirePermission("categories:write"),
   validateCategoryId,
   deleteCategory
 );
 router.patch(
   "/:categoryId/toggle-status",
+  requirePermission("categories:write"),
   validateCategoryId,
   toggleCategoryStatus
 );
 router.get(
   "/:categoryId/statistics",
+  requirePermission("categories:read"),
   validateCategoryId,
   getCategoryStatistics
 );
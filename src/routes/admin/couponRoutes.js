@@ -1,7 +1,7 @@
 // routes/admin/couponRoutes.js
 const express = require("express");
 const router = express.Router();
-const { adminAuth } = require("../../middleware/adminAuth");
+const { adminAuth, requirePermission } = require("../../middleware/adminAuth");
 const {
   validateCreateCoupon,
   validateUpdateCoupon,
@@ -25,23 +25,25 @@ const {
 // All routes require admin authentication
 router.use(adminAuth);
 
-// Generate coupon code (no permission required)
-router.get("/generate-code", generateCouponCode);
+// Generate coupon code
+router.get("/generate-code", requirePermission("coupons:write"), generateCouponCode);
 
 // Validate coupon
-router.post("/validate", validateValidateCoupon, validateCoupon);
+router.post("/validate", requirePermission("coupons:read"), validateValidateCoupon, validateCoupon);
 
 // Bulk operations
 router.patch(
   "/bulk-status",
+  requirePermission("coupons:write"),
   validateBulkStatus,
   bulkUpdateStatus
 );
 
 // CRUD operations
-router.get("/", getAllCoupons);
+router.get("/", requirePermission("coupons:read"), getAllCoupons);
 router.post(
   "/",
+  requirePermission("coupons:write"),
   validateCreateCoupon,
   createCoupon
 );
@@ -49,27 +51,32 @@ router.post(
 // Single coupon operations
 router.get(
   "/:couponId",
+  requirePermission("coupons:read"),
   validateCouponId,
   getCouponById
 );
 router.put(
   "/:couponId",
+  requirePermission("coupons:write"),
   validateCouponId,
   validateUpdateCoupon,
   updateCoupon
 );
 router.delete(
   "/:couponId",
+  requirePermission("coupons:write"),
   validateCouponId,
   deleteCoupon
 );
 router.patch(
   "/:couponId/toggle-status",
+  requirePermission("coupons:write"),
   validateCouponId,
   toggleCouponStatus
 );
 router.get(
   "/:couponId/analytics",
+  requirePermission("coupons:read"),
   validateCouponId,
   getCouponAnalytics
 );
@@ -2,14 +2,17 @@ const express = require("express");
 const router = express.Router();
 const {
   adminAuth,
+  requirePermission,
 } = require("../../middleware/adminAuth");
 
 const {
   getDashboardOverview,
+  getCartRecoveryReport,
 } = require("../../controllers/admin/dashboardController");
 
 router.use(adminAuth);
 
-router.get("/", getDashboardOverview);
+router.get("/", requirePermission("dashboard:read"), getDashboardOverview);
+router.get("/cart-recovery", requirePermission("dashboard:read"), getCartRecoveryReport);
 
 module.exports = router;
@@ -0,0 +1,13 @@
+const express = require("express");
+const router = express.Router();
+const { adminAuth, isSuperAdmin } = require("../../middleware/adminAuth");
+
+const { getJobs, runJob } = require("../../controllers/admin/jobController");
+
+// Background jobs are superadmin only
+router.use(adminAuth, isSuperAdmin);
+
+router.get("/", getJobs);
+router.post("/:name/run", runJob);
+
+module.exports = router;
@@ -1,29 +1,41 @@
 const express = require("express");
 const router = express.Router();
-const { adminAuth } = require("../../middleware/adminAuth");
+const {
+  adminAuth,
+  requirePermission,
+  requireStepUp,
+} = require("../../middleware/adminAuth");
 
 const {
   getAllOrders,
   getOrderById,
   updateOrderStatus,
+  bulkUpdateOrderStatus,
   updatePaymentStatus,
   deleteOrder,
   getOrderStats,
   exportOrders,
   getOrderAnalytics,
   processRefund,
+  getOrderCreditNotes,
+  downloadCreditNote,
   addOrderNote,
   getOrderNotes,
+  getOrderHistory,
   generateInvoice,
+  generatePackingSlip,
   cancelOrder,
+  removeOrderItem,
 } = require("../../controllers/admin/orderManagementController");
 
 const {
   validateOrderQuery,
   validateOrderStatusUpdate,
+  validateBulkOrderStatusUpdate,
   validatePaymentStatusUpdate,
   validateOrderExport,
   validateOrderAnalytics,
+  validateOrderHistoryQuery,
 } = require("../../validations/admin/orderManagementValidation");
 
 // All routes require admin authentication
@@ -32,6 +44,7 @@ router.use(adminAuth);
 // Get all orders with filtering and pagination
 router.get(
   "/",
+  requirePermission("orders:read"),
   validateOrderQuery,
   getAllOrders
 );
@@ -39,6 +52,7 @@ router.get(
 // Get order statistics
 router.get(
   "/stats/overview",
+  requirePermission("orders:read"),
   validateOrderAnalytics,
   getOrderStats
 );
@@ -46,6 +60,7 @@ router.get(
 // Export orders
 router.get(
   "/export",
+  requirePermission("orders:read"),
   validateOrderExport,
   exportOrders
 );
@@ -53,16 +68,26 @@ router.get(
 // Get order analytics
 router.get(
   "/analytics",
+  requirePermission("orders:read"),
   validateOrderAnalytics,
   getOrderAnalytics
 );
 
+// Update the status of several orders
+router.patch(
+  "/bulk-status",
+  requirePermission("orders:write"),
+  validateBulkOrderStatusUpdate,
+  bulkUpdateOrderStatus
+);
+
 // Get specific order by ID
-router.get("/:id", getOrderById);
+router.get("/:id", requirePermission("orders:read"), getOrderById);
 
 // Update order status
 router.put(
   "/:id/status",
+  requirePermission("orders:write"),
   validateOrderStatusUpdate,
   updateOrderStatus
 );
@@ -70,6 +95,7 @@ router.put(
 // Update payment status
 router.put(
   "/:id/payment-status",
+  requirePermission("orders:write"),
   validatePaymentStatusUpdate,
   updatePaymentStatus
 );
@@ -77,33 +103,73 @@ router.put(
 // Process refund
 router.post(
   "/:id/refund",
+  requirePermission("orders:refund"),
+  requireStepUp,
   processRefund
 );
 
+// Credit notes issued for refunds
+router.get(
+  "/:id/credit-notes",
+  requirePermission("orders:read"),
+  getOrderCreditNotes
+);
+router.get(
+  "/:id/credit-notes/:creditNoteId/pdf",
+  requirePermission("orders:read"),
+  downloadCreditNote
+);
+
 // Cancel order
 router.post(
   "/:id/cancel",
+  requirePermission("orders:write"),
   cancelOrder
 );
 
+// Remove an item before shipment (authorized payments are partially captured)
+router.delete(
+  "/:id/items/:itemId",
+  requirePermission("orders:write"),
+  removeOrderItem
+);
+
 // Order notes
 router.get(
   "/:id/notes",
+  requirePermission("orders:read"),
   getOrderNotes
 );
 
 router.post(
   "/:id/notes",
+  requirePermission("orders:write"),
   addOrderNote
 );
 
+// Audit trail of status, payment and refund changes
+router.get(
+  "/:id/history",
+  requirePermission("orders:read"),
+  validateOrderHistoryQuery,
+  getOrderHistory
+);
+
 // Generate invoice
 router.get(
   "/:id/invoice",
+  requirePermission("orders:read"),
   generateInvoice
 );
 
+// Generate packing slip
+router.get(
+  "/:id/packing-slip",
+  requirePermission("orders:read"),
+  generatePackingSlip
+);
+
 // Delete order (soft delete)
-router.delete("/:id", deleteOrder);
+router.delete("/:id", requirePermission("orders:delete"), deleteOrder);
 
 module.exports = router;
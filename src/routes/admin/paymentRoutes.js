@@ -1,7 +1,11 @@
 // routes/admin/paymentRoutes.js
 const express = require("express");
 const router = express.Router();
-const { adminAuth } = require("../../middleware/adminAuth");
+const {
+  adminAuth,
+  requirePermission,
+  requireStepUp,
+} = require("../../middleware/adminAuth");
 
 const {
   validatePaymentId,
@@ -14,6 +18,10 @@ const {
   validateCreatePaymentMethod,
   validateUpdatePaymentMethod,
   validateReorderPaymentMethods,
+  validateCheckoutSettings,
+  validateWebhookEventQuery,
+  validateAuthorizationQuery,
+  validateWebhookEventId,
 } = require("../../validations/admin/paymentValidation");
 
 const {
@@ -37,6 +45,16 @@ const {
   togglePaymentMethod,
   setDefaultPaymentMethod,
   reorderPaymentMethods,
+  // Checkout Settings
+  getCheckoutSettings,
+  updateCheckoutSettings,
+  // Authorizations
+  getPendingAuthorizations,
+  expireAuthorizations,
+  // Webhook Events
+  getWebhookEvents,
+  getWebhookEventById,
+  reprocessWebhookEvent,
 } = require("../../controllers/admin/paymentController");
 
 // All routes require admin authentication
@@ -45,6 +63,7 @@ router.use(adminAuth);
 // Payment listing and statistics
 router.get(
   "/",
+  requirePermission("payments:read"),
   validatePaymentQuery,
   getAllPayments
 );
@@ -52,12 +71,14 @@ router.get(
 // Create payment
 router.post(
   "/",
+  requirePermission("payments:write"),
   validateCreatePayment,
   createPayment
 );
 
 router.get(
   "/statistics",
+  requirePermission("payments:read"),
   getPaymentStatistics
 );
 
@@ -66,12 +87,15 @@ router.get(
 // Get all payment methods
 router.get(
   "/methods",
+  requirePermission("payments:settings"),
   getAllPaymentMethods
 );
 
 // Create payment method
 router.post(
   "/methods",
+  requirePermission("payments:settings"),
+  requireStepUp,
   validateCreatePaymentMethod,
   createPaymentMethod
 );
@@ -79,6 +103,7 @@ router.post(
 // Reorder payment methods
 router.put(
   "/methods/reorder",
+  requirePermission("payments:settings"),
   validateReorderPaymentMethods,
   reorderPaymentMethods
 );
@@ -86,12 +111,15 @@ router.put(
 // Get single payment method
 router.get(
   "/methods/:methodName",
+  requirePermission("payments:settings"),
   getPaymentMethodByName
 );
 
 // Update payment method
 router.put(
   "/methods/:methodName",
+  requirePermission("payments:settings"),
+  requireStepUp,
   validateUpdatePaymentMethod,
   updatePaymentMethod
 );
@@ -99,25 +127,83 @@ router.put(
 // Delete payment method
 router.delete(
   "/methods/:methodName",
+  requirePermission("payments:settings"),
+  requireStepUp,
   deletePaymentMethod
 );
 
 // Toggle payment method status
 router.patch(
   "/methods/:methodName/toggle",
+  requirePermission("payments:settings"),
   togglePaymentMethod
 );
 
 // Set default payment method
 router.patch(
   "/methods/:methodName/set-default",
+  requirePermission("payments:settings"),
   setDefaultPaymentMethod
 );
 
+// ==================== CHECKOUT SETTINGS ROUTES ====================
+
+router.get(
+  "/settings",
+  requirePermission("payments:settings"),
+  getCheckoutSettings
+);
+
+router.put(
+  "/settings",
+  requirePermission("payments:settings"),
+  validateCheckoutSettings,
+  updateCheckoutSettings
+);
+
+// ==================== AUTHORIZATION ROUTES ====================
+
+router.get(
+  "/authorizations",
+  requirePermission("payments:read"),
+  validateAuthorizationQuery,
+  getPendingAuthorizations
+);
+
+router.post(
+  "/authorizations/expire",
+  requirePermission("payments:write"),
+  expireAuthorizations
+);
+
+// ==================== WEBHOOK EVENTS ROUTES ====================
+
+router.get(
+  "/webhooks",
+  requirePermission("payments:read"),
+  validateWebhookEventQuery,
+  getWebhookEvents
+);
+
+router.get(
+  "/webhooks/:eventId",
+  requirePermission("payments:read"),
+  validateWebhookEventId,
+  getWebhookEventById
+);
+
+router.post(
+  "/webhooks/:eventId/reprocess",
+  requirePermission("payments:write"),
+  validateWebhookEventId,
+  reprocessWebhookEvent
+);
+
 // ==================== BULK OPERATIONS ====================
 
 router.post(
   "/bulk",
+  requirePermission("payments:write"),
   validateBulkPaymentOperation,
   bulkPaymentOperation
 );
@@ -125,6 +211,7 @@ router.post(
 // Get payments by user
 router.get(
   "/user/:userId",
+  requirePermission("payments:read"),
   getPaymentsByUser
 );
 
@@ -132,12 +219,14 @@ router.get(
 
 router.get(
   "/:paymentId",
+  requirePermission("payments:read"),
   validatePaymentId,
   getPaymentById
 );
 
 router.put(
   "/:paymentId/status",
+  requirePermission("payments:write"),
   validatePaymentId,
   validateUpdatePaymentStatus,
   updatePaymentStatus
@@ -145,6 +234,8 @@ router.put(
 
 router.post(
   "/:paymentId/refund",
+  requirePermission("payments:refund"),
+  requireStepUp,
   validatePaymentId,
   validateRefundPayment,
   refundPayment
@@ -152,17 +243,20 @@ router.post(
 
 router.post(
   "/:paymentId/confirm-cod",
+  requirePermission("payments:write"),
   validatePaymentId,
   confirmCODPayment
 );
 
 router.post(
   "/:paymentId/fail-cod",
+  requirePermission("payments:write"),
   validatePaymentId,
   failCODPayment
 );
 
-// Webhook routes (public, called by payment gateways) - moved outside adminAuth
+// Webhook routes (public, called by payment gateways) are mounted in app.js
+// ahead of this router so they bypass adminAuth
 module.exports = router;
 
 // Export webhook handler separately for public access
@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const {
   adminAuth,
+  requirePermission,
 } = require("../../middleware/adminAuth");
 
 const {
@@ -14,6 +15,8 @@ const {
   bulkProductOperations,
   updateProductInventory,
   getLowStockAlerts,
+  getInventoryHistory,
+  getStockValuation,
 } = require("../../controllers/admin/productManagementController");
 
 const {
@@ -25,6 +28,8 @@ const {
   validateBulkOperations,
   validateInventoryUpdate,
   validateLowStockQuery,
+  validateInventoryHistoryQuery,
+  validateStockValuationQuery,
 } = require("../../validations/admin/productValidation");
 
 // All routes require admin authentication
@@ -33,49 +38,71 @@ router.use(adminAuth);
 // Product management routes
 router.get(
   "/",
+  requirePermission("products:read"),
   validateGetProducts,
   getAllProducts
 );
 router.get(
   "/packages",
+  requirePermission("products:read"),
   validateGetProducts,
   getAllPackages
 );
 router.get(
   "/alerts/low-stock",
+  requirePermission("products:read"),
   validateLowStockQuery,
   getLowStockAlerts
 );
+router.get(
+  "/inventory/valuation",
+  requirePermission("products:read"),
+  validateStockValuationQuery,
+  getStockValuation
+);
 router.get(
   "/:productId",
+  requirePermission("products:read"),
   validateProductId,
   getProductById
 );
 router.post(
   "/",
+  requirePermission("products:write"),
   validateCreateProduct,
   createProduct
 );
 router.put(
   "/:productId",
+  requirePermission("products:write"),
   validateProductId,
   validateUpdateProduct,
   updateProduct
 );
 router.delete(
   "/:productId",
+  requirePermission("products:delete"),
   validateProductId,
   validateDeleteProduct,
   deleteProduct
 );
 router.put(
   "/:productId/inventory",
+  requirePermission("inventory:write"),
   validateProductId,
   validateInventoryUpdate,
   updateProductInventory
 );
+router.get(
+  "/:productId/inventory/history",
+  requirePermission("products:read"),
+  validateProductId,
+  validateInventoryHistoryQuery,
+  getInventoryHistory
+);
 router.post(
   "/bulk",
+  requirePermission("products:write"),
   validateBulkOperations,
   bulkProductOperations
 );
@@ -0,0 +1,78 @@
+const express = require("express");
+const router = express.Router();
+const {
+  adminAuth,
+  requirePermission,
+  requireStepUp,
+} = require("../../middleware/adminAuth");
+
+const {
+  validateReturnQuery,
+  validateReturnId,
+  validateApproveReturn,
+  validateRejectReturn,
+  validateInspectReturn,
+  validateRefundReturn,
+} = require("../../validations/admin/returnValidation");
+
+const {
+  getAllReturns,
+  getReturnById,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  inspectReturn,
+  refundReturn,
+} = require("../../controllers/admin/returnController");
+
+// All routes require admin authentication
+router.use(adminAuth);
+
+// Return requests
+router.get(
+  "/",
+  requirePermission("orders:read"),
+  validateReturnQuery,
+  getAllReturns
+);
+router.get(
+  "/:returnId",
+  requirePermission("orders:read"),
+  validateReturnId,
+  getReturnById
+);
+
+// Processing steps
+router.patch(
+  "/:returnId/approve",
+  requirePermission("orders:write"),
+  validateApproveReturn,
+  approveReturn
+);
+router.patch(
+  "/:returnId/reject",
+  requirePermission("orders:write"),
+  validateRejectReturn,
+  rejectReturn
+);
+router.patch(
+  "/:returnId/receive",
+  requirePermission("orders:write"),
+  validateReturnId,
+  receiveReturn
+);
+router.patch(
+  "/:returnId/inspect",
+  requirePermission("orders:write"),
+  validateInspectReturn,
+  inspectReturn
+);
+router.post(
+  "/:returnId/refund",
+  requirePermission("orders:refund"),
+  requireStepUp,
+  validateRefundReturn,
+  refundReturn
+);
+
+module.exports = router;
@@ -0,0 +1,63 @@
+const express = require("express");
+const router = express.Router();
+const { adminAuth, requirePermission } = require("../../middleware/adminAuth");
+
+const {
+  validateReviewQuery,
+  validateReviewId,
+  validateRejectReview,
+  validateReviewReply,
+} = require("../../validations/admin/reviewValidation");
+
+const {
+  getAllReviews,
+  approveReview,
+  rejectReview,
+  replyToReview,
+  deleteReview,
+} = require("../../controllers/admin/reviewController");
+
+// All routes require admin authentication
+router.use(adminAuth);
+
+// Moderation queue
+router.get(
+  "/",
+  requirePermission("reviews:read"),
+  validateReviewQuery,
+  getAllReviews
+);
+
+// Approve review
+router.patch(
+  "/:reviewId/approve",
+  requirePermission("reviews:moderate"),
+  validateReviewId,
+  approveReview
+);
+
+// Reject review
+router.patch(
+  "/:reviewId/reject",
+  requirePermission("reviews:moderate"),
+  validateRejectReview,
+  rejectReview
+);
+
+// Reply to review
+router.post(
+  "/:reviewId/reply",
+  requirePermission("reviews:moderate"),
+  validateReviewReply,
+  replyToReview
+);
+
+// Delete review
+router.delete(
+  "/:reviewId",
+  requirePermission("reviews:moderate"),
+  validateReviewId,
+  deleteReview
+);
+
+module.exports = router;
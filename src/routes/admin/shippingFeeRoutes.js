@@ -1,6 +1,6 @@
 const express = require("express");
 const router = express.Router();
-const { adminAuth } = require("../../middleware/adminAuth");
+const { adminAuth, requirePermission } = require("../../middleware/adminAuth");
 
 const {
     getAllShippingFees,
@@ -26,6 +26,7 @@ router.use(adminAuth);
 // Get all shipping fees
 router.get(
     "/",
+    requirePermission("shipping:read"),
     validateGetShippingFees,
     getAllShippingFees
 );
@@ -33,6 +34,7 @@ router.get(
 // Get shipping fee by ID
 router.get(
     "/:id",
+    requirePermission("shipping:read"),
     validateShippingFeeId,
     getShippingFeeById
 );
@@ -40,6 +42,7 @@ router.get(
 // Create new shipping fee
 router.post(
     "/",
+    requirePermission("shipping:write"),
     validateCreateShippingFee,
     createShippingFee
 );
@@ -47,6 +50,7 @@ router.post(
 // Update shipping fee
 router.put(
     "/:id",
+    requirePermission("shipping:write"),
     validateUpdateShippingFee,
     updateShippingFee
 );
@@ -54,6 +58,7 @@ router.put(
 // Delete shipping fee
 router.delete(
     "/:id",
+    requirePermission("shipping:write"),
     validateShippingFeeId,
     deleteShippingFee
 );
@@ -61,6 +66,7 @@ router.delete(
 // Toggle shipping fee status
 router.patch(
     "/:id/toggle",
+    requirePermission("shipping:write"),
     validateShippingFeeId,
     toggleShippingFeeStatus
 );
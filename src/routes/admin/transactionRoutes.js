@@ -1,7 +1,11 @@
 // routes/admin/transactionRoutes.js
 const express = require("express");
 const router = express.Router();
-const { adminAuth } = require("../../middleware/adminAuth");
+const {
+  adminAuth,
+  requirePermission,
+  requireStepUp,
+} = require("../../middleware/adminAuth");
 
 const {
   validateCreateTransaction,
@@ -32,18 +36,21 @@ router.use(adminAuth);
 // Transaction listing and search
 router.get(
   "/",
+  requirePermission("payments:read"),
   validateTransactionQuery,
   getAllTransactions
 );
 
 router.get(
   "/search",
+  requirePermission("payments:read"),
   validateTransactionSearch,
   searchTransactions
 );
 
 router.get(
   "/analytics",
+  requirePermission("payments:read"),
   validateTransactionAnalytics,
   getTransactionAnalytics
 );
@@ -51,6 +58,7 @@ router.get(
 // Create transaction
 router.post(
   "/",
+  requirePermission("payments:write"),
   validateCreateTransaction,
   createTransaction
 );
@@ -58,6 +66,7 @@ router.post(
 // Bulk operations
 router.post(
   "/bulk",
+  requirePermission("payments:write"),
   validateBulkTransactionOperation,
   bulkTransactionOperation
 );
@@ -65,18 +74,21 @@ router.post(
 // Get transactions by user
 router.get(
   "/user/:userId",
+  requirePermission("payments:read"),
   getTransactionsByUser
 );
 
 // Single transaction operations
 router.get(
   "/:transactionId",
+  requirePermission("payments:read"),
   validateTransactionId,
   getTransactionById
 );
 
 router.put(
   "/:transactionId/status",
+  requirePermission("payments:write"),
   validateTransactionId,
   validateUpdateTransactionStatus,
   updateTransactionStatus
@@ -84,6 +96,8 @@ router.put(
 
 router.post(
   "/:transactionId/refund",
+  requirePermission("payments:refund"),
+  requireStepUp,
   validateTransactionId,
   validateRefundTransaction,
   processRefundTransaction
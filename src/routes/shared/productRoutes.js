@@ -23,6 +23,20 @@ const {
   estimateShipping,
 } = require("../../controllers/shared/productController");
 
+const {
+  validateReviewQuery,
+  validateCreateReview,
+  validateUpdateReview,
+  validateReviewId,
+} = require("../../validations/shared/reviewValidation");
+
+const {
+  getProductReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+} = require("../../controllers/shared/reviewController");
+
 
 // Public routes (no authentication required)
 router.get("/", optionalAuth, validateProductQuery, getAllProducts);
@@ -43,4 +57,10 @@ router.get("/categories/:categoryId", getCategoryById);
 // Optional auth route (tracks user views if logged in)
 router.post("/:productId/view", optionalAuth, validateProductId, recordProductView);
 
+// Product reviews (public listing, customer write access)
+router.get("/:productId/reviews", optionalAuth, validateReviewQuery, getProductReviews);
+router.post("/:productId/reviews", userAuth, validateCreateReview, createReview);
+router.put("/:productId/reviews/:reviewId", userAuth, validateUpdateReview, updateReview);
+router.delete("/:productId/reviews/:reviewId", userAuth, validateReviewId, deleteReview);
+
 module.exports = router;
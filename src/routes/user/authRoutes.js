@@ -4,9 +4,14 @@ const {
   registerUser,
   loginUser,
   logoutUser,
+  logoutAllDevices,
   refreshToken,
   forgotPassword,
   resetPassword,
+  sendVerificationEmail,
+  resendVerificationEmail,
+  verifyEmail,
+  getAccountInvite,
 } = require("../../controllers/user/authController");
 
 const {
@@ -14,18 +19,27 @@ const {
   validateLogin,
   validateForgotPassword,
   validateResetPassword,
+  validateRefreshToken,
+  validateResendVerification,
+  validateVerifyEmail,
+  validateAccountInvite,
 } = require("../../validations/user/authValidation");
 
 const { userAuth } = require("../../middleware/userAuth");
 
 // Public routes
 router.post("/register", validateRegister, registerUser);
+router.get("/register/invite", validateAccountInvite, getAccountInvite);
 router.post("/login", validateLogin, loginUser);
 router.post("/forgot-password", validateForgotPassword, forgotPassword);
 router.post("/reset-password", validateResetPassword, resetPassword);
+router.post("/refresh", validateRefreshToken, refreshToken);
+router.post("/verify-email", validateVerifyEmail, verifyEmail);
+router.post("/resend-verification", validateResendVerification, resendVerificationEmail);
 
 // Protected routes
 router.post("/logout", userAuth, logoutUser);
-router.post("/refresh", userAuth, refreshToken);
+router.post("/logout-all", userAuth, logoutAllDevices);
+router.post("/send-verification", userAuth, sendVerificationEmail);
 
 module.exports = router;
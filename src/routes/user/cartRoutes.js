@@ -1,6 +1,6 @@
 const express = require("express");
 const router = express.Router();
-const { userAuth } = require("../../middleware/userAuth");
+const { userAuth, requireVerifiedEmail } = require("../../middleware/userAuth");
 
 const {
   validateAddToCart,
@@ -10,6 +10,7 @@ const {
   validateShippingAddress,
   validateCartNotes,
   validateUpdateShippingFee,
+  validateRecoverCart,
 } = require("../../validations/user/cartValidation");
 
 const {
@@ -23,6 +24,9 @@ const {
   updateShippingAddress,
   updateCartNotes,
   updateSelectedShippingFee,
+  holdCart,
+  releaseCartHold,
+  recoverCart,
 } = require("../../controllers/user/cartController");
 
 // All routes require user authentication
@@ -36,7 +40,7 @@ router.delete("/items/:itemId", validateRemoveCartItem, removeFromCart);
 router.delete("/clear", clearCart);
 
 // Coupon routes
-router.post("/coupon", validateApplyCoupon, applyCoupon);
+router.post("/coupon", requireVerifiedEmail("coupons"), validateApplyCoupon, applyCoupon);
 router.delete("/coupon", removeCoupon);
 
 // Shipping and notes routes
@@ -44,4 +48,11 @@ router.put("/shipping", validateShippingAddress, updateShippingAddress);
 router.patch("/shipping-fee", validateUpdateShippingFee, updateSelectedShippingFee);
 router.put("/notes", validateCartNotes, updateCartNotes);
 
+// Checkout stock holds
+router.post("/hold", requireVerifiedEmail("checkout"), holdCart);
+router.delete("/hold", releaseCartHold);
+
+// Abandoned cart reminder links
+router.post("/recover", validateRecoverCart, recoverCart);
+
 module.exports = router;
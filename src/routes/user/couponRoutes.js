@@ -1,6 +1,6 @@
 const express = require("express");
 const router = express.Router();
-const { userAuth, optionalAuth } = require("../../middleware/userAuth");
+const { userAuth, optionalAuth, requireVerifiedEmail } = require("../../middleware/userAuth");
 const { validateCouponCode } = require("../../validations/user/couponValidation");
 const { getAvailableCoupons, validateCouponCode: validateCouponController } = require("../../controllers/user/couponController");
 
@@ -8,6 +8,6 @@ const { getAvailableCoupons, validateCouponCode: validateCouponController } = re
 router.get("/", optionalAuth, getAvailableCoupons);
 
 // Validate coupon code (optional auth for guests)
-router.post("/validate", optionalAuth, validateCouponCode, validateCouponController);
+router.post("/validate", optionalAuth, requireVerifiedEmail("coupons"), validateCouponCode, validateCouponController);
 
 module.exports = router;
@@ -0,0 +1,51 @@
+const express = require("express");
+const router = express.Router();
+const { requireCartToken } = require("../../middleware/guestCart");
+
+const {
+  validateAddToCart,
+  validateUpdateCartItem,
+  validateRemoveCartItem,
+  validateApplyCoupon,
+  validateShippingAddress,
+  validateCartNotes,
+  validateUpdateShippingFee,
+} = require("../../validations/user/cartValidation");
+
+const {
+  getCart,
+  addToCart,
+  updateCartItem,
+  removeFromCart,
+  clearCart,
+  applyCoupon,
+  removeCoupon,
+  updateShippingAddress,
+  updateCartNotes,
+  updateSelectedShippingFee,
+  startGuestCart,
+} = require("../../controllers/user/cartController");
+
+// Start a cart; the response carries the token for every other route
+router.post("/", startGuestCart);
+
+// All other routes require the cart token
+router.use(requireCartToken);
+
+// Cart management routes
+router.get("/", getCart);
+router.post("/items", validateAddToCart, addToCart);
+router.put("/items/:itemId", validateUpdateCartItem, updateCartItem);
+router.delete("/items/:itemId", validateRemoveCartItem, removeFromCart);
+router.delete("/clear", clearCart);
+
+// Coupon routes
+router.post("/coupon", validateApplyCoupon, applyCoupon);
+router.delete("/coupon", removeCoupon);
+
+// Shipping and notes routes
+router.put("/shipping", validateShippingAddress, updateShippingAddress);
+router.patch("/shipping-fee", validateUpdateShippingFee, updateSelectedShippingFee);
+router.put("/notes", validateCartNotes, updateCartNotes);
+
+module.exports = router;
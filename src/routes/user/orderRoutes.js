@@ -1,6 +1,6 @@
 const express = require("express");
 const router = express.Router();
-const { userAuth } = require("../../middleware/userAuth");
+const { userAuth, requireVerifiedEmail } = require("../../middleware/userAuth");
 
 const {
   getUserOrders,
@@ -9,11 +9,16 @@ const {
   cancelOrder,
   trackOrder,
   requestReturn,
+  getUserReturns,
+  getReturnById,
   reorder,
   createGuestOrder,
   trackGuestOrder,
   getOrderTimeline,
   downloadInvoice,
+  downloadInvoicePdf,
+  getOrderCreditNotes,
+  downloadCreditNotePdf,
 } = require("../../controllers/user/orderController");
 
 const {
@@ -21,6 +26,9 @@ const {
   validateOrderId,
   validateCancelOrder,
   validateReturnRequest,
+  validateReturnQuery,
+  validateReturnId,
+  validateCreditNoteId,
   validateOrderQuery,
   validateGuestOrder,
   validateGuestTracking,
@@ -33,8 +41,15 @@ router.get("/track/:orderNumber", validateGuestTracking, trackGuestOrder);
 // Protected routes (require user authentication)
 router.use(userAuth);
 
-router.post("/", validateCreateOrder, createOrder);
+router.post(
+  "/",
+  requireVerifiedEmail("checkout"),
+  validateCreateOrder,
+  createOrder
+);
 router.get("/", validateOrderQuery, getUserOrders);
+router.get("/returns", validateReturnQuery, getUserReturns);
+router.get("/returns/:returnId", validateReturnId, getReturnById);
 router.get("/:orderId", validateOrderId, getOrderById);
 router.put(
   "/:orderId/cancel",
@@ -45,6 +60,13 @@ router.put(
 router.get("/:orderId/track", validateOrderId, trackOrder);
 router.get("/:orderId/timeline", validateOrderId, getOrderTimeline);
 router.get("/:orderId/invoice", validateOrderId, downloadInvoice);
+router.get("/:orderId/invoice/pdf", validateOrderId, downloadInvoicePdf);
+router.get("/:orderId/credit-notes", validateOrderId, getOrderCreditNotes);
+router.get(
+  "/:orderId/credit-notes/:creditNoteId/pdf",
+  validateCreditNoteId,
+  downloadCreditNotePdf
+);
 router.post(
   "/:orderId/return",
   validateOrderId,
@@ -24,9 +24,19 @@ const {
   getCompareList,
   toggleCompareProduct,
   clearCompareList,
+  // Wishlist
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  clearWishlist,
+  // Sessions
+  getSessions,
+  revokeUserSession,
+  getLoginHistory,
   // Account deletion
   requestAccountDeletion,
   cancelDeletionRequest,
+  exportPersonalData,
 } = require("../../controllers/user/profileController");
 
 const {
@@ -39,6 +49,9 @@ const {
   validateUpdateAddress,
   validateSetDefaultAddress,
   validateDeletionRequest,
+  validateWishlistProduct,
+  validateSessionId,
+  validateLoginHistoryQuery,
 } = require("../../validations/user/profileValidation");
 
 // Public route (for account reactivation - must be before userAuth middleware)
@@ -72,8 +85,22 @@ router.get("/compare", getCompareList);
 router.post("/compare/:productId", toggleCompareProduct);
 router.delete("/compare", clearCompareList);
 
+// Wishlist routes
+router.get("/wishlist", getWishlist);
+router.post("/wishlist/:productId", validateWishlistProduct, addToWishlist);
+router.delete("/wishlist/:productId", validateWishlistProduct, removeFromWishlist);
+router.delete("/wishlist", clearWishlist);
+
+// Session / device management routes
+router.get("/sessions", getSessions);
+router.delete("/sessions/:sessionId", validateSessionId, revokeUserSession);
+router.get("/login-history", validateLoginHistoryQuery, getLoginHistory);
+
 // Account deletion request routes
 router.post("/request-deletion", validateDeletionRequest, requestAccountDeletion);
 router.delete("/request-deletion", cancelDeletionRequest);
 
+// Personal data export
+router.get("/export", exportPersonalData);
+
 module.exports = router;
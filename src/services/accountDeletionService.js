@@ -0,0 +1,167 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const User = require("../models/User");
+const Order = require("../models/Order");
+const Payment = require("../models/Payment");
+const Return = require("../models/Return");
+const Review = require("../models/Review");
+const Cart = require("../models/Cart");
+const CartRecovery = require("../models/CartRecovery");
+const Session = require("../models/Session");
+const LoginHistory = require("../models/LoginHistory");
+const { releaseCartHolds } = require("./inventoryService");
+const { byUser } = require("./orderHistoryService");
+const { transitionOrder } = require("./orderStateMachine");
+const { sendAccountDeletionEmail } = require("./emailService");
+
+// Orders that haven't shipped yet are cancelled (and refunded) on erasure
+const CANCELLABLE_STATUSES = ["pending", "processing", "confirmed"];
+// Erasure waits while an order is on its way, since the courier still
+// needs the address
+const IN_TRANSIT_STATUSES = ["shipped"];
+
+const REDACTED = "[deleted]";
+
+const hasOrdersInTransit = (userId) =>
+  Order.exists({ userId, status: { $in: IN_TRANSIT_STATUSES } });
+
+// Cancel the orders that haven't shipped, refunding any that were paid
+const cancelOpenOrders = async (user) => {
+  const orders = await Order.find({ userId: user._id, status: { $in: CANCELLABLE_STATUSES } });
+  for (const order of orders) {
+    const result = await transitionOrder(order, "cancelled", {
+      by: byUser(user._id),
+      note: "Customer account deleted",
+      refund: true,
+      notify: false,
+      set: { cancellation: { reason: "Customer account deleted", cancelledAt: new Date() } },
+    });
+    if (!result.success || result.refundError) {
+      console.error(
+        `Failed to cancel order ${order.orderNumber} for deleted account:`,
+        result.error || result.refundError
+      );
+    }
+  }
+};
+
+// Strip the customer's details from their orders and payments. Amounts,
+// items, numbers and the city/state/country used for tax are kept.
+const anonymizeOrders = async (userId, placeholderEmail) => {
+  const orderIds = (await Order.find({ userId }).select("_id")).map((order) => order._id);
+  if (orderIds.length === 0) return 0;
+
+  await Order.updateMany(
+    { _id: { $in: orderIds } },
+    {
+      $set: {
+        "customer.email": placeholderEmail,
+        "customer.firstName": "Deleted",
+        "customer.lastName": "User",
+        "shippingAddress.street": REDACTED,
+        "shippingAddress.zipCode": REDACTED,
+        "billingAddress.street": REDACTED,
+        "billingAddress.zipCode": REDACTED,
+        updatedAt: new Date(),
+      },
+      $unset: { "customer.phone": "" },
+    }
+  );
+  await Payment.updateMany(
+    { orderId: { $in: orderIds } },
+    { $unset: { "paymentDetails.cardHolderName": "" } }
+  );
+  await Return.updateMany({ orderId: { $in: orderIds } }, { $unset: { comments: "" } });
+
+  return orderIds.length;
+};
+
+// Remove a customer's account. Everything personal is erased and their
+// sessions end; unshipped orders are cancelled. Accounts with orders or
+// reviews are anonymized, since those are kept and keep pointing at the
+// account; other accounts are deleted. Resolves to "anonymized", "deleted",
+// or "postponed" when an order is still in transit (nothing is changed).
+const eraseUserAccount = async (user) => {
+  if (await hasOrdersInTransit(user._id)) return "postponed";
+
+  const { email } = user;
+  const firstName = user.profile?.firstName;
+
+  // Deleting the sessions also invalidates their access tokens
+  await Session.deleteMany({ ownerType: "User", ownerId: user._id });
+  await releaseCartHolds(user._id);
+  await Cart.deleteOne({ userId: user._id });
+  await CartRecovery.deleteMany({ userId: user._id });
+  await LoginHistory.deleteMany({ ownerType: "User", ownerId: user._id });
+  await cancelOpenOrders(user);
+
+  const placeholder = `deleted_${user._id}`;
+  const placeholderEmail = `${placeholder}@deleted.invalid`;
+  const orderCount = await anonymizeOrders(user._id, placeholderEmail);
+
+  let outcome;
+  if (orderCount === 0 && !(await Review.exists({ userId: user._id }))) {
+    await User.deleteOne({ _id: user._id });
+    outcome = "deleted";
+  } else {
+    user.username = placeholder;
+    user.email = placeholderEmail;
+    // Nobody knows this password, so the account can't be logged into
+    user.password = await bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10);
+    user.profile = { firstName: "Deleted", lastName: "User" };
+    user.address = undefined;
+    user.addresses = [];
+    user.recentlyViewed = [];
+    user.compareList = [];
+    user.wishlist = [];
+    user.preferences = {
+      newsletter: false,
+      notifications: false,
+      emailNotifications: {
+        orderUpdates: false,
+        promotions: false,
+        newProducts: false,
+        wishlistAlerts: false,
+        cartReminders: false,
+      },
+    };
+    user.emailVerification = undefined;
+    user.passwordReset = undefined;
+    user.deletionRequest = { requested: false };
+    user.isActive = false;
+    user.anonymizedAt = new Date();
+    user.updatedAt = new Date();
+    await user.save();
+    outcome = "anonymized";
+  }
+
+  sendAccountDeletionEmail(email, firstName).catch(err => console.error("Failed to send account deletion email:", err));
+
+  return outcome;
+};
+
+// Erase the accounts whose deletion grace period has ended. Accounts with
+// an order in transit are retried on a later run. Resolves to
+// { deleted, anonymized, postponed, failed }.
+const processScheduledDeletions = async (now = new Date()) => {
+  const users = await User.find({
+    "deletionRequest.requested": true,
+    "deletionRequest.scheduledDeletionAt": { $lte: now },
+  });
+
+  const summary = { deleted: 0, anonymized: 0, postponed: 0, failed: 0 };
+  for (const user of users) {
+    try {
+      summary[await eraseUserAccount(user)]++;
+    } catch (error) {
+      console.error(`Failed to erase account ${user._id}:`, error);
+      summary.failed++;
+    }
+  }
+  return summary;
+};
+
+module.exports = {
+  eraseUserAccount,
+  processScheduledDeletions,
+};
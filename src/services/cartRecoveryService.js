@@ -0,0 +1,245 @@
+const jwt = require("jsonwebtoken");
+const Cart = require("../models/Cart");
+const CartRecovery = require("../models/CartRecovery");
+const Coupon = require("../models/Coupon");
+const Order = require("../models/Order");
+const Product = require("../models/Product");
+const User = require("../models/User");
+const { getSellableQuantity } = require("./inventoryService");
+const { MAX_ITEM_QUANTITY } = require("./cartService");
+const { sendAbandonedCartEmail } = require("./emailService");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours a cart has to sit untouched before each reminder, e.g. "1,24,72"
+const REMINDER_HOURS = (process.env.ABANDONED_CART_REMINDER_HOURS || "1,24,72")
+  .split(",")
+  .map(Number)
+  .filter((hours) => hours > 0)
+  .sort((a, b) => a - b);
+
+// Which reminder (1 = first) carries a single-use coupon; 0 for none
+const COUPON_REMINDER =
+  process.env.ABANDONED_CART_COUPON_REMINDER !== undefined
+    ? parseInt(process.env.ABANDONED_CART_COUPON_REMINDER)
+    : REMINDER_HOURS.length;
+const COUPON_PERCENT = parseFloat(process.env.ABANDONED_CART_COUPON_PERCENT) || 10;
+const COUPON_DAYS = parseInt(process.env.ABANDONED_CART_COUPON_DAYS) || 7;
+
+// An order counts as recovered if it's placed within this many days of the
+// last reminder; the recovery link works for as long
+const ATTRIBUTION_DAYS = parseInt(process.env.ABANDONED_CART_ATTRIBUTION_DAYS) || 7;
+const ATTRIBUTION_MS = ATTRIBUTION_DAYS * 24 * HOUR_MS;
+
+// Signed link that brings the customer back to their cart
+const createRecoveryToken = (recovery) => {
+  return jwt.sign(
+    { recoveryId: recovery._id, userId: recovery.userId, purpose: "cart_recovery" },
+    process.env.JWT_SECRET,
+    { expiresIn: `${ATTRIBUTION_DAYS}d` }
+  );
+};
+
+// Resolves to { recoveryId, userId } for a valid token, otherwise null
+const verifyRecoveryToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === "cart_recovery"
+      ? { recoveryId: decoded.recoveryId, userId: decoded.userId }
+      : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const getRecoveryUrl = (recovery) => {
+  const token = createRecoveryToken(recovery);
+  return `${process.env.CLIENT_URL || "http://localhost:3000"}/cart/recover?token=${token}`;
+};
+
+const createRecoveryCoupon = async (recovery) => {
+  const startDate = new Date();
+  return Coupon.create({
+    code: await Coupon.generateCode("CART"),
+    name: "Cart recovery",
+    description: `${COUPON_PERCENT}% off to complete your order`,
+    discountType: "percentage",
+    discountValue: COUPON_PERCENT,
+    usageLimit: { total: 1, perCustomer: 1 },
+    startDate,
+    endDate: new Date(startDate.getTime() + COUPON_DAYS * 24 * HOUR_MS),
+    notes: `Abandoned cart reminder for cart ${recovery.cartId}`,
+  });
+};
+
+// Send the reminder that is due for one cart, if any. Resolves to true when
+// an email went out.
+const remindCart = async (cart, now) => {
+  let recovery = await CartRecovery.findOne({ cartId: cart._id, status: "open" });
+  const step = recovery ? recovery.remindersSent : 0;
+  const idleHours = (now - cart.updatedAt) / HOUR_MS;
+  if (step >= REMINDER_HOURS.length || idleHours < REMINDER_HOURS[step]) return false;
+
+  // Keep the configured spacing even when a cart was idle for a long time
+  // before the sweep first saw it
+  if (
+    recovery?.lastReminderAt &&
+    now - recovery.lastReminderAt < (REMINDER_HOURS[step] - REMINDER_HOURS[step - 1]) * HOUR_MS
+  ) {
+    return false;
+  }
+
+  // An order since the cart was last touched means it wasn't abandoned
+  if (await Order.exists({ userId: cart.userId, createdAt: { $gte: cart.updatedAt } })) {
+    return false;
+  }
+
+  const user = await User.findById(cart.userId).select(
+    "email username profile.firstName isActive preferences"
+  );
+  if (!user || !user.isActive || user.preferences?.emailNotifications?.cartReminders === false) {
+    return false;
+  }
+
+  if (!recovery) {
+    recovery = await CartRecovery.create({
+      cartId: cart._id,
+      userId: cart.userId,
+      items: cart.items.map((item) => ({
+        productId: item.productId,
+        name: item.name,
+        quantity: item.quantity,
+        price: item.discount?.discountedPrice || item.price,
+      })),
+      cartTotal: cart.summary.grandTotal || cart.summary.totalPrice,
+    });
+  }
+
+  // Claim the step so overlapping runs can't send the same reminder twice
+  const claimed = await CartRecovery.findOneAndUpdate(
+    { _id: recovery._id, status: "open", remindersSent: step },
+    { $inc: { remindersSent: 1 }, lastReminderAt: now },
+    { new: true }
+  );
+  if (!claimed) return false;
+
+  let coupon = null;
+  if (step + 1 === COUPON_REMINDER && !claimed.couponId) {
+    coupon = await createRecoveryCoupon(claimed);
+    claimed.couponId = coupon._id;
+    claimed.couponCode = coupon.code;
+  }
+
+  await sendAbandonedCartEmail(user, cart, {
+    reminder: step + 1,
+    recoveryUrl: getRecoveryUrl(claimed),
+    coupon,
+  });
+
+  claimed.reminders.push({ step: step + 1, sentAt: now, couponCode: coupon?.code });
+  await claimed.save();
+  return true;
+};
+
+// Email customers whose carts have items but have sat untouched, one
+// reminder per configured delay, and close recoveries whose attribution
+// window ran out. Only account carts are reminded; guest carts have no
+// email. Resolves to the number of reminders sent.
+const sendAbandonedCartReminders = async (now = new Date()) => {
+  await CartRecovery.updateMany(
+    { status: "open", lastReminderAt: { $lte: new Date(now - ATTRIBUTION_MS) } },
+    { status: "expired" }
+  );
+
+  if (REMINDER_HOURS.length === 0) return 0;
+
+  // Carts idle for longer than the whole sequence aren't picked up again
+  const lastReminderHours = REMINDER_HOURS[REMINDER_HOURS.length - 1];
+  const carts = await Cart.find({
+    userId: { $exists: true },
+    isActive: true,
+    "items.0": { $exists: true },
+    updatedAt: {
+      $lte: new Date(now - REMINDER_HOURS[0] * HOUR_MS),
+      $gte: new Date(now - lastReminderHours * HOUR_MS - ATTRIBUTION_MS),
+    },
+  });
+
+  let sent = 0;
+  for (const cart of carts) {
+    try {
+      if (await remindCart(cart, now)) sent++;
+    } catch (error) {
+      console.error(`Failed to send abandoned cart reminder for cart ${cart._id}:`, error);
+    }
+  }
+  return sent;
+};
+
+// Follow a recovery link: records the click and, if the cart has been
+// emptied since, puts the abandoned items back as far as stock allows.
+// Resolves to { success, recovery?, cart?, unavailableItems?, error? }.
+const restoreAbandonedCart = async (token, userId) => {
+  const decoded = verifyRecoveryToken(token);
+  const recovery =
+    decoded && decoded.userId === String(userId)
+      ? await CartRecovery.findById(decoded.recoveryId)
+      : null;
+  if (!recovery) {
+    return { success: false, error: "Invalid or expired recovery link" };
+  }
+
+  if (!recovery.clickedAt) {
+    recovery.clickedAt = new Date();
+    await recovery.save();
+  }
+
+  const cart = (await Cart.findOne({ userId })) || new Cart({ userId, items: [] });
+  const unavailableItems = [];
+
+  if (cart.items.length === 0) {
+    for (const item of recovery.items) {
+      const product = await Product.findById(item.productId);
+      const available =
+        product && product.status === "active" ? await getSellableQuantity(product) : 0;
+      let quantity = Math.min(item.quantity, available, MAX_ITEM_QUANTITY);
+      if (quantity > 0 && !cart.addItem(product, quantity).success) quantity = 0;
+
+      if (quantity < item.quantity) {
+        unavailableItems.push({
+          productId: item.productId,
+          name: item.name,
+          requested: item.quantity,
+          quantity,
+        });
+      }
+    }
+    cart.calculateTotals();
+    await cart.save();
+  }
+
+  return { success: true, recovery, cart, unavailableItems };
+};
+
+// Credit an order to the customer's open cart recovery, if they were sent
+// a reminder. Resolves to the recovery or null.
+const recordCartRecovery = async (order) => {
+  if (!order.userId) return null;
+
+  return CartRecovery.findOneAndUpdate(
+    { userId: order.userId, status: "open", remindersSent: { $gt: 0 } },
+    {
+      status: "recovered",
+      recoveredAt: new Date(),
+      orderId: order._id,
+      recoveredRevenue: order.totals.total,
+    },
+    { new: true }
+  );
+};
+
+module.exports = {
+  sendAbandonedCartReminders,
+  restoreAbandonedCart,
+  recordCartRecovery,
+};
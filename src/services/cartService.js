@@ -0,0 +1,136 @@
+const crypto = require("crypto");
+const Cart = require("../models/Cart");
+const Product = require("../models/Product");
+const { getSellableQuantity, releaseCartHolds } = require("./inventoryService");
+
+// Header guests send their cart token in
+const CART_TOKEN_HEADER = "X-Cart-Token";
+
+// Most of one product a cart can hold
+const MAX_ITEM_QUANTITY = 10;
+
+// Same setting the Cart model uses for expiresAt
+const CART_TTL_MS = (parseInt(process.env.CART_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Start an empty guest cart. The returned token is the only way to reach it.
+const createGuestCart = async () => {
+  const cartToken = crypto.randomBytes(32).toString("hex");
+  const cart = await Cart.create({ sessionId: cartToken, items: [] });
+  return { cart, cartToken };
+};
+
+// How many of a product a cart may hold right now; 0 if it can't be sold
+const getItemLimit = async (product) => {
+  if (!product || product.status !== "active") return 0;
+  return Math.min(await getSellableQuantity(product), MAX_ITEM_QUANTITY);
+};
+
+// Move a guest cart's items into the user's cart after they log in or
+// register. A product in both carts keeps the larger quantity, and every
+// quantity is capped at what can currently be sold. The user's coupon,
+// shipping and notes win; a guest coupon is dropped since it was validated
+// for a guest. Resolves to { cart, adjustments, droppedCoupon? } or null
+// when there is no guest cart; adjustments lists lines that were reduced or
+// left out.
+const mergeGuestCart = async (cartToken, userId) => {
+  // Claim the guest cart first so two logins can't merge it twice
+  const guestCart = await Cart.findOneAndUpdate(
+    { sessionId: cartToken, isActive: true },
+    { isActive: false }
+  );
+  if (!guestCart) return null;
+
+  const userCart =
+    (await Cart.findOne({ userId })) || new Cart({ userId, items: [] });
+  const adjustments = [];
+
+  for (const guestItem of guestCart.items) {
+    const product = await Product.findById(guestItem.productId);
+    const limit = await getItemLimit(product);
+    const existingItem = userCart.items.find(
+      (item) => item.productId.toString() === guestItem.productId.toString()
+    );
+    const requested = Math.max(guestItem.quantity, existingItem?.quantity || 0);
+    const quantity = Math.min(requested, limit);
+
+    let merged = quantity;
+    if (existingItem) {
+      existingItem.maxQuantity = limit;
+      existingItem.isAvailable = limit > 0;
+      if (quantity > 0) existingItem.quantity = quantity;
+    } else if (quantity > 0) {
+      const addResult = userCart.addItem(product, quantity);
+      if (addResult.success) {
+        userCart.items[userCart.items.length - 1].maxQuantity = limit;
+      } else {
+        merged = 0;
+      }
+    }
+
+    if (merged < requested) {
+      adjustments.push({
+        productId: guestItem.productId,
+        name: guestItem.name,
+        requested,
+        quantity: merged,
+        reason: merged === 0 ? "unavailable" : "limited",
+      });
+    }
+  }
+
+  if (!userCart.shippingAddress?.street && guestCart.shippingAddress?.street) {
+    userCart.shippingAddress = guestCart.shippingAddress;
+  }
+  if (!userCart.selectedShipping?.shippingFeeId && guestCart.selectedShipping?.shippingFeeId) {
+    userCart.selectedShipping = guestCart.selectedShipping;
+    userCart.summary.shippingFee = guestCart.summary.shippingFee;
+  }
+  if (!userCart.notes && guestCart.notes) {
+    userCart.notes = guestCart.notes;
+  }
+
+  userCart.calculateTotals();
+  await userCart.save();
+  await guestCart.deleteOne();
+
+  return {
+    cart: userCart,
+    adjustments,
+    droppedCoupon: guestCart.coupon?.code && guestCart.coupon.code !== userCart.coupon?.code
+      ? guestCart.coupon.code
+      : undefined,
+  };
+};
+
+// Delete guest carts and empty user carts nobody has touched before their
+// expiresAt. Resolves to { guestCartsDeleted, userCartsEmptied }.
+const expireCarts = async (now = new Date()) => {
+  // Guest carts also have a TTL index; this covers deployments without it
+  const guestCarts = await Cart.deleteMany({
+    sessionId: { $exists: true },
+    expiresAt: { $lte: now },
+  });
+
+  // updatedAt too, for carts saved before expiresAt was kept current
+  const userCarts = await Cart.find({
+    userId: { $exists: true },
+    "items.0": { $exists: true },
+    expiresAt: { $lte: now },
+    updatedAt: { $lte: new Date(now - CART_TTL_MS) },
+  });
+  for (const cart of userCarts) {
+    cart.clearCart();
+    await cart.save();
+    await releaseCartHolds(cart.userId);
+  }
+
+  return { guestCartsDeleted: guestCarts.deletedCount, userCartsEmptied: userCarts.length };
+};
+
+module.exports = {
+  CART_TOKEN_HEADER,
+  MAX_ITEM_QUANTITY,
+  createGuestCart,
+  mergeGuestCart,
+  expireCarts,
+};
@@ -0,0 +1,83 @@
+const CreditNote = require("../models/CreditNote");
+const Order = require("../models/Order");
+const { assignInvoiceNumber } = require("./invoiceService");
+const { nextDocumentNumber } = require("./documentNumberService");
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// What a refund of `amount` gives back. Returned items are listed as given;
+// a full refund lists the whole order; anything else is a single line. A
+// line makes up any difference so the lines always add up to the amount.
+const buildCreditNoteLines = (order, amount, items) => {
+  let lines;
+
+  if (items?.length) {
+    lines = items.map((item) => ({
+      orderItemId: item.orderItemId,
+      name: item.name,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      amount: roundMoney(item.unitPrice * item.quantity),
+    }));
+  } else if (amount >= order.totals.total) {
+    lines = order.items.map((item) => ({
+      orderItemId: item._id,
+      name: item.name,
+      quantity: item.quantity,
+      unitPrice: item.price,
+      amount: item.subtotal,
+    }));
+    const { shipping = 0, tax = 0, discount = 0 } = order.totals;
+    if (shipping > 0) lines.push({ name: "Shipping", unitPrice: shipping, amount: shipping });
+    if (tax > 0) lines.push({ name: "Tax", unitPrice: tax, amount: tax });
+    if (discount > 0) lines.push({ name: "Discount", unitPrice: -discount, amount: -discount });
+  } else {
+    return [{ name: "Partial refund", unitPrice: amount, amount }];
+  }
+
+  const difference = roundMoney(amount - lines.reduce((sum, line) => sum + line.amount, 0));
+  if (difference !== 0) {
+    lines.push({ name: "Adjustment", unitPrice: difference, amount: difference });
+  }
+  return lines;
+};
+
+// Issue a numbered credit note for a refund on an order (a loaded order or
+// its id). options: { amount, reason, items?, paymentId?, transactionId?,
+// returnId?, adminId? } where items are
+// [{ orderItemId, name, quantity, unitPrice }] for a refund of specific lines.
+//
+// The money has already moved when this is called, so it never throws:
+// failures are logged and resolve to null.
+const issueCreditNote = async (orderOrId, options) => {
+  try {
+    const order = orderOrId.items ? orderOrId : await Order.findById(orderOrId);
+    if (!order) return null;
+
+    const { amount, reason, items, paymentId, transactionId, returnId, adminId } = options;
+    const invoice = await assignInvoiceNumber(order);
+
+    return await CreditNote.create({
+      creditNoteNumber: await nextDocumentNumber("credit_note"),
+      orderId: order._id,
+      userId: order.userId,
+      invoiceNumber: invoice.number,
+      type: amount >= order.totals.total ? "full" : "partial",
+      lines: buildCreditNoteLines(order, roundMoney(amount), items),
+      amount: roundMoney(amount),
+      reason,
+      paymentId,
+      transactionId,
+      returnId,
+      issuedBy: adminId,
+    });
+  } catch (error) {
+    console.error("Failed to issue credit note:", error);
+    return null;
+  }
+};
+
+module.exports = {
+  buildCreditNoteLines,
+  issueCreditNote,
+};
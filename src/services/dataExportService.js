@@ -0,0 +1,74 @@
+const User = require("../models/User");
+const Order = require("../models/Order");
+const Payment = require("../models/Payment");
+const Transaction = require("../models/Transaction");
+const Return = require("../models/Return");
+const CreditNote = require("../models/CreditNote");
+const Review = require("../models/Review");
+const Cart = require("../models/Cart");
+const CartRecovery = require("../models/CartRecovery");
+const Session = require("../models/Session");
+const LoginHistory = require("../models/LoginHistory");
+
+const EXPORT_FORMAT_VERSION = 1;
+
+// Everything stored about a customer, as plain JSON. Secrets (password and
+// token hashes), raw gateway responses and staff-only order notes are left
+// out. Resolves to null if the user doesn't exist.
+const exportUserData = async (userId) => {
+  const user = await User.findById(userId)
+    .select("-password -emailVerification.token -passwordReset.token -__v")
+    .lean();
+  if (!user) return null;
+
+  const owner = { ownerType: "User", ownerId: userId };
+  const [
+    orders,
+    payments,
+    transactions,
+    returns,
+    creditNotes,
+    reviews,
+    cart,
+    cartReminders,
+    sessions,
+    loginHistory,
+  ] = await Promise.all([
+    Order.find({ userId }).select("-__v").sort({ createdAt: -1 }).lean(),
+    Payment.find({ userId }).select("-gatewayResponse -__v").sort({ createdAt: -1 }).lean(),
+    Transaction.find({ userId }).select("-gatewayResponse -__v").sort({ createdAt: -1 }).lean(),
+    Return.find({ userId }).select("-__v").sort({ createdAt: -1 }).lean(),
+    CreditNote.find({ userId }).select("-__v").sort({ createdAt: -1 }).lean(),
+    Review.find({ userId }).select("-__v").sort({ createdAt: -1 }).lean(),
+    Cart.findOne({ userId }).select("-__v").lean(),
+    CartRecovery.find({ userId }).select("-__v").sort({ createdAt: -1 }).lean(),
+    Session.find(owner)
+      .select("ipAddress userAgent device lastSeenAt lastSeenIp createdAt expiresAt revokedAt revokedReason")
+      .sort({ createdAt: -1 })
+      .lean(),
+    LoginHistory.find(owner).select("-__v").sort({ createdAt: -1 }).lean(),
+  ]);
+
+  return {
+    formatVersion: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date(),
+    account: user,
+    orders: orders.map((order) => ({
+      ...order,
+      notes: (order.notes || []).filter((note) => !note.isPrivate),
+    })),
+    payments,
+    transactions,
+    returns,
+    creditNotes,
+    reviews,
+    cart,
+    cartReminders,
+    sessions,
+    loginHistory,
+  };
+};
+
+module.exports = {
+  exportUserData,
+};
@@ -0,0 +1,98 @@
+const Counter = require("../models/Counter");
+const Order = require("../models/Order");
+const Return = require("../models/Return");
+const CreditNote = require("../models/CreditNote");
+
+// Number formats per document, overridable through the environment. Tokens:
+// {store} STORE_CODE, {YYYY} {YY} {MM} {DD} the current date, and
+// {seq:N} the sequence padded to N digits. The sequence restarts whenever
+// the text around it changes, so a format with the day in it counts per day.
+const DOCUMENTS = {
+  order: {
+    env: "ORDER_NUMBER_FORMAT",
+    defaultFormat: "ORD-{YYYY}{MM}{DD}-{seq:4}",
+    // Where existing numbers live, to continue from them
+    model: () => Order,
+    field: "orderNumber",
+    dateField: "createdAt",
+  },
+  return: {
+    env: "RETURN_NUMBER_FORMAT",
+    defaultFormat: "RMA-{YYYY}{MM}{DD}-{seq:4}",
+    model: () => Return,
+    field: "returnNumber",
+    dateField: "createdAt",
+  },
+  invoice: {
+    env: "INVOICE_NUMBER_FORMAT",
+    defaultFormat: "INV-{seq:6}",
+    model: () => Order,
+    field: "invoice.number",
+    dateField: "invoice.issuedAt",
+  },
+  credit_note: {
+    env: "CREDIT_NOTE_NUMBER_FORMAT",
+    defaultFormat: "CN-{seq:6}",
+    model: () => CreditNote,
+    field: "creditNoteNumber",
+    dateField: "createdAt",
+  },
+};
+
+const SEQ_TOKEN = /\{seq(?::(\d+))?\}/;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const getFormat = (type) => {
+  const document = DOCUMENTS[type];
+  const format = process.env[document.env];
+  if (format && !SEQ_TOKEN.test(format)) {
+    console.warn(`${document.env} has no {seq} token; using ${document.defaultFormat}`);
+    return document.defaultFormat;
+  }
+  return format || document.defaultFormat;
+};
+
+const renderTokens = (text, date) =>
+  text
+    .replace(/\{store\}/g, process.env.STORE_CODE || "")
+    .replace(/\{YYYY\}/g, String(date.getFullYear()))
+    .replace(/\{YY\}/g, String(date.getFullYear()).slice(-2))
+    .replace(/\{MM\}/g, String(date.getMonth() + 1).padStart(2, "0"))
+    .replace(/\{DD\}/g, String(date.getDate()).padStart(2, "0"));
+
+// The sequence starts after the highest number already issued in this
+// scope, so switching to the counter (or changing the format) can't reuse one
+const findLastSequence = async (document, prefix, suffix) => {
+  const pattern = new RegExp(`^${escapeRegex(prefix)}(\\d+)${escapeRegex(suffix)}$`);
+  const latest = await document
+    .model()
+    .findOne({ [document.field]: pattern })
+    .sort({ [document.dateField]: -1 })
+    .select(document.field);
+
+  const number = latest?.get(document.field);
+  return number ? parseInt(number.match(pattern)[1], 10) : 0;
+};
+
+// Next number for a document type ("order", "return", "invoice",
+// "credit_note"). Backed by an atomic counter, so concurrent requests
+// always get different numbers.
+const nextDocumentNumber = async (type, date = new Date()) => {
+  const document = DOCUMENTS[type];
+  const [before, padding = "0", after = ""] = getFormat(type).split(SEQ_TOKEN);
+  const prefix = renderTokens(before, date);
+  const suffix = renderTokens(after, date);
+
+  const counterName = `${type}:${prefix}{seq}${suffix}`;
+  if (!(await Counter.exists({ _id: counterName }))) {
+    await Counter.seed(counterName, await findLastSequence(document, prefix, suffix));
+  }
+
+  const seq = await Counter.next(counterName);
+  return `${prefix}${String(seq).padStart(parseInt(padding, 10), "0")}${suffix}`;
+};
+
+module.exports = {
+  nextDocumentNumber,
+};
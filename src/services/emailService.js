@@ -1,4 +1,6 @@
 const nodemailer = require("nodemailer");
+const { generateInvoicePdf } = require("./invoiceService");
+const { getAccountInviteUrl } = require("./guestOrderService");
 
 // Create reusable transporter object using Brevo SMTP
 const transporter = nodemailer.createTransport({
@@ -11,14 +13,15 @@ const transporter = nodemailer.createTransport({
     },
 });
 
-// Helper to send email
-const sendEmail = async ({ to, subject, html }) => {
+// Helper to send email (attachments use the nodemailer format)
+const sendEmail = async ({ to, subject, html, attachments }) => {
     try {
         const info = await transporter.sendMail({
             from: `${process.env.EMAIL_FROM_NAME} <${process.env.EMAIL_FROM_ADDRESS}>`,
             to,
             subject,
             html,
+            attachments,
         });
 
         console.log("Message sent: %s", info.messageId);
@@ -49,6 +52,55 @@ const sendPasswordResetEmail = async (email, resetToken) => {
     });
 };
 
+const sendEmailVerificationEmail = async (user, verificationToken) => {
+    const verifyUrl = `${process.env.CLIENT_URL || "http://localhost:3000"}/verify-email?token=${verificationToken}`;
+
+    const message = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #2563eb; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+            .content { background-color: #f9fafb; padding: 30px; border-radius: 0 0 8px 8px; }
+            .button { display: inline-block; background-color: #2563eb; color: white; padding: 14px 28px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+            .footer { margin-top: 20px; font-size: 12px; color: #6b7280; text-align: center; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>✉️ Verify Your Email</h1>
+            </div>
+            <div class="content">
+                <p>Hi ${user.profile?.firstName || user.username || "there"},</p>
+                <p>Thanks for creating an MK Dental account. Please confirm that <strong>${user.email}</strong> is your email address.</p>
+
+                <p style="text-align: center;">
+                    <a href="${verifyUrl}" class="button" style="color: white;" clicktracking=off>Verify Email</a>
+                </p>
+
+                <p style="color: #6b7280; font-size: 14px;">
+                    This link will expire in 24 hours. If you did not create an account, you can safely ignore this email.
+                </p>
+            </div>
+            <div class="footer">
+                <p>© ${new Date().getFullYear()} MK Dental. All rights reserved.</p>
+                <p>This is an automated message, please do not reply.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+
+    return sendEmail({
+        to: user.email,
+        subject: "MK Dental - Verify your email address",
+        html: message,
+    });
+};
+
 const sendAdminPasswordResetEmail = async (email, resetToken, adminName) => {
     const resetUrl = `${process.env.ADMIN_URL || "http://localhost:3000/admin"}/reset-password?token=${resetToken}`;
 
@@ -266,6 +318,14 @@ const sendOrderConfirmationEmail = async (order) => {
                     <a href="${orderUrl}" class="button" style="color: white;">View Order Details</a>
                 </p>
                 
+                ${order.isGuestOrder && !order.userId ? `
+                <div class="order-info" style="text-align: center;">
+                    <p style="margin: 0; font-weight: 600;">Save your details for next time</p>
+                    <p style="margin: 10px 0 0 0; color: #6b7280;">Create an account to track this order, reorder in one click and check out faster.</p>
+                    <a href="${getAccountInviteUrl(order)}" class="button" style="color: white;">Create Account</a>
+                </div>
+                ` : ''}
+                
                 <p style="color: #6b7280; font-size: 14px; margin-top: 30px;">
                     We'll send you another email when your order ships. If you have any questions, please contact our support team.
                 </p>
@@ -279,10 +339,24 @@ const sendOrderConfirmationEmail = async (order) => {
     </html>
     `;
 
+    // The confirmation still goes out if the invoice can't be generated
+    let attachments;
+    try {
+        const invoicePdf = await generateInvoicePdf(order);
+        attachments = [{
+            filename: `invoice-${order.invoice.number}.pdf`,
+            content: invoicePdf,
+            contentType: "application/pdf",
+        }];
+    } catch (error) {
+        console.error("Error generating invoice for order confirmation:", error);
+    }
+
     return sendEmail({
         to: order.customer.email,
         subject: `✓ Order Confirmed #${order.orderNumber} - MK Dental`,
         html: message,
+        attachments,
     });
 };
 
@@ -486,13 +560,431 @@ const sendOrderStatusUpdateEmail = async (order) => {
     });
 };
 
+const sendWishlistPriceDropEmail = async (user, product, oldPrice, newPrice) => {
+    const productUrl = `${process.env.CLIENT_URL || "http://localhost:3000"}/products/${product.seo?.slug || product._id}`;
+    const savings = oldPrice - newPrice;
+
+    const message = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #2563eb; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+            .content { background-color: #f9fafb; padding: 30px; border-radius: 0 0 8px 8px; }
+            .price-box { background-color: #ffffff; border: 2px dashed #2563eb; padding: 20px; text-align: center; margin: 20px 0; border-radius: 8px; }
+            .old-price { color: #6b7280; text-decoration: line-through; font-size: 18px; }
+            .new-price { font-size: 32px; font-weight: bold; color: #059669; margin: 10px 0; }
+            .button { display: inline-block; background-color: #2563eb; color: white; padding: 14px 28px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+            .footer { margin-top: 20px; font-size: 12px; color: #6b7280; text-align: center; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>💙 Price Drop Alert</h1>
+            </div>
+            <div class="content">
+                <p>Hi ${user.profile?.firstName || user.username || "there"},</p>
+                <p>Good news! <strong>${product.name}</strong> from your wishlist is now cheaper.</p>
+
+                <div class="price-box">
+                    <p class="old-price">${oldPrice.toFixed(2)} EGP</p>
+                    <p class="new-price">${newPrice.toFixed(2)} EGP</p>
+                    <p style="margin: 0; color: #059669;">You save ${savings.toFixed(2)} EGP</p>
+                </div>
+
+                <p style="text-align: center;">
+                    <a href="${productUrl}" class="button" style="color: white;">View Product</a>
+                </p>
+
+                <p style="color: #6b7280; font-size: 14px;">
+                    You are receiving this because the product is on your wishlist. You can turn off wishlist alerts in your account preferences.
+                </p>
+            </div>
+            <div class="footer">
+                <p>© ${new Date().getFullYear()} MK Dental. All rights reserved.</p>
+                <p>This is an automated message, please do not reply.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+
+    return sendEmail({
+        to: user.email,
+        subject: `💙 Price drop: ${product.name} is now ${newPrice.toFixed(2)} EGP`,
+        html: message,
+    });
+};
+
+const sendWishlistBackInStockEmail = async (user, product) => {
+    const productUrl = `${process.env.CLIENT_URL || "http://localhost:3000"}/products/${product.seo?.slug || product._id}`;
+
+    const message = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #2563eb; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+            .content { background-color: #f9fafb; padding: 30px; border-radius: 0 0 8px 8px; }
+            .button { display: inline-block; background-color: #2563eb; color: white; padding: 14px 28px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+            .footer { margin-top: 20px; font-size: 12px; color: #6b7280; text-align: center; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>📦 Back in Stock</h1>
+            </div>
+            <div class="content">
+                <p>Hi ${user.profile?.firstName || user.username || "there"},</p>
+                <p><strong>${product.name}</strong> from your wishlist is back in stock. Quantities may be limited, so order soon.</p>
+
+                <p style="text-align: center;">
+                    <a href="${productUrl}" class="button" style="color: white;">Shop Now</a>
+                </p>
+
+                <p style="color: #6b7280; font-size: 14px;">
+                    You are receiving this because the product is on your wishlist. You can turn off wishlist alerts in your account preferences.
+                </p>
+            </div>
+            <div class="footer">
+                <p>© ${new Date().getFullYear()} MK Dental. All rights reserved.</p>
+                <p>This is an automated message, please do not reply.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+
+    return sendEmail({
+        to: user.email,
+        subject: `📦 Back in stock: ${product.name}`,
+        html: message,
+    });
+};
+
+const sendAbandonedCartEmail = async (user, cart, { reminder, recoveryUrl, coupon }) => {
+    const itemsHtml = cart.items
+        .map(
+            (item) => `
+            <tr>
+                <td style="padding: 12px; border-bottom: 1px solid #e5e7eb;">${item.name}</td>
+                <td style="padding: 12px; border-bottom: 1px solid #e5e7eb; text-align: center;">${item.quantity}</td>
+                <td style="padding: 12px; border-bottom: 1px solid #e5e7eb; text-align: right;">${(item.price * item.quantity).toFixed(2)} EGP</td>
+            </tr>
+            `
+        )
+        .join("");
+
+    const message = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #2563eb; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+            .content { background-color: #f9fafb; padding: 30px; border-radius: 0 0 8px 8px; }
+            .table { width: 100%; border-collapse: collapse; margin: 20px 0; background-color: #ffffff; }
+            .coupon { background-color: #ecfdf5; border: 2px dashed #059669; padding: 15px; text-align: center; border-radius: 8px; margin: 20px 0; }
+            .coupon-code { font-size: 22px; font-weight: bold; color: #059669; letter-spacing: 2px; }
+            .button { display: inline-block; background-color: #2563eb; color: white; padding: 14px 28px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+            .footer { margin-top: 20px; font-size: 12px; color: #6b7280; text-align: center; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>🛒 ${reminder > 1 ? "Your cart is still waiting" : "You left something behind"}</h1>
+            </div>
+            <div class="content">
+                <p>Hi ${user.profile?.firstName || user.username || "there"},</p>
+                <p>You still have items in your cart. Stock is limited, so complete your order before they sell out.</p>
+
+                <table class="table">
+                    ${itemsHtml}
+                </table>
+
+                ${coupon ? `
+                <div class="coupon">
+                    <p style="margin: 0;">Here's ${coupon.discountValue}% off to finish your order:</p>
+                    <p class="coupon-code">${coupon.code}</p>
+                    <p style="margin: 0; font-size: 12px; color: #6b7280;">Single use, valid until ${new Date(coupon.endDate).toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" })}. It's applied when you open your cart from this email.</p>
+                </div>
+                ` : ""}
+
+                <p style="text-align: center;">
+                    <a href="${recoveryUrl}" class="button" style="color: white;">Return to My Cart</a>
+                </p>
+
+                <p style="color: #6b7280; font-size: 14px;">
+                    You are receiving this because you left items in your cart. You can turn off cart reminders in your account preferences.
+                </p>
+            </div>
+            <div class="footer">
+                <p>© ${new Date().getFullYear()} MK Dental. All rights reserved.</p>
+                <p>This is an automated message, please do not reply.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+
+    return sendEmail({
+        to: user.email,
+        subject: coupon ? "🛒 Your cart is waiting - plus a discount" : "🛒 You left items in your cart",
+        html: message,
+    });
+};
+
+const sendAccountDeletionEmail = async (email, firstName, scheduledAt) => {
+    // Sent when a deletion is scheduled and again once the data is erased
+    const body = scheduledAt
+        ? `<p>We received a request to delete your MK Dental account. It will be permanently deleted on <strong>${new Date(scheduledAt).toDateString()}</strong>.</p>
+                <p>If you change your mind, sign in and cancel the request from your account settings before then.</p>`
+        : `<p>Your MK Dental account has been deleted. Your personal details have been erased; records of past orders are kept without them, as required for accounting.</p>`;
+
+    const message = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #2563eb; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+            .content { background-color: #f9fafb; padding: 30px; border-radius: 0 0 8px 8px; }
+            .footer { margin-top: 20px; font-size: 12px; color: #6b7280; text-align: center; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>${scheduledAt ? "Account Deletion Requested" : "Account Deleted"}</h1>
+            </div>
+            <div class="content">
+                <p>Hi ${firstName || "there"},</p>
+                ${body}
+                <p style="color: #6b7280; font-size: 14px;">
+                    If you did not request this, please contact our support team immediately.
+                </p>
+            </div>
+            <div class="footer">
+                <p>© ${new Date().getFullYear()} MK Dental. All rights reserved.</p>
+                <p>This is an automated message, please do not reply.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+
+    return sendEmail({
+        to: email,
+        subject: scheduledAt ? "Your account is scheduled for deletion" : "Your account has been deleted",
+        html: message,
+    });
+};
+
+const sendPackageUnsellableAdminAlert = async (adminEmail, component, quantity, packages) => {
+    const packageList = packages.map((pkg) => `<li>${pkg.name}</li>`).join("");
+
+    const message = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: #dc2626; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+            .content { background-color: #f9fafb; padding: 30px; border-radius: 0 0 8px 8px; }
+            .footer { margin-top: 20px; font-size: 12px; color: #6b7280; text-align: center; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>⚠️ Packages Out of Stock</h1>
+            </div>
+            <div class="content">
+                <p><strong>${component?.name || "A component product"}</strong> is down to ${quantity} in stock, which is not enough for the following packages. They can't be ordered until it is restocked:</p>
+                <ul>${packageList}</ul>
+            </div>
+            <div class="footer">
+                <p>© ${new Date().getFullYear()} MK Dental. All rights reserved.</p>
+                <p>This is an automated message, please do not reply.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+
+    return sendEmail({
+        to: adminEmail,
+        subject: `⚠️ ${packages.length} package(s) unsellable: ${component?.name || "component"} out of stock`,
+        html: message,
+    });
+};
+
+// Status-specific messaging for return (RMA) emails
+const returnStatusConfig = {
+    requested: { color: "#f59e0b", icon: "📝", title: "Return Requested", message: "We've received your return request and will review it shortly.", adminMessage: "A customer has requested a return." },
+    approved: { color: "#3b82f6", icon: "✓", title: "Return Approved", message: "Your return has been approved. Please send the items back using the instructions below.", adminMessage: "The return was approved and is awaiting the items." },
+    rejected: { color: "#ef4444", icon: "❌", title: "Return Rejected", message: "Unfortunately your return request could not be approved.", adminMessage: "The return request was rejected." },
+    received: { color: "#8b5cf6", icon: "📦", title: "Return Received", message: "We've received your returned items and will inspect them shortly.", adminMessage: "The returned items have arrived." },
+    inspected: { color: "#0ea5e9", icon: "🔍", title: "Return Inspected", message: "Your returned items have been inspected. Your refund is being processed.", adminMessage: "The returned items were inspected and are ready for refund." },
+    refunded: { color: "#059669", icon: "💰", title: "Return Refunded", message: "Your refund has been issued to your original payment method.", adminMessage: "The return has been refunded." },
+};
+
+const sendReturnUpdateEmail = async (rma, order) => {
+    const orderUrl = `${process.env.CLIENT_URL || "http://localhost:3000"}/orders/${order._id}`;
+    const config = returnStatusConfig[rma.status] || returnStatusConfig.requested;
+
+    const itemsList = rma.items
+        .map((item) => `<li>${item.quantity} x ${item.name}</li>`)
+        .join("");
+
+    const message = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: ${config.color}; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+            .content { background-color: #f9fafb; padding: 30px; border-radius: 0 0 8px 8px; }
+            .info-box { background-color: #ffffff; border: 1px solid #e5e7eb; padding: 15px; border-radius: 8px; margin: 20px 0; }
+            .button { display: inline-block; background-color: ${config.color}; color: white; padding: 14px 28px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+            .footer { margin-top: 20px; font-size: 12px; color: #6b7280; text-align: center; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>${config.icon} ${config.title}</h1>
+            </div>
+            <div class="content">
+                <p>Hi ${order.customer.firstName},</p>
+                <p>${config.message}</p>
+
+                <div class="info-box">
+                    <p style="margin: 0;"><strong>Return Number:</strong> ${rma.returnNumber}</p>
+                    <p style="margin: 0;"><strong>Order Number:</strong> #${order.orderNumber}</p>
+                    <ul>${itemsList}</ul>
+                </div>
+
+                ${rma.status === "approved" && rma.returnInstructions ? `<p><strong>Return instructions:</strong> ${rma.returnInstructions}</p>` : ""}
+                ${rma.status === "rejected" && rma.rejectionReason ? `<p><strong>Reason:</strong> ${rma.rejectionReason}</p>` : ""}
+                ${rma.status === "refunded" && rma.refund?.amount ? `<p><strong>Refund amount:</strong> ${rma.refund.amount.toFixed(2)} EGP</p>` : ""}
+
+                <p style="text-align: center;">
+                    <a href="${orderUrl}" class="button" style="color: white;">View Order</a>
+                </p>
+            </div>
+            <div class="footer">
+                <p>© ${new Date().getFullYear()} MK Dental. All rights reserved.</p>
+                <p>This is an automated message, please do not reply.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+
+    return sendEmail({
+        to: order.customer.email,
+        subject: `${config.icon} ${config.title} - ${rma.returnNumber}`,
+        html: message,
+    });
+};
+
+const sendReturnAdminNotification = async (rma, order, adminEmail) => {
+    const adminUrl = `${process.env.ADMIN_URL || "http://localhost:3000/admin"}/returns/${rma._id}`;
+    const config = returnStatusConfig[rma.status] || returnStatusConfig.requested;
+
+    const itemsRows = rma.items
+        .map((item) => `
+            <tr>
+                <td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">${item.name}</td>
+                <td style="padding: 8px; border-bottom: 1px solid #e5e7eb; text-align: center;">${item.quantity}</td>
+                <td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">${item.reason || rma.reason}</td>
+                <td style="padding: 8px; border-bottom: 1px solid #e5e7eb;">${item.condition || "-"}</td>
+            </tr>`)
+        .join("");
+
+    const message = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background-color: ${config.color}; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+            .content { background-color: #f9fafb; padding: 30px; border-radius: 0 0 8px 8px; }
+            .button { display: inline-block; background-color: ${config.color}; color: white; padding: 14px 28px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+            .footer { margin-top: 20px; font-size: 12px; color: #6b7280; text-align: center; }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                <h1>${config.icon} ${config.title}</h1>
+            </div>
+            <div class="content">
+                <p>${config.adminMessage}</p>
+                <p><strong>Return:</strong> ${rma.returnNumber}<br>
+                <strong>Order:</strong> #${order.orderNumber}<br>
+                <strong>Customer:</strong> ${order.customer.firstName} ${order.customer.lastName} (${order.customer.email})<br>
+                <strong>Reason:</strong> ${rma.reason}<br>
+                <strong>Photos:</strong> ${rma.photos?.length || 0}</p>
+
+                <table style="width: 100%; border-collapse: collapse;">
+                    <thead>
+                        <tr>
+                            <th style="padding: 8px; text-align: left;">Item</th>
+                            <th style="padding: 8px;">Qty</th>
+                            <th style="padding: 8px; text-align: left;">Reason</th>
+                            <th style="padding: 8px; text-align: left;">Condition</th>
+                        </tr>
+                    </thead>
+                    <tbody>${itemsRows}</tbody>
+                </table>
+
+                <p style="text-align: center;">
+                    <a href="${adminUrl}" class="button" style="color: white;">Open Return</a>
+                </p>
+            </div>
+            <div class="footer">
+                <p>© ${new Date().getFullYear()} MK Dental. All rights reserved.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+
+    return sendEmail({
+        to: adminEmail,
+        subject: `${config.icon} ${config.title}: ${rma.returnNumber} (Order #${order.orderNumber})`,
+        html: message,
+    });
+};
 
 module.exports = {
     sendEmail,
     sendPasswordResetEmail,
+    sendEmailVerificationEmail,
     sendAdminPasswordResetEmail,
     sendAdminOtpEmail,
     sendOrderConfirmationEmail,
     sendNewOrderAdminNotification,
     sendOrderStatusUpdateEmail,
+    sendWishlistPriceDropEmail,
+    sendWishlistBackInStockEmail,
+    sendAbandonedCartEmail,
+    sendAccountDeletionEmail,
+    sendPackageUnsellableAdminAlert,
+    sendReturnUpdateEmail,
+    sendReturnAdminNotification,
 };
@@ -0,0 +1,80 @@
+const jwt = require("jsonwebtoken");
+const Order = require("../models/Order");
+const Payment = require("../models/Payment");
+const Transaction = require("../models/Transaction");
+const CreditNote = require("../models/CreditNote");
+const Return = require("../models/Return");
+
+// How long the "create an account" link in a guest's confirmation email works
+const ACCOUNT_INVITE_DAYS = parseInt(process.env.GUEST_ACCOUNT_INVITE_DAYS) || 30;
+
+// Signed link token for creating an account from a guest order. Whoever
+// holds it received the order email, so it also proves the address.
+const createAccountInviteToken = (order) => {
+  return jwt.sign(
+    { orderId: order._id, email: order.customer.email, purpose: "guest_account" },
+    process.env.JWT_SECRET,
+    { expiresIn: `${ACCOUNT_INVITE_DAYS}d` }
+  );
+};
+
+// Resolves to { orderId, email } for a valid token, otherwise null
+const verifyAccountInviteToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === "guest_account"
+      ? { orderId: decoded.orderId, email: decoded.email }
+      : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const getAccountInviteUrl = (order) => {
+  const token = createAccountInviteToken(order);
+  return `${process.env.CLIENT_URL || "http://localhost:3000"}/register?invite=${token}`;
+};
+
+// Guest orders placed with this email (emails are stored normalized)
+const guestOrdersFilter = (email) => ({
+  isGuestOrder: true,
+  userId: null,
+  "customer.email": email.toLowerCase(),
+});
+
+// Link the guest orders placed with the user's email to their account,
+// along with the payments, transactions, returns and credit notes for them. Only call this once
+// the user has proven they own the address. Resolves to the number of
+// orders linked.
+const claimGuestOrders = async (user) => {
+  const orders = await Order.find(guestOrdersFilter(user.email)).select("_id");
+  if (orders.length === 0) return 0;
+
+  const orderIds = orders.map((order) => order._id);
+  const result = await Order.updateMany(
+    { _id: { $in: orderIds }, userId: null },
+    { $set: { userId: user._id, claimedAt: new Date() } }
+  );
+
+  const payments = await Payment.find({ orderId: { $in: orderIds }, userId: null }).select("_id");
+  const paymentIds = payments.map((payment) => payment._id);
+  await Payment.updateMany({ _id: { $in: paymentIds } }, { $set: { userId: user._id } });
+  await Transaction.updateMany(
+    { paymentId: { $in: paymentIds }, userId: null },
+    { $set: { userId: user._id } }
+  );
+  await Return.updateMany({ orderId: { $in: orderIds }, userId: null }, { $set: { userId: user._id } });
+  await CreditNote.updateMany(
+    { orderId: { $in: orderIds }, userId: null },
+    { $set: { userId: user._id } }
+  );
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  createAccountInviteToken,
+  verifyAccountInviteToken,
+  getAccountInviteUrl,
+  claimGuestOrders,
+};
@@ -0,0 +1,355 @@
+const Product = require("../models/Product");
+const Order = require("../models/Order");
+const StockHold = require("../models/StockHold");
+const StockMovement = require("../models/StockMovement");
+const { sendPackageUnsellableAdminAlert } = require("./emailService");
+
+const CART_HOLD_MINUTES = parseInt(process.env.CART_HOLD_MINUTES) || 15;
+
+const toProductId = (item) => String(item.productId?._id || item.productId);
+
+// A package has no stock of its own: each package line stands for
+// component quantity × line quantity units of every component. Cart and
+// order lines carry the package contents in packageInfo.items.
+const toStockItems = (items) =>
+  items.flatMap((item) => {
+    const components = item.productType === "package" ? item.packageInfo?.items : null;
+    if (!components?.length) return [item];
+    return components.map((component) => ({
+      productId: component.productId,
+      quantity: component.quantity * item.quantity,
+    }));
+  });
+
+// One line per product, so repeated lines are checked against their sum
+const groupByProduct = (items) => {
+  const totals = new Map();
+  for (const item of toStockItems(items)) {
+    const productId = toProductId(item);
+    totals.set(productId, (totals.get(productId) || 0) + item.quantity);
+  }
+  return [...totals].map(([productId, quantity]) => ({ productId, quantity }));
+};
+
+// Matches the product only if `quantity` units are free. Units held by
+// others don't count as free; the caller's own claimed hold (ownHeld) does.
+const availableFilter = (productId, quantity, ownHeld = 0) => ({
+  _id: productId,
+  $or: [
+    { "inventory.trackQuantity": false },
+    {
+      $expr: {
+        $gte: [
+          {
+            $subtract: [
+              "$inventory.quantity",
+              { $subtract: [{ $ifNull: ["$inventory.reserved", 0] }, ownHeld] },
+            ],
+          },
+          quantity,
+        ],
+      },
+    },
+  ],
+});
+
+// Stock a customer can still buy
+const getAvailableQuantity = (product) => {
+  return Math.max(0, product.inventory.quantity - (product.inventory.reserved || 0));
+};
+
+// Stock of each component of a package and how many packages it covers.
+// Missing or inactive components count as out of stock.
+const getPackageStock = async (pkg) => {
+  const componentIds = pkg.packageItems.map((item) => item.productId?._id || item.productId);
+  const products = await Product.find({ _id: { $in: componentIds } }).select(
+    "name status inventory.quantity"
+  );
+  const byId = new Map(products.map((p) => [String(p._id), p]));
+
+  const components = pkg.packageItems.map((item) => {
+    const product = byId.get(toProductId(item));
+    const available = product?.status === "active" ? product.inventory.quantity : 0;
+    return {
+      productId: product?._id || item.productId,
+      name: product?.name || item.name,
+      required: item.quantity,
+      available,
+      inStock: available >= item.quantity,
+    };
+  });
+
+  const quantity = components.length
+    ? Math.max(0, Math.min(...components.map((c) => Math.floor(c.available / c.required))))
+    : 0;
+
+  return { quantity, components };
+};
+
+// Units of a product that can be sold. A package sells as many as its
+// scarcest component allows; its own inventory.quantity is not used.
+const getSellableQuantity = async (product) => {
+  if (product.productType !== "package") {
+    return product.inventory.quantity;
+  }
+  if (!product.packageItems?.length) return 0;
+
+  const { quantity } = await getPackageStock(product);
+  return quantity;
+};
+
+// Active packages that can't be sold because a component is short
+const getUnsellablePackages = async () => {
+  const packages = await Product.find({ productType: "package", status: "active" }).select(
+    "name packageItems"
+  );
+
+  const unsellable = [];
+  for (const pkg of packages) {
+    const { quantity, components } = await getPackageStock(pkg);
+    if (quantity === 0) {
+      unsellable.push({
+        _id: pkg._id,
+        name: pkg.name,
+        shortComponents: components.filter((c) => !c.inStock),
+      });
+    }
+  }
+  return unsellable;
+};
+
+// Warn admins about active packages this change just made unsellable, i.e.
+// the component fell below the quantity the package needs
+const alertUnsellablePackages = async (product, delta) => {
+  const quantityAfter = product.inventory.quantity;
+  const packages = await Product.find({
+    productType: "package",
+    status: "active",
+    packageItems: {
+      $elemMatch: {
+        productId: product._id,
+        quantity: { $gt: quantityAfter, $lte: quantityAfter - delta },
+      },
+    },
+  }).select("name");
+  if (packages.length === 0) return 0;
+
+  const component = await Product.findById(product._id).select("name");
+  console.warn(
+    `Component ${component?.name || product._id} is out of stock for packages: ` +
+      packages.map((p) => p.name).join(", ")
+  );
+
+  const adminEmail = process.env.ADMIN_EMAIL;
+  if (adminEmail) {
+    await sendPackageUnsellableAdminAlert(adminEmail, component, quantityAfter, packages);
+  }
+  return packages.length;
+};
+
+// Ledger entry for a change already applied to the product.
+// movement: { type, reason?, orderId?, adminId? }
+const recordStockMovement = async (product, delta, movement) => {
+  const entry = await StockMovement.create({
+    productId: product._id,
+    delta,
+    quantityAfter: product.inventory.quantity,
+    ...movement,
+  });
+
+  if (delta < 0) {
+    alertUnsellablePackages(product, delta).catch(err => console.error("Failed to check package availability:", err));
+  }
+  return entry;
+};
+
+// Change a product's stock by delta and record it in the ledger. `filter`
+// adds conditions (no change and null when they don't match) and
+// `reservedDelta` adjusts held units in the same update.
+const adjustStock = async (productId, delta, movement, { filter, reservedDelta = 0 } = {}) => {
+  const inc = { "inventory.quantity": delta };
+  if (reservedDelta) inc["inventory.reserved"] = reservedDelta;
+
+  const product = await Product.findOneAndUpdate(
+    { ...filter, _id: productId },
+    { $inc: inc },
+    { new: true, projection: { "inventory.quantity": 1 } }
+  );
+  if (!product) return null;
+
+  await recordStockMovement(product, delta, movement);
+  return product;
+};
+
+const restoreStock = async (items, movement) => {
+  for (const { productId, quantity } of groupByProduct(items)) {
+    await adjustStock(productId, quantity, movement);
+  }
+};
+
+// Delete the matching holds one by one and release their reserved units.
+// Returns the total quantity released per product.
+const releaseHolds = async (filter) => {
+  const holds = await StockHold.find(filter).select("_id");
+  const released = new Map();
+
+  for (const { _id } of holds) {
+    const hold = await StockHold.findOneAndDelete({ _id });
+    if (!hold) continue; // released concurrently
+
+    await Product.updateOne(
+      { _id: hold.productId },
+      { $inc: { "inventory.reserved": -hold.quantity } }
+    );
+    const productId = String(hold.productId);
+    released.set(productId, (released.get(productId) || 0) + hold.quantity);
+  }
+
+  return released;
+};
+
+// Delete holds without touching Product.inventory.reserved and return their
+// total quantity; the caller accounts for those reserved units itself
+const claimHolds = async (filter) => {
+  const holds = await StockHold.find(filter).select("_id");
+  let claimed = 0;
+
+  for (const { _id } of holds) {
+    const hold = await StockHold.findOneAndDelete({ _id });
+    if (hold) claimed += hold.quantity;
+  }
+
+  return claimed;
+};
+
+const releaseCartHolds = (userId) => releaseHolds({ userId });
+
+const releaseExpiredHolds = async (now = new Date()) => {
+  const released = await releaseHolds({ expiresAt: { $lte: now } });
+  return released.size;
+};
+
+// Hold every cart line for CART_HOLD_MINUTES, replacing the customer's
+// previous holds. All-or-nothing: returns { success: false, unavailableItems }
+// and holds nothing when any line can't be covered.
+const holdCartStock = async (cart) => {
+  await releaseCartHolds(cart.userId);
+
+  const expiresAt = new Date(Date.now() + CART_HOLD_MINUTES * 60 * 1000);
+  const lines = groupByProduct(cart.items);
+  const unavailableItems = [];
+
+  for (const line of lines) {
+    const hold = await StockHold.create({
+      productId: line.productId,
+      quantity: line.quantity,
+      userId: cart.userId,
+      cartId: cart._id,
+      expiresAt,
+    });
+
+    const result = await Product.updateOne(availableFilter(line.productId, line.quantity), {
+      $inc: { "inventory.reserved": line.quantity },
+    });
+    if (result.modifiedCount === 0) {
+      await StockHold.deleteOne({ _id: hold._id });
+      unavailableItems.push(line);
+      break;
+    }
+  }
+
+  if (unavailableItems.length > 0) {
+    await releaseCartHolds(cart.userId);
+    return { success: false, unavailableItems };
+  }
+
+  return { success: true, expiresAt, items: lines };
+};
+
+// Take stock for a whole order with conditional decrements, so concurrent
+// checkouts can't oversell. The customer's own cart holds are consumed.
+// All-or-nothing: on failure every line already taken is put back and
+// { success: false, unavailableItems } is returned.
+const reserveOrderStock = async (items, { userId, orderId, type = "order_placed" } = {}) => {
+  const taken = [];
+  const unavailableItems = [];
+
+  for (const line of groupByProduct(items)) {
+    const ownHeld = userId ? await claimHolds({ userId, productId: line.productId }) : 0;
+
+    const product = await adjustStock(
+      line.productId,
+      -line.quantity,
+      { type, orderId },
+      {
+        filter: availableFilter(line.productId, line.quantity, ownHeld),
+        reservedDelta: -ownHeld,
+      }
+    );
+
+    if (!product) {
+      // The claimed holds are gone either way
+      if (ownHeld > 0) {
+        await Product.updateOne(
+          { _id: line.productId },
+          { $inc: { "inventory.reserved": -ownHeld } }
+        );
+      }
+      unavailableItems.push(line);
+      break;
+    }
+    taken.push(line);
+  }
+
+  if (unavailableItems.length > 0) {
+    await restoreStock(taken, { type: "checkout_rollback", orderId });
+    return { success: false, unavailableItems };
+  }
+
+  return { success: true };
+};
+
+// Put an order's stock back (payment failed, order cancelled). Idempotent:
+// only the first call for an order restores anything.
+const releaseOrderStock = async (orderId, movement = { type: "order_cancelled" }) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, inventoryReleasedAt: null },
+    { inventoryReleasedAt: new Date() }
+  );
+  if (!order) return false;
+
+  await restoreStock(order.items, { ...movement, orderId: order._id });
+  return true;
+};
+
+// Take stock again for an order whose stock was released (payment retry)
+const reacquireOrderStock = async (orderId) => {
+  const order = await Order.findOneAndUpdate(
+    { _id: orderId, inventoryReleasedAt: { $ne: null } },
+    { $unset: { inventoryReleasedAt: 1 } }
+  );
+  if (!order) return { success: true }; // still holds its stock
+
+  const result = await reserveOrderStock(order.items, { orderId, type: "payment_retry" });
+  if (!result.success) {
+    await Order.updateOne({ _id: orderId }, { inventoryReleasedAt: order.inventoryReleasedAt });
+  }
+  return result;
+};
+
+module.exports = {
+  CART_HOLD_MINUTES,
+  getAvailableQuantity,
+  getPackageStock,
+  getSellableQuantity,
+  getUnsellablePackages,
+  recordStockMovement,
+  adjustStock,
+  holdCartStock,
+  releaseCartHolds,
+  releaseExpiredHolds,
+  reserveOrderStock,
+  restoreStock,
+  releaseOrderStock,
+  reacquireOrderStock,
+};
@@ -0,0 +1,425 @@
+const PDFDocument = require("pdfkit");
+const Order = require("../models/Order");
+const PaymentSettings = require("../models/PaymentSettings");
+const { nextDocumentNumber } = require("./documentNumberService");
+
+const CURRENCY = "EGP";
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const formatMoney = (amount) => `${(amount || 0).toFixed(2)} ${CURRENCY}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString("en-GB");
+
+// Seller details printed on invoices and packing slips
+const getStoreDetails = () => ({
+  name: process.env.STORE_NAME || "MK Dental",
+  address: process.env.STORE_ADDRESS || "",
+  phone: process.env.STORE_PHONE || "",
+  email: process.env.STORE_EMAIL || process.env.EMAIL_FROM_ADDRESS || "",
+  website: process.env.STORE_WEBSITE || process.env.CLIENT_URL || "",
+  taxId: process.env.STORE_TAX_ID || "",
+});
+
+// A claim left without a number this long (the request died) can be retaken
+const INVOICE_CLAIM_TIMEOUT_MS = 60 * 1000;
+
+// Give the order an invoice number the first time one is needed. The order
+// is claimed before a number is drawn, so a request that loses the race
+// doesn't use one up and leave a gap in the sequence.
+const assignInvoiceNumber = async (order) => {
+  if (order.invoice?.number) return order.invoice;
+
+  const issuedAt = new Date();
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      "invoice.number": null,
+      $or: [
+        { "invoice.issuedAt": null },
+        { "invoice.issuedAt": { $lt: new Date(issuedAt.getTime() - INVOICE_CLAIM_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { "invoice.issuedAt": issuedAt } }
+  );
+
+  if (claimed) {
+    const number = await nextDocumentNumber("invoice", issuedAt);
+    const stored = await Order.updateOne(
+      { _id: order._id, "invoice.issuedAt": issuedAt, "invoice.number": null },
+      { $set: { "invoice.number": number } }
+    );
+    if (stored.modifiedCount > 0) {
+      order.invoice = { number, issuedAt };
+      return order.invoice;
+    }
+  }
+
+  // Another request is issuing it (or took over a timed-out claim); wait
+  // for its number
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const saved = await Order.findById(order._id).select("invoice");
+    if (saved?.invoice?.number) {
+      order.invoice = saved.invoice;
+      return order.invoice;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error("Invoice number is still being issued; try again");
+};
+
+// How the order's tax is made up. Tax charged at checkout is shown as
+// charged; otherwise, when prices include tax (taxSettings.taxInclusive),
+// the tax contained in the goods is worked out from taxSettings.taxRate,
+// a percentage.
+const getTaxBreakdown = (order, taxSettings = {}) => {
+  const label = taxSettings.taxLabel || "Tax";
+  const { subtotal, discount = 0, tax = 0 } = order.totals;
+
+  if (tax > 0) {
+    return {
+      label,
+      rate: subtotal > 0 ? roundMoney((tax / subtotal) * 100) : 0,
+      inclusive: false,
+      taxableAmount: subtotal,
+      amount: tax,
+    };
+  }
+
+  const rate = taxSettings.enabled ? taxSettings.taxRate || 0 : 0;
+  const goods = roundMoney(subtotal - discount);
+  if (rate > 0 && taxSettings.taxInclusive) {
+    const amount = roundMoney((goods * rate) / (100 + rate));
+    return {
+      label,
+      rate,
+      inclusive: true,
+      taxableAmount: roundMoney(goods - amount),
+      amount,
+    };
+  }
+
+  return { label, rate: 0, inclusive: false, taxableAmount: goods, amount: 0 };
+};
+
+// Everything printed on the invoice, also returned by the JSON endpoints.
+// Issues the invoice number if the order doesn't have one yet.
+const buildInvoiceData = async (order) => {
+  const invoice = await assignInvoiceNumber(order);
+  const settings = await PaymentSettings.getSettings();
+
+  return {
+    invoiceNumber: invoice.number,
+    invoiceDate: invoice.issuedAt,
+    orderNumber: order.orderNumber,
+    orderDate: order.createdAt,
+    currency: CURRENCY,
+
+    customer: {
+      name: `${order.customer.firstName} ${order.customer.lastName}`,
+      email: order.customer.email,
+      phone: order.customer.phone || "",
+    },
+    billingAddress: order.billingAddress || order.shippingAddress,
+    shippingAddress: order.shippingAddress,
+
+    items: order.items.map((item) => ({
+      name: item.name,
+      sku: item.sku || "N/A",
+      quantity: item.quantity,
+      unitPrice: item.price,
+      subtotal: item.subtotal,
+      // Contents of a package, for the packing slip
+      components:
+        item.productType === "package"
+          ? (item.packageInfo?.items || []).map((component) => ({
+              name: component.name,
+              quantity: component.quantity * item.quantity,
+            }))
+          : [],
+    })),
+
+    subtotal: order.totals.subtotal,
+    discount: order.totals.discount || 0,
+    tax: order.totals.tax || 0,
+    taxBreakdown: getTaxBreakdown(order, settings?.taxSettings),
+    shipping: order.totals.shipping || 0,
+    total: order.totals.total,
+
+    paymentStatus: order.paymentStatus,
+    paymentMethod: order.paymentMethod || "N/A",
+    shippingMethod: order.shippingMethod,
+    trackingNumber: order.trackingNumber,
+
+    company: getStoreDetails(),
+    notes: order.notes?.filter((n) => !n.isPrivate).map((n) => n.content) || [],
+  };
+};
+
+// PDF drawing
+
+const PAGE_MARGIN = 50;
+
+const renderPdf = (draw) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: PAGE_MARGIN });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    draw(doc);
+    doc.end();
+  });
+
+const formatAddress = (address) =>
+  address
+    ? [address.street, `${address.city}, ${address.state} ${address.zipCode}`, address.country]
+    : [];
+
+const drawHeader = (doc, data, title, details) => {
+  const { company } = data;
+  const top = doc.y;
+
+  doc.font("Helvetica-Bold").fontSize(18).text(company.name, PAGE_MARGIN, top);
+  doc.font("Helvetica").fontSize(9);
+  [company.address, company.phone, company.email, company.website]
+    .filter(Boolean)
+    .forEach((line) => doc.text(line));
+  if (company.taxId) doc.text(`Tax ID: ${company.taxId}`);
+  const leftBottom = doc.y;
+
+  doc.font("Helvetica-Bold").fontSize(16).text(title, 300, top, { width: 245, align: "right" });
+  doc.font("Helvetica").fontSize(9);
+  details.forEach(([label, value]) =>
+    doc.text(`${label}: ${value}`, 300, doc.y, { width: 245, align: "right" })
+  );
+
+  doc.y = Math.max(leftBottom, doc.y) + 20;
+};
+
+const drawAddresses = (doc, data, leftTitle, leftLines) => {
+  const top = doc.y;
+
+  doc.font("Helvetica-Bold").fontSize(10).text(leftTitle, PAGE_MARGIN, top);
+  doc.font("Helvetica").fontSize(9);
+  leftLines.filter(Boolean).forEach((line) => doc.text(line, PAGE_MARGIN));
+  const leftBottom = doc.y;
+
+  doc.font("Helvetica-Bold").fontSize(10).text("Ship To", 300, top);
+  doc.font("Helvetica").fontSize(9);
+  [data.customer.name, ...formatAddress(data.shippingAddress), data.customer.phone]
+    .filter(Boolean)
+    .forEach((line) => doc.text(line, 300));
+
+  doc.y = Math.max(leftBottom, doc.y) + 20;
+};
+
+// columns: [{ header, width, align?, value(item), componentValue?(component) }]
+// With showComponents, the contents of packages are listed under them.
+const drawTable = (doc, items, columns, { showComponents = false } = {}) => {
+  const drawRow = (cells, font) => {
+    const top = doc.y;
+    let x = PAGE_MARGIN;
+    let bottom = top;
+    doc.font(font).fontSize(9);
+    cells.forEach((cell, i) => {
+      doc.text(String(cell), x, top, { width: columns[i].width - 6, align: columns[i].align || "left" });
+      bottom = Math.max(bottom, doc.y);
+      x += columns[i].width;
+    });
+    doc.y = bottom + 4;
+  };
+
+  const tableWidth = columns.reduce((sum, c) => sum + c.width, 0);
+  const rule = () =>
+    doc
+      .moveTo(PAGE_MARGIN, doc.y)
+      .lineTo(PAGE_MARGIN + tableWidth, doc.y)
+      .strokeColor("#cccccc")
+      .stroke()
+      .moveDown(0.3);
+
+  drawRow(columns.map((c) => c.header), "Helvetica-Bold");
+  rule();
+
+  items.forEach((item) => {
+    if (doc.y > doc.page.height - 150) doc.addPage();
+    drawRow(columns.map((c) => c.value(item)), "Helvetica");
+    (showComponents ? item.components : []).forEach((component) =>
+      drawRow(
+        columns.map((c, i) => (i === 0 ? `   - ${component.name}` : c.componentValue?.(component) ?? "")),
+        "Helvetica"
+      )
+    );
+    rule();
+  });
+};
+
+const drawTotals = (doc, data) => {
+  const { taxBreakdown } = data;
+  const rows = [["Subtotal", formatMoney(data.subtotal)]];
+  if (data.discount > 0) rows.push(["Discount", `-${formatMoney(data.discount)}`]);
+  rows.push(["Shipping", formatMoney(data.shipping)]);
+  if (taxBreakdown.amount > 0 && !taxBreakdown.inclusive) {
+    rows.push([`${taxBreakdown.label} (${taxBreakdown.rate}%)`, formatMoney(taxBreakdown.amount)]);
+  }
+
+  doc.moveDown(0.5);
+  rows.forEach(([label, value]) => {
+    const top = doc.y;
+    doc.font("Helvetica").fontSize(9).text(label, 300, top, { width: 140 });
+    doc.text(value, 440, top, { width: 105, align: "right" });
+  });
+
+  const top = doc.y + 4;
+  doc.font("Helvetica-Bold").fontSize(11).text("Total", 300, top, { width: 140 });
+  doc.text(formatMoney(data.total), 440, top, { width: 105, align: "right" });
+
+  if (taxBreakdown.amount > 0 && taxBreakdown.inclusive) {
+    doc
+      .font("Helvetica")
+      .fontSize(8)
+      .text(
+        `Includes ${taxBreakdown.label} (${taxBreakdown.rate}%) of ${formatMoney(taxBreakdown.amount)} on ${formatMoney(taxBreakdown.taxableAmount)}`,
+        300,
+        doc.y + 4,
+        { width: 245, align: "right" }
+      );
+  }
+};
+
+const drawNotes = (doc, title, lines) => {
+  if (lines.length === 0) return;
+  doc.moveDown(1.5);
+  doc.font("Helvetica-Bold").fontSize(10).text(title, PAGE_MARGIN, doc.y);
+  doc.font("Helvetica").fontSize(9);
+  lines.forEach((line) => doc.text(line, PAGE_MARGIN));
+};
+
+// Invoice PDF for the order, as a Buffer
+const generateInvoicePdf = async (order) => {
+  const data = await buildInvoiceData(order);
+
+  return renderPdf((doc) => {
+    drawHeader(doc, data, "INVOICE", [
+      ["Invoice #", data.invoiceNumber],
+      ["Invoice date", formatDate(data.invoiceDate)],
+      ["Order #", data.orderNumber],
+      ["Order date", formatDate(data.orderDate)],
+    ]);
+
+    drawAddresses(doc, data, "Bill To", [
+      data.customer.name,
+      ...formatAddress(data.billingAddress),
+      data.customer.email,
+    ]);
+
+    drawTable(doc, data.items, [
+      { header: "Item", width: 215, value: (item) => item.name },
+      { header: "SKU", width: 80, value: (item) => item.sku },
+      { header: "Qty", width: 40, align: "right", value: (item) => item.quantity },
+      { header: "Unit price", width: 80, align: "right", value: (item) => formatMoney(item.unitPrice) },
+      { header: "Amount", width: 80, align: "right", value: (item) => formatMoney(item.subtotal) },
+    ]);
+
+    drawTotals(doc, data);
+
+    drawNotes(doc, "Payment", [
+      `Method: ${data.paymentMethod}`,
+      `Status: ${data.paymentStatus}`,
+    ]);
+    drawNotes(doc, "Notes", data.notes);
+  });
+};
+
+// Packing slip PDF for the warehouse: what to pack and where it goes, with
+// package contents listed and no prices
+const generatePackingSlipPdf = async (order) => {
+  const data = await buildInvoiceData(order);
+
+  return renderPdf((doc) => {
+    drawHeader(doc, data, "PACKING SLIP", [
+      ["Order #", data.orderNumber],
+      ["Order date", formatDate(data.orderDate)],
+      ...(data.shippingMethod ? [["Shipping", data.shippingMethod]] : []),
+      ...(data.trackingNumber ? [["Tracking #", data.trackingNumber]] : []),
+    ]);
+
+    drawAddresses(doc, data, "Customer", [
+      data.customer.name,
+      data.customer.email,
+      data.customer.phone,
+    ]);
+
+    drawTable(doc, data.items, [
+      { header: "Item", width: 285, value: (item) => item.name },
+      { header: "SKU", width: 100, value: (item) => item.sku },
+      {
+        header: "Qty",
+        width: 50,
+        align: "right",
+        value: (item) => item.quantity,
+        componentValue: (component) => component.quantity,
+      },
+      { header: "Packed", width: 60, align: "right", value: () => "[   ]" },
+    ], { showComponents: true });
+
+    const totalUnits = data.items.reduce((sum, item) => sum + item.quantity, 0);
+    drawNotes(doc, "Summary", [`${data.items.length} lines, ${totalUnits} units`]);
+    drawNotes(doc, "Notes", data.notes);
+  });
+};
+
+// Credit note PDF: the refunded lines against the original invoice
+const generateCreditNotePdf = (creditNote, order) => {
+  const data = {
+    company: getStoreDetails(),
+    customer: {
+      name: `${order.customer.firstName} ${order.customer.lastName}`,
+      email: order.customer.email,
+      phone: order.customer.phone || "",
+    },
+    billingAddress: order.billingAddress || order.shippingAddress,
+    shippingAddress: order.shippingAddress,
+  };
+  const lines = creditNote.lines.map((line) => ({ ...line.toObject(), components: [] }));
+
+  return renderPdf((doc) => {
+    drawHeader(doc, data, "CREDIT NOTE", [
+      ["Credit note #", creditNote.creditNoteNumber],
+      ["Date", formatDate(creditNote.createdAt)],
+      ["Invoice #", creditNote.invoiceNumber],
+      ["Order #", order.orderNumber],
+    ]);
+
+    drawAddresses(doc, data, "Credit To", [
+      data.customer.name,
+      ...formatAddress(data.billingAddress),
+      data.customer.email,
+    ]);
+
+    drawTable(doc, lines, [
+      { header: "Description", width: 255, value: (line) => line.name },
+      { header: "Qty", width: 60, align: "right", value: (line) => line.quantity },
+      { header: "Unit price", width: 90, align: "right", value: (line) => formatMoney(line.unitPrice) },
+      { header: "Amount", width: 90, align: "right", value: (line) => formatMoney(line.amount) },
+    ]);
+
+    const top = doc.y + 8;
+    doc.font("Helvetica-Bold").fontSize(11).text("Total credited", 300, top, { width: 140 });
+    doc.text(formatMoney(creditNote.amount), 440, top, { width: 105, align: "right" });
+
+    drawNotes(doc, "Reason", creditNote.reason ? [creditNote.reason] : []);
+  });
+};
+
+module.exports = {
+  getStoreDetails,
+  assignInvoiceNumber,
+  getTaxBreakdown,
+  buildInvoiceData,
+  generateInvoicePdf,
+  generatePackingSlipPdf,
+  generateCreditNotePdf,
+};
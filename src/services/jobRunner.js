@@ -0,0 +1,186 @@
+const os = require("os");
+const crypto = require("crypto");
+const Job = require("../models/Job");
+
+// Identifies this process in job locks
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// How often the runner checks for due jobs
+const TICK_MS = 30 * 1000;
+
+// Jobs registered with defineJob, by name
+const jobs = new Map();
+
+let tickTimer = null;
+let documentsReady = false;
+let ticking = false;
+
+// Register a job. handler() resolves to a result summary stored on the job.
+// lockMs bounds how long a run may hold the lock (defaults to the interval,
+// at least a minute).
+const defineJob = (name, { description, intervalMs, handler, lockMs }) => {
+  jobs.set(name, {
+    name,
+    description,
+    intervalMs,
+    handler,
+    lockMs: lockMs || Math.max(intervalMs, 60 * 1000),
+  });
+};
+
+// Take the job's lock if nobody holds it (and, for scheduled runs, the job
+// is due). Resolves to the job document or null.
+const acquireLock = (job, { onlyIfDue }) => {
+  const now = new Date();
+  const filter = {
+    _id: job.name,
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+  };
+  if (onlyIfDue) filter.nextRunAt = { $lte: now };
+
+  return Job.findOneAndUpdate(
+    filter,
+    {
+      lockedBy: INSTANCE_ID,
+      runId: crypto.randomUUID(),
+      lockedUntil: new Date(now.getTime() + job.lockMs),
+      lastStartedAt: now,
+    },
+    { new: true }
+  );
+};
+
+// Run a job whose lock this run holds (runId), record the outcome and
+// release the lock. A run that outlived its lock leaves the job to whoever
+// took it over. Resolves to { success, result?, error? }.
+const execute = async (job, runId, triggeredBy) => {
+  const startedAt = Date.now();
+  let outcome;
+
+  try {
+    outcome = { success: true, result: await job.handler() };
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error);
+    outcome = { success: false, error: error.message };
+  }
+
+  await Job.updateOne(
+    { _id: job.name, runId },
+    {
+      $set: {
+        lockedBy: null,
+        runId: null,
+        lockedUntil: null,
+        nextRunAt: new Date(Date.now() + job.intervalMs),
+        lastFinishedAt: new Date(),
+        lastStatus: outcome.success ? "success" : "failed",
+        lastError: outcome.error || null,
+        lastResult: outcome.result ?? null,
+        lastDurationMs: Date.now() - startedAt,
+        lastTriggeredBy: triggeredBy,
+      },
+      $inc: { runCount: 1, failureCount: outcome.success ? 0 : 1 },
+    }
+  );
+
+  return outcome;
+};
+
+// Create the documents of jobs that don't have one yet
+const ensureJobDocuments = async () => {
+  for (const job of jobs.values()) {
+    await Job.updateOne(
+      { _id: job.name },
+      { $setOnInsert: { nextRunAt: new Date() } },
+      { upsert: true }
+    );
+  }
+  documentsReady = true;
+};
+
+// Run every due job this instance can lock, one after another
+const tick = async () => {
+  if (!documentsReady) await ensureJobDocuments();
+
+  for (const job of jobs.values()) {
+    try {
+      const locked = await acquireLock(job, { onlyIfDue: true });
+      if (locked) await execute(job, locked.runId, "schedule");
+    } catch (error) {
+      console.error(`Failed to run job ${job.name}:`, error);
+    }
+  }
+};
+
+// Start checking for due jobs. Ticks that fail (e.g. while the database is
+// unreachable) are logged and retried on the next tick.
+const startJobRunner = () => {
+  if (tickTimer) return;
+  tickTimer = setInterval(() => {
+    // A slow job delays the next tick rather than overlapping it
+    if (ticking) return;
+    ticking = true;
+    tick()
+      .catch(err => console.error("Job runner tick failed:", err))
+      .finally(() => {
+        ticking = false;
+      });
+  }, TICK_MS);
+  tickTimer.unref();
+};
+
+const stopJobRunner = () => {
+  clearInterval(tickTimer);
+  tickTimer = null;
+};
+
+// Run a job now, outside its schedule. Resolves to { success, result?,
+// error?, notFound?, locked? }; `locked` means it is already running.
+const runJobNow = async (name, triggeredBy) => {
+  const job = jobs.get(name);
+  if (!job) return { success: false, notFound: true, error: `Unknown job: ${name}` };
+  if (!documentsReady) await ensureJobDocuments();
+
+  const locked = await acquireLock(job, { onlyIfDue: false });
+  if (!locked) {
+    return { success: false, locked: true, error: `Job ${name} is already running` };
+  }
+
+  return execute(job, locked.runId, triggeredBy);
+};
+
+// Every registered job with its schedule, lock and last outcome
+const getJobStatuses = async () => {
+  const documents = await Job.find({ _id: { $in: [...jobs.keys()] } }).lean();
+  const byName = new Map(documents.map((doc) => [doc._id, doc]));
+  const now = new Date();
+
+  return [...jobs.values()].map((job) => {
+    const doc = byName.get(job.name) || {};
+    return {
+      name: job.name,
+      description: job.description,
+      intervalMs: job.intervalMs,
+      running: !!doc.lockedUntil && doc.lockedUntil > now,
+      lockedBy: doc.lockedUntil > now ? doc.lockedBy : null,
+      nextRunAt: doc.nextRunAt,
+      lastStartedAt: doc.lastStartedAt,
+      lastFinishedAt: doc.lastFinishedAt,
+      lastStatus: doc.lastStatus,
+      lastError: doc.lastError,
+      lastResult: doc.lastResult,
+      lastDurationMs: doc.lastDurationMs,
+      lastTriggeredBy: doc.lastTriggeredBy,
+      runCount: doc.runCount || 0,
+      failureCount: doc.failureCount || 0,
+    };
+  });
+};
+
+module.exports = {
+  defineJob,
+  startJobRunner,
+  stopJobRunner,
+  runJobNow,
+  getJobStatuses,
+};
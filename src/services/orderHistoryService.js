@@ -0,0 +1,91 @@
+const Order = require("../models/Order");
+
+// Fields whose changes are recorded in Order.statusHistory
+const TRACKED_FIELDS = ["status", "paymentStatus"];
+
+// Who made a change: { actor: "admin" | "user" | "system" | "webhook", actorId? }
+const byAdmin = (adminId) => ({ actor: "admin", actorId: adminId });
+const byUser = (userId) => ({ actor: "user", actorId: userId });
+const BY_SYSTEM = { actor: "system" };
+const BY_WEBHOOK = { actor: "webhook" };
+
+const buildEntry = (field, from, to, { by = BY_SYSTEM, note } = {}) => ({
+  field,
+  from: from ?? null,
+  to: to ?? null,
+  actor: by.actor,
+  actorId: by.actorId,
+  note,
+  createdAt: new Date(),
+});
+
+// Change status/paymentStatus on a loaded order and record it when the value
+// actually changes. The caller saves the order.
+const applyOrderChange = (order, field, to, context = {}) => {
+  const from = order[field];
+  if (from === to) return false;
+
+  order[field] = to;
+  order.statusHistory.push(buildEntry(field, from, to, context));
+  return true;
+};
+
+// Record a refund on a loaded order; the caller saves the order
+const recordOrderRefund = (order, amount, context = {}) => {
+  order.statusHistory.push(
+    buildEntry("refund", order.refund?.amount?.toFixed(2), amount.toFixed(2), context)
+  );
+};
+
+// Append one entry to an order that isn't loaded
+const appendOrderHistory = (orderId, field, from, to, context = {}) => {
+  return Order.updateOne(
+    { _id: orderId },
+    { $push: { statusHistory: buildEntry(field, from, to, context) } }
+  );
+};
+
+// Update an order that isn't loaded: sets `changes` (status/paymentStatus)
+// plus any `set` fields, appending history for the tracked fields that
+// change. Resolves to the updated order, or null if it doesn't exist.
+const updateOrderWithHistory = async (orderId, changes, context = {}, set = {}) => {
+  const previous = await Order.findById(orderId).select(TRACKED_FIELDS.join(" "));
+  if (!previous) return null;
+
+  const entries = TRACKED_FIELDS.filter(
+    (field) => changes[field] !== undefined && changes[field] !== previous[field]
+  ).map((field) => buildEntry(field, previous[field], changes[field], context));
+
+  const update = { $set: { ...set, ...changes, updatedAt: new Date() } };
+  if (entries.length > 0) {
+    update.$push = { statusHistory: { $each: entries } };
+  }
+
+  return Order.findByIdAndUpdate(orderId, update, { new: true });
+};
+
+// Change one tracked field only if it still has the value `from`, so two
+// concurrent changes can't both apply. Resolves to the updated order, or
+// null if the order doesn't exist or has already moved on.
+const claimOrderChange = (orderId, field, from, to, context = {}, set = {}) => {
+  return Order.findOneAndUpdate(
+    { _id: orderId, [field]: from },
+    {
+      $set: { ...set, [field]: to, updatedAt: new Date() },
+      $push: { statusHistory: buildEntry(field, from, to, context) },
+    },
+    { new: true }
+  );
+};
+
+module.exports = {
+  byAdmin,
+  byUser,
+  BY_SYSTEM,
+  BY_WEBHOOK,
+  applyOrderChange,
+  recordOrderRefund,
+  appendOrderHistory,
+  updateOrderWithHistory,
+  claimOrderChange,
+};
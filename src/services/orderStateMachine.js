@@ -0,0 +1,211 @@
+const Payment = require("../models/Payment");
+const { releaseOrderStock } = require("./inventoryService");
+const { captureAuthorization, voidAuthorization } = require("./paymentCaptureService");
+const { REFUNDABLE_STATUSES, issueRefund } = require("./refundService");
+const { BY_SYSTEM, claimOrderChange } = require("./orderHistoryService");
+const { sendOrderStatusUpdateEmail } = require("./emailService");
+
+// Which statuses an order can move to from each status. Cancelling is only
+// possible before the order ships; cancelled and returned orders are final.
+const ORDER_TRANSITIONS = {
+  pending: ["processing", "confirmed", "cancelled"],
+  processing: ["confirmed", "shipped", "cancelled"],
+  confirmed: ["processing", "shipped", "cancelled"],
+  shipped: ["delivered", "returned"],
+  delivered: ["completed", "returned"],
+  completed: ["returned"],
+  cancelled: [],
+  returned: [],
+};
+
+// Timestamp set when an order enters a status
+const STATUS_TIMESTAMPS = {
+  confirmed: "confirmedAt",
+  shipped: "shippedAt",
+  delivered: "deliveredAt",
+  returned: "returnedAt",
+};
+
+// Extra conditions for entering a status; each returns an error message or null
+const GUARDS = {
+  shipped: (order) =>
+    ["paid", "authorized"].includes(order.paymentStatus) || order.paymentMethod === "cod"
+      ? null
+      : `Order cannot ship while its payment is ${order.paymentStatus}`,
+  completed: (order) =>
+    order.paymentStatus === "paid"
+      ? null
+      : `Order cannot be completed while its payment is ${order.paymentStatus}`,
+};
+
+const getAllowedTransitions = (status) => ORDER_TRANSITIONS[status] || [];
+
+const canTransition = (from, to) => getAllowedTransitions(from).includes(to);
+
+// Payment statuses of an order that still holds the customer's money
+const REFUND_DUE_STATUSES = ["paid", "partially_refunded"];
+
+const adminIdOf = (by) => (by.actor === "admin" ? by.actorId : undefined);
+
+// Check a transition without applying it. Returns an error message or null.
+const checkTransition = (order, to) => {
+  if (!ORDER_TRANSITIONS[to]) return `Invalid order status: ${to}`;
+  if (order.status === to) return `Order is already ${to}`;
+  if (!canTransition(order.status, to)) {
+    return `Order cannot move from ${order.status} to ${to}`;
+  }
+  return GUARDS[to]?.(order) || null;
+};
+
+// Move an order to a new status and run that status's side-effects:
+// shipping captures a card authorization (and is refused if that fails),
+// cancelling restores stock, voids an authorization and cancels waiting
+// payments, and cancelling or returning a paid order refunds it when
+// `refund` is set, or otherwise marks it refundDue. Callers must only set
+// `refund` when whoever asked may move money. The customer is emailed
+// unless `notify` is false.
+//
+// options: { by, note, refund, notify, set } where `set` holds extra order
+// fields to write along with the status (trackingNumber, cancellation, ...).
+// Resolves to { success, order?, error?, gatewayError?, conflict?,
+// capturedAmount?, refund?, refundError?, refundDue? }; `conflict` means the
+// order changed in the meantime.
+const transitionOrder = async (order, to, options = {}) => {
+  const { by = BY_SYSTEM, note, refund = false, notify = true, set = {} } = options;
+  const from = order.status;
+
+  const error = checkTransition(order, to);
+  if (error) return { success: false, error };
+
+  const result = { success: true };
+
+  const update = { ...set };
+  if (STATUS_TIMESTAMPS[to]) update[STATUS_TIMESTAMPS[to]] = new Date();
+
+  // Conditional on the current status so concurrent changes can't both
+  // apply. Claimed before any money moves, so only one request captures.
+  const updated = await claimOrderChange(order._id, "status", from, to, { by, note }, update);
+  if (!updated) {
+    return {
+      success: false,
+      conflict: true,
+      error: "Order was changed by someone else. Reload it and try again.",
+    };
+  }
+  result.order = updated;
+
+  // Card authorizations are captured when the order ships, for the
+  // current total (less than authorized if items were removed)
+  if (to === "shipped" && updated.paymentStatus === "authorized") {
+    const authorizedPayment = await Payment.findOne({ orderId: updated._id, status: "authorized" });
+    if (authorizedPayment) {
+      const capture = await captureAuthorization(authorizedPayment, updated.totals.total, {
+        adminId: adminIdOf(by),
+        by,
+      });
+      if (!capture.success) {
+        // Put the order back as it was so it can't ship unpaid
+        const restore = Object.fromEntries(
+          Object.keys(update).map((field) => [field, order.get(field) ?? null])
+        );
+        await claimOrderChange(
+          updated._id,
+          "status",
+          to,
+          from,
+          { by, note: "Payment capture failed" },
+          restore
+        );
+        return {
+          success: false,
+          error: capture.expired
+            ? "Payment authorization has expired. The customer must pay again before the order can ship."
+            : "Payment capture failed. Order was not marked as shipped.",
+          gatewayError: capture.error,
+        };
+      }
+      // The capture recorded the payment status in the order history
+      updated.paymentStatus = "paid";
+      result.capturedAmount = capture.amount;
+    }
+  }
+
+  if (to === "cancelled") {
+    await releaseOrderStock(updated._id, {
+      type: "order_cancelled",
+      reason: note,
+      adminId: adminIdOf(by),
+    });
+
+    // An authorization that can't be voided now lapses on expiry
+    const authorizedPayment = await Payment.findOne({ orderId: updated._id, status: "authorized" });
+    if (authorizedPayment) {
+      const voidResult = await voidAuthorization(authorizedPayment, {
+        reason: `Order cancelled${note ? `: ${note}` : ""}`,
+        adminId: adminIdOf(by),
+        by,
+      });
+      if (voidResult.success) {
+        // The void recorded the change in the order history
+        updated.paymentStatus = "voided";
+      } else {
+        console.error(`Failed to void payment ${authorizedPayment._id}:`, voidResult.error);
+      }
+    }
+
+    await Payment.updateMany(
+      { orderId: updated._id, status: { $in: ["pending", "processing"] } },
+      { status: "cancelled" }
+    );
+  }
+
+  const owesRefund =
+    ["cancelled", "returned"].includes(to) && REFUND_DUE_STATUSES.includes(updated.paymentStatus);
+  if (refund && owesRefund) {
+    const refundReason = `Order ${to}${note ? `: ${note}` : ""}`;
+    const payment = await Payment.findOne({
+      orderId: updated._id,
+      status: { $in: REFUNDABLE_STATUSES },
+    });
+    const refundResult = payment
+      ? await issueRefund(payment, undefined, { reason: refundReason, by })
+      : { success: false, error: "No refundable payment found for this order" };
+
+    if (refundResult.success) {
+      // The refund recorded the payment status and amount in the order history
+      updated.paymentStatus = "refunded";
+      updated.refund = {
+        amount: refundResult.totalRefunded,
+        reason: refundReason,
+        type: "full",
+        processedAt: new Date(),
+        processedBy: adminIdOf(by),
+      };
+      await updated.save();
+      result.refund = refundResult;
+    } else {
+      result.refundError = refundResult.error;
+    }
+  }
+
+  // Left for an admin with orders:refund to issue
+  if (owesRefund && !result.refund) {
+    updated.refundDue = true;
+    await updated.save();
+    result.refundDue = true;
+  }
+
+  if (notify) {
+    sendOrderStatusUpdateEmail(updated).catch(err => console.error("Failed to send status update email:", err));
+  }
+
+  return result;
+};
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  getAllowedTransitions,
+  canTransition,
+  checkTransition,
+  transitionOrder,
+};
@@ -0,0 +1,206 @@
+const Payment = require("../models/Payment");
+const Transaction = require("../models/Transaction");
+const {
+  captureWithGateway,
+  voidWithGateway,
+} = require("./paymentGateways");
+const { releaseOrderStock } = require("./inventoryService");
+const {
+  byAdmin,
+  BY_SYSTEM,
+  updateOrderWithHistory,
+} = require("./orderHistoryService");
+
+// Card networks typically hold an authorization for about a week
+const AUTHORIZATION_VALIDITY_DAYS = parseInt(process.env.PAYMENT_AUTHORIZATION_DAYS) || 7;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const getOrderId = (payment) => payment.orderId?._id || payment.orderId;
+
+const logTransaction = (payment, type, amount, result, status) => {
+  return Transaction.create({
+    paymentId: payment._id,
+    userId: payment.userId,
+    type,
+    amount,
+    currency: payment.currency,
+    gatewayTransactionId: result.transactionId || `FAILED_${Date.now()}`,
+    gatewayResponse: result.response,
+    status,
+    processedAt: new Date(),
+  });
+};
+
+const isAuthorizationExpired = (payment, now = new Date()) => {
+  const expiresAt = payment.authorization?.expiresAt;
+  return !!expiresAt && expiresAt <= now;
+};
+
+// Record a successful authorization (from checkout or a gateway webhook).
+// result: { transactionId, authorizationCode?, amount?, gateway?, response }
+// by: who triggered it, for the order history
+const recordAuthorization = async (payment, result, by = BY_SYSTEM) => {
+  const now = new Date();
+  const amount = result.amount || payment.amount;
+
+  payment.status = "authorized";
+  payment.gatewayResponse = result.response;
+  payment.paymentDetails.transactionId = result.transactionId;
+  payment.paymentDetails.authorizationCode = result.authorizationCode;
+  if (result.gateway) {
+    payment.paymentDetails.paymentGateway = result.gateway;
+  }
+  payment.authorization = {
+    amount,
+    authorizedAt: now,
+    expiresAt: new Date(now.getTime() + AUTHORIZATION_VALIDITY_DAYS * 24 * 60 * 60 * 1000),
+  };
+  await payment.save();
+
+  await updateOrderWithHistory(getOrderId(payment), { paymentStatus: "authorized" }, { by });
+
+  return logTransaction(payment, "authorization", amount, result, "success");
+};
+
+// Mark an authorized payment as captured. Payment.amount becomes the
+// captured amount so refunds are limited to what was actually charged.
+const recordCapture = async (payment, amount, result, by = BY_SYSTEM) => {
+  const now = new Date();
+
+  payment.status = "completed";
+  payment.paymentDate = now;
+  payment.amount = amount;
+  payment.authorization.capturedAmount = amount;
+  payment.authorization.capturedAt = now;
+  if (by.actor === "admin") payment.processedBy = by.actorId;
+  await payment.save();
+
+  await updateOrderWithHistory(
+    getOrderId(payment),
+    { paymentStatus: "paid" },
+    { by, note: `Captured ${amount.toFixed(2)} ${payment.currency || ""}`.trim() }
+  );
+
+  return logTransaction(payment, "capture", amount, result, "success");
+};
+
+const recordVoid = async (payment, result, reason, by = BY_SYSTEM) => {
+  payment.status = "voided";
+  payment.authorization.voidedAt = new Date();
+  payment.authorization.voidReason = reason;
+  if (by.actor === "admin") payment.processedBy = by.actorId;
+  await payment.save();
+
+  await updateOrderWithHistory(getOrderId(payment), { paymentStatus: "voided" }, { by, note: reason });
+
+  return logTransaction(payment, "void", payment.authorization.amount, result, "success");
+};
+
+// The hold has lapsed at the card issuer, so the customer must pay again
+const expireAuthorization = async (payment) => {
+  // Best effort: release the hold early where the gateway still allows it
+  const result = await voidWithGateway(payment);
+  if (!result.success) {
+    console.warn(`Void of expired authorization ${payment._id} failed: ${result.error}`);
+  }
+
+  payment.status = "failed";
+  payment.failureReason = "Payment authorization expired before capture";
+  payment.authorization.expiredAt = new Date();
+  await payment.save();
+
+  await updateOrderWithHistory(
+    getOrderId(payment),
+    { paymentStatus: "failed" },
+    { by: BY_SYSTEM, note: "Payment authorization expired" }
+  );
+  await releaseOrderStock(getOrderId(payment), {
+    type: "payment_failed",
+    reason: "Payment authorization expired",
+  });
+};
+
+// Capture an authorized payment, at most the authorized amount. Returns
+// { success, amount?, transaction?, error?, expired? }.
+const captureAuthorization = async (payment, amount, { adminId, by } = {}) => {
+  if (payment.status !== "authorized") {
+    return { success: false, error: `Payment is ${payment.status}, not authorized` };
+  }
+
+  if (isAuthorizationExpired(payment)) {
+    await expireAuthorization(payment);
+    return { success: false, expired: true, error: "Payment authorization has expired" };
+  }
+
+  const captureAmount = roundMoney(Math.min(amount, payment.authorization.amount));
+  if (!(captureAmount > 0)) {
+    return { success: false, error: "Nothing to capture" };
+  }
+
+  const result = await captureWithGateway(payment, captureAmount);
+  if (!result.success) {
+    await logTransaction(payment, "capture", captureAmount, result, "failed");
+    return { success: false, error: result.error || "Payment capture failed" };
+  }
+
+  const transaction = await recordCapture(
+    payment,
+    captureAmount,
+    result,
+    by || (adminId ? byAdmin(adminId) : BY_SYSTEM)
+  );
+  return { success: true, amount: captureAmount, transaction };
+};
+
+// Release an authorization without charging (e.g. the order was cancelled)
+const voidAuthorization = async (payment, { reason, adminId, by } = {}) => {
+  if (payment.status !== "authorized") {
+    return { success: false, error: `Payment is ${payment.status}, not authorized` };
+  }
+
+  const result = await voidWithGateway(payment);
+  if (!result.success) {
+    await logTransaction(payment, "void", payment.authorization.amount, result, "failed");
+    return { success: false, error: result.error || "Payment void failed" };
+  }
+
+  const transaction = await recordVoid(
+    payment,
+    result,
+    reason,
+    by || (adminId ? byAdmin(adminId) : BY_SYSTEM)
+  );
+  return { success: true, transaction };
+};
+
+// Expire authorizations that were never captured. Returns the number expired.
+const expireStaleAuthorizations = async (now = new Date()) => {
+  const payments = await Payment.find({
+    status: "authorized",
+    "authorization.expiresAt": { $lte: now },
+  });
+
+  let expired = 0;
+  for (const payment of payments) {
+    try {
+      await expireAuthorization(payment);
+      expired++;
+    } catch (error) {
+      console.error(`Failed to expire authorization ${payment._id}:`, error);
+    }
+  }
+
+  return expired;
+};
+
+module.exports = {
+  AUTHORIZATION_VALIDITY_DAYS,
+  isAuthorizationExpired,
+  recordAuthorization,
+  recordCapture,
+  recordVoid,
+  captureAuthorization,
+  voidAuthorization,
+  expireStaleAuthorizations,
+};
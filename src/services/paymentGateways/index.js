@@ -0,0 +1,117 @@
+const PaymentSettings = require("../../models/PaymentSettings");
+const createMockGateway = require("./mockGateway");
+const createPaymobGateway = require("./paymobGateway");
+
+// Every adapter exposes the same interface, each operation resolving to
+// { success, transactionId, error?, response, pending?, redirectUrl? }:
+//   authorize(payment, { paymentToken, order })
+//   capture(payment, amount)
+//   refund(payment, amount)
+//   void(payment)
+//   parseWebhook(req) -> { valid, eventId, type, data }
+const ADAPTERS = {
+  mock: createMockGateway,
+  paymob: createPaymobGateway,
+};
+
+const GATEWAY_PROVIDERS = Object.keys(ADAPTERS);
+
+// Provider for methods without an explicit one. The mock gateway is never
+// used implicitly in production.
+const getDefaultProvider = () => {
+  if (process.env.DEFAULT_PAYMENT_PROVIDER) return process.env.DEFAULT_PAYMENT_PROVIDER;
+  return process.env.NODE_ENV === "production" ? null : "mock";
+};
+
+// Resolve the adapter for a payment method (Payment.paymentMethod), configured
+// from PaymentSettings.methods. Returns null when no gateway is available.
+const getGateway = async (methodName) => {
+  const settings = await PaymentSettings.getSettings();
+  const method = (settings?.methods || []).find(m => m.name === methodName);
+
+  const provider =
+    method?.provider || (ADAPTERS[methodName] ? methodName : getDefaultProvider());
+  if (!provider || !ADAPTERS[provider]) {
+    return null;
+  }
+
+  return ADAPTERS[provider]({
+    methodName,
+    testMode: method ? method.testMode !== false : true,
+    credentials: method?.credentials || {},
+  });
+};
+
+// Whether the method authorizes at checkout and captures on shipment
+const usesDelayedCapture = async (methodName) => {
+  const settings = await PaymentSettings.getSettings();
+  const method = (settings?.methods || []).find(m => m.name === methodName);
+  return (method?.captureMode || "on_shipment") === "on_shipment";
+};
+
+const noGateway = (methodName) => ({
+  success: false,
+  error: `No payment gateway configured for '${methodName}'`,
+  response: { status: "error" },
+});
+
+// Authorize and immediately capture (a sale). Hosted gateways return
+// pending with a redirectUrl; the result then arrives by webhook.
+const chargeWithGateway = async (payment, options = {}) => {
+  const gateway = await getGateway(payment.paymentMethod);
+  if (!gateway) return noGateway(payment.paymentMethod);
+
+  const authorization = await gateway.authorize(payment, options);
+  if (!authorization.success || authorization.pending) {
+    return { ...authorization, gateway: gateway.name };
+  }
+
+  const capture = await gateway.capture(payment, payment.amount);
+  return {
+    ...capture,
+    gateway: gateway.name,
+    authorizationCode: authorization.authorizationCode,
+    response: { ...capture.response, authorization: authorization.response },
+  };
+};
+
+// Authorize only; the funds are held until captureWithGateway or voidWithGateway
+const authorizeWithGateway = async (payment, options = {}) => {
+  const gateway = await getGateway(payment.paymentMethod);
+  if (!gateway) return noGateway(payment.paymentMethod);
+
+  return { ...(await gateway.authorize(payment, options)), gateway: gateway.name };
+};
+
+// Capturing less than the authorized amount releases the remainder
+const captureWithGateway = async (payment, amount) => {
+  const gateway = await getGateway(payment.paymentMethod);
+  if (!gateway) return noGateway(payment.paymentMethod);
+
+  return { ...(await gateway.capture(payment, amount)), gateway: gateway.name };
+};
+
+const voidWithGateway = async (payment) => {
+  const gateway = await getGateway(payment.paymentMethod);
+  if (!gateway) return noGateway(payment.paymentMethod);
+
+  return { ...(await gateway.void(payment)), gateway: gateway.name };
+};
+
+const refundWithGateway = async (payment, amount) => {
+  const gateway = await getGateway(payment.paymentMethod);
+  if (!gateway) return noGateway(payment.paymentMethod);
+
+  return { ...(await gateway.refund(payment, amount)), gateway: gateway.name };
+};
+
+module.exports = {
+  GATEWAY_PROVIDERS,
+  getGateway,
+  usesDelayedCapture,
+  chargeWithGateway,
+  authorizeWithGateway,
+  captureWithGateway,
+  voidWithGateway,
+  refundWithGateway,
+};
@@ -0,0 +1,121 @@
+const crypto = require("crypto");
+
+// Deterministic local gateway for development and tests. Outcomes are chosen
+// by the payment token, and ids are derived from the payment, so the same
+// input always gives the same result:
+//   tok_decline_insufficient_funds -> authorization declined
+//   tok_decline_card_declined      -> authorization declined
+//   tok_error                      -> gateway error
+//   tok_redirect                   -> pending, completed later by webhook
+//   anything else                  -> approved
+const DECLINES = {
+  tok_decline_insufficient_funds: { code: "insufficient_funds", message: "Insufficient funds" },
+  tok_decline_card_declined: { code: "card_declined", message: "Card declined" },
+};
+
+const toCents = (amount) => Math.round(amount * 100);
+
+const createMockGateway = (config = {}) => {
+  const response = (status, extra = {}) => ({ gateway: "mock", status, ...extra });
+
+  return {
+    name: "mock",
+
+    authorize: async (payment, { paymentToken } = {}) => {
+      const token = paymentToken || "tok_approved";
+      const authorizationId = `mock_auth_${payment._id}`;
+
+      if (DECLINES[token]) {
+        return {
+          success: false,
+          error: DECLINES[token].message,
+          response: response("declined", { decline_code: DECLINES[token].code }),
+        };
+      }
+
+      if (token === "tok_error") {
+        return {
+          success: false,
+          error: "Payment gateway error",
+          response: response("error"),
+        };
+      }
+
+      if (token === "tok_redirect") {
+        return {
+          success: true,
+          pending: true,
+          transactionId: authorizationId,
+          redirectUrl: `https://mock-gateway.local/pay/${authorizationId}`,
+          response: response("pending"),
+        };
+      }
+
+      return {
+        success: true,
+        transactionId: authorizationId,
+        authorizationCode: `AUTH_${String(payment._id).slice(-8).toUpperCase()}`,
+        response: response("authorized", { amount_cents: toCents(payment.amount) }),
+      };
+    },
+
+    capture: async (payment, amount = payment.amount) => {
+      return {
+        success: true,
+        transactionId: `mock_cap_${payment._id}_${toCents(amount)}`,
+        response: response("captured", { amount_cents: toCents(amount) }),
+      };
+    },
+
+    refund: async (payment, amount) => {
+      // Unique per cumulative refunded total so partial refunds get distinct ids
+      const refundedAfter = toCents((payment.refundAmount || 0) + amount);
+      return {
+        success: true,
+        transactionId: `mock_ref_${payment._id}_${refundedAfter}`,
+        response: response("refunded", { refund_amount: amount }),
+      };
+    },
+
+    void: async (payment) => {
+      return {
+        success: true,
+        transactionId: `mock_void_${payment._id}`,
+        response: response("voided"),
+      };
+    },
+
+    // Body: { id, type, data }, signed with HMAC-SHA256 of the raw body in the
+    // X-Webhook-Signature header (hex, optionally prefixed "sha256=")
+    parseWebhook: (req) => {
+      const secret = config.credentials?.webhookSecret;
+      const signature = req.get("x-webhook-signature");
+      if (!secret || !req.rawBody || !signature) {
+        return { valid: false };
+      }
+
+      const expected = crypto.createHmac("sha256", secret).update(req.rawBody).digest("hex");
+      const received = String(signature).replace(/^sha256=/, "").trim().toLowerCase();
+      if (
+        received.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected))
+      ) {
+        return { valid: false };
+      }
+
+      const { type, data } = req.body;
+      const eventId = req.body.id || req.body.event_id || req.get("x-webhook-id");
+      return {
+        valid: true,
+        // Without an id, an identical redelivery is still recognised by its hash
+        eventId: eventId
+          ? String(eventId)
+          : crypto.createHash("sha256").update(req.rawBody).digest("hex"),
+        type,
+        data: data || {},
+      };
+    },
+  };
+};
+
+module.exports = createMockGateway;
@@ -0,0 +1,242 @@
+const axios = require("axios");
+const crypto = require("crypto");
+
+// Paymob Accept (Egypt). Card payments are hosted by Paymob: authorize()
+// registers the order, returns the iframe URL for the customer, and the
+// result arrives through the transaction processed callback (webhook).
+//
+// PaymentSettings.methods[].credentials:
+//   secretKey     - API key
+//   webhookSecret - HMAC secret
+//   integrationId - card integration id
+//   iframeId      - iframe id
+const PAYMOB_API_URL = process.env.PAYMOB_API_URL || "https://accept.paymob.com/api";
+const PAYMENT_KEY_EXPIRY_SECONDS = 3600;
+
+// Fields concatenated (in this order) for the callback HMAC
+const HMAC_FIELDS = [
+  "amount_cents",
+  "created_at",
+  "currency",
+  "error_occured",
+  "has_parent_transaction",
+  "id",
+  "integration_id",
+  "is_3d_secure",
+  "is_auth",
+  "is_capture",
+  "is_refunded",
+  "is_standalone_payment",
+  "is_voided",
+  "order.id",
+  "owner",
+  "pending",
+  "source_data.pan",
+  "source_data.sub_type",
+  "source_data.type",
+  "success",
+];
+
+const toCents = (amount) => Math.round(amount * 100);
+
+const getPath = (obj, path) => path.split(".").reduce((value, key) => value?.[key], obj);
+
+const failure = (error, fallbackMessage) => ({
+  success: false,
+  error: error.response?.data?.detail || error.response?.data?.message || fallbackMessage,
+  response: {
+    gateway: "paymob",
+    status: "error",
+    error: error.response?.data || error.message,
+  },
+});
+
+const createPaymobGateway = (config = {}) => {
+  const credentials = config.credentials || {};
+  const http = axios.create({ baseURL: PAYMOB_API_URL, timeout: 15000 });
+
+  const authenticate = async () => {
+    const { data } = await http.post("/auth/tokens", { api_key: credentials.secretKey });
+    return data.token;
+  };
+
+  // Paymob's transaction id is learned from the callback; until then only
+  // the Paymob order id (gatewayTransactionId) is known
+  const getTransactionId = (payment) => payment.paymentDetails?.transactionId;
+
+  const buildBillingData = (order = {}) => {
+    const address = order.billingAddress || order.shippingAddress || {};
+    const customer = order.customer || {};
+    return {
+      first_name: customer.firstName || "NA",
+      last_name: customer.lastName || "NA",
+      email: customer.email || "NA",
+      phone_number: customer.phone || "NA",
+      street: address.street || "NA",
+      city: address.city || "NA",
+      state: address.state || "NA",
+      country: address.country || "EG",
+      postal_code: address.zipCode || "NA",
+      apartment: "NA",
+      floor: "NA",
+      building: "NA",
+    };
+  };
+
+  return {
+    name: "paymob",
+
+    authorize: async (payment, { order } = {}) => {
+      try {
+        const authToken = await authenticate();
+        const amountCents = toCents(payment.amount);
+        const currency = payment.currency || "EGP";
+
+        const { data: paymobOrder } = await http.post("/ecommerce/orders", {
+          auth_token: authToken,
+          delivery_needed: false,
+          amount_cents: amountCents,
+          currency,
+          merchant_order_id: String(payment._id),
+          items: [],
+        });
+
+        const { data: paymentKey } = await http.post("/acceptance/payment_keys", {
+          auth_token: authToken,
+          amount_cents: amountCents,
+          expiration: PAYMENT_KEY_EXPIRY_SECONDS,
+          order_id: paymobOrder.id,
+          billing_data: buildBillingData(order),
+          currency,
+          integration_id: Number(credentials.integrationId),
+          lock_order_when_paid: true,
+        });
+
+        return {
+          success: true,
+          pending: true,
+          transactionId: String(paymobOrder.id),
+          redirectUrl: `${PAYMOB_API_URL}/acceptance/iframes/${credentials.iframeId}?payment_token=${paymentKey.token}`,
+          response: {
+            gateway: "paymob",
+            status: "pending",
+            paymob_order_id: paymobOrder.id,
+          },
+        };
+      } catch (error) {
+        return failure(error, "Could not start Paymob payment");
+      }
+    },
+
+    capture: async (payment, amount = payment.amount) => {
+      try {
+        const authToken = await authenticate();
+        const { data } = await http.post("/acceptance/capture", {
+          auth_token: authToken,
+          transaction_id: getTransactionId(payment),
+          amount_cents: toCents(amount),
+        });
+
+        return {
+          success: data.success === true,
+          transactionId: String(data.id),
+          error: data.success === true ? undefined : data.data?.message || "Capture failed",
+          response: { gateway: "paymob", status: data.success ? "captured" : "failed", raw: data },
+        };
+      } catch (error) {
+        return failure(error, "Paymob capture failed");
+      }
+    },
+
+    refund: async (payment, amount) => {
+      try {
+        const authToken = await authenticate();
+        const { data } = await http.post("/acceptance/void_refund/refund", {
+          auth_token: authToken,
+          transaction_id: getTransactionId(payment),
+          amount_cents: toCents(amount),
+        });
+
+        return {
+          success: data.success === true,
+          transactionId: String(data.id),
+          error: data.success === true ? undefined : data.data?.message || "Refund failed",
+          response: { gateway: "paymob", status: data.success ? "refunded" : "failed", raw: data },
+        };
+      } catch (error) {
+        return failure(error, "Paymob refund failed");
+      }
+    },
+
+    void: async (payment) => {
+      try {
+        const authToken = await authenticate();
+        const { data } = await http.post(
+          `/acceptance/void_refund/void?token=${authToken}`,
+          { transaction_id: getTransactionId(payment) }
+        );
+
+        return {
+          success: data.success === true,
+          transactionId: String(data.id),
+          error: data.success === true ? undefined : data.data?.message || "Void failed",
+          response: { gateway: "paymob", status: data.success ? "voided" : "failed", raw: data },
+        };
+      } catch (error) {
+        return failure(error, "Paymob void failed");
+      }
+    },
+
+    // Transaction processed callback: { type: "TRANSACTION", obj }, with the
+    // HMAC-SHA512 in the ?hmac= query parameter
+    parseWebhook: (req) => {
+      const secret = credentials.webhookSecret;
+      const obj = req.body?.obj;
+      const received = String(req.query.hmac || "").toLowerCase();
+      if (!secret || !obj || !received) {
+        return { valid: false };
+      }
+
+      const concatenated = HMAC_FIELDS.map(field => {
+        const value = getPath(obj, field);
+        return value === undefined || value === null ? "" : String(value);
+      }).join("");
+      const expected = crypto.createHmac("sha512", secret).update(concatenated).digest("hex");
+
+      if (
+        received.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected))
+      ) {
+        return { valid: false };
+      }
+
+      let type;
+      if (!obj.success) type = "payment.failed";
+      else if (obj.is_voided) type = "payment.voided";
+      else if (obj.is_refund) type = "refund.completed";
+      else if (obj.is_auth) type = "payment.authorized";
+      else if (obj.is_capture) type = "payment.captured";
+      else type = "payment.completed";
+
+      if (obj.pending) {
+        type = "payment.pending";
+      }
+
+      return {
+        valid: true,
+        eventId: `${obj.id}:${type}`,
+        type,
+        data: {
+          payment_id: String(obj.order?.id),
+          transaction_id: String(obj.id),
+          refund_id: String(obj.id),
+          amount: obj.amount_cents / 100,
+          currency: obj.currency,
+          error: obj.success ? undefined : { message: obj.data?.message || "Payment failed" },
+        },
+      };
+    },
+  };
+};
+
+module.exports = createPaymobGateway;
@@ -0,0 +1,218 @@
+const Payment = require("../models/Payment");
+const Transaction = require("../models/Transaction");
+const CreditNote = require("../models/CreditNote");
+const { refundWithGateway } = require("./paymentGateways");
+const {
+  BY_SYSTEM,
+  appendOrderHistory,
+  updateOrderWithHistory,
+} = require("./orderHistoryService");
+const { issueCreditNote } = require("./creditNoteService");
+
+const REFUNDABLE_STATUSES = ["completed", "partially_refunded"];
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// How much of a payment has been refunded and how much is left
+const getRefundBalance = async (payment) => {
+  const existingRefunds = await Transaction.find({
+    paymentId: payment._id,
+    type: "refund",
+    status: "success",
+  });
+
+  const totalRefunded = roundMoney(existingRefunds.reduce((sum, t) => sum + t.amount, 0));
+  return {
+    totalRefunded,
+    availableForRefund: roundMoney(payment.amount - totalRefunded),
+  };
+};
+
+// Record a refund the gateway has made: on the payment, its order and the
+// transaction log, with a credit note. The refund's gateway id is claimed
+// first, so a refund reported by both issueRefund and the gateway's webhook
+// is only recorded once. `reserved` is the amount issueRefund set aside in
+// refundPending for it. Resolves to { refundTransaction, creditNote,
+// payment } or null if the refund was already recorded.
+const recordRefund = async (
+  payment,
+  { amount, gatewayTransactionId, gatewayResponse, reason, by = BY_SYSTEM, items, returnId, reserved = 0 }
+) => {
+  let refundTransaction;
+  try {
+    refundTransaction = await Transaction.create({
+      paymentId: payment._id,
+      userId: payment.userId,
+      type: "refund",
+      amount,
+      currency: payment.currency,
+      gatewayTransactionId,
+      gatewayResponse,
+      status: "success",
+      processedAt: new Date(),
+      refundReason: reason,
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  // One update, so concurrent refunds can't lose each other's amounts
+  const refunded = await Payment.findOneAndUpdate(
+    { _id: payment._id },
+    [
+      {
+        $set: {
+          refundAmount: { $add: [{ $ifNull: ["$refundAmount", 0] }, amount] },
+          refundPending: { $subtract: [{ $ifNull: ["$refundPending", 0] }, reserved] },
+          refundDate: new Date(),
+          refundReason: { $literal: reason ?? null },
+          updatedAt: new Date(),
+        },
+      },
+      {
+        $set: {
+          status: {
+            $cond: [
+              { $gte: [{ $round: ["$refundAmount", 2] }, "$amount"] },
+              "refunded",
+              "partially_refunded",
+            ],
+          },
+        },
+      },
+    ],
+    { new: true }
+  );
+  const fullyRefunded = refunded.status === "refunded";
+  const previouslyRefunded = roundMoney(refunded.refundAmount - amount);
+
+  const orderId = payment.orderId?._id || payment.orderId;
+  await updateOrderWithHistory(
+    orderId,
+    { paymentStatus: refunded.status },
+    { by, note: reason },
+    fullyRefunded ? { refundDue: false } : {}
+  );
+  await appendOrderHistory(
+    orderId,
+    "refund",
+    previouslyRefunded.toFixed(2),
+    roundMoney(refunded.refundAmount).toFixed(2),
+    { by, note: reason }
+  );
+
+  const creditNote = await issueCreditNote(orderId, {
+    amount,
+    reason,
+    items,
+    paymentId: payment._id,
+    transactionId: refundTransaction._id,
+    returnId,
+    adminId: by.actor === "admin" ? by.actorId : undefined,
+  });
+
+  return { refundTransaction, creditNote, payment: refunded };
+};
+
+// Refund part or all of a payment through the gateway that took it and
+// record it (see recordRefund). Returns { success, refundTransaction?,
+// creditNote?, refundedAmount?, totalRefunded?, availableForRefund?, error? }.
+// `by` is who issued it, for the order history; `items` and `returnId` say
+// which order lines were refunded, for the credit note.
+const issueRefund = async (payment, amount, { reason, by = BY_SYSTEM, items, returnId } = {}) => {
+  if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+    return { success: false, error: `Payment is ${payment.status} and cannot be refunded` };
+  }
+
+  const { totalRefunded, availableForRefund } = await getRefundBalance(payment);
+  const refundAmount = roundMoney(amount || availableForRefund);
+
+  if (!(refundAmount > 0) || refundAmount > availableForRefund) {
+    return {
+      success: false,
+      error: `Refund amount exceeds available balance. Maximum refundable: ${availableForRefund.toFixed(2)} EGP`,
+    };
+  }
+
+  // Reserve the amount before calling the gateway so concurrent refunds
+  // can't both pass the balance check
+  const reserved = await Payment.updateOne(
+    {
+      _id: payment._id,
+      status: { $in: REFUNDABLE_STATUSES },
+      $expr: {
+        $lte: [
+          {
+            $round: [
+              { $add: [{ $ifNull: ["$refundAmount", 0] }, { $ifNull: ["$refundPending", 0] }, refundAmount] },
+              2,
+            ],
+          },
+          "$amount",
+        ],
+      },
+    },
+    { $inc: { refundPending: refundAmount } }
+  );
+  if (reserved.modifiedCount === 0) {
+    return {
+      success: false,
+      error: "Another refund of this payment is in progress or the amount exceeds its balance. Reload it and try again.",
+    };
+  }
+
+  const refundResult = await refundWithGateway(payment, refundAmount);
+  if (!refundResult.success) {
+    await Payment.updateOne({ _id: payment._id }, { $inc: { refundPending: -refundAmount } });
+    return { success: false, error: refundResult.error || "Refund processing failed" };
+  }
+
+  const recorded = await recordRefund(payment, {
+    amount: refundAmount,
+    gatewayTransactionId: refundResult.transactionId,
+    gatewayResponse: refundResult.response,
+    reason,
+    by,
+    items,
+    returnId,
+    reserved: refundAmount,
+  });
+
+  let refundTransaction;
+  let creditNote;
+  if (recorded) {
+    ({ refundTransaction, creditNote } = recorded);
+    payment.set({
+      status: recorded.payment.status,
+      refundAmount: recorded.payment.refundAmount,
+      refundPending: recorded.payment.refundPending,
+      refundDate: recorded.payment.refundDate,
+      refundReason: recorded.payment.refundReason,
+    });
+  } else {
+    // The gateway's webhook recorded the refund first
+    await Payment.updateOne({ _id: payment._id }, { $inc: { refundPending: -refundAmount } });
+    refundTransaction = await Transaction.findOne({
+      type: "refund",
+      gatewayTransactionId: refundResult.transactionId,
+    });
+    creditNote = await CreditNote.findOne({ transactionId: refundTransaction?._id });
+  }
+
+  return {
+    success: true,
+    refundTransaction,
+    creditNote,
+    refundedAmount: refundAmount,
+    totalRefunded: roundMoney(totalRefunded + refundAmount),
+    availableForRefund: roundMoney(availableForRefund - refundAmount),
+  };
+};
+
+module.exports = {
+  REFUNDABLE_STATUSES,
+  getRefundBalance,
+  issueRefund,
+  recordRefund,
+};
@@ -0,0 +1,84 @@
+const Return = require("../models/Return");
+const { restoreStock } = require("./inventoryService");
+const { nextDocumentNumber } = require("./documentNumberService");
+const {
+  sendReturnUpdateEmail,
+  sendReturnAdminNotification,
+} = require("./emailService");
+
+// Days after delivery during which a return can be requested
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS) || 30;
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const generateReturnNumber = () => nextDocumentNumber("return");
+
+const getReturnDeadline = (order) => {
+  const deadline = new Date(order.deliveredAt || order.updatedAt);
+  deadline.setDate(deadline.getDate() + RETURN_WINDOW_DAYS);
+  return deadline;
+};
+
+// Units of each order line already covered by a return that wasn't rejected
+const getReturnedQuantities = async (orderId) => {
+  const returns = await Return.find({ orderId, status: { $ne: "rejected" } }).select("items");
+
+  const returned = new Map();
+  for (const rma of returns) {
+    for (const item of rma.items) {
+      const key = String(item.orderItemId);
+      returned.set(key, (returned.get(key) || 0) + item.quantity);
+    }
+  }
+  return returned;
+};
+
+// Value of the returned goods, the default refund amount
+const getReturnValue = (rma) =>
+  roundMoney(rma.items.reduce((sum, item) => sum + item.price * item.quantity, 0));
+
+// Put each item's restockedQuantity back into inventory. A returned package
+// restocks its components, as recorded on the order line.
+const restockReturn = async (rma, order, adminId) => {
+  for (const item of rma.items) {
+    if (!(item.restockedQuantity > 0)) continue;
+
+    const orderItem = order.items.id(item.orderItemId);
+    await restoreStock(
+      [
+        {
+          productId: item.productId,
+          productType: orderItem?.productType,
+          packageInfo: orderItem?.packageInfo,
+          quantity: item.restockedQuantity,
+        },
+      ],
+      {
+        type: "return",
+        orderId: order._id,
+        reason: `Return ${rma.returnNumber}`,
+        adminId,
+      }
+    );
+  }
+};
+
+// Email the customer and the store about the return's current status
+const notifyReturnUpdate = async (rma, order) => {
+  await sendReturnUpdateEmail(rma, order);
+
+  const adminEmail = process.env.ADMIN_EMAIL;
+  if (adminEmail) {
+    await sendReturnAdminNotification(rma, order, adminEmail);
+  }
+};
+
+module.exports = {
+  RETURN_WINDOW_DAYS,
+  generateReturnNumber,
+  getReturnDeadline,
+  getReturnedQuantities,
+  getReturnValue,
+  restockReturn,
+  notifyReturnUpdate,
+};
@@ -0,0 +1,83 @@
+const Product = require("../models/Product");
+const { notifyPriceDrop } = require("./wishlistAlertService");
+
+// Put the matching products on sale between startDate and endDate (either
+// may be left open). Prices follow the window by themselves (see
+// utils/pricing); a fixed discount skips products it would make free.
+// Resolves to { scheduled, skipped }.
+const scheduleSale = async (filter, { type, value, startDate, endDate }) => {
+  const target = type === "fixed" ? { ...filter, price: { $gt: value } } : filter;
+
+  const matched = await Product.countDocuments(filter);
+  const result = await Product.updateMany(target, {
+    $set: {
+      discount: {
+        type,
+        value,
+        startDate: startDate || new Date(),
+        endDate,
+        isActive: true,
+      },
+      updatedAt: new Date(),
+    },
+  });
+
+  return { scheduled: result.modifiedCount, skipped: matched - result.matchedCount };
+};
+
+// Stop the sales on the matching products now. Resolves to the number ended.
+const endSales = async (filter) => {
+  const result = await Product.updateMany(
+    { ...filter, "discount.isActive": true },
+    {
+      $set: {
+        "discount.isActive": false,
+        updatedAt: new Date(),
+      },
+    }
+  );
+  return result.modifiedCount;
+};
+
+// Send wishlist price-drop alerts for sales that have begun since the last
+// run. Resolves to { started, priceDropAlerts }.
+const startScheduledSales = async (now = new Date()) => {
+  const products = await Product.find({
+    "discount.isActive": true,
+    "discount.startedAt": null,
+    $and: [
+      { $or: [{ "discount.startDate": null }, { "discount.startDate": { $lte: now } }] },
+      { $or: [{ "discount.endDate": null }, { "discount.endDate": { $gt: now } }] },
+    ],
+  });
+
+  const summary = { started: 0, priceDropAlerts: 0 };
+  for (const product of products) {
+    // Claim the sale so overlapping runs can't alert twice
+    const claimed = await Product.updateOne(
+      { _id: product._id, "discount.startedAt": null },
+      { $set: { "discount.startedAt": now } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    summary.started++;
+    summary.priceDropAlerts += await notifyPriceDrop(product, product.price);
+  }
+  return summary;
+};
+
+// Turn off sales past their end date. Resolves to the number ended.
+const endExpiredSales = async (now = new Date()) => {
+  const result = await Product.updateMany(
+    { "discount.isActive": true, "discount.endDate": { $lte: now } },
+    { $set: { "discount.isActive": false } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  scheduleSale,
+  endSales,
+  startScheduledSales,
+  endExpiredSales,
+};
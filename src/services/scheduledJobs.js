@@ -0,0 +1,83 @@
+const Coupon = require("../models/Coupon");
+const Banner = require("../models/Banner");
+const { defineJob } = require("./jobRunner");
+const { expireStaleAuthorizations } = require("./paymentCaptureService");
+const { releaseExpiredHolds } = require("./inventoryService");
+const { sendAbandonedCartReminders } = require("./cartRecoveryService");
+const { expireCarts } = require("./cartService");
+const { processScheduledDeletions } = require("./accountDeletionService");
+const { startScheduledSales, endExpiredSales } = require("./saleService");
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Time-based business rules, run by the job runner
+
+defineJob("expire-payment-authorizations", {
+  description: "Expire card authorizations that were never captured",
+  intervalMs: HOUR_MS,
+  handler: async () => ({ expired: await expireStaleAuthorizations() }),
+});
+
+defineJob("release-expired-stock-holds", {
+  description: "Return stock from checkout holds that ran out",
+  intervalMs: MINUTE_MS,
+  handler: async () => ({ released: await releaseExpiredHolds() }),
+});
+
+defineJob("abandoned-cart-reminders", {
+  description: "Email customers about carts they left behind",
+  intervalMs: 15 * MINUTE_MS,
+  handler: async () => ({ sent: await sendAbandonedCartReminders() }),
+});
+
+defineJob("expire-carts", {
+  description: "Delete expired guest carts and empty expired user carts",
+  intervalMs: HOUR_MS,
+  handler: () => expireCarts(),
+});
+
+defineJob("delete-scheduled-accounts", {
+  description: "Erase accounts whose deletion grace period has ended",
+  intervalMs: HOUR_MS,
+  handler: () => processScheduledDeletions(),
+});
+
+// Coupon status is otherwise only updated when a coupon is saved
+defineJob("expire-coupons", {
+  description: "Mark coupons past their end date as expired",
+  intervalMs: 15 * MINUTE_MS,
+  handler: async () => {
+    const result = await Coupon.updateMany(
+      { endDate: { $lt: new Date() }, status: { $ne: "expired" } },
+      { status: "expired", isActive: false }
+    );
+    return { expired: result.modifiedCount };
+  },
+});
+
+defineJob("end-banners", {
+  description: "Deactivate banners past their end date",
+  intervalMs: 15 * MINUTE_MS,
+  handler: async () => {
+    const result = await Banner.updateMany(
+      { isActive: true, endDate: { $ne: null, $lt: new Date() } },
+      { isActive: false }
+    );
+    return { deactivated: result.modifiedCount };
+  },
+});
+
+// Sale prices follow the sale window on their own (utils/pricing); these
+// send the wishlist alerts when a sale begins and tidy up ended sales
+defineJob("start-product-sales", {
+  description: "Send wishlist price-drop alerts for sales that have begun",
+  intervalMs: 15 * MINUTE_MS,
+  handler: () => startScheduledSales(),
+});
+
+defineJob("end-product-sales", {
+  description: "Turn off product discounts past their end date",
+  intervalMs: 15 * MINUTE_MS,
+  handler: async () => ({ ended: await endExpiredSales() }),
+});
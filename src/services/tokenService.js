@@ -0,0 +1,266 @@
+const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Session = require("../models/Session");
+const { getRequestInfo } = require("../utils/requestInfo");
+
+// Access tokens are short-lived; the refresh token (stored hashed on the
+// session) is rotated every time it is used.
+const TOKEN_SETTINGS = {
+  User: {
+    accessTokenExpiry: process.env.USER_ACCESS_TOKEN_EXPIRY || "15m",
+    refreshTokenDays: parseInt(process.env.USER_REFRESH_TOKEN_DAYS) || 30,
+  },
+  Admin: {
+    accessTokenExpiry: process.env.ADMIN_ACCESS_TOKEN_EXPIRY || "15m",
+    refreshTokenDays: parseInt(process.env.ADMIN_REFRESH_TOKEN_DAYS) || 1,
+  },
+};
+
+// Window between a correct password and the second factor at login
+const TWO_FACTOR_CHALLENGE_EXPIRY = "5m";
+
+// How long a two-factor step-up check covers sensitive actions
+const STEP_UP_WINDOW_MS = 5 * 60 * 1000; // 5 minutes
+
+// Keep a short history of rotated-out hashes for reuse detection
+const MAX_PREVIOUS_TOKEN_HASHES = 10;
+
+// Write lastSeenAt at most once a minute per session
+const LAST_SEEN_THROTTLE_MS = 60 * 1000;
+
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+// Refresh tokens are "<sessionId>.<random>" so the session can be found
+// without storing the raw token
+const generateRefreshToken = (sessionId) => {
+  return `${sessionId}.${crypto.randomBytes(40).toString("hex")}`;
+};
+
+const signAccessToken = (ownerType, owner, sessionId) => {
+  const payload =
+    ownerType === "Admin"
+      ? { adminId: owner._id, role: "admin", sid: sessionId } // actual role and permissions are loaded per request
+      : { userId: owner._id, role: "user", sid: sessionId };
+
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: TOKEN_SETTINGS[ownerType].accessTokenExpiry,
+  });
+};
+
+const buildTokenResponse = (ownerType, owner, session, refreshToken) => ({
+  token: signAccessToken(ownerType, owner, session._id),
+  refreshToken,
+  expiresIn: TOKEN_SETTINGS[ownerType].accessTokenExpiry,
+  refreshTokenExpiresAt: session.expiresAt,
+});
+
+// Start a new session for a successful login and issue its tokens
+const createSession = async (ownerType, owner, req) => {
+  const { ipAddress, userAgent, device } = req ? getRequestInfo(req) : {};
+
+  const session = new Session({
+    ownerType,
+    ownerId: owner._id,
+    refreshTokenHash: "pending",
+    expiresAt: new Date(
+      Date.now() + TOKEN_SETTINGS[ownerType].refreshTokenDays * 24 * 60 * 60 * 1000
+    ),
+    ipAddress,
+    userAgent,
+    device,
+    lastSeenAt: new Date(),
+    lastSeenIp: ipAddress,
+  });
+
+  const refreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { session, ...buildTokenResponse(ownerType, owner, session, refreshToken) };
+};
+
+// Exchange a refresh token for a new token pair. Presenting a token that has
+// already been rotated out revokes the whole session.
+const rotateRefreshToken = async (ownerType, refreshToken, req) => {
+  const [sessionId] = String(refreshToken || "").split(".");
+  const invalid = { success: false, message: "Invalid or expired refresh token" };
+
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return invalid;
+  }
+
+  const session = await Session.findOne({ _id: sessionId, ownerType }).select(
+    "+refreshTokenHash +previousTokenHashes"
+  );
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return invalid;
+  }
+
+  const tokenHash = hashToken(refreshToken);
+
+  if (tokenHash !== session.refreshTokenHash) {
+    if (session.previousTokenHashes.includes(tokenHash)) {
+      session.revokedAt = new Date();
+      session.revokedReason = "token_reuse";
+      await session.save();
+      console.warn(`Refresh token reuse detected, session ${session._id} revoked`);
+    }
+    return invalid;
+  }
+
+  const Owner = mongoose.model(ownerType);
+  const owner = await Owner.findById(session.ownerId).select("-password");
+  if (!owner || !owner.isActive) {
+    return invalid;
+  }
+
+  // Conditional update so two concurrent refreshes can't both rotate
+  const newRefreshToken = generateRefreshToken(session._id);
+  const rotated = await Session.updateOne(
+    { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(newRefreshToken),
+        lastRotatedAt: new Date(),
+        lastSeenAt: new Date(),
+        ...(req && { lastSeenIp: getRequestInfo(req).ipAddress }),
+      },
+      $push: {
+        previousTokenHashes: {
+          $each: [tokenHash],
+          $position: 0,
+          $slice: MAX_PREVIOUS_TOKEN_HASHES,
+        },
+      },
+    }
+  );
+  if (rotated.modifiedCount === 0) {
+    return invalid;
+  }
+
+  return {
+    success: true,
+    owner,
+    session,
+    ...buildTokenResponse(ownerType, owner, session, newRefreshToken),
+  };
+};
+
+// Find the live session an access token belongs to (null when revoked)
+const findActiveSession = async (decoded, ownerType, ownerId) => {
+  if (!decoded.sid || !mongoose.Types.ObjectId.isValid(decoded.sid)) {
+    return null;
+  }
+
+  return Session.findOne({
+    _id: decoded.sid,
+    ownerType,
+    ownerId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// Record activity on a session (throttled, never blocks the request)
+const touchSession = (session, req) => {
+  if (session.lastSeenAt && Date.now() - session.lastSeenAt.getTime() < LAST_SEEN_THROTTLE_MS) {
+    return;
+  }
+
+  Session.updateOne(
+    { _id: session._id },
+    { $set: { lastSeenAt: new Date(), lastSeenIp: getRequestInfo(req).ipAddress } }
+  ).catch(err => console.error("Failed to update session activity:", err));
+};
+
+// Active sessions of an account, newest activity first
+const listActiveSessions = async (ownerType, ownerId, currentSessionId = null) => {
+  const sessions = await Session.find({
+    ownerType,
+    ownerId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastSeenAt: -1 });
+
+  return sessions.map(session => ({
+    _id: session._id,
+    device: session.device,
+    ipAddress: session.ipAddress,
+    userAgent: session.userAgent,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    lastSeenIp: session.lastSeenIp,
+    expiresAt: session.expiresAt,
+    isCurrent: currentSessionId ? session._id.toString() === currentSessionId.toString() : false,
+  }));
+};
+
+// Short-lived token proving the password step of an admin login passed.
+// It has no role, so it can never be used as an access token.
+const createTwoFactorChallenge = (admin) => {
+  return jwt.sign(
+    { adminId: admin._id, purpose: "2fa_login" },
+    process.env.JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRY }
+  );
+};
+
+// Returns the admin id of a valid challenge token, otherwise null
+const verifyTwoFactorChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.purpose === "2fa_login" ? decoded.adminId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Whether a session passed a step-up check recently enough
+const isStepUpFresh = (stepUpVerifiedAt) => {
+  return !!stepUpVerifiedAt && Date.now() - new Date(stepUpVerifiedAt).getTime() <= STEP_UP_WINDOW_MS;
+};
+
+// Record a successful step-up check on the current session
+const markSessionSteppedUp = async (sessionId) => {
+  return Session.updateOne({ _id: sessionId }, { $set: { stepUpVerifiedAt: new Date() } });
+};
+
+const revokeSession = async (sessionId, reason) => {
+  return Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+};
+
+// Revoke one session, but only if it belongs to the given account
+const revokeOwnedSession = async (ownerType, ownerId, sessionId, reason = "revoked_by_owner") => {
+  return Session.findOneAndUpdate(
+    { _id: sessionId, ownerType, ownerId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+};
+
+const revokeAllSessions = async (ownerType, ownerId, reason, exceptSessionId = null) => {
+  return Session.revokeAllForOwner(ownerType, ownerId, reason, exceptSessionId);
+};
+
+module.exports = {
+  STEP_UP_WINDOW_MS,
+  createSession,
+  rotateRefreshToken,
+  findActiveSession,
+  touchSession,
+  listActiveSessions,
+  createTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  markSessionSteppedUp,
+  isStepUpFresh,
+  revokeSession,
+  revokeOwnedSession,
+  revokeAllSessions,
+};
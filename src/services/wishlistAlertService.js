@@ -0,0 +1,80 @@
+const User = require("../models/User");
+const {
+  sendWishlistPriceDropEmail,
+  sendWishlistBackInStockEmail,
+} = require("./emailService");
+const { getCurrentPrice } = require("../utils/pricing");
+
+// Users who wishlisted the product and haven't opted out of alerts
+const findSubscribers = (productId) => {
+  return User.find({
+    "wishlist.productId": productId,
+    isActive: true,
+    "preferences.emailNotifications.wishlistAlerts": { $ne: false },
+  }).select("email username profile.firstName wishlist");
+};
+
+// Email wishlist owners when the price falls below what they saved it at.
+// Each user is alerted once per new low so repeated edits don't spam them.
+const notifyPriceDrop = async (product, previousPrice) => {
+  const newPrice = getCurrentPrice(product);
+  if (product.status !== "active" || !(newPrice < previousPrice)) return 0;
+
+  const users = await findSubscribers(product._id);
+  let sent = 0;
+
+  for (const user of users) {
+    const entry = user.wishlist.find(
+      (item) => item.productId && item.productId.toString() === product._id.toString()
+    );
+    if (!entry) continue;
+
+    const referencePrice = entry.lastNotifiedPrice ?? entry.priceWhenAdded ?? previousPrice;
+    if (newPrice >= referencePrice) continue;
+
+    await sendWishlistPriceDropEmail(user, product, referencePrice, newPrice);
+    await User.updateOne(
+      { _id: user._id, "wishlist._id": entry._id },
+      { $set: { "wishlist.$.lastNotifiedPrice": newPrice } }
+    );
+    sent++;
+  }
+
+  return sent;
+};
+
+// Email wishlist owners when an out-of-stock product gets stock again
+const notifyBackInStock = async (product, previousQuantity) => {
+  if (product.status !== "active") return 0;
+  if (!(previousQuantity <= 0 && product.inventory.quantity > 0)) return 0;
+
+  const users = await findSubscribers(product._id);
+
+  for (const user of users) {
+    await sendWishlistBackInStockEmail(user, product);
+  }
+
+  await User.updateMany(
+    { "wishlist.productId": product._id },
+    { $set: { "wishlist.$[entry].backInStockNotifiedAt": new Date() } },
+    { arrayFilters: [{ "entry.productId": product._id }] }
+  );
+
+  return users.length;
+};
+
+// Compare a product against its state before an admin change and send alerts
+const processProductChange = async (product, { previousPrice, previousQuantity }) => {
+  const [priceDropAlerts, backInStockAlerts] = await Promise.all([
+    previousPrice !== undefined ? notifyPriceDrop(product, previousPrice) : 0,
+    previousQuantity !== undefined ? notifyBackInStock(product, previousQuantity) : 0,
+  ]);
+
+  return { priceDropAlerts, backInStockAlerts };
+};
+
+module.exports = {
+  notifyPriceDrop,
+  notifyBackInStock,
+  processProductChange,
+};
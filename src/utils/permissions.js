@@ -0,0 +1,116 @@
+// Named admin permissions. Routes require these instead of checking roles,
+// so a role is only a default bundle and can be adjusted per admin.
+const PERMISSIONS = {
+  DASHBOARD_READ: "dashboard:read",
+  PRODUCTS_READ: "products:read",
+  PRODUCTS_WRITE: "products:write",
+  PRODUCTS_DELETE: "products:delete",
+  INVENTORY_WRITE: "inventory:write",
+  CATEGORIES_READ: "categories:read",
+  CATEGORIES_WRITE: "categories:write",
+  ORDERS_READ: "orders:read",
+  ORDERS_WRITE: "orders:write",
+  ORDERS_REFUND: "orders:refund",
+  ORDERS_DELETE: "orders:delete",
+  PAYMENTS_READ: "payments:read",
+  PAYMENTS_WRITE: "payments:write",
+  PAYMENTS_REFUND: "payments:refund",
+  PAYMENTS_SETTINGS: "payments:settings",
+  COUPONS_READ: "coupons:read",
+  COUPONS_WRITE: "coupons:write",
+  BANNERS_READ: "banners:read",
+  BANNERS_WRITE: "banners:write",
+  SHIPPING_READ: "shipping:read",
+  SHIPPING_WRITE: "shipping:write",
+  REVIEWS_READ: "reviews:read",
+  REVIEWS_MODERATE: "reviews:moderate",
+  ADMINS_MANAGE: "admins:manage",
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+const P = PERMISSIONS;
+
+// Default permission bundle of each role
+const ROLE_PERMISSIONS = {
+  superadmin: ALL_PERMISSIONS,
+  admin: ALL_PERMISSIONS.filter(permission => permission !== P.ADMINS_MANAGE),
+  manager: [
+    P.DASHBOARD_READ,
+    P.PRODUCTS_READ,
+    P.PRODUCTS_WRITE,
+    P.INVENTORY_WRITE,
+    P.CATEGORIES_READ,
+    P.CATEGORIES_WRITE,
+    P.ORDERS_READ,
+    P.ORDERS_WRITE,
+    P.ORDERS_REFUND,
+    P.PAYMENTS_READ,
+    P.COUPONS_READ,
+    P.COUPONS_WRITE,
+    P.BANNERS_READ,
+    P.BANNERS_WRITE,
+    P.SHIPPING_READ,
+    P.SHIPPING_WRITE,
+    P.REVIEWS_READ,
+    P.REVIEWS_MODERATE,
+  ],
+  finance: [
+    P.DASHBOARD_READ,
+    P.ORDERS_READ,
+    P.ORDERS_REFUND,
+    P.PAYMENTS_READ,
+    P.PAYMENTS_WRITE,
+    P.PAYMENTS_REFUND,
+    P.PAYMENTS_SETTINGS,
+  ],
+  warehouse: [
+    P.DASHBOARD_READ,
+    P.PRODUCTS_READ,
+    P.INVENTORY_WRITE,
+    P.CATEGORIES_READ,
+    P.ORDERS_READ,
+    P.ORDERS_WRITE,
+    P.SHIPPING_READ,
+  ],
+  support: [
+    P.DASHBOARD_READ,
+    P.PRODUCTS_READ,
+    P.CATEGORIES_READ,
+    P.ORDERS_READ,
+    P.ORDERS_WRITE,
+    P.PAYMENTS_READ,
+    P.COUPONS_READ,
+    P.REVIEWS_READ,
+    P.REVIEWS_MODERATE,
+  ],
+  marketing: [
+    P.DASHBOARD_READ,
+    P.PRODUCTS_READ,
+    P.CATEGORIES_READ,
+    P.COUPONS_READ,
+    P.COUPONS_WRITE,
+    P.BANNERS_READ,
+    P.BANNERS_WRITE,
+    P.REVIEWS_READ,
+    P.REVIEWS_MODERATE,
+  ],
+};
+
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Role bundle plus per-admin grants, minus per-admin revocations
+const resolvePermissions = (role, overrides = {}) => {
+  const permissions = new Set(ROLE_PERMISSIONS[role] || []);
+  (overrides.granted || []).forEach(permission => permissions.add(permission));
+  (overrides.revoked || []).forEach(permission => permissions.delete(permission));
+  return ALL_PERMISSIONS.filter(permission => permissions.has(permission));
+};
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ADMIN_ROLES,
+  resolvePermissions,
+};
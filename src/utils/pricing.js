@@ -0,0 +1,62 @@
+// Sale pricing. A product's sale (product.discount) applies while it is
+// switched on and inside its start/end window, so scheduled sales start and
+// stop by themselves. The sale price is worked out from the current list
+// price, not read from discount.discountedPrice, so it follows price edits.
+
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const isSaleActive = (discount, now = new Date()) =>
+  Boolean(discount?.isActive) &&
+  (!discount.startDate || new Date(discount.startDate) <= now) &&
+  (!discount.endDate || new Date(discount.endDate) > now);
+
+// Price after the discount. A discount saved without a value only has the
+// stored discountedPrice to go on.
+const calculateSalePrice = (price, discount) => {
+  if (discount?.type && discount.value > 0) {
+    const amountOff = discount.type === "percentage" ? (price * discount.value) / 100 : discount.value;
+    return roundMoney(Math.max(0, price - amountOff));
+  }
+  return discount?.discountedPrice ?? price;
+};
+
+// Price a customer pays for the product right now
+const getCurrentPrice = (product, now = new Date()) => {
+  const price = product.price;
+  if (!isSaleActive(product.discount, now)) return price;
+
+  const salePrice = calculateSalePrice(price, product.discount);
+  return salePrice < price ? salePrice : price;
+};
+
+// Sale fields included with products in API responses
+const getSaleFields = (product, now = new Date()) => {
+  const currentPrice = getCurrentPrice(product, now);
+  const isOnSale = currentPrice < product.price;
+
+  return {
+    isOnSale,
+    discountPercentage: isOnSale ? Math.round(((product.price - currentPrice) / product.price) * 100) : 0,
+    discountedPrice: currentPrice,
+    saleEndsAt: isOnSale ? product.discount.endDate || null : null,
+  };
+};
+
+// Price fields for a cart line: the list price, plus the sale when one applies
+const getCartItemPricing = (product, now = new Date()) => {
+  const currentPrice = getCurrentPrice(product, now);
+  return {
+    price: product.price,
+    discount: currentPrice < product.price
+      ? { type: product.discount.type, value: product.discount.value, discountedPrice: currentPrice }
+      : undefined,
+  };
+};
+
+module.exports = {
+  isSaleActive,
+  calculateSalePrice,
+  getCurrentPrice,
+  getSaleFields,
+  getCartItemPricing,
+};
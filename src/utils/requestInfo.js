@@ -0,0 +1,51 @@
+// Client IP, honouring the first hop of X-Forwarded-For when behind nginx
+const getClientIp = (req) => {
+  const forwarded = req.headers["x-forwarded-for"];
+  if (forwarded) {
+    return forwarded.split(",")[0].trim();
+  }
+  return req.ip || req.socket?.remoteAddress || null;
+};
+
+// Lightweight user agent parsing, good enough to label a session
+const parseUserAgent = (userAgent = "") => {
+  const ua = userAgent || "";
+
+  let browser = "Unknown";
+  if (/Edg\//.test(ua)) browser = "Edge";
+  else if (/OPR\/|Opera/.test(ua)) browser = "Opera";
+  else if (/Chrome\//.test(ua)) browser = "Chrome";
+  else if (/Firefox\//.test(ua)) browser = "Firefox";
+  else if (/Safari\//.test(ua)) browser = "Safari";
+  else if (/PostmanRuntime/.test(ua)) browser = "Postman";
+  else if (/okhttp|Dart|CFNetwork/.test(ua)) browser = "Mobile App";
+
+  let os = "Unknown";
+  if (/Windows/.test(ua)) os = "Windows";
+  else if (/Android/.test(ua)) os = "Android";
+  else if (/iPhone|iPad|iPod/.test(ua)) os = "iOS";
+  else if (/Mac OS X|Macintosh/.test(ua)) os = "macOS";
+  else if (/Linux/.test(ua)) os = "Linux";
+
+  let deviceType = "desktop";
+  if (/iPad|Tablet/.test(ua)) deviceType = "tablet";
+  else if (/Mobi|Android|iPhone/.test(ua)) deviceType = "mobile";
+  else if (!ua) deviceType = "unknown";
+
+  return { browser, os, deviceType };
+};
+
+const getRequestInfo = (req) => {
+  const userAgent = req.get ? req.get("user-agent") : req.headers["user-agent"];
+  return {
+    ipAddress: getClientIp(req),
+    userAgent: userAgent || null,
+    device: parseUserAgent(userAgent),
+  };
+};
+
+module.exports = {
+  getClientIp,
+  parseUserAgent,
+  getRequestInfo,
+};
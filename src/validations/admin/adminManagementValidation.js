@@ -1,5 +1,6 @@
 // validations/admin/adminManagementValidation.js
 const { body, param } = require("express-validator");
+const { ADMIN_ROLES, ALL_PERMISSIONS } = require("../../utils/permissions");
 
 const validateAdminId = [
   param("adminId")
@@ -51,6 +52,11 @@ const validateCreateAdmin = [
     .trim()
     .isLength({ max: 20 })
     .withMessage("Phone cannot exceed 20 characters"),
+
+  body("role")
+    .optional()
+    .isIn(ADMIN_ROLES)
+    .withMessage(`Role must be one of: ${ADMIN_ROLES.join(", ")}`),
 ];
 
 const validateUpdateAdmin = [
@@ -92,8 +98,34 @@ const validateUpdateAdmin = [
     .withMessage("Phone cannot exceed 20 characters"),
 ];
 
+const validateUpdatePermissions = [
+  body("role")
+    .optional()
+    .isIn(ADMIN_ROLES)
+    .withMessage(`Role must be one of: ${ADMIN_ROLES.join(", ")}`),
+
+  body("granted")
+    .optional()
+    .isArray()
+    .withMessage("Granted permissions must be an array"),
+
+  body("granted.*")
+    .isIn(ALL_PERMISSIONS)
+    .withMessage("Unknown permission"),
+
+  body("revoked")
+    .optional()
+    .isArray()
+    .withMessage("Revoked permissions must be an array"),
+
+  body("revoked.*")
+    .isIn(ALL_PERMISSIONS)
+    .withMessage("Unknown permission"),
+];
+
 module.exports = {
   validateAdminId,
   validateCreateAdmin,
   validateUpdateAdmin,
+  validateUpdatePermissions,
 };
@@ -1,4 +1,4 @@
-const { body } = require("express-validator");
+const { body, param, query } = require("express-validator");
 
 const validateAdminRegister = [
   body("username")
@@ -127,6 +127,72 @@ const validateAdminResetPassword = [
   }),
 ];
 
+const validateAdminRefreshToken = [
+  body("refreshToken")
+    .notEmpty()
+    .withMessage("Refresh token is required")
+    .isString()
+    .withMessage("Refresh token must be a string"),
+];
+
+const validateAdminSessionId = [
+  param("sessionId").isMongoId().withMessage("Invalid session ID"),
+];
+
+const validateAdminLoginHistoryQuery = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+// Either a 6-digit authenticator code or a recovery code
+const twoFactorCodeRules = [
+  body("code")
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage("Authentication code must be 6 digits"),
+
+  body("recoveryCode")
+    .optional()
+    .isString()
+    .withMessage("Recovery code must be a string"),
+
+  body().custom((value) => {
+    if (!value.code && !value.recoveryCode) {
+      throw new Error("Authentication code or recovery code is required");
+    }
+    return true;
+  }),
+];
+
+const validateTwoFactorLogin = [
+  body("challengeToken").notEmpty().withMessage("Challenge token is required"),
+  ...twoFactorCodeRules,
+];
+
+const validateTwoFactorSetup = [
+  body("password").notEmpty().withMessage("Password is required"),
+];
+
+const validateTwoFactorEnable = [
+  body("code")
+    .matches(/^\d{6}$/)
+    .withMessage("Authentication code must be 6 digits"),
+];
+
+const validateTwoFactorChallenge = [...twoFactorCodeRules];
+
+const validateTwoFactorDisable = [
+  body("password").notEmpty().withMessage("Password is required"),
+  ...twoFactorCodeRules,
+];
+
 module.exports = {
   validateAdminRegister,
   validateAdminLogin,
@@ -134,4 +200,12 @@ module.exports = {
   validateAdminChangePassword,
   validateAdminForgotPassword,
   validateAdminResetPassword,
+  validateAdminRefreshToken,
+  validateAdminSessionId,
+  validateAdminLoginHistoryQuery,
+  validateTwoFactorLogin,
+  validateTwoFactorSetup,
+  validateTwoFactorEnable,
+  validateTwoFactorChallenge,
+  validateTwoFactorDisable,
 };
@@ -18,9 +18,14 @@ const validateOrderQuery = [
 
   query("paymentStatus")
     .optional()
-    .isIn(["pending", "paid", "failed", "refunded"])
+    .isIn(["pending", "authorized", "paid", "failed", "refunded", "partially_refunded", "voided"])
     .withMessage("Invalid payment status"),
 
+  query("refundDue")
+    .optional()
+    .isBoolean()
+    .withMessage("refundDue must be true or false"),
+
   query("startDate")
     .optional()
     .isISO8601()
@@ -65,6 +70,23 @@ const validateOrderStatusUpdate = [
     .withMessage("Notes cannot exceed 500 characters"),
 ];
 
+const validateBulkOrderStatusUpdate = [
+  body("orderIds")
+    .isArray({ min: 1, max: 100 })
+    .withMessage("Order IDs must be an array of 1 to 100 IDs"),
+
+  body("orderIds.*").isMongoId().withMessage("Invalid order ID"),
+
+  body("status")
+    .isIn(["pending", "processing", "confirmed", "shipped", "delivered", "completed", "cancelled", "returned"])
+    .withMessage("Invalid order status"),
+
+  body("notes")
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage("Notes cannot exceed 500 characters"),
+];
+
 const validatePaymentStatusUpdate = [
   param("id").isMongoId().withMessage("Valid order ID is required"),
 
@@ -131,10 +153,19 @@ const validateOrderAnalytics = [
     .withMessage("Invalid metric"),
 ];
 
+const validateOrderHistoryQuery = [
+  query("field")
+    .optional()
+    .isIn(["status", "paymentStatus", "refund"])
+    .withMessage("Field must be status, paymentStatus, or refund"),
+];
+
 module.exports = {
   validateOrderQuery,
   validateOrderStatusUpdate,
+  validateBulkOrderStatusUpdate,
   validatePaymentStatusUpdate,
   validateOrderExport,
   validateOrderAnalytics,
+  validateOrderHistoryQuery,
 };
@@ -3,6 +3,7 @@ const { body, param, query } = require("express-validator");
 const mongoose = require("mongoose");
 const Payment = require("../../models/Payment");
 const Order = require("../../models/Order");
+const { GATEWAY_PROVIDERS } = require("../../services/paymentGateways");
 
 // Payment ID validation (Admin - no user check)
 const validatePaymentId = [
@@ -167,21 +168,51 @@ const validateBulkPaymentOperation = [
 ];
 
 // Webhook validation
+// Body shape is gateway specific and checked by the gateway adapter
 const validateWebhook = [
-  body("type")
-    .notEmpty()
-    .withMessage("Webhook type is required"),
+  param("gateway")
+    .matches(/^[a-z_]+$/)
+    .withMessage("Invalid gateway name"),
+];
 
-  body("data")
-    .notEmpty()
-    .withMessage("Webhook data is required")
-    .isObject()
-    .withMessage("Webhook data must be an object"),
+// Webhook event log validation
+const validateWebhookEventQuery = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
 
-  body("signature")
+  query("limit")
     .optional()
-    .isLength({ min: 10 })
-    .withMessage("Signature must be at least 10 characters"),
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+
+  query("status")
+    .optional()
+    .isIn(["processing", "processed", "ignored", "failed"])
+    .withMessage("Invalid webhook event status"),
+];
+
+// Pending authorization query validation
+const validateAuthorizationQuery = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+
+  query("expiringWithinHours")
+    .optional()
+    .isInt({ min: 1, max: 720 })
+    .withMessage("Expiring within hours must be between 1 and 720"),
+];
+
+const validateWebhookEventId = [
+  param("eventId").isMongoId().withMessage("Invalid webhook event ID"),
 ];
 
 // Create payment method validation
@@ -231,6 +262,16 @@ const validateCreatePaymentMethod = [
     .isBoolean()
     .withMessage("Test mode must be a boolean"),
 
+  body("provider")
+    .optional()
+    .isIn(GATEWAY_PROVIDERS)
+    .withMessage(`Provider must be one of: ${GATEWAY_PROVIDERS.join(", ")}`),
+
+  body("captureMode")
+    .optional()
+    .isIn(["immediate", "on_shipment"])
+    .withMessage("Capture mode must be immediate or on_shipment"),
+
   body("credentials")
     .optional()
     .isObject()
@@ -304,6 +345,16 @@ const validateUpdatePaymentMethod = [
     .isBoolean()
     .withMessage("Test mode must be a boolean"),
 
+  body("provider")
+    .optional()
+    .isIn(GATEWAY_PROVIDERS)
+    .withMessage(`Provider must be one of: ${GATEWAY_PROVIDERS.join(", ")}`),
+
+  body("captureMode")
+    .optional()
+    .isIn(["immediate", "on_shipment"])
+    .withMessage("Capture mode must be immediate or on_shipment"),
+
   body("credentials")
     .optional()
     .isObject()
@@ -353,6 +404,26 @@ const validateReorderPaymentMethods = [
     .withMessage("Each method name must be a non-empty string"),
 ];
 
+// Checkout settings validation
+const validateCheckoutSettings = [
+  body("emailVerification")
+    .optional()
+    .isObject()
+    .withMessage("emailVerification must be an object"),
+
+  body("emailVerification.requiredForCheckout")
+    .optional()
+    .isBoolean()
+    .withMessage("requiredForCheckout must be a boolean")
+    .toBoolean(),
+
+  body("emailVerification.requiredForCoupons")
+    .optional()
+    .isBoolean()
+    .withMessage("requiredForCoupons must be a boolean")
+    .toBoolean(),
+];
+
 module.exports = {
   validatePaymentId,
   validateCreatePayment,
@@ -364,4 +435,8 @@ module.exports = {
   validateCreatePaymentMethod,
   validateUpdatePaymentMethod,
   validateReorderPaymentMethods,
+  validateCheckoutSettings,
+  validateWebhookEventQuery,
+  validateAuthorizationQuery,
+  validateWebhookEventId,
 };
@@ -290,23 +290,82 @@ const validateDeleteProduct = [
 ];
 
 const validateBulkOperations = [
+  // Products are picked by id, or by category and/or tag
   body("productIds")
+    .optional()
     .isArray({ min: 1 })
     .withMessage("At least one product ID is required"),
 
   body("productIds.*").isMongoId().withMessage("Each product ID must be valid"),
 
+  body("category")
+    .optional()
+    .custom((category) => [].concat(category).every((c) => typeof c === "string" && c.length > 0))
+    .withMessage("Category must be a category ID or an array of them"),
+
+  body("tags")
+    .optional()
+    .custom((tags) => [].concat(tags).every((t) => typeof t === "string" && t.length > 0))
+    .withMessage("Tags must be a tag or an array of tags"),
+
+  body().custom((value) => {
+    if (!value.productIds && !value.category && !value.tags) {
+      throw new Error("Product IDs, a category or tags are required");
+    }
+    return true;
+  }),
+
   body("action")
     .isIn([
       "activate",
       "deactivate",
       "delete",
-      "updateInventory",
-      "updatePrice",
+      "update_inventory",
+      "update_price",
+      "schedule_sale",
+      "end_sale",
+      "export",
     ])
     .withMessage("Invalid bulk action"),
 
   body("data").optional().isObject().withMessage("Data must be an object"),
+
+  body("data.type")
+    .if(body("action").equals("schedule_sale"))
+    .isIn(["percentage", "fixed"])
+    .withMessage("Discount type must be 'percentage' or 'fixed'"),
+
+  body("data.value")
+    .if(body("action").equals("schedule_sale"))
+    .isFloat({ gt: 0 })
+    .withMessage("Discount value must be greater than 0")
+    .custom((value, { req }) => {
+      if (req.body.data.type === "percentage" && parseFloat(value) >= 100) {
+        throw new Error("Percentage discount must be less than 100");
+      }
+      return true;
+    }),
+
+  body("data.startDate")
+    .if(body("action").equals("schedule_sale"))
+    .optional()
+    .isISO8601()
+    .withMessage("Start date must be a valid ISO date"),
+
+  body("data.endDate")
+    .if(body("action").equals("schedule_sale"))
+    .optional()
+    .isISO8601()
+    .withMessage("End date must be a valid ISO date")
+    .custom((endDate, { req }) => {
+      if (new Date(endDate) <= new Date()) {
+        throw new Error("End date must be in the future");
+      }
+      if (req.body.data.startDate && new Date(endDate) <= new Date(req.body.data.startDate)) {
+        throw new Error("End date must be after start date");
+      }
+      return true;
+    }),
 ];
 
 const validateInventoryUpdate = [
@@ -342,6 +401,58 @@ const validateLowStockQuery = [
     .withMessage("Limit must be between 1 and 50"),
 ];
 
+const validateInventoryHistoryQuery = [
+  query("type")
+    .optional()
+    .isIn([
+      "initial",
+      "manual_adjustment",
+      "bulk_update",
+      "order_placed",
+      "checkout_rollback",
+      "order_cancelled",
+      "order_item_removed",
+      "payment_failed",
+      "payment_retry",
+      "refund_restock",
+      "return",
+    ])
+    .withMessage("Invalid stock movement type"),
+
+  query("startDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Start date must be a valid date"),
+
+  query("endDate")
+    .optional()
+    .isISO8601()
+    .withMessage("End date must be a valid date"),
+
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+const validateStockValuationQuery = [
+  query("asOf")
+    .optional()
+    .isISO8601()
+    .withMessage("asOf must be a valid date"),
+
+  query("category")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Category cannot be empty"),
+];
+
 module.exports = {
   validateGetProducts,
   validateProductId,
@@ -351,4 +462,6 @@ module.exports = {
   validateBulkOperations,
   validateInventoryUpdate,
   validateLowStockQuery,
+  validateInventoryHistoryQuery,
+  validateStockValuationQuery,
 };
@@ -0,0 +1,111 @@
+const { body, param, query } = require("express-validator");
+
+// Return list query validation
+const validateReturnQuery = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+
+  query("status")
+    .optional()
+    .isIn(["requested", "approved", "rejected", "received", "inspected", "refunded"])
+    .withMessage("Invalid return status"),
+
+  query("orderId")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid order ID is required"),
+
+  query("search")
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("Search term cannot exceed 50 characters"),
+];
+
+// Return ID validation
+const validateReturnId = [
+  param("returnId").isMongoId().withMessage("Valid return ID is required"),
+];
+
+// Approve return validation
+const validateApproveReturn = [
+  param("returnId").isMongoId().withMessage("Valid return ID is required"),
+
+  body("instructions")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Return instructions cannot exceed 1000 characters"),
+];
+
+// Reject return validation
+const validateRejectReturn = [
+  param("returnId").isMongoId().withMessage("Valid return ID is required"),
+
+  body("reason")
+    .trim()
+    .notEmpty()
+    .withMessage("Rejection reason is required")
+    .isLength({ max: 500 })
+    .withMessage("Rejection reason cannot exceed 500 characters"),
+];
+
+// Inspect return validation
+const validateInspectReturn = [
+  param("returnId").isMongoId().withMessage("Valid return ID is required"),
+
+  body("items")
+    .isArray({ min: 1 })
+    .withMessage("Inspection results are required for the returned items"),
+
+  body("items.*.itemId").isMongoId().withMessage("Valid return item ID is required"),
+
+  body("items.*.condition")
+    .isIn(["resellable", "damaged", "defective"])
+    .withMessage("Condition must be resellable, damaged, or defective"),
+
+  body("items.*.restockQuantity")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Restock quantity must be a non-negative integer")
+    .toInt(),
+
+  body("notes")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Inspection notes cannot exceed 1000 characters"),
+];
+
+// Refund return validation
+const validateRefundReturn = [
+  param("returnId").isMongoId().withMessage("Valid return ID is required"),
+
+  body("amount")
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage("Refund amount must be greater than 0")
+    .toFloat(),
+
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Refund reason cannot exceed 500 characters"),
+];
+
+module.exports = {
+  validateReturnQuery,
+  validateReturnId,
+  validateApproveReturn,
+  validateRejectReturn,
+  validateInspectReturn,
+  validateRefundReturn,
+};
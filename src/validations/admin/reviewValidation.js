@@ -0,0 +1,64 @@
+const { body, param, query } = require("express-validator");
+
+// Moderation queue query validation
+const validateReviewQuery = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+
+  query("status")
+    .optional()
+    .isIn(["pending", "approved", "rejected", "all"])
+    .withMessage("Status must be one of: pending, approved, rejected, all"),
+
+  query("productId")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid product ID is required"),
+
+  query("rating")
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage("Rating filter must be between 1 and 5"),
+];
+
+// Review ID validation
+const validateReviewId = [
+  param("reviewId").isMongoId().withMessage("Valid review ID is required"),
+];
+
+// Reject review validation
+const validateRejectReview = [
+  param("reviewId").isMongoId().withMessage("Valid review ID is required"),
+
+  body("reason")
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters")
+    .trim(),
+];
+
+// Reply to review validation
+const validateReviewReply = [
+  param("reviewId").isMongoId().withMessage("Valid review ID is required"),
+
+  body("content")
+    .notEmpty()
+    .withMessage("Reply content is required")
+    .isLength({ max: 1000 })
+    .withMessage("Reply cannot exceed 1000 characters")
+    .trim(),
+];
+
+module.exports = {
+  validateReviewQuery,
+  validateReviewId,
+  validateRejectReview,
+  validateReviewReply,
+};
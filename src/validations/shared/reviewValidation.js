@@ -0,0 +1,117 @@
+const { body, param, query } = require("express-validator");
+
+// Review listing query validation
+const validateReviewQuery = [
+  param("productId").isMongoId().withMessage("Valid product ID is required"),
+
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50"),
+
+  query("rating")
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage("Rating filter must be between 1 and 5"),
+
+  query("withPhotos")
+    .optional()
+    .isBoolean()
+    .withMessage("withPhotos must be a boolean value"),
+
+  query("verifiedOnly")
+    .optional()
+    .isBoolean()
+    .withMessage("verifiedOnly must be a boolean value"),
+
+  query("sortBy")
+    .optional()
+    .isIn(["newest", "oldest", "highest", "lowest"])
+    .withMessage("Sort by must be one of: newest, oldest, highest, lowest"),
+];
+
+// Create review validation
+const validateCreateReview = [
+  param("productId").isMongoId().withMessage("Valid product ID is required"),
+
+  body("rating")
+    .notEmpty()
+    .withMessage("Rating is required")
+    .isInt({ min: 1, max: 5 })
+    .withMessage("Rating must be a whole number between 1 and 5")
+    .toInt(),
+
+  body("title")
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage("Title cannot exceed 100 characters")
+    .trim(),
+
+  body("comment")
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage("Comment cannot exceed 2000 characters")
+    .trim(),
+
+  body("photos")
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage("Photos must be an array of up to 5 image URLs"),
+
+  body("photos.*")
+    .optional()
+    .isString()
+    .withMessage("Each photo must be a string URL"),
+];
+
+// Update review validation
+const validateUpdateReview = [
+  param("productId").isMongoId().withMessage("Valid product ID is required"),
+  param("reviewId").isMongoId().withMessage("Valid review ID is required"),
+
+  body("rating")
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage("Rating must be a whole number between 1 and 5")
+    .toInt(),
+
+  body("title")
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage("Title cannot exceed 100 characters")
+    .trim(),
+
+  body("comment")
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage("Comment cannot exceed 2000 characters")
+    .trim(),
+
+  body("photos")
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage("Photos must be an array of up to 5 image URLs"),
+
+  body("photos.*")
+    .optional()
+    .isString()
+    .withMessage("Each photo must be a string URL"),
+];
+
+// Review ID validation
+const validateReviewId = [
+  param("productId").isMongoId().withMessage("Valid product ID is required"),
+  param("reviewId").isMongoId().withMessage("Valid review ID is required"),
+];
+
+module.exports = {
+  validateReviewQuery,
+  validateCreateReview,
+  validateUpdateReview,
+  validateReviewId,
+};
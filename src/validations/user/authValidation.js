@@ -1,4 +1,4 @@
-const { body } = require("express-validator");
+const { body, query } = require("express-validator");
 
 const validateRegister = [
   body("username")
@@ -38,6 +38,16 @@ const validateRegister = [
     .optional()
     .isMobilePhone()
     .withMessage("Please provide a valid phone number"),
+
+  body("inviteToken")
+    .optional()
+    .isString()
+    .withMessage("Invite token must be a string"),
+
+  body("cartToken")
+    .optional()
+    .isString()
+    .withMessage("Cart token must be a string"),
 ];
 
 const validateLogin = [
@@ -47,6 +57,11 @@ const validateLogin = [
     .withMessage("Please provide a valid email"),
 
   body("password").notEmpty().withMessage("Password is required"),
+
+  body("cartToken")
+    .optional()
+    .isString()
+    .withMessage("Cart token must be a string"),
 ];
 
 const validateForgotPassword = [
@@ -75,9 +90,44 @@ const validateResetPassword = [
   }),
 ];
 
+const validateRefreshToken = [
+  body("refreshToken")
+    .notEmpty()
+    .withMessage("Refresh token is required")
+    .isString()
+    .withMessage("Refresh token must be a string"),
+];
+
+const validateResendVerification = [
+  body("email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Please provide a valid email"),
+];
+
+const validateVerifyEmail = [
+  body("token")
+    .notEmpty()
+    .withMessage("Verification token is required")
+    .isString()
+    .withMessage("Verification token must be a string"),
+];
+
+const validateAccountInvite = [
+  query("token")
+    .notEmpty()
+    .withMessage("Invite token is required")
+    .isString()
+    .withMessage("Invite token must be a string"),
+];
+
 module.exports = {
   validateRegister,
   validateLogin,
   validateForgotPassword,
   validateResetPassword,
+  validateRefreshToken,
+  validateResendVerification,
+  validateVerifyEmail,
+  validateAccountInvite,
 };
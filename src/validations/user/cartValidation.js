@@ -84,6 +84,14 @@ const validateUpdateShippingFee = [
     .withMessage("Valid shipping fee ID is required"),
 ];
 
+const validateRecoverCart = [
+  body("token")
+    .notEmpty()
+    .withMessage("Recovery token is required")
+    .isString()
+    .withMessage("Recovery token must be a string"),
+];
+
 module.exports = {
   validateAddToCart,
   validateUpdateCartItem,
@@ -92,4 +100,5 @@ module.exports = {
   validateShippingAddress,
   validateCartNotes,
   validateUpdateShippingFee,
+  validateRecoverCart,
 };
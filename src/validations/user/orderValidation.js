@@ -99,6 +99,46 @@ const validateReturnRequest = [
     .optional()
     .isLength({ max: 255 })
     .withMessage("Item return reason cannot exceed 255 characters"),
+
+  body("comments")
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage("Comments cannot exceed 1000 characters"),
+
+  body("photos")
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage("You can attach up to 5 photos"),
+
+  body("photos.*")
+    .isString()
+    .withMessage("Each photo must be an image path"),
+];
+
+const validateReturnQuery = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50"),
+
+  query("status")
+    .optional()
+    .isIn(["requested", "approved", "rejected", "received", "inspected", "refunded"])
+    .withMessage("Invalid return status"),
+];
+
+const validateReturnId = [
+  param("returnId").isMongoId().withMessage("Valid return ID is required"),
+];
+
+const validateCreditNoteId = [
+  param("orderId").isMongoId().withMessage("Valid order ID is required"),
+  param("creditNoteId").isMongoId().withMessage("Valid credit note ID is required"),
 ];
 
 const validateOrderQuery = [
@@ -156,7 +196,14 @@ const validateGuestOrder = [
     .isMobilePhone()
     .withMessage("Please provide a valid phone number"),
 
+  body("cartToken")
+    .optional()
+    .isString()
+    .withMessage("Cart token must be a string"),
+
+  // Items come from the guest cart when a cart token is sent
   body("items")
+    .if(body("cartToken").not().exists())
     .isArray({ min: 1 })
     .withMessage("At least one item is required"),
 
@@ -241,6 +288,9 @@ module.exports = {
   validateOrderId,
   validateCancelOrder,
   validateReturnRequest,
+  validateReturnQuery,
+  validateReturnId,
+  validateCreditNoteId,
   validateOrderQuery,
   validateGuestOrder,
   validateGuestTracking,
@@ -1,4 +1,4 @@
-const { body, param } = require("express-validator");
+const { body, param, query } = require("express-validator");
 
 const validateUpdateProfile = [
   body("profile.firstName")
@@ -94,6 +94,16 @@ const validatePreferences = [
     .optional()
     .isBoolean()
     .withMessage("Notifications preference must be a boolean"),
+
+  body("wishlistAlerts")
+    .optional()
+    .isBoolean()
+    .withMessage("Wishlist alerts preference must be a boolean"),
+
+  body("cartReminders")
+    .optional()
+    .isBoolean()
+    .withMessage("Cart reminders preference must be a boolean"),
 ];
 
 const validateDeleteAccount = [
@@ -278,6 +288,30 @@ const validateDeletionRequest = [
     .trim(),
 ];
 
+const validateWishlistProduct = [
+  param("productId")
+    .isMongoId()
+    .withMessage("Invalid product ID"),
+];
+
+const validateSessionId = [
+  param("sessionId")
+    .isMongoId()
+    .withMessage("Invalid session ID"),
+];
+
+const validateLoginHistoryQuery = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
 module.exports = {
   validateUpdateProfile,
   validateChangePassword,
@@ -288,4 +322,7 @@ module.exports = {
   validateUpdateAddress,
   validateSetDefaultAddress,
   validateDeletionRequest,
+  validateWishlistProduct,
+  validateSessionId,
+  validateLoginHistoryQuery,
 };